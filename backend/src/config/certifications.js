@@ -0,0 +1,115 @@
+/**
+ * Certification catalog used to verify the certification claims scraped
+ * from a listing (services/certifications.js).
+ *
+ * A claim is verified when it names a certification below, the product is
+ * one the scheme certifies (`appliesTo` matches its category, title or
+ * materials; null = any product) and it was read from Amazon's own
+ * sustainability badge or a certificate listed under it. The same claim in
+ * the seller's text is only 'claimed'; for `badgeOnly` schemes, which only
+ * Amazon grants, it is rejected.
+ *
+ * Rating adjustments (services/rating.js): emission factors are category
+ * averages, while a verified environmental certification means the product
+ * was made below that average. `scoreReduction` is the share of the per-kg
+ * score (kg CO2e/kg) it removes; reductions add up to at most
+ * MAX_SCORE_REDUCTION. Social-only schemes do not change the carbon score.
+ * Component score impacts (services/componentScores.js) are points added
+ * to each 0-100 component.
+ *
+ * Bump SCORING_POLICY.version when any rating value here changes.
+ */
+
+const TEXTILES = /cloth|apparel|fashion|garment|shirt|dress|textile|fabric|cotton|wool|linen|hemp|bedding|sheet|towel|blanket|baby/i;
+
+export const CERTIFICATION_CATALOG = [
+  {
+    id: 'fsc',
+    name: 'FSC',
+    issuer: 'Forest Stewardship Council',
+    pattern: /\bFSC\b|forest stewardship council/i,
+    appliesTo: /wood|timber|paper|cardboard|bamboo|cork|furniture|book|notebook|tissue|pencil|viscose|rayon|lyocell/i,
+    scoreReduction: 0.1,
+    impacts: { environmental: 8 }
+  },
+  {
+    id: 'gots',
+    name: 'GOTS',
+    issuer: 'Global Organic Textile Standard',
+    pattern: /\bGOTS\b|global organic textile/i,
+    appliesTo: TEXTILES,
+    scoreReduction: 0.1,
+    impacts: { environmental: 8, social: 8 }
+  },
+  {
+    id: 'usda_organic',
+    name: 'USDA Organic',
+    issuer: 'U.S. Department of Agriculture',
+    pattern: /usda[\s-]*organic/i,
+    appliesTo: /food|grocery|beverage|tea|coffee|snack|supplement|beauty|personal care|skin|cotton|baby/i,
+    scoreReduction: 0.05,
+    impacts: { environmental: 6 }
+  },
+  {
+    id: 'energy_star',
+    name: 'Energy Star',
+    issuer: 'U.S. Environmental Protection Agency',
+    pattern: /energy\s*star/i,
+    appliesTo: /electronic|appliance|computer|laptop|monitor|television|\btv\b|light|lamp|bulb|fan|heater|purifier|dehumidifier|refrigerator|freezer|dishwasher|washer|dryer|printer/i,
+    scoreReduction: 0.05,
+    impacts: { environmental: 8, economic: 8 }
+  },
+  {
+    id: 'fair_trade',
+    name: 'Fair Trade',
+    issuer: 'Fairtrade International / Fair Trade USA',
+    pattern: /fair[\s-]*trade/i,
+    appliesTo: null,
+    scoreReduction: 0,
+    impacts: { social: 15, economic: 5 }
+  },
+  {
+    id: 'b_corp',
+    name: 'B Corp',
+    issuer: 'B Lab',
+    pattern: /\bB[\s-]?Corp(?:oration)?\b/i,
+    appliesTo: null,
+    scoreReduction: 0,
+    impacts: { social: 10 }
+  },
+  {
+    id: 'oeko_tex',
+    name: 'OEKO-TEX',
+    issuer: 'OEKO-TEX Association',
+    pattern: /oeko[\s-]?tex/i,
+    appliesTo: TEXTILES,
+    scoreReduction: 0,
+    impacts: { social: 6 }
+  },
+  {
+    id: 'climate_pledge_friendly',
+    name: 'Climate Pledge Friendly',
+    issuer: 'Amazon',
+    pattern: /climate pledge friendly/i,
+    appliesTo: null,
+    badgeOnly: true,
+    scoreReduction: 0.1,
+    impacts: { environmental: 5 }
+  }
+];
+
+export const MAX_SCORE_REDUCTION = 0.2;
+
+/**
+ * The catalog entry a claimed certification name refers to, or undefined
+ */
+export const findCertification = (name) => {
+  return CERTIFICATION_CATALOG.find(c => c.pattern.test(name || ''));
+};
+
+/**
+ * The catalog entry with an id (undefined for unknown ids)
+ */
+export const getCertification = (id) => {
+  return CERTIFICATION_CATALOG.find(c => c.id === id);
+};
@@ -0,0 +1,118 @@
+/**
+ * Assumptions used to split a product's footprint into lifecycle stages.
+ *
+ * Emission providers return a cradle-to-gate figure (materials + production).
+ * It is divided between raw materials and manufacturing with the category
+ * split below; packaging, shipping, use and end-of-life are modelled on top
+ * from the product weight and category. Values are typical averages from
+ * published product LCAs, not measurements of a specific product.
+ */
+
+// Share of the cradle-to-gate footprint that comes from raw materials
+// (the rest is manufacturing); first matching category wins
+export const PRODUCTION_SPLIT = [
+  { pattern: /phone|laptop|computer|tablet|electronic|camera|headphone/i, rawMaterials: 0.35 },
+  { pattern: /appliance/i, rawMaterials: 0.45 },
+  { pattern: /cloth|apparel|fashion|shoe|garment/i, rawMaterials: 0.4 },
+  { pattern: /furniture/i, rawMaterials: 0.7 },
+  { pattern: /book/i, rawMaterials: 0.5 }
+];
+export const DEFAULT_RAW_MATERIAL_SHARE = 0.6;
+
+// Packaging (services/packaging.js). The product's own package weighs the
+// listed package weight minus the product weight, else a box of the listed
+// package dimensions in single-wall corrugated board, else `massRatio` of the
+// product mass. A standard shipment puts that package in an Amazon overbox
+// with plastic void fill; Frustration-Free and "ships in product packaging"
+// items ship in their own package.
+export const PACKAGING = {
+  massRatio: 0.1,
+  minKg: 0.05,
+  boardKgPerM2: 0.5,
+  overbox: { massRatio: 0.6, plasticShare: 0.25 }, // relative to the package it holds
+  types: {
+    frustration_free: { overbox: false, plasticShare: 0 },
+    ships_in_product_packaging: { overbox: false, plasticShare: 0.1 },
+    standard: { overbox: true, plasticShare: 0.15 }
+  },
+  co2ePerKg: { cardboard: 0.9, plastic: 3.1 },
+  // Packaging sub-score (0-100): 100, less packaging mass per kg of product
+  // (capped) and the non-recyclable (plastic) share, plus a bonus for
+  // shipping without an overbox
+  score: { ratioPenaltyPerKg: 150, maxRatioPenalty: 60, nonRecyclablePenalty: 40, ownPackageBonus: 10 }
+};
+
+// Freight to the customer (services/transport.js). Orders ship from a
+// domestic warehouse unless the ship-from signals point abroad; expedited
+// delivery moves part of the domestic leg to air freight and makes the
+// last-mile delivery less consolidated. Distances depend on the marketplace
+// (config/marketplaces.js): a ship-from in the marketplace's own country is
+// domestic, anything else travels the region's distance to that country
+// (by road from an overland region, otherwise by air or sea).
+export const SHIPPING = {
+  co2ePerTonneKm: { road: 0.1, sea: 0.015, air: 1.1 },
+  origins: [
+    { pattern: /china|hong kong|taiwan|vietnam|thailand|malaysia|indonesia|korea|japan|india|bangladesh|pakistan|philippines/i, region: 'asia' },
+    { pattern: /germany|deutschland|united kingdom|\buk\b|france|italy|spain|netherlands|poland|czech|turkey|europe/i, region: 'europe' },
+    { pattern: /united states|\busa\b|canada|mexico/i, region: 'north_america' },
+    { pattern: /australia|new zealand/i, region: 'oceania' }
+  ],
+  markets: {
+    us: { homePattern: /united states|\busa\b/i, domesticRoadKm: 1500, regionKm: { asia: 11000, europe: 7000, north_america: 2500, oceania: 12000 }, overlandRegions: [] },
+    ca: { homePattern: /canada/i, domesticRoadKm: 1500, regionKm: { asia: 9000, europe: 6000, north_america: 2500, oceania: 12000 }, overlandRegions: [] },
+    uk: { homePattern: /united kingdom|\buk\b|england|scotland|wales|great britain/i, domesticRoadKm: 300, regionKm: { asia: 10000, europe: 1000, north_america: 6000, oceania: 17000 }, overlandRegions: ['europe'] },
+    de: { homePattern: /germany|deutschland/i, domesticRoadKm: 500, regionKm: { asia: 10000, europe: 800, north_america: 7000, oceania: 16000 }, overlandRegions: ['europe'] },
+    fr: { homePattern: /france/i, domesticRoadKm: 600, regionKm: { asia: 10000, europe: 900, north_america: 6500, oceania: 17000 }, overlandRegions: ['europe'] },
+    in: { homePattern: /india/i, domesticRoadKm: 1200, regionKm: { asia: 4000, europe: 7000, north_america: 13000, oceania: 10000 }, overlandRegions: [] },
+    au: { homePattern: /australia/i, domesticRoadKm: 1500, regionKm: { asia: 7000, europe: 16000, north_america: 13000, oceania: 2500 }, overlandRegions: [] }
+  },
+  // International parcels arriving later than this went by sea, sooner by air
+  airFreightMaxDays: 20,
+  speeds: {
+    same_day: { domesticAirShare: 0.5, lastMileCo2e: 0.6 },
+    one_day: { domesticAirShare: 0.4, lastMileCo2e: 0.4 },
+    two_day: { domesticAirShare: 0.1, lastMileCo2e: 0.25 },
+    standard: { domesticAirShare: 0, lastMileCo2e: 0.2 }
+  }
+};
+
+// Electricity used over the product's life (electronics and appliances only)
+export const USE_PHASE = {
+  gridCo2ePerKwh: 0.4,
+  profiles: [
+    { pattern: /phone|smartphone|watch|fitness tracker|earbud|headphone/i, kWhPerYear: 4, years: 3 },
+    { pattern: /laptop|notebook/i, kWhPerYear: 30, years: 4 },
+    { pattern: /tablet|ipad|e-reader|kindle/i, kWhPerYear: 12, years: 4 },
+    { pattern: /monitor|television|\btv\b/i, kWhPerYear: 100, years: 7 },
+    { pattern: /refrigerator|fridge|freezer|washer|dryer|dishwasher/i, kWhPerYear: 300, years: 12 },
+    { pattern: /appliance|microwave|oven|vacuum|kettle|blender|coffee/i, kWhPerYear: 50, years: 8 },
+    { pattern: /computer|desktop|console|electronic|camera|speaker/i, kWhPerYear: 40, years: 5 }
+  ]
+};
+
+// Landfill / incineration / recycling processing per kg of product
+export const END_OF_LIFE = {
+  co2ePerKg: 0.05,
+  electronicsCo2ePerKg: 0.1
+};
+
+// Expected service life, used to spread the whole-life footprint over years
+// of use (services/impactMetrics.js). Powered products use their use-phase
+// profile's years. Single-use items last one day per piece (daily use), so a
+// 100-pack lasts 100 days. Otherwise the first matching category wins.
+export const PRODUCT_LIFETIME = {
+  singleUsePattern: /disposable|single[\s-]?use|paper plates?|paper cups?|plastic cups?|wipes\b/i,
+  singleUseDaysPerPiece: 1,
+  durablePattern: /reusable|refillable|rechargeable|durable|stainless|cast iron|lifetime warranty/i,
+  durableMinYears: 5,
+  categories: [
+    { pattern: /furniture|mattress/i, years: 10 },
+    { pattern: /kitchen|cookware|tool|hardware/i, years: 8 },
+    { pattern: /shoe|footwear/i, years: 2 },
+    { pattern: /cloth|apparel|fashion|garment/i, years: 3 },
+    { pattern: /book/i, years: 10 },
+    { pattern: /toy|game/i, years: 3 },
+    { pattern: /beauty|personal care|grocery|food|health|household supplies/i, years: 0.25 }
+  ],
+  defaultYears: 3
+};
@@ -0,0 +1,38 @@
+/**
+ * Amazon storefronts the extension supports. The marketplace of a scraped
+ * product comes from `scrapedData.marketplace` or, for older clients, the
+ * hostname of `scrapedData.url`; unknown hosts count as amazon.com.
+ */
+export const MARKETPLACES = [
+  { id: 'us', domain: 'amazon.com', country: 'United States', currency: 'USD' },
+  { id: 'uk', domain: 'amazon.co.uk', country: 'United Kingdom', currency: 'GBP' },
+  { id: 'ca', domain: 'amazon.ca', country: 'Canada', currency: 'CAD' },
+  { id: 'de', domain: 'amazon.de', country: 'Germany', currency: 'EUR' },
+  { id: 'fr', domain: 'amazon.fr', country: 'France', currency: 'EUR' },
+  { id: 'in', domain: 'amazon.in', country: 'India', currency: 'INR' },
+  { id: 'au', domain: 'amazon.com.au', country: 'Australia', currency: 'AUD' }
+];
+
+export const DEFAULT_MARKETPLACE = MARKETPLACES[0];
+
+/**
+ * Marketplace for a hostname ("www.amazon.de"), or null if not supported
+ */
+export const findMarketplaceByHostname = (hostname) => {
+  const host = (hostname || '').toLowerCase();
+  return MARKETPLACES.find(m => host === m.domain || host.endsWith(`.${m.domain}`)) || null;
+};
+
+/**
+ * Marketplace a product was scraped from
+ */
+export const resolveMarketplace = (scrapedData = {}) => {
+  const byId = MARKETPLACES.find(m => m.id === scrapedData.marketplace);
+  if (byId) return byId;
+
+  try {
+    return findMarketplaceByHostname(new URL(scrapedData.url).hostname) || DEFAULT_MARKETPLACE;
+  } catch {
+    return DEFAULT_MARKETPLACE;
+  }
+};
@@ -0,0 +1,103 @@
+/**
+ * Scoring policy: grade thresholds, overall scores and plant frame changes.
+ *
+ * This is the single source of truth for grading. The extension bundles a
+ * snapshot of it (extension/utils/scoring-policy.js) and replaces that snapshot
+ * with GET /api/scoring-policy whenever the versions differ. `version` is
+ * also stored on every analyzed product, so bump it on every change to the
+ * values below or to how products are scored (e.g. services/componentScores.js).
+ *
+ * Grades are ordered best to worst. A product gets the first grade whose
+ * `maxCo2ePerKg` it is below (null = no upper bound), or, when only a 0-100
+ * score is known, the first grade whose `minOverallScore` it reaches.
+ */
+export const SCORING_POLICY = {
+  version: '1.11',
+  grades: [
+    {
+      grade: 'A',
+      label: 'Excellent',
+      description: 'Excellent - Low carbon footprint',
+      maxCo2ePerKg: 1,
+      minOverallScore: 80,
+      overallScore: 90,
+      frameChange: 15
+    },
+    {
+      grade: 'B',
+      label: 'Good',
+      description: 'Good - Below average emissions',
+      maxCo2ePerKg: 3,
+      minOverallScore: 60,
+      overallScore: 75,
+      frameChange: 10
+    },
+    {
+      grade: 'C',
+      label: 'Average',
+      description: 'Average - Moderate carbon impact',
+      maxCo2ePerKg: 6,
+      minOverallScore: 40,
+      overallScore: 50,
+      frameChange: 0
+    },
+    {
+      grade: 'D',
+      label: 'Poor',
+      description: 'Poor - High carbon emissions',
+      maxCo2ePerKg: 12,
+      minOverallScore: 20,
+      overallScore: 30,
+      frameChange: -15
+    },
+    {
+      grade: 'E',
+      label: 'Very Poor',
+      description: 'Very Poor - Significant environmental impact',
+      maxCo2ePerKg: null,
+      minOverallScore: 0,
+      overallScore: 15,
+      frameChange: -20
+    }
+  ],
+  // Grades that count as a sustainable purchase
+  sustainableGrades: ['A', 'B']
+};
+
+/**
+ * Get the policy entry for a grade (undefined for unknown grades)
+ */
+export const getGradePolicy = (grade) => {
+  return SCORING_POLICY.grades.find(g => g.grade === grade);
+};
+
+/**
+ * Map a CO2e-per-kg score to a grade
+ */
+export const gradeFromCo2ePerKg = (co2ePerKg) => {
+  const match = SCORING_POLICY.grades.find(g => g.maxCo2ePerKg === null || co2ePerKg < g.maxCo2ePerKg);
+  return match.grade;
+};
+
+/**
+ * Map a 0-100 sustainability score to a grade
+ */
+export const gradeFromOverallScore = (overallScore) => {
+  const match = SCORING_POLICY.grades.find(g => overallScore >= g.minOverallScore);
+  return (match || SCORING_POLICY.grades[SCORING_POLICY.grades.length - 1]).grade;
+};
+
+/**
+ * Get the plant frame change for a grade (0 for unknown grades)
+ */
+export const frameChangeForGrade = (grade) => {
+  const policy = getGradePolicy(grade);
+  return policy ? policy.frameChange : 0;
+};
+
+/**
+ * Whether a grade counts as a sustainable purchase
+ */
+export const isSustainableGrade = (grade) => {
+  return SCORING_POLICY.sustainableGrades.includes(grade);
+};
@@ -0,0 +1,155 @@
+/**
+ * Scraper selector registry: the CSS selectors the extension reads Amazon
+ * pages with, by page type and field.
+ *
+ * The extension bundles a snapshot of it (extension/utils/selector-registry.js)
+ * and replaces that snapshot with GET /api/selectors whenever the versions
+ * differ, so a layout change can be fixed here without shipping a new
+ * extension. Bump `version` on every change.
+ *
+ * Each field lists fallbacks in order; the first selector that matches wins.
+ * `marketplaces[id][page][field]` selectors are tried before the defaults on
+ * that marketplace (config/marketplaces.js ids).
+ */
+export const SELECTOR_REGISTRY = {
+  version: '1.4',
+  pages: {
+    product: {
+      asin: ['input[name="ASIN"]', '#ASIN'],
+      title: ['#productTitle', '#title', 'h1.product-title', 'h1 span#productTitle'],
+      detailTables: ['#productDetails_techSpec_section_1, #productDetails_detailBullets_sections1'],
+      detailBullets: ['#detailBullets_feature_div li .a-list-item'],
+      featureBullets: ['#feature-bullets li:not(.aok-hidden)'],
+      brand: ['#bylineInfo', 'a#brand', '.po-brand .po-break-word', 'tr.po-brand td.a-span9', '[data-feature-name="bylineInfo"]'],
+      breadcrumbs: ['#wayfinding-breadcrumbs_feature_div'],
+      department: ['.nav-a-content'],
+      description: ['#productDescription p', '#feature-bullets', '.a-unordered-list.a-vertical.a-spacing-mini'],
+      price: [
+        '#corePrice_feature_div .a-price .a-offscreen',
+        '#corePriceDisplay_desktop_feature_div .a-price .a-offscreen',
+        '#apex_desktop .a-price .a-offscreen',
+        '#priceblock_dealprice',
+        '#priceblock_ourprice',
+        '#price_inside_buybox'
+      ],
+      shipsFrom: [
+        '#tabular-buybox .tabular-buybox-text[tabular-attribute-name="Ships from"]',
+        '#fulfillerInfoFeature_feature_div .offer-display-feature-text'
+      ],
+      soldBy: [
+        '#tabular-buybox .tabular-buybox-text[tabular-attribute-name="Sold by"]',
+        '#merchantInfoFeature_feature_div .offer-display-feature-text'
+      ],
+      merchantInfo: ['#merchant-info'],
+      deliveryMessage: [
+        '#mir-layout-DELIVERY_BLOCK-slot-PRIMARY_DELIVERY_MESSAGE_LARGE',
+        '#deliveryBlockMessage',
+        '#delivery-message'
+      ],
+      quantity: ['#quantity', 'select[name="quantity"]'],
+      similarItems: [
+        '#HLCXComparisonWidget_feature_div, #sp_detail, #sp_detail2, #sp_detail_thematic-highly_rated, ' +
+          '#sims-consolidated-1_feature_div, #sims-consolidated-2_feature_div'
+      ],
+      sustainabilityBadge: [
+        '#climatePledgeFriendly, #climatePledgeFriendly_feature_div, #provenanceCertifications_feature_div'
+      ],
+      sustainabilityCertifications: ['[id*="certificate-name" i]', '.a-text-bold'],
+      packagingBadge: ['#packaging_feature_div, #ffpBadge_feature_div, #shipsInProductPackaging_feature_div']
+    },
+    search: {
+      results: ['.s-main-slot', '#search'],
+      resultCard: ['[data-component-type="s-search-result"][data-asin]', '.s-result-item[data-asin]'],
+      resultTitle: ['h2 a span', 'h2 span', '[data-cy="title-recipe"] span'],
+      resultPrice: ['.a-price:not(.a-text-price) .a-offscreen', '.a-price .a-offscreen'],
+      badgeAnchor: ['[data-cy="title-recipe"]', 'h2']
+    },
+    nav: {
+      cartCount: ['#nav-cart-count', '[data-csa-c-type="element"][data-csa-c-id="nav-cart"]', '.nav-cart-count'],
+      header: ['#navbar', '#nav-main', '.nav-main'],
+      addToCartButton: [
+        '#add-to-cart-button',
+        '[name="submit.add-to-cart"]',
+        '.a-button-primary[aria-labelledby*="cart"]',
+        '[data-action="add-to-cart"]'
+      ]
+    },
+    cart: {
+      activeCart: ['#activeCartViewForm', '#sc-active-cart', '#sc-cart-container'],
+      savedCart: ['#sc-saved-cart', '#savedCartViewForm'],
+      item: ['.sc-list-item', '[data-item-index]'],
+      recommendations: ['[class*="recommendation"]', '[class*="sims-"]', '[id*="sims-"]', '[class*="acswidget"]'],
+      itemTitle: [
+        '.sc-product-title a',
+        'a.sc-product-link',
+        '.sc-item-title-content a',
+        '.a-truncate-cut',
+        '.sc-product-title',
+        'span.a-truncate-full',
+        'a[href*="/dp/"]',
+        '.sc-product-title span',
+        '.a-list-item .a-link-normal',
+        'span.a-text-bold',
+        '.sc-product-link',
+        'a.a-link-normal[href*="/dp/"]',
+        'a.a-link-normal[href*="/gp/product/"]'
+      ],
+      itemPrice: [
+        '.sc-product-price',
+        '.sc-price',
+        '.sc-item-price-block .a-price .a-offscreen',
+        '.a-price .a-offscreen',
+        '.a-price-whole',
+        'span.a-price span.a-offscreen',
+        '.sc-price-badge .a-text-price'
+      ],
+      itemQuantity: [
+        'select[name="quantity"] option[selected]',
+        'input[name="quantityBox"]',
+        '[data-a-selector="value"]',
+        '.sc-action-quantity .a-dropdown-prompt'
+      ]
+    },
+    order: {
+      items: ['#orderDetails', '[data-component="purchasedItems"]', '#a-page'],
+      itemRow: [
+        '.yohtmlc-item',
+        '[data-component="purchasedItems"] .a-fixed-left-grid',
+        '.a-fixed-left-grid',
+        '.shipment .a-row',
+        '.a-row'
+      ],
+      recommendations: ['.a-carousel-container', '[data-a-carousel-options]', '#rhf', '[class*="recommendation"]'],
+      itemQuantity: ['.item-view-qty', '.od-item-view-qty', '.product-image__qty'],
+      historyCard: ['.order-card', '.js-order-card', '#ordersContainer > .order'],
+      historyOrderId: ['.yohtmlc-order-id [dir="ltr"]', '.yohtmlc-order-id'],
+      historyNextPage: ['.a-pagination .a-last']
+    }
+  },
+  marketplaces: {
+    de: {
+      product: {
+        shipsFrom: [
+          '#tabular-buybox .tabular-buybox-text[tabular-attribute-name="Versand"]',
+          '#tabular-buybox .tabular-buybox-text[tabular-attribute-name="Versender"]'
+        ],
+        soldBy: [
+          '#tabular-buybox .tabular-buybox-text[tabular-attribute-name="Verkäufer"]',
+          '#tabular-buybox .tabular-buybox-text[tabular-attribute-name="Verkauf durch"]'
+        ]
+      }
+    },
+    fr: {
+      product: {
+        shipsFrom: [
+          '#tabular-buybox .tabular-buybox-text[tabular-attribute-name="Expéditeur"]',
+          '#tabular-buybox .tabular-buybox-text[tabular-attribute-name="Expédié par"]'
+        ],
+        soldBy: [
+          '#tabular-buybox .tabular-buybox-text[tabular-attribute-name="Vendeur"]',
+          '#tabular-buybox .tabular-buybox-text[tabular-attribute-name="Vendu par"]'
+        ]
+      }
+    }
+  }
+};
@@ -5,7 +5,12 @@ import { connectDatabase } from './config/database.js';
 import { logger } from './utils/logger.js';
 import productRoutes from './routes/product.js';
 import plantRoutes from './routes/plant.js';
+import policyRoutes from './routes/policy.js';
+import selectorRoutes from './routes/selectors.js';
+import emissionRoutes from './routes/emissions.js';
+import authRoutes from './routes/auth.js';
 import { errorHandler } from './middleware/errorHandler.js';
+import { startRescoreJob } from './jobs/rescoreStaleProducts.js';
 import rateLimit from 'express-rate-limit';
 
 // Load environment variables
@@ -19,16 +24,30 @@ app.use(express.json({ limit: '10mb' }));
 app.use(corsMiddleware);
 
 // Rate limiting
+const rateLimitWindowMs = parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 900000; // 15 minutes
 const limiter = rateLimit({
-  windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 900000, // 15 minutes
+  windowMs: rateLimitWindowMs,
   max: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 100,
+  message: 'Too many requests from this IP, please try again later.',
+  skip: (req) => req.path === '/analyze-cart'
+});
+// The extension sends carts, order imports and search badges to
+// /analyze-cart a few items at a time, so it has a budget of its own
+const cartLimiter = rateLimit({
+  windowMs: rateLimitWindowMs,
+  max: parseInt(process.env.ANALYZE_CART_RATE_LIMIT_MAX_REQUESTS) || 500,
   message: 'Too many requests from this IP, please try again later.'
 });
 app.use('/api/', limiter);
+app.use('/api/analyze-cart', cartLimiter);
 
 // Routes
 app.use('/api', productRoutes);
 app.use('/api', plantRoutes);
+app.use('/api', policyRoutes);
+app.use('/api', selectorRoutes);
+app.use('/api', emissionRoutes);
+app.use('/api', authRoutes);
 
 // Health check
 app.get('/health', (req, res) => {
@@ -48,6 +67,9 @@ const startServer = async () => {
     // Connect to MongoDB
     await connectDatabase();
 
+    // Periodically re-score products whose cached rating is stale
+    startRescoreJob();
+
     // Start listening
     app.listen(PORT, () => {
       logger.info(`🚀 BloomCart backend running on port ${PORT}`);
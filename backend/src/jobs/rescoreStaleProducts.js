@@ -0,0 +1,75 @@
+import mongoose from 'mongoose';
+import Product from '../models/Product.js';
+import {
+  staleProductsFilter,
+  getStaleReason,
+  analyzeScrapedProduct,
+  saveAnalyzedProduct
+} from '../services/productAnalysis.js';
+import { mapWithConcurrency } from '../utils/workerPool.js';
+import { logger } from '../utils/logger.js';
+
+const INTERVAL_MINUTES = parseFloat(process.env.RESCORE_INTERVAL_MINUTES ?? '60');
+const BATCH_SIZE = parseInt(process.env.RESCORE_BATCH_SIZE) || 20;
+const CONCURRENCY = 2;
+
+let running = false;
+
+/**
+ * Re-analyze one batch of stale products (oldest footprint first) from their
+ * stored scraped data. The previous rating is kept in `ratingHistory`.
+ * Returns the number of products re-scored.
+ */
+export const rescoreStaleProducts = async (batchSize = BATCH_SIZE) => {
+  if (mongoose.connection.readyState !== 1) return 0;
+
+  const candidates = await Product.find(staleProductsFilter())
+    .sort({ 'carbonFootprint.calculatedAt': 1 })
+    .limit(batchSize);
+
+  const stale = candidates
+    .map(product => ({ product, reason: getStaleReason(product) }))
+    .filter(({ reason }) => reason);
+
+  if (stale.length === 0) return 0;
+
+  logger.info('Re-scoring stale products', { count: stale.length });
+
+  const outcomes = await mapWithConcurrency(stale, CONCURRENCY, async ({ product, reason }) => {
+    const productData = await analyzeScrapedProduct(product.metadata.scrapedData);
+    return saveAnalyzedProduct(productData, product, reason);
+  });
+
+  const failed = outcomes.filter(o => o.error);
+  failed.forEach(o => logger.error('Stale product re-score failed', { error: o.error.message }));
+
+  return stale.length - failed.length;
+};
+
+/**
+ * Run rescoreStaleProducts every RESCORE_INTERVAL_MINUTES (0 disables).
+ * A run is skipped if the previous one is still in progress.
+ */
+export const startRescoreJob = () => {
+  if (!(INTERVAL_MINUTES > 0)) {
+    logger.info('Stale product re-scoring disabled');
+    return null;
+  }
+
+  const timer = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      const rescored = await rescoreStaleProducts();
+      if (rescored > 0) logger.info('Stale products re-scored', { rescored });
+    } catch (error) {
+      logger.error('Stale product re-score job failed:', error);
+    } finally {
+      running = false;
+    }
+  }, INTERVAL_MINUTES * 60 * 1000);
+
+  timer.unref();
+  logger.info(`Stale product re-scoring every ${INTERVAL_MINUTES} minutes (batch of ${BATCH_SIZE})`);
+  return timer;
+};
@@ -0,0 +1,93 @@
+import { test, mock, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Product from '../models/Product.js';
+import ProductRatingHistory from '../models/ProductRatingHistory.js';
+import { SCORING_POLICY } from '../config/scoringPolicy.js';
+import { rescoreStaleProducts } from './rescoreStaleProducts.js';
+
+// Re-analysis runs offline: Gemini falls back to its local extraction and
+// the bundled factor table stands in for Climatiq
+process.env.EMISSION_PROVIDERS = 'local';
+
+const scrapedData = {
+  asin: 'B08N5WRWNW',
+  title: 'Stainless Steel Water Bottle',
+  details: { 'Item Weight': '12 ounces' }
+};
+
+const storedProduct = ({ version, history = 0 }) => {
+  const product = new Product({
+    asin: scrapedData.asin,
+    title: scrapedData.title,
+    marketplace: 'us',
+    rating: { grade: 'D', score: 9.5 },
+    overallScore: 30,
+    carbonFootprint: { co2e: 3.2, source: 'climatiq', calculatedAt: new Date() },
+    ratingHistory: Array.from({ length: history }, (_, i) => ({ grade: 'E', reason: `old-${i}` })),
+    metadata: { scrapedData, analysisVersion: version }
+  });
+  mock.method(product, 'save', async function () { return this; });
+  return product;
+};
+
+const findReturning = (products) => mock.method(Product, 'find', () => ({
+  sort: () => ({ limit: async () => products })
+}));
+
+// readyState cannot be mocked (non-configurable); its backing field can
+const setConnected = (connected) => { mongoose.connection._readyState = connected ? 1 : 0; };
+
+beforeEach(() => {
+  setConnected(true);
+  mock.method(ProductRatingHistory, 'create', async (entry) => entry);
+});
+
+afterEach(() => {
+  setConnected(false);
+  mock.restoreAll();
+});
+
+test('a product rated under an older policy is re-scored and keeps its previous rating', async () => {
+  const product = storedProduct({ version: '1.9' });
+  findReturning([product]);
+
+  assert.equal(await rescoreStaleProducts(), 1);
+
+  assert.equal(product.metadata.analysisVersion, SCORING_POLICY.version);
+  assert.equal(product.ratingHistory.length, 1);
+  const [previous] = product.ratingHistory;
+  assert.equal(previous.grade, 'D');
+  assert.equal(previous.co2e, 3.2);
+  assert.equal(previous.analysisVersion, '1.9');
+  assert.equal(previous.reason, 'outdated_version');
+  assert.equal(ProductRatingHistory.create.mock.calls[0].arguments[0].trigger, 'outdated_version');
+});
+
+test('rating history keeps the newest 20 entries', async () => {
+  const product = storedProduct({ version: '1.9', history: 20 });
+  findReturning([product]);
+
+  await rescoreStaleProducts();
+
+  assert.equal(product.ratingHistory.length, 20);
+  assert.equal(product.ratingHistory[0].reason, 'old-1');
+  assert.equal(product.ratingHistory.at(-1).reason, 'outdated_version');
+});
+
+test('products that are still fresh are left alone', async () => {
+  const product = storedProduct({ version: SCORING_POLICY.version });
+  findReturning([product]);
+
+  assert.equal(await rescoreStaleProducts(), 0);
+  assert.equal(product.save.mock.callCount(), 0);
+  assert.equal(product.ratingHistory.length, 0);
+});
+
+test('nothing runs without a database connection', async () => {
+  setConnected(false);
+  const find = findReturning([storedProduct({ version: '1.9' })]);
+
+  assert.equal(await rescoreStaleProducts(), 0);
+  assert.equal(find.mock.callCount(), 0);
+});
@@ -0,0 +1,58 @@
+import mongoose from 'mongoose';
+import Device from '../models/Device.js';
+import { verifyDeviceToken } from '../utils/deviceToken.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Require a valid device token (Authorization: Bearer <token>) and set
+ * req.auth = { userId, deviceId }. The device record is authoritative for
+ * the userId, so a device moved onto an account follows it with its old token.
+ */
+export const authenticate = async (req, res, next) => {
+  const header = req.headers.authorization || '';
+  const token = header.startsWith('Bearer ') ? header.slice(7).trim() : null;
+  const claims = verifyDeviceToken(token);
+
+  if (!claims) {
+    return res.status(401).json({ error: 'Missing or invalid device token' });
+  }
+
+  try {
+    if (mongoose.connection.readyState === 1) {
+      const device = await Device.findOneAndUpdate(
+        { deviceId: claims.deviceId },
+        { lastSeenAt: new Date() },
+        { new: true }
+      );
+      if (!device || device.revoked) {
+        return res.status(401).json({ error: 'Device is not registered' });
+      }
+      claims.userId = device.userId;
+    }
+
+    req.auth = claims;
+    next();
+  } catch (error) {
+    logger.error('Device authentication error:', error);
+    res.status(500).json({ error: 'Failed to authenticate device' });
+  }
+};
+
+/**
+ * Reject requests whose userId (URL or body) is not the authenticated user's,
+ * and fill in the body's userId when it was left out. Use after authenticate.
+ */
+export const bindUserId = (req, res, next) => {
+  const { userId } = req.auth;
+  const requested = [req.params.userId, req.body?.userId].filter(id => id !== undefined);
+
+  if (requested.some(id => id !== userId)) {
+    logger.warn('Rejected request for another user', { deviceId: req.auth.deviceId, requested });
+    return res.status(403).json({ error: 'userId does not match the device token' });
+  }
+
+  if (req.body && typeof req.body === 'object') {
+    req.body.userId = userId;
+  }
+  next();
+};
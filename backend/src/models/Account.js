@@ -0,0 +1,25 @@
+import mongoose from 'mongoose';
+
+const accountSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true
+  },
+  passwordHash: {
+    type: String,
+    required: true
+  },
+  // Shared by every device linked to this account
+  userId: {
+    type: String,
+    required: true,
+    unique: true
+  }
+}, {
+  timestamps: true
+});
+
+export default mongoose.model('Account', accountSchema);
@@ -0,0 +1,34 @@
+import mongoose from 'mongoose';
+
+const deviceSchema = new mongoose.Schema({
+  deviceId: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true
+  },
+  // The plant this device reads and writes; changes when an account is linked
+  userId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  accountId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Account',
+    default: null
+  },
+  userAgent: String,
+  revoked: {
+    type: Boolean,
+    default: false
+  },
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+export default mongoose.model('Device', deviceSchema);
@@ -1,3 +1,4 @@
+import crypto from 'crypto';
 import mongoose from 'mongoose';
 
 const plantStateSchema = new mongoose.Schema({
@@ -7,9 +8,10 @@ const plantStateSchema = new mongoose.Schema({
     unique: true,
     index: true
   },
+  // Starts mid-way, like a new install of the extension (CONFIG.PLANT.INITIAL_FRAME)
   currentFrame: {
     type: Number,
-    default: 0,
+    default: 50,
     min: 0,
     max: 100 // Adjust based on your Lottie animation frames
   },
@@ -21,12 +23,33 @@ const plantStateSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // Current cart as last synced from the extension
+  totalCartItems: {
+    type: Number,
+    default: 0
+  },
+  sustainableCartItems: {
+    type: Number,
+    default: 0
+  },
+  cartItems: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: []
+  },
+  // When each synced field last changed (last-writer-wins, see services/plantSync.js);
+  // a field without a stamp has not been synced from any device yet
+  fieldUpdatedAt: {
+    type: Map,
+    of: Date,
+    default: {}
+  },
   stats: {
     totalCO2eSaved: { type: Number, default: 0 },
     averageRating: { type: String, default: null },
     streakDays: { type: Number, default: 0 }
   },
   history: [{
+    eventId: { type: String, default: () => crypto.randomUUID() },
     rating: String,
     frameChange: Number,
     timestamp: { type: Date, default: Date.now }
@@ -1,5 +1,14 @@
 import mongoose from 'mongoose';
 
+const componentBreakdownSchema = new mongoose.Schema({
+  base: Number, // Starting score before adjustments
+  factors: [{
+    _id: false,
+    factor: String,
+    impact: Number // Points added to (or removed from) the base
+  }]
+}, { _id: false });
+
 const productSchema = new mongoose.Schema({
   asin: {
     type: String,
@@ -19,6 +28,11 @@ const productSchema = new mongoose.Schema({
     trim: true,
     default: 'Unknown'
   },
+  // Storefront the product was last analyzed on (config/marketplaces.js)
+  marketplace: {
+    type: String,
+    default: 'us'
+  },
   weight: {
     value: { type: Number, required: true },
     unit: { type: String, enum: ['kg', 'g', 'lb', 'oz'], default: 'kg' }
@@ -31,6 +45,49 @@ const productSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
+  // Certification claims from the listing, checked against config/certifications.js
+  certifications: [{
+    _id: false,
+    id: String, // Catalog id, null for a certification the catalog does not know
+    name: String,
+    issuer: String,
+    source: String, // Where the claim was scraped: 'badge', 'certificate', 'title', 'features', 'details', 'description', 'text'
+    status: { type: String, enum: ['verified', 'claimed', 'rejected'] },
+    verified: Boolean,
+    reason: { type: String, enum: ['unknown_certification', 'requires_badge', 'not_applicable', 'seller_claim', null] }
+  }],
+  // Environmental claims in the listing (services/claimAnalysis.js)
+  claimAnalysis: {
+    specific: [{
+      _id: false,
+      text: String,
+      kind: { type: String, enum: ['content', 'standard', 'certification'] },
+      source: String
+    }],
+    vague: [{
+      _id: false,
+      term: String,
+      text: String,
+      source: String,
+      substantiated: Boolean,
+      evidence: String // The specific claim backing the term, if any
+    }]
+  },
+  // Packaging, estimated apart from the product (services/packaging.js);
+  // its co2e is the lifecycle packaging stage
+  packaging: {
+    type: { type: String, enum: ['frustration_free', 'ships_in_product_packaging', 'standard'] },
+    typeBasis: { type: String, enum: ['listing', 'default'] },
+    basis: { type: String, enum: ['package_weight', 'package_dimensions', 'estimate'] },
+    kg: Number,
+    co2e: Number,
+    waste: {
+      recyclableKg: Number,
+      nonRecyclableKg: Number,
+      recyclableShare: Number
+    },
+    score: { type: Number, min: 0, max: 100 } // Packaging sub-score
+  },
   // Overall sustainability score (0-100)
   overallScore: {
     type: Number,
@@ -57,11 +114,56 @@ const productSchema = new mongoose.Schema({
     max: 100,
     required: true
   },
+  // Why each component score is what it is
+  scoreBreakdown: {
+    environmental: componentBreakdownSchema,
+    social: componentBreakdownSchema,
+    economic: componentBreakdownSchema
+  },
   carbonFootprint: {
     co2e: { type: Number, required: true }, // in kg CO2e
     dataQuality: { type: Number, min: 1, max: 3 }, // Climatiq quality rating
-    source: { type: String, enum: ['climatiq', 'gemini_estimate'], required: true },
+    source: { type: String, enum: ['climatiq', 'local_factors', 'gemini_estimate'], required: true },
     suggestionId: String, // Climatiq suggestion ID
+    fallbackReason: String, // Why the first emission provider was not used (from calculateCarbonFootprint)
+    // Per-material share of co2e (mass fraction x weight x material factor, scaled to add up to co2e)
+    materialBreakdown: [{
+      _id: false,
+      material: String,
+      fraction: Number,
+      kg: Number,
+      co2ePerKg: Number,
+      co2e: Number,
+      factorSource: { type: String, enum: ['material', 'category', 'default'] }
+    }],
+    compositionBasis: { type: String, enum: ['details', 'gemini', 'equal_split', 'none'] },
+    // Shipping to the customer; the line haul (without the last mile) is included in rating.score
+    transport: {
+      co2e: Number,
+      lineHaulCo2e: Number,
+      origin: String, // 'domestic', 'asia', 'europe', 'north_america', 'oceania'
+      originBasis: String,
+      distanceKm: Number,
+      internationalMode: { type: String, enum: ['air', 'sea', 'road', null] },
+      deliverySpeed: { type: String, enum: ['same_day', 'one_day', 'two_day', 'standard'] },
+      shipsFrom: String,
+      soldBy: String,
+      marketplace: String
+    },
+    // Full lifecycle: co2e above is cradle-to-gate, split here into stages plus downstream stages
+    lifecycle: {
+      total: Number,
+      stages: [{
+        _id: false,
+        stage: {
+          type: String,
+          enum: ['raw_materials', 'manufacturing', 'packaging', 'shipping', 'use', 'end_of_life']
+        },
+        label: String,
+        co2e: Number,
+        share: Number
+      }]
+    },
     calculatedAt: { type: Date, default: Date.now }
   },
   rating: {
@@ -70,12 +172,34 @@ const productSchema = new mongoose.Schema({
       enum: ['A', 'B', 'C', 'D', 'E'],
       required: true
     },
-    score: { type: Number, required: true }, // CO2e per kg
+    score: { type: Number, required: true }, // (production CO2e after certification reductions + line-haul freight) per kg
+    baseScore: Number, // score before certification reductions
+    transportScore: Number, // line-haul freight CO2e per kg, part of score
+    adjustments: [{
+      _id: false,
+      certification: String,
+      reduction: Number // Share of the score removed (0.1 = 10%)
+    }],
     description: String,
     frameChange: Number // Frame progression for plant animation
   },
+  // Previous ratings, oldest first, recorded each time the product is re-analyzed
+  ratingHistory: [{
+    _id: false,
+    grade: String,
+    score: Number,
+    overallScore: Number,
+    co2e: Number,
+    source: String,
+    dataQuality: Number,
+    analysisVersion: String,
+    calculatedAt: Date,
+    replacedAt: { type: Date, default: Date.now },
+    reason: { type: String, enum: ['refresh', 'expired', 'outdated_version', 'marketplace', 'full_listing', null] }
+  }],
   metadata: {
     scrapedData: mongoose.Schema.Types.Mixed, // Raw scraped data
+    cleanedData: mongoose.Schema.Types.Mixed, // Output of cleanProductData
     lastUpdated: { type: Date, default: Date.now },
     analysisVersion: { type: String, default: '1.0' }
   }
@@ -85,7 +209,9 @@ const productSchema = new mongoose.Schema({
 
 // Index for efficient lookups
 productSchema.index({ 'rating.grade': 1 });
+productSchema.index({ category: 1, 'rating.score': 1 });
 productSchema.index({ createdAt: -1 });
+productSchema.index({ 'carbonFootprint.calculatedAt': 1 });
 
 // Virtual for rating color
 productSchema.virtual('ratingColor').get(function() {
@@ -0,0 +1,58 @@
+import mongoose from 'mongoose';
+
+// One document per rating ever computed for a product, with the inputs that
+// produced it, so a grade change can be explained after the fact
+const productRatingHistorySchema = new mongoose.Schema({
+  asin: {
+    type: String,
+    required: true,
+    uppercase: true,
+    trim: true
+  },
+  rating: {
+    grade: {
+      type: String,
+      enum: ['A', 'B', 'C', 'D', 'E'],
+      required: true
+    },
+    score: Number, // CO2e per kg
+    baseScore: Number, // before certification reductions
+    adjustments: [{ _id: false, certification: String, reduction: Number }],
+    description: String,
+    frameChange: Number
+  },
+  overallScore: Number,
+  environmental: Number,
+  social: Number,
+  economic: Number,
+  carbonFootprint: {
+    co2e: Number,
+    dataQuality: Number,
+    source: String,
+    suggestionId: String, // Climatiq suggestion ID
+    fallbackReason: String // Why the first emission provider was not used, if it wasn't
+  },
+  inputs: {
+    cleanedData: mongoose.Schema.Types.Mixed, // Output of cleanProductData
+    scrapedTitle: String,
+    marketplace: String,
+    certifications: [String] // Verified certification ids
+  },
+  analysisVersion: String,
+  trigger: {
+    type: String,
+    enum: ['initial', 'refresh', 'expired', 'outdated_version', 'marketplace', 'full_listing'],
+    default: 'initial'
+  },
+  calculatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Index for efficient queries
+productRatingHistorySchema.index({ asin: 1, calculatedAt: -1 });
+
+export default mongoose.model('ProductRatingHistory', productRatingHistorySchema);
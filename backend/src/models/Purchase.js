@@ -1,5 +1,7 @@
 import mongoose from 'mongoose';
 
+export const PURCHASE_SOURCES = ['manual', 'order_confirmation', 'order_details', 'order_import'];
+
 const purchaseSchema = new mongoose.Schema({
   userId: {
     type: String,
@@ -25,12 +27,28 @@ const purchaseSchema = new mongoose.Schema({
   },
   carbonFootprint: {
     co2e: Number,
+    transportCo2e: Number,
     source: String
   },
+  // Frame change per unit; the plant moved by frameChange * quantity
   frameChange: {
     type: Number,
     required: true
   },
+  quantity: {
+    type: Number,
+    min: 1,
+    default: 1
+  },
+  // Where the purchase was detected
+  source: {
+    type: String,
+    enum: PURCHASE_SOURCES,
+    default: 'manual'
+  },
+  // Order ID or client-generated UUID; a repeated key is the same purchase
+  idempotencyKey: String,
+  orderId: String,
   purchaseDate: {
     type: Date,
     default: Date.now
@@ -42,5 +60,9 @@ const purchaseSchema = new mongoose.Schema({
 // Index for efficient queries
 purchaseSchema.index({ userId: 1, purchaseDate: -1 });
 purchaseSchema.index({ 'rating.grade': 1 });
+purchaseSchema.index(
+  { userId: 1, idempotencyKey: 1 },
+  { unique: true, partialFilterExpression: { idempotencyKey: { $type: 'string' } } }
+);
 
 export default mongoose.model('Purchase', purchaseSchema);
@@ -0,0 +1,82 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import Account from '../models/Account.js';
+import { registerDevice, linkAccount, MIN_PASSWORD_LENGTH } from '../services/auth.js';
+import { authenticate } from '../middleware/auth.js';
+import { logger } from '../utils/logger.js';
+
+const router = express.Router();
+
+const EMAIL = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const requireDatabase = (req, res, next) => {
+  if (mongoose.connection.readyState !== 1) {
+    return res.status(503).json({ error: 'Authentication is unavailable' });
+  }
+  next();
+};
+
+/**
+ * POST /api/auth/register-device
+ * Issue a signed anonymous device token for a new userId
+ */
+router.post('/auth/register-device', requireDatabase, async (req, res) => {
+  try {
+    const result = await registerDevice({
+      userAgent: req.headers['user-agent']
+    });
+    res.status(201).json(result);
+
+  } catch (error) {
+    logger.error('Device registration error:', error);
+    res.status(500).json({ error: 'Failed to register device', details: error.message });
+  }
+});
+
+/**
+ * POST /api/auth/link-account
+ * Link the calling device to an email/password account, creating it if new
+ */
+router.post('/auth/link-account', requireDatabase, authenticate, async (req, res) => {
+  try {
+    const { email, password } = req.body || {};
+
+    if (typeof email !== 'string' || !EMAIL.test(email)) {
+      return res.status(400).json({ error: 'A valid email is required' });
+    }
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({ error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+    }
+
+    const result = await linkAccount(req.auth.deviceId, { email, password });
+    res.json(result);
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    logger.error('Account linking error:', error);
+    res.status(500).json({ error: 'Failed to link account', details: error.message });
+  }
+});
+
+/**
+ * GET /api/auth/me
+ * The user and device behind the current token
+ */
+router.get('/auth/me', requireDatabase, authenticate, async (req, res) => {
+  try {
+    const account = await Account.findOne({ userId: req.auth.userId }).select('email');
+    res.json({
+      userId: req.auth.userId,
+      deviceId: req.auth.deviceId,
+      account: account ? { email: account.email } : null
+    });
+
+  } catch (error) {
+    logger.error('Auth lookup error:', error);
+    res.status(500).json({ error: 'Failed to load account', details: error.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,40 @@
+import express from 'express';
+import { cleanProductData } from '../services/gemini.js';
+import { getProviderChain, compareEmissionProviders } from '../services/emissionProviders.js';
+import { resolveMaterialComposition } from '../services/materialComposition.js';
+import { logger } from '../utils/logger.js';
+
+const router = express.Router();
+
+/**
+ * POST /api/emission-providers/compare
+ * Run every emission provider on the same product side by side.
+ * Nothing is cached or saved.
+ */
+router.post('/emission-providers/compare', async (req, res) => {
+  try {
+    const { scrapedData } = req.body;
+
+    if (!scrapedData || !scrapedData.asin) {
+      return res.status(400).json({ error: 'Missing required product data' });
+    }
+
+    const geminiData = await cleanProductData(scrapedData);
+    const { composition } = resolveMaterialComposition(geminiData, scrapedData);
+    const cleanedData = { ...geminiData, materialComposition: composition };
+    const results = await compareEmissionProviders(cleanedData);
+
+    res.json({
+      asin: scrapedData.asin,
+      chain: getProviderChain(),
+      cleanedData,
+      results
+    });
+
+  } catch (error) {
+    logger.error('Emission provider comparison error:', error);
+    res.status(500).json({ error: 'Failed to compare emission providers', details: error.message });
+  }
+});
+
+export default router;
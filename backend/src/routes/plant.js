@@ -1,15 +1,20 @@
+import crypto from 'crypto';
 import express from 'express';
 import PlantState from '../models/PlantState.js';
-import Purchase from '../models/Purchase.js';
+import Purchase, { PURCHASE_SOURCES } from '../models/Purchase.js';
+import { isSustainableGrade } from '../config/scoringPolicy.js';
+import { authenticate, bindUserId } from '../middleware/auth.js';
+import { countPurchasesUpdate, mergeClientState, movesPlant, toSyncPayload } from '../services/plantSync.js';
+import { MAX_IMPORT_PURCHASES, importPurchases, summarizePurchaseYear } from '../services/purchaseImport.js';
 import { logger } from '../utils/logger.js';
 
 const router = express.Router();
 
 /**
  * GET /api/plant-state/:userId
- * Get user's plant state
+ * Get user's plant state (userId must match the device token)
  */
-router.get('/plant-state/:userId', async (req, res) => {
+router.get('/plant-state/:userId', authenticate, bindUserId, async (req, res) => {
   try {
     const { userId } = req.params;
 
@@ -17,7 +22,7 @@ router.get('/plant-state/:userId', async (req, res) => {
 
     // Create initial state if doesn't exist
     if (!plantState) {
-      plantState = new PlantState({ userId, currentFrame: 0 });
+      plantState = new PlantState({ userId });
       await plantState.save();
     }
 
@@ -29,15 +34,60 @@ router.get('/plant-state/:userId', async (req, res) => {
   }
 });
 
+const MAX_IDEMPOTENCY_KEY_LENGTH = 200;
+
+/**
+ * Idempotency key for a purchase event: the Idempotency-Key header, the
+ * body's idempotencyKey, or one derived from the order ID and ASIN
+ */
+const getIdempotencyKey = (req) => {
+  const { idempotencyKey, orderId, asin } = req.body;
+  const key = req.get('Idempotency-Key') || idempotencyKey ||
+    (orderId ? `order:${orderId}:${(asin || 'unknown').toUpperCase()}` : null);
+  return key ? String(key).slice(0, MAX_IDEMPOTENCY_KEY_LENGTH) : null;
+};
+
+/**
+ * Purchase date from the body: a past date (e.g. from an order-details page)
+ * backdates the purchase; missing means now. Returns null if invalid.
+ */
+const parsePurchasedAt = (purchasedAt) => {
+  if (purchasedAt === undefined || purchasedAt === null) return new Date();
+  const date = new Date(purchasedAt);
+  if (isNaN(date.getTime()) || date.getTime() > Date.now()) return null;
+  return date;
+};
+
+const isDuplicateKeyError = (error) => error.code === 11000;
+
+/**
+ * Response for a purchase key that was already recorded: the existing
+ * purchase and the current plant state, unchanged
+ */
+const respondWithExistingPurchase = async (res, userId, idempotencyKey) => {
+  const [purchase, plantState] = await Promise.all([
+    Purchase.findOne({ userId, idempotencyKey }),
+    PlantState.findOne({ userId })
+  ]);
+  logger.info('Repeated purchase event ignored', { userId, idempotencyKey });
+  res.json({ plantState, purchase, duplicate: true });
+};
+
 /**
  * POST /api/plant-state/update
- * Update plant state after purchase
+ * Update plant state after purchase (userId defaults to the device token's)
+ * A repeated idempotency key returns the existing result instead of
+ * counting the purchase again. `frameChange` is per unit and is applied
+ * `quantity` times, unless the purchase is too old to move the plant.
  */
-router.post('/plant-state/update', async (req, res) => {
+router.post('/plant-state/update', authenticate, bindUserId, async (req, res) => {
   try {
     logger.info('Plant state update request:', req.body);
     
-    const { userId, rating, frameChange, asin, productTitle, carbonFootprint } = req.body;
+    const { userId, rating, frameChange, asin, productTitle, carbonFootprint, orderId, source } = req.body;
+    const idempotencyKey = getIdempotencyKey(req);
+    const quantity = req.body.quantity === undefined ? 1 : Number(req.body.quantity);
+    const purchasedAt = parsePurchasedAt(req.body.purchasedAt);
 
     // Validate required fields
     if (!userId) {
@@ -49,31 +99,27 @@ router.post('/plant-state/update', async (req, res) => {
     if (frameChange === undefined || frameChange === null) {
       return res.status(400).json({ error: 'frameChange is required' });
     }
-
-    let plantState = await PlantState.findOne({ userId });
-
-    if (!plantState) {
-      plantState = new PlantState({ userId });
+    if (typeof frameChange !== 'number' || !Number.isFinite(frameChange)) {
+      return res.status(400).json({ error: 'frameChange must be a number' });
     }
-
-    // Update frame (ensure within bounds)
-    plantState.currentFrame = Math.max(0, Math.min(100, plantState.currentFrame + frameChange));
-    plantState.totalPurchases += 1;
-
-    if (['A', 'B'].includes(rating)) {
-      plantState.sustainablePurchases += 1;
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      return res.status(400).json({ error: 'quantity must be a positive integer' });
+    }
+    if (!purchasedAt) {
+      return res.status(400).json({ error: 'purchasedAt must be a date that is not in the future' });
+    }
+    if (source !== undefined && !PURCHASE_SOURCES.includes(source)) {
+      return res.status(400).json({ error: 'Invalid source', details: `Expected one of: ${PURCHASE_SOURCES.join(', ')}` });
     }
 
-    // Add to history
-    plantState.history.push({
-      rating,
-      frameChange,
-      timestamp: new Date()
-    });
+    const appliedFrameChange = movesPlant(source, req.body.purchasedAt) ? frameChange : 0;
 
-    await plantState.save();
+    if (idempotencyKey && await Purchase.exists({ userId, idempotencyKey })) {
+      return respondWithExistingPurchase(res, userId, idempotencyKey);
+    }
 
-    // Record purchase
+    // Record the purchase first: the unique index on (userId, idempotencyKey)
+    // makes concurrent retries fail here, before the plant is touched
     const purchase = new Purchase({
       userId,
       asin: asin || 'unknown',
@@ -83,17 +129,55 @@ router.post('/plant-state/update', async (req, res) => {
         score: req.body.ratingScore || 0
       },
       carbonFootprint: carbonFootprint || { co2e: 0, source: 'unknown' },
-      frameChange
+      frameChange: appliedFrameChange,
+      quantity,
+      source,
+      idempotencyKey,
+      orderId,
+      purchaseDate: purchasedAt
     });
 
-    await purchase.save();
+    try {
+      await purchase.save();
+    } catch (error) {
+      if (idempotencyKey && isDuplicateKeyError(error)) {
+        return respondWithExistingPurchase(res, userId, idempotencyKey);
+      }
+      throw error;
+    }
+
+    // Count it on the plant in one atomic write (created on first purchase).
+    // The key doubles as the history event ID so synced copies dedupe.
+    const totalFrameChange = appliedFrameChange * quantity;
+    let plantState;
+    try {
+      plantState = await PlantState.findOneAndUpdate(
+        { userId },
+        countPurchasesUpdate({
+          frameChange: totalFrameChange,
+          purchases: quantity,
+          sustainablePurchases: isSustainableGrade(rating) ? quantity : 0,
+          events: [{
+            eventId: idempotencyKey || crypto.randomUUID(),
+            rating,
+            frameChange: totalFrameChange,
+            timestamp: purchasedAt
+          }]
+        }),
+        { upsert: true, new: true, timestamps: false }
+      );
+    } catch (error) {
+      // Keep the key retryable: the purchase only counts once the plant is updated
+      await Purchase.deleteOne({ _id: purchase._id });
+      throw error;
+    }
 
     logger.info('Plant state updated', {
       userId,
       currentFrame: plantState.currentFrame
     });
 
-    res.json({ plantState });
+    res.json({ plantState, purchase, duplicate: false });
 
   } catch (error) {
     logger.error('Plant state update error:', error);
@@ -101,4 +185,89 @@ router.post('/plant-state/update', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/plant-state/import
+ * Record past purchases from the order-history importer as backdated
+ * purchases and return the footprint baseline for each imported year.
+ * Imported purchases count towards totals and history but not the frame,
+ * with the rating the backend has stored for each ASIN.
+ * Body: { userId?, purchases: [{ idempotencyKey, asin, purchasedAt, quantity, orderId }] }
+ */
+router.post('/plant-state/import', authenticate, bindUserId, async (req, res) => {
+  try {
+    const { userId, purchases } = req.body;
+
+    if (!Array.isArray(purchases) || purchases.length === 0) {
+      return res.status(400).json({ error: 'purchases must be a non-empty array' });
+    }
+    if (purchases.length > MAX_IMPORT_PURCHASES) {
+      return res.status(400).json({ error: `At most ${MAX_IMPORT_PURCHASES} purchases can be imported at once` });
+    }
+
+    const { plantState, ...counts } = await importPurchases(userId, purchases);
+
+    const years = [...new Set(purchases
+      .map(p => new Date(p && p.purchasedAt).getUTCFullYear())
+      .filter(Number.isFinite))];
+    const baselines = await Promise.all(years.sort().map(year => summarizePurchaseYear(userId, year)));
+
+    res.json({ ...counts, baselines, plantState });
+
+  } catch (error) {
+    logger.error('Order history import error:', error);
+    res.status(500).json({ error: 'Failed to import purchases', details: error.message });
+  }
+});
+
+/**
+ * GET /api/plant-state/:userId/baseline?year=2025
+ * Footprint of a user's recorded purchases for one calendar year
+ * (defaults to last year, the usual import)
+ */
+router.get('/plant-state/:userId/baseline', authenticate, bindUserId, async (req, res) => {
+  try {
+    const year = req.query.year === undefined
+      ? new Date().getUTCFullYear() - 1
+      : parseInt(req.query.year, 10);
+    if (!Number.isInteger(year) || year < 1995 || year > new Date().getUTCFullYear()) {
+      return res.status(400).json({ error: 'Invalid year' });
+    }
+
+    res.json({ baseline: await summarizePurchaseYear(req.params.userId, year) });
+
+  } catch (error) {
+    logger.error('Baseline retrieval error:', error);
+    res.status(500).json({ error: 'Failed to retrieve footprint baseline' });
+  }
+});
+
+/**
+ * POST /api/plant-state/sync
+ * Merge a device's plant state and cart into the stored copy and return the
+ * result. Each field is last-writer-wins on its timestamp; history is merged.
+ * Body: { userId?, fields: { [field]: { value, updatedAt } }, history: [...] }
+ */
+router.post('/plant-state/sync', authenticate, bindUserId, async (req, res) => {
+  try {
+    const { userId } = req.body;
+
+    let plantState = await PlantState.findOne({ userId });
+    if (!plantState) {
+      plantState = new PlantState({ userId });
+    }
+
+    mergeClientState(plantState, req.body);
+    await plantState.save();
+
+    res.json({ sync: toSyncPayload(plantState), syncedAt: new Date().toISOString() });
+
+  } catch (error) {
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      return res.status(400).json({ error: 'Invalid plant state', details: error.message });
+    }
+    logger.error('Plant state sync error:', error);
+    res.status(500).json({ error: 'Failed to sync plant state', details: error.message });
+  }
+});
+
 export default router;
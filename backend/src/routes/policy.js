@@ -0,0 +1,14 @@
+import express from 'express';
+import { SCORING_POLICY } from '../config/scoringPolicy.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/scoring-policy
+ * Current grade thresholds and frame changes, synced by the extension
+ */
+router.get('/scoring-policy', (req, res) => {
+  res.json({ policy: SCORING_POLICY });
+});
+
+export default router;
@@ -1,150 +1,152 @@
 import express from 'express';
-import mongoose from 'mongoose';
 import Product from '../models/Product.js';
-import { cleanProductData, estimateCarbonFootprint } from '../services/gemini.js';
-import { calculateCarbonFootprint } from '../services/climatiq.js';
-import { calculateRating, convertToKg } from '../services/rating.js';
+import {
+  findCachedProduct,
+  findCachedProducts,
+  getStaleReason,
+  getRefreshReason,
+  listingToAnalyze,
+  analyzeScrapedProduct,
+  saveAnalyzedProduct
+} from '../services/productAnalysis.js';
+import { summarizeCart, lineQuantity } from '../services/cartAnalysis.js';
+import { getRatingHistory } from '../services/ratingHistory.js';
+import { withImpactMetrics } from '../services/impactMetrics.js';
+import { findAlternatives, MAX_PAGE_CANDIDATES } from '../services/alternatives.js';
+import { resolveMarketplace } from '../config/marketplaces.js';
+import { mapWithConcurrency } from '../utils/workerPool.js';
 import { logger } from '../utils/logger.js';
 
 const router = express.Router();
 
+const MAX_CART_ITEMS = 50;
+const MAX_RATING_LOOKUPS = 100;
+const CART_CONCURRENCY = parseInt(process.env.ANALYZE_CART_CONCURRENCY) || 3;
+
+const hasAsin = (item) => !!(item && typeof item.asin === 'string' && item.asin.trim());
+
 /**
  * POST /api/analyze-product
  * Analyze product and return sustainability rating
+ * Query: ?refresh=true re-analyzes even if a fresh cached rating exists
  */
 router.post('/analyze-product', async (req, res) => {
   try {
     const { scrapedData } = req.body;
+    const forceRefresh = req.query.refresh === 'true';
 
     if (!scrapedData || !scrapedData.asin) {
       return res.status(400).json({ error: 'Missing required product data' });
     }
 
     // Check if product already analyzed (cache) - only if MongoDB is connected
-    let existingProduct = null;
-    if (mongoose.connection.readyState === 1) {
-      try {
-        existingProduct = await Product.findOne({ asin: scrapedData.asin.toUpperCase() });
-        if (existingProduct) {
-          logger.info('Returning cached product rating', { asin: scrapedData.asin });
-          return res.json({ product: existingProduct, cached: true });
-        }
-      } catch (dbError) {
-        logger.warn('Database query failed, proceeding without cache', { error: dbError.message });
-      }
+    const existingProduct = await findCachedProduct(scrapedData.asin);
+    const refreshReason = getRefreshReason(existingProduct, forceRefresh, scrapedData);
+    if (existingProduct && !refreshReason) {
+      logger.info('Returning cached product rating', { asin: scrapedData.asin });
+      return res.json({ product: withImpactMetrics(existingProduct, scrapedData), cached: true });
     }
+    if (refreshReason) {
+      logger.info('Re-analyzing cached product', { asin: scrapedData.asin, reason: refreshReason });
+    }
+
+    const productData = await analyzeScrapedProduct(listingToAnalyze(scrapedData, existingProduct));
+    const product = await saveAnalyzedProduct(productData, existingProduct, refreshReason);
 
-    // Step 1: Clean data with Gemini
-    logger.info('Cleaning product data with Gemini', { asin: scrapedData.asin });
-    const cleanedData = await cleanProductData(scrapedData);
-
-    // Step 2: Calculate carbon footprint (Climatiq primary, Gemini fallback)
-    logger.info('Calculating carbon footprint', { asin: scrapedData.asin });
-    let carbonResult = await calculateCarbonFootprint(cleanedData);
-
-    // Fallback to Gemini if Climatiq fails or low quality
-    if (carbonResult.useFallback) {
-      logger.warn('Using Gemini fallback for carbon estimation', { asin: scrapedData.asin });
-      const geminiEstimate = await estimateCarbonFootprint(cleanedData);
-      carbonResult = {
-        co2e: geminiEstimate.estimatedCO2e,
-        dataQuality: null,
-        source: 'gemini_estimate'
-      };
+    res.json({ product: withImpactMetrics(product, scrapedData), cached: false });
+
+  } catch (error) {
+    logger.error('Product analysis error:', error);
+    res.status(500).json({ error: 'Failed to analyze product', details: error.message });
+  }
+});
+
+/**
+ * POST /api/analyze-cart
+ * Analyze a whole cart: cached products are reused, misses are analyzed
+ * concurrently (bounded pool), and a cart-level aggregate is returned
+ * Query: ?refresh=true re-analyzes every item even if cached
+ */
+router.post('/analyze-cart', async (req, res) => {
+  try {
+    const { items } = req.body;
+    const forceRefresh = req.query.refresh === 'true';
+
+    if (!Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({ error: 'items must be a non-empty array' });
+    }
+    if (items.length > MAX_CART_ITEMS) {
+      return res.status(400).json({ error: `A cart can contain at most ${MAX_CART_ITEMS} items` });
     }
 
-    // Step 3: Calculate rating
-    const weightInKg = convertToKg(cleanedData.weight.value, cleanedData.weight.unit);
-
-    const rating = calculateRating(carbonResult.co2e, weightInKg);
-
-    // Step 4: Calculate overall sustainability score (0-100) and component scores
-    // Convert grade to 0-100 scale for frontend
-    const gradeToScore = {
-      'A': 90,  // Excellent
-      'B': 75,  // Good
-      'C': 50,  // Average
-      'D': 30,  // Poor
-      'E': 15   // Very Poor
-    };
-    const overallScore = gradeToScore[rating.grade] || 50;
-
-    // Calculate component scores based on overall score and materials
-    const hasRecyclableMaterials = cleanedData.materials.some(m =>
-      ['paper', 'glass', 'metal', 'aluminum'].includes(m.toLowerCase())
-    );
-    const hasSustainableMaterials = cleanedData.materials.some(m =>
-      ['cotton', 'wood', 'bamboo', 'organic'].includes(m.toLowerCase())
-    );
-    const hasPlasticMaterials = cleanedData.materials.some(m =>
-      ['plastic', 'polyester', 'pvc'].includes(m.toLowerCase())
-    );
-
-    // Environmental score: heavily influenced by carbon footprint and materials
-    let environmental = overallScore;
-    if (hasRecyclableMaterials) environmental += 5;
-    if (hasSustainableMaterials) environmental += 10;
-    if (hasPlasticMaterials) environmental -= 15;
-    environmental = Math.max(0, Math.min(100, environmental));
-
-    // Social score: moderate correlation with sustainability
-    let social = overallScore - 5 + (Math.random() * 10 - 5); // Slight variation
-    social = Math.max(0, Math.min(100, social));
-
-    // Economic score: based on sustainability (sustainable often = better quality/longevity)
-    let economic = overallScore - 10 + (Math.random() * 15 - 7.5);
-    economic = Math.max(0, Math.min(100, economic));
-
-    // Step 5: Create product object with frontend-compatible format
-    const productData = {
-      asin: scrapedData.asin.toUpperCase(),
-      title: cleanedData.cleanedTitle,
-      brand: scrapedData.brand || 'Unknown',
-      weight: cleanedData.weight,
-      materials: cleanedData.materials,
-      category: cleanedData.category,
-      carbonFootprint: {
-        co2e: carbonResult.co2e,
-        dataQuality: carbonResult.dataQuality,
-        source: carbonResult.source,
-        suggestionId: carbonResult.suggestionId
-      },
-      rating: rating,
-      // Frontend expects these fields at top level
-      overallScore: Math.round(overallScore),
-      environmental: Math.round(environmental),
-      social: Math.round(social),
-      economic: Math.round(economic),
-      metadata: {
-        scrapedData: scrapedData
+    const validItems = items.filter(hasAsin);
+    const stored = await findCachedProducts(validItems.map(item => item.asin));
+
+    // Reuse fresh cached products; stale ones are re-analyzed and updated in place
+    const cached = new Map();
+    const refreshReasons = new Map();
+    const itemsByAsin = new Map(validItems.map(item => [item.asin.toUpperCase(), item]));
+    stored.forEach((product, asin) => {
+      const reason = getRefreshReason(product, forceRefresh, itemsByAsin.get(asin));
+      if (reason) refreshReasons.set(asin, reason);
+      else cached.set(asin, product);
+    });
+
+    // Analyze each uncached ASIN once, even if it appears several times in the cart
+    const misses = [];
+    const seen = new Set(cached.keys());
+    validItems.forEach(item => {
+      const asin = item.asin.toUpperCase();
+      if (seen.has(asin)) return;
+      seen.add(asin);
+      misses.push(item);
+    });
+
+    logger.info('Analyzing cart', {
+      items: items.length,
+      cached: cached.size,
+      toAnalyze: misses.length
+    });
+
+    const analyzed = await mapWithConcurrency(misses, CART_CONCURRENCY, async (scrapedData) => {
+      const asin = scrapedData.asin.toUpperCase();
+      const existingProduct = stored.get(asin) || null;
+      const productData = await analyzeScrapedProduct(listingToAnalyze(scrapedData, existingProduct));
+      return saveAnalyzedProduct(productData, existingProduct, refreshReasons.get(asin) || null);
+    });
+
+    const fresh = new Map();
+    analyzed.forEach((outcome, i) => {
+      const asin = misses[i].asin.toUpperCase();
+      if (outcome.error) {
+        logger.error('Cart item analysis failed', { asin, error: outcome.error.message });
       }
-    };
-
-    // Save to database only if MongoDB is connected
-    let product = productData;
-    if (mongoose.connection.readyState === 1) {
-      try {
-        const productDoc = new Product(productData);
-        product = await productDoc.save();
-        logger.info('Product analyzed and saved to database', {
-          asin: scrapedData.asin,
-          rating: rating.grade
-        });
-      } catch (dbError) {
-        logger.warn('Failed to save to database, returning data without caching', { error: dbError.message });
+      fresh.set(asin, outcome);
+    });
+
+    const results = items.map(item => {
+      if (!hasAsin(item)) {
+        return { asin: null, error: 'Missing required product data' };
       }
-    } else {
-      logger.info('Product analyzed (no database)', {
-        asin: scrapedData.asin,
-        rating: rating.grade
-      });
-    }
+      const asin = item.asin.toUpperCase();
+      const quantity = lineQuantity(item);
+      if (cached.has(asin)) {
+        return { asin, quantity, product: withImpactMetrics(cached.get(asin), item), cached: true };
+      }
+      const outcome = fresh.get(asin);
+      if (outcome.error) {
+        return { asin, quantity, error: 'Failed to analyze product', details: outcome.error.message };
+      }
+      return { asin, quantity, product: withImpactMetrics(outcome.value, item), cached: false };
+    });
 
-    res.json({ product, cached: false });
+    const summary = summarizeCart(results.filter(r => r.product));
+
+    res.json({ results, summary });
 
   } catch (error) {
-    logger.error('Product analysis error:', error);
-    res.status(500).json({ error: 'Failed to analyze product', details: error.message });
+    logger.error('Cart analysis error:', error);
+    res.status(500).json({ error: 'Failed to analyze cart', details: error.message });
   }
 });
 
@@ -161,7 +163,8 @@ router.get('/product-rating/:asin', async (req, res) => {
       return res.status(404).json({ error: 'Product not found' });
     }
 
-    res.json({ product });
+    // Without a fresh scrape, the price from the last analysis is used
+    res.json({ product: withImpactMetrics(product, product.metadata?.scrapedData) });
 
   } catch (error) {
     logger.error('Product retrieval error:', error);
@@ -169,4 +172,114 @@ router.get('/product-rating/:asin', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/product-ratings
+ * Cached grades for many products at once, without analyzing any (search
+ * result badges). Products last rated on another marketplace are left out.
+ * Query: ?asins=ASIN,ASIN (max 100) &marketplace=us
+ */
+router.get('/product-ratings', async (req, res) => {
+  try {
+    const asins = [...new Set(String(req.query.asins || '')
+      .split(',')
+      .map(asin => asin.trim().toUpperCase())
+      .filter(asin => /^[A-Z0-9]{10}$/.test(asin)))];
+
+    if (asins.length === 0) {
+      return res.status(400).json({ error: 'asins must list at least one ASIN' });
+    }
+    if (asins.length > MAX_RATING_LOOKUPS) {
+      return res.status(400).json({ error: `At most ${MAX_RATING_LOOKUPS} ASINs can be looked up at once` });
+    }
+
+    const marketplace = resolveMarketplace({ marketplace: req.query.marketplace }).id;
+    const stored = await findCachedProducts(asins);
+
+    const ratings = [];
+    stored.forEach(product => {
+      if ((product.marketplace || 'us') !== marketplace) return;
+      ratings.push({
+        asin: product.asin,
+        grade: product.rating.grade,
+        score: product.rating.score,
+        overallScore: product.overallScore,
+        stale: getStaleReason(product) !== null
+      });
+    });
+
+    res.json({ ratings });
+
+  } catch (error) {
+    logger.error('Product ratings lookup error:', error);
+    res.status(500).json({ error: 'Failed to look up product ratings' });
+  }
+});
+
+/**
+ * GET /api/product-rating/:asin/history
+ * Every rating computed for a product (newest first) with its inputs and
+ * the reasons it differs from the rating before it
+ * Query: ?limit=N (default 20, max 100)
+ */
+router.get('/product-rating/:asin/history', async (req, res) => {
+  try {
+    const { asin } = req.params;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+    const [product, history] = await Promise.all([
+      Product.findOne({ asin: asin.toUpperCase() }),
+      getRatingHistory(asin, limit)
+    ]);
+
+    if (!product && history.length === 0) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    res.json({
+      asin: asin.toUpperCase(),
+      current: product ? product.rating : null,
+      history
+    });
+
+  } catch (error) {
+    logger.error('Product rating history retrieval error:', error);
+    res.status(500).json({ error: 'Failed to retrieve product rating history' });
+  }
+});
+
+/**
+ * GET /api/alternatives/:asin
+ * Better-rated products in the same category and a similar price band
+ * Query: ?candidates=ASIN,ASIN (similar items scraped from the product page)
+ *        &limit=N (default 5, max 10)
+ */
+router.get('/alternatives/:asin', async (req, res) => {
+  try {
+    const { asin } = req.params;
+    const candidates = String(req.query.candidates || '')
+      .split(',')
+      .map(candidate => candidate.trim().toUpperCase())
+      .filter(candidate => /^[A-Z0-9]{10}$/.test(candidate));
+
+    if (candidates.length > MAX_PAGE_CANDIDATES) {
+      return res.status(400).json({ error: `At most ${MAX_PAGE_CANDIDATES} candidates are allowed` });
+    }
+
+    const result = await findAlternatives(asin, {
+      candidates,
+      limit: parseInt(req.query.limit) || 5
+    });
+
+    if (!result) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    res.json({ asin: asin.toUpperCase(), ...result });
+
+  } catch (error) {
+    logger.error('Alternatives lookup error:', error);
+    res.status(500).json({ error: 'Failed to find alternatives' });
+  }
+});
+
 export default router;
@@ -0,0 +1,14 @@
+import express from 'express';
+import { SELECTOR_REGISTRY } from '../config/selectors.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/selectors
+ * Scraper selectors by page type and marketplace, synced by the extension
+ */
+router.get('/selectors', (req, res) => {
+  res.json({ registry: SELECTOR_REGISTRY });
+});
+
+export default router;
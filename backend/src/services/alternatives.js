@@ -0,0 +1,117 @@
+import Product from '../models/Product.js';
+import { SCORING_POLICY } from '../config/scoringPolicy.js';
+import { DEFAULT_MARKETPLACE } from '../config/marketplaces.js';
+import { parsePrice } from '../utils/price.js';
+
+export const MAX_ALTERNATIVES = 10;
+export const MAX_PAGE_CANDIDATES = 50;
+
+// Alternatives cost between half and double the current product's price
+const PRICE_BAND = { min: 0.5, max: 2 };
+
+// Best-scored same-category products considered before the price band is applied
+const CATALOG_SCAN_LIMIT = 200;
+
+const GRADES = SCORING_POLICY.grades.map(g => g.grade);
+
+const round = (value) => parseFloat(value.toFixed(3));
+
+/**
+ * Price a stored product was last seen at ({ amount, currency } or null)
+ */
+const storedPrice = (product) => {
+  const scraped = product.metadata?.scrapedData;
+  return scraped?.price ? parsePrice(scraped.price, scraped.url) : null;
+};
+
+/**
+ * Whether a price is in the band around the reference price. Products with
+ * an unknown price (on either side) are not excluded.
+ */
+const inPriceBand = (price, reference) => {
+  if (!price || !reference) return true;
+  if (price.currency !== reference.currency) return false;
+  return price.amount >= reference.amount * PRICE_BAND.min &&
+    price.amount <= reference.amount * PRICE_BAND.max;
+};
+
+/**
+ * Query matching products rated on a marketplace (products saved before
+ * marketplaces were tracked are amazon.com products)
+ */
+const marketplaceFilter = (marketplace) => {
+  return marketplace === DEFAULT_MARKETPLACE.id
+    ? { marketplace: { $in: [marketplace, null] } }
+    : { marketplace };
+};
+
+/**
+ * Better-rated products to buy instead of `asin`: stored products with a
+ * better grade on the same marketplace and in a similar price band, taken
+ * from the same category and from the candidate ASINs scraped off the
+ * product page ("Compare with similar items", sponsored carousels).
+ * Returns null if the product has not been analyzed.
+ */
+export const findAlternatives = async (asin, { candidates = [], limit = 5 } = {}) => {
+  const product = await Product.findOne({ asin: asin.toUpperCase() }).lean();
+  if (!product) return null;
+
+  const marketplace = product.marketplace || DEFAULT_MARKETPLACE.id;
+  const price = storedPrice(product);
+  const betterGrades = GRADES.slice(0, GRADES.indexOf(product.rating.grade));
+
+  const current = {
+    asin: product.asin,
+    grade: product.rating.grade,
+    score: product.rating.score,
+    category: product.category || null,
+    price
+  };
+  if (betterGrades.length === 0) {
+    return { current, alternatives: [] };
+  }
+
+  const base = {
+    asin: { $ne: product.asin },
+    'rating.grade': { $in: betterGrades },
+    ...marketplaceFilter(marketplace)
+  };
+  const pageAsins = candidates.map(c => c.toUpperCase()).slice(0, MAX_PAGE_CANDIDATES);
+
+  const [fromPage, fromCatalog] = await Promise.all([
+    pageAsins.length > 0
+      ? Product.find({ ...base, asin: { $in: pageAsins.filter(a => a !== product.asin) } }).lean()
+      : [],
+    product.category
+      ? Product.find({ ...base, category: product.category })
+        .sort({ 'rating.score': 1 })
+        .limit(CATALOG_SCAN_LIMIT)
+        .lean()
+      : []
+  ]);
+
+  const byAsin = new Map();
+  [...fromPage.map(p => [p, 'page']), ...fromCatalog.map(p => [p, 'catalog'])].forEach(([candidate, source]) => {
+    if (byAsin.has(candidate.asin)) return;
+    const candidatePrice = storedPrice(candidate);
+    if (!inPriceBand(candidatePrice, price)) return;
+    byAsin.set(candidate.asin, { candidate, source, price: candidatePrice });
+  });
+
+  const alternatives = [...byAsin.values()]
+    .sort((a, b) => GRADES.indexOf(a.candidate.rating.grade) - GRADES.indexOf(b.candidate.rating.grade) ||
+      a.candidate.rating.score - b.candidate.rating.score)
+    .slice(0, Math.min(Math.max(limit, 1), MAX_ALTERNATIVES))
+    .map(({ candidate, source, price: candidatePrice }) => ({
+      asin: candidate.asin,
+      title: candidate.title,
+      brand: candidate.brand,
+      category: candidate.category,
+      rating: { grade: candidate.rating.grade, score: candidate.rating.score },
+      price: candidatePrice,
+      co2eSavedPerKg: round(product.rating.score - candidate.rating.score),
+      source
+    }));
+
+  return { current, alternatives };
+};
@@ -0,0 +1,111 @@
+import { test, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import Product from '../models/Product.js';
+import { MAX_PAGE_CANDIDATES, findAlternatives } from './alternatives.js';
+
+const stored = (asin, grade, score, { category = 'Kitchen', price = '$20.00', marketplace = 'us' } = {}) => ({
+  asin,
+  title: `Bottle ${asin}`,
+  category,
+  marketplace,
+  rating: { grade, score },
+  metadata: { scrapedData: { price, url: 'https://www.amazon.com/dp/' + asin } }
+});
+
+const source = stored('B0SOURCE00', 'C', 4);
+
+/**
+ * The subset of MongoDB query operators findAlternatives uses
+ */
+const matches = (doc, query) => Object.entries(query).every(([path, condition]) => {
+  const value = path.split('.').reduce((v, key) => v?.[key], doc) ?? null;
+  if (condition === null || typeof condition !== 'object') return value === condition;
+  if ('$in' in condition && !condition.$in.includes(value)) return false;
+  if ('$ne' in condition && value === condition.$ne) return false;
+  return true;
+});
+
+/**
+ * Serve findOne/find from an in-memory catalog, recording every find query
+ */
+const useCatalog = (catalog) => {
+  mock.method(Product, 'findOne', (query) => ({ lean: async () => catalog.find(p => matches(p, query)) || null }));
+  return mock.method(Product, 'find', (query) => {
+    let results = catalog.filter(p => matches(p, query));
+    const chain = {
+      sort: () => { results = [...results].sort((a, b) => a.rating.score - b.rating.score); return chain; },
+      limit: (n) => { results = results.slice(0, n); return chain; },
+      lean: async () => results
+    };
+    return chain;
+  });
+};
+
+const asins = (result) => result.alternatives.map(a => a.asin);
+
+afterEach(() => mock.restoreAll());
+
+test('only better-rated products from the same category are suggested', async () => {
+  useCatalog([
+    source,
+    stored('B0GRADEA00', 'A', 0.8),
+    stored('B0GRADEB00', 'B', 2),
+    stored('B0SAMEC000', 'C', 3.5),
+    stored('B0WORSE000', 'D', 7),
+    stored('B0GARDEN00', 'A', 0.5, { category: 'Garden' })
+  ]);
+
+  const result = await findAlternatives('b0source00');
+  assert.deepEqual(asins(result), ['B0GRADEA00', 'B0GRADEB00']);
+  assert.deepEqual(result.alternatives.map(a => a.source), ['catalog', 'catalog']);
+  assert.equal(result.alternatives[0].co2eSavedPerKg, 3.2);
+});
+
+test('the product itself is never its own alternative', async () => {
+  const find = useCatalog([{ ...source, rating: { grade: 'B', score: 2 } }, stored('B0GRADEA00', 'A', 0.8)]);
+
+  const result = await findAlternatives('B0SOURCE00', { candidates: ['B0SOURCE00', 'B0GRADEA00'] });
+  assert.deepEqual(asins(result), ['B0GRADEA00']);
+  // The grade filter would drop it too; both queries leave it out on their own
+  const [pageQuery, catalogQuery] = find.mock.calls.map(call => call.arguments[0]);
+  assert.deepEqual(pageQuery.asin, { $in: ['B0GRADEA00'] });
+  assert.deepEqual(catalogQuery.asin, { $ne: 'B0SOURCE00' });
+});
+
+test('alternatives cost between half and double the product\'s price', async () => {
+  useCatalog([
+    source,
+    stored('B0HALF0000', 'A', 1, { price: '$10.00' }),
+    stored('B0DOUBLE00', 'A', 1.1, { price: '$40.00' }),
+    stored('B0CHEAP000', 'A', 1.2, { price: '$9.99' }),
+    stored('B0PRICEY00', 'A', 1.3, { price: '$40.01' }),
+    stored('B0NOPRICE0', 'B', 2, { price: null })
+  ]);
+
+  const result = await findAlternatives('B0SOURCE00');
+  assert.deepEqual(asins(result), ['B0HALF0000', 'B0DOUBLE00', 'B0NOPRICE0']);
+});
+
+test('page candidates are suggested from any category, up to MAX_PAGE_CANDIDATES of them', async () => {
+  const candidates = Array.from({ length: MAX_PAGE_CANDIDATES + 5 }, (_, i) => `B0PAGE${String(i).padStart(4, '0')}`);
+  const find = useCatalog([
+    source,
+    ...candidates.map(asin => stored(asin, 'A', 1, { category: 'Sports' }))
+  ]);
+
+  const result = await findAlternatives('B0SOURCE00', { candidates, limit: 10 });
+  const pageQuery = find.mock.calls.find(call => call.arguments[0].asin.$in).arguments[0];
+
+  assert.equal(pageQuery.asin.$in.length, MAX_PAGE_CANDIDATES);
+  assert.ok(!pageQuery.asin.$in.includes(candidates.at(-1)));
+  assert.equal(result.alternatives.length, 10);
+  assert.ok(result.alternatives.every(a => a.source === 'page'));
+});
+
+test('an A-rated product has no alternatives, and an unknown one has no result', async () => {
+  const find = useCatalog([{ ...source, rating: { grade: 'A', score: 0.5 } }]);
+
+  assert.deepEqual((await findAlternatives('B0SOURCE00')).alternatives, []);
+  assert.equal(find.mock.callCount(), 0);
+  assert.equal(await findAlternatives('B0UNKNOWN0'), null);
+});
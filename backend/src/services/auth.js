@@ -0,0 +1,109 @@
+import crypto from 'crypto';
+import { promisify } from 'util';
+import Device from '../models/Device.js';
+import Account from '../models/Account.js';
+import { signDeviceToken } from '../utils/deviceToken.js';
+import { logger } from '../utils/logger.js';
+
+const scrypt = promisify(crypto.scrypt);
+
+export const MIN_PASSWORD_LENGTH = 8;
+
+const httpError = (status, message) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const hashPassword = async (password) => {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = await scrypt(password, salt, 64);
+  return `${salt}:${hash.toString('hex')}`;
+};
+
+const verifyPassword = async (password, stored) => {
+  const [salt, hashHex] = stored.split(':');
+  const expected = Buffer.from(hashHex, 'hex');
+  const actual = await scrypt(password, salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+};
+
+/**
+ * Register an anonymous device and issue its token, always under a new
+ * userId. Client-generated IDs from before registration are not adopted:
+ * they are guessable, so holding one proves nothing. Existing installs bring
+ * their plant along through /plant-state/sync instead.
+ */
+export const registerDevice = async ({ userAgent } = {}) => {
+  const device = await Device.create({
+    deviceId: crypto.randomUUID(),
+    userId: `user_${crypto.randomUUID()}`,
+    userAgent
+  });
+
+  logger.info('Device registered', { deviceId: device.deviceId });
+
+  return {
+    token: signDeviceToken(device),
+    userId: device.userId,
+    deviceId: device.deviceId
+  };
+};
+
+/**
+ * Create an account, or return null if one with this email was created
+ * since it was looked up (duplicate key)
+ */
+const createAccount = async (email, password, userId) => {
+  try {
+    return await Account.create({ email, passwordHash: await hashPassword(password), userId });
+  } catch (error) {
+    if (error.code === 11000) return null;
+    throw error;
+  }
+};
+
+/**
+ * Link a device to an account (created on first link). Linking an existing
+ * account moves the device onto the account's userId; the device's previous
+ * anonymous plant is left as it was.
+ * Throws errors with an HTTP `status` for bad credentials or conflicts.
+ */
+export const linkAccount = async (deviceId, { email, password }) => {
+  const device = await Device.findOne({ deviceId });
+  if (!device) throw httpError(401, 'Unknown device');
+
+  const normalizedEmail = email.toLowerCase().trim();
+  let account = await Account.findOne({ email: normalizedEmail });
+
+  if (device.accountId && (!account || !device.accountId.equals(account._id))) {
+    throw httpError(409, 'Device is already linked to another account');
+  }
+
+  let created = false;
+  if (!account) {
+    account = await createAccount(normalizedEmail, password, device.userId);
+    created = Boolean(account);
+    // A concurrent link created the account first: link to it like any existing one
+    account ||= await Account.findOne({ email: normalizedEmail });
+    if (!account) throw httpError(409, 'Account could not be created, try again');
+  }
+
+  if (!created && !(await verifyPassword(password, account.passwordHash))) {
+    throw httpError(401, 'Invalid email or password');
+  }
+
+  device.userId = account.userId;
+  device.accountId = account._id;
+  await device.save();
+
+  logger.info('Device linked to account', { deviceId, created });
+
+  return {
+    token: signDeviceToken(device),
+    userId: device.userId,
+    deviceId: device.deviceId,
+    email: account.email,
+    created
+  };
+};
@@ -0,0 +1,74 @@
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import Device from '../models/Device.js';
+import Account from '../models/Account.js';
+import { linkAccount, registerDevice } from './auth.js';
+import { verifyDeviceToken } from '../utils/deviceToken.js';
+
+test('every registered device gets a new userId, whatever the client sends', async () => {
+  const create = mock.method(Device, 'create', async (fields) => fields);
+  try {
+    const first = await registerDevice({ legacyUserId: 'user_1700000000000_abc123def' });
+    const second = await registerDevice({ legacyUserId: 'user_1700000000000_abc123def' });
+
+    assert.match(first.userId, /^user_[0-9a-f]{8}-[0-9a-f]{4}-/);
+    assert.notEqual(first.userId, second.userId);
+    assert.deepEqual(verifyDeviceToken(first.token), { userId: first.userId, deviceId: first.deviceId });
+    assert.equal(create.mock.callCount(), 2);
+  } finally {
+    create.mock.restore();
+  }
+});
+
+const duplicateKeyError = () => Object.assign(new Error('E11000 duplicate key error collection: accounts index: email_1'), { code: 11000 });
+
+/**
+ * Stub a device and the Account lookups: findOne answers `lookups` in turn
+ */
+const stubLink = ({ lookups, create }) => {
+  const device = { deviceId: 'device-2', userId: 'user_device-2', save: mock.fn(async () => {}) };
+  mock.method(Device, 'findOne', async () => device);
+  mock.method(Account, 'findOne', async () => lookups.shift() ?? null);
+  mock.method(Account, 'create', create);
+  return device;
+};
+
+/**
+ * The account another device created first, with its real password hash
+ */
+const createdElsewhere = async (password) => {
+  let account;
+  stubLink({ lookups: [], create: async (fields) => (account = { _id: 'account-1', ...fields, userId: 'user_device-1' }) });
+  await linkAccount('device-1', { email: 'Ada@Example.com ', password });
+  mock.restoreAll();
+  return account;
+};
+
+test('a device that loses the race to create an account links to the one that won', async () => {
+  const account = await createdElsewhere('correct horse');
+  const device = stubLink({ lookups: [null, account], create: async () => { throw duplicateKeyError(); } });
+  try {
+    const result = await linkAccount('device-2', { email: 'ada@example.com', password: 'correct horse' });
+
+    assert.equal(result.created, false);
+    assert.equal(result.userId, 'user_device-1');
+    assert.equal(device.accountId, 'account-1');
+    assert.equal(device.save.mock.callCount(), 1);
+  } finally {
+    mock.restoreAll();
+  }
+});
+
+test('losing the race still checks the password of the account that won', async () => {
+  const account = await createdElsewhere('correct horse');
+  const device = stubLink({ lookups: [null, account], create: async () => { throw duplicateKeyError(); } });
+  try {
+    await assert.rejects(
+      linkAccount('device-2', { email: 'ada@example.com', password: 'battery staple' }),
+      { status: 401 }
+    );
+    assert.equal(device.save.mock.callCount(), 0);
+  } finally {
+    mock.restoreAll();
+  }
+});
@@ -0,0 +1,75 @@
+import { convertToKg } from './rating.js';
+import { SCORING_POLICY, gradeFromCo2ePerKg } from '../config/scoringPolicy.js';
+
+/**
+ * Quantity of a cart line (a positive integer, default 1)
+ */
+export const lineQuantity = (item) => {
+  const quantity = parseInt(item?.quantity, 10);
+  return quantity > 0 ? quantity : 1;
+};
+
+/**
+ * Cart-level aggregate over analyzed cart lines ({ product, quantity })
+ *
+ * - itemCount: units in the cart (sum of quantities); lineCount: distinct lines
+ * - totalCO2e: sum of product footprints including transport, times quantity
+ *   (kg CO2e)
+ * - co2ePerKg: weight-weighted intensity ((production + line-haul freight)
+ *   CO2e / total kg), graded like a single product; the per-parcel last mile
+ *   is left out of the grade, as it is for each product
+ * - averageScore: overallScore weighted by quantity x item weight, so five
+ *   packs of cups outweigh one toothbrush; lines without a weight count as
+ *   the average known item weight
+ * - gradeDistribution: units per grade
+ */
+export const summarizeCart = (lines) => {
+  const gradeDistribution = Object.fromEntries(SCORING_POLICY.grades.map(g => [g.grade, 0]));
+
+  const weighed = lines.map(({ product, quantity = 1 }) => ({
+    product,
+    quantity,
+    weightKg: product.weight ? convertToKg(product.weight.value, product.weight.unit) : 0
+  }));
+  const known = weighed.filter(line => line.weightKg > 0);
+  const fallbackWeightKg = known.length > 0
+    ? known.reduce((sum, line) => sum + line.weightKg, 0) / known.length
+    : 1;
+
+  let totalCO2e = 0;
+  let gradedCO2e = 0;
+  let totalWeightKg = 0;
+  let itemCount = 0;
+  let scoreSum = 0;
+  let scoreWeight = 0;
+
+  weighed.forEach(({ product, quantity, weightKg }) => {
+    const production = product.carbonFootprint?.co2e || 0;
+    const transport = product.carbonFootprint?.transport;
+    const co2e = production + (transport?.co2e || 0);
+    const lineWeight = quantity * (weightKg || fallbackWeightKg);
+
+    totalCO2e += co2e * quantity;
+    gradedCO2e += (production + (transport?.lineHaulCo2e || 0)) * quantity;
+    totalWeightKg += weightKg * quantity;
+    itemCount += quantity;
+    scoreSum += (product.overallScore || 0) * lineWeight;
+    scoreWeight += lineWeight;
+
+    const grade = product.rating?.grade;
+    if (grade in gradeDistribution) gradeDistribution[grade] += quantity;
+  });
+
+  const co2ePerKg = totalWeightKg > 0 ? gradedCO2e / totalWeightKg : null;
+
+  return {
+    itemCount,
+    lineCount: lines.length,
+    totalCO2e: parseFloat(totalCO2e.toFixed(2)),
+    totalWeightKg: parseFloat(totalWeightKg.toFixed(3)),
+    co2ePerKg: co2ePerKg === null ? null : parseFloat(co2ePerKg.toFixed(2)),
+    grade: co2ePerKg === null ? null : gradeFromCo2ePerKg(co2ePerKg),
+    averageScore: scoreWeight > 0 ? Math.round(scoreSum / scoreWeight) : null,
+    gradeDistribution
+  };
+};
@@ -0,0 +1,95 @@
+import { CERTIFICATION_CATALOG, findCertification } from '../config/certifications.js';
+import { logger } from '../utils/logger.js';
+
+// Scraped claims beyond this many are ignored
+const MAX_CLAIMS = 20;
+const MAX_NAME_LENGTH = 80;
+
+/**
+ * Certification claims in the scraped title, description and details, for
+ * scraped data without `certifications` (sent by extension versions from
+ * before claims were scraped)
+ */
+export const detectClaims = (scrapedData) => {
+  const text = [scrapedData.title, scrapedData.description, ...Object.values(scrapedData.details || {})]
+    .filter(Boolean)
+    .join(' ');
+  return CERTIFICATION_CATALOG
+    .filter(c => c.pattern.test(text))
+    .map(c => ({ name: c.name, source: 'text' }));
+};
+
+// Claim sources the seller cannot write: Amazon's sustainability badge and
+// the certificate entries Amazon lists under it
+const TRUSTED_SOURCES = new Set(['badge', 'certificate']);
+
+/**
+ * Status of a claim for a catalog certification: { status, reason }
+ * - 'rejected', 'requires_badge': only Amazon's sustainability badge can grant it
+ * - 'rejected', 'not_applicable': the scheme does not certify this kind of product
+ * - 'claimed', 'seller_claim': plausible, but only the seller's text names it
+ * - 'verified', null: shown on Amazon's badge or as one of its certificates
+ */
+const claimStatus = (certification, claim, productText) => {
+  if (certification.badgeOnly && claim.source !== 'badge') return { status: 'rejected', reason: 'requires_badge' };
+  if (certification.appliesTo && !certification.appliesTo.test(productText)) return { status: 'rejected', reason: 'not_applicable' };
+  if (!TRUSTED_SOURCES.has(claim.source)) return { status: 'claimed', reason: 'seller_claim' };
+  return { status: 'verified', reason: null };
+};
+
+const STATUS_ORDER = ['verified', 'claimed', 'rejected'];
+
+/**
+ * Verify scraped certification claims against the certification catalog
+ * (config/certifications.js). Returns one entry per certification, verified
+ * ones first, then seller claims: { id, name, issuer, source, status,
+ * verified, reason }. Only verified entries change the rating and component
+ * scores. Claims naming no catalog certification are kept with id null and
+ * reason 'unknown_certification' so the UI can show them as unverified.
+ * @param {Array<{name, source}>} claims - scrapedData.certifications
+ * @param {{ category, title, materials }} product - what the claims are about
+ */
+export const verifyCertifications = (claims, product) => {
+  const productText = [product.category, product.title, ...(product.materials || [])]
+    .filter(Boolean)
+    .join(' ');
+
+  const byKey = new Map();
+  (Array.isArray(claims) ? claims : []).slice(0, MAX_CLAIMS).forEach(claim => {
+    const name = String(claim?.name || '').replace(/\s+/g, ' ').trim().slice(0, MAX_NAME_LENGTH);
+    if (!name) return;
+    const source = String(claim.source || 'text');
+
+    const certification = findCertification(name);
+    const { status, reason } = certification
+      ? claimStatus(certification, { source }, productText)
+      : { status: 'rejected', reason: 'unknown_certification' };
+    const entry = {
+      id: certification ? certification.id : null,
+      name: certification ? certification.name : name,
+      issuer: certification ? certification.issuer : null,
+      source,
+      status,
+      verified: status === 'verified',
+      reason
+    };
+
+    // The same certification claimed twice (badge and bullets): keep the strongest claim
+    const key = entry.id || entry.name.toLowerCase();
+    const existing = byKey.get(key);
+    if (!existing || STATUS_ORDER.indexOf(status) < STATUS_ORDER.indexOf(existing.status)) {
+      byKey.set(key, entry);
+    }
+  });
+
+  const certifications = [...byKey.values()]
+    .sort((a, b) => STATUS_ORDER.indexOf(a.status) - STATUS_ORDER.indexOf(b.status));
+
+  logger.info('Certifications verified', {
+    verified: certifications.filter(c => c.status === 'verified').map(c => c.id),
+    claimed: certifications.filter(c => c.status === 'claimed').map(c => c.id),
+    rejected: certifications.filter(c => c.status === 'rejected').map(c => `${c.name} (${c.reason})`)
+  });
+
+  return certifications;
+};
@@ -0,0 +1,79 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { detectClaims, verifyCertifications } from './certifications.js';
+import { calculateRating } from './rating.js';
+
+const NOTEBOOK = { category: 'Office Products', title: 'Spiral Notebook, 100 Sheets', materials: ['paper'] };
+const SHIRT = { category: 'Clothing', title: 'Organic Cotton T-Shirt', materials: ['cotton'] };
+
+test('a certificate from Amazon is verified', () => {
+  const [fsc] = verifyCertifications([{ name: 'FSC', source: 'certificate' }], NOTEBOOK);
+  assert.equal(fsc.id, 'fsc');
+  assert.equal(fsc.status, 'verified');
+  assert.equal(fsc.verified, true);
+  assert.equal(fsc.reason, null);
+});
+
+test('the same certification named only by the seller is claimed', () => {
+  ['title', 'features', 'details', 'description', 'text'].forEach(source => {
+    const [fsc] = verifyCertifications([{ name: 'FSC', source }], NOTEBOOK);
+    assert.equal(fsc.status, 'claimed', source);
+    assert.equal(fsc.verified, false);
+    assert.equal(fsc.reason, 'seller_claim');
+  });
+});
+
+test('a claim the badge confirms keeps the verified entry', () => {
+  const certifications = verifyCertifications([
+    { name: 'GOTS', source: 'features' },
+    { name: 'Global Organic Textile Standard', source: 'certificate' }
+  ], SHIRT);
+  assert.equal(certifications.length, 1);
+  assert.equal(certifications[0].status, 'verified');
+  assert.equal(certifications[0].source, 'certificate');
+});
+
+test('Climate Pledge Friendly counts only on the badge', () => {
+  const [badge] = verifyCertifications([{ name: 'Climate Pledge Friendly', source: 'badge' }], SHIRT);
+  assert.equal(badge.status, 'verified');
+
+  const [text] = verifyCertifications([{ name: 'Climate Pledge Friendly', source: 'features' }], SHIRT);
+  assert.equal(text.status, 'rejected');
+  assert.equal(text.reason, 'requires_badge');
+});
+
+test('rejects schemes that do not certify the product and unknown names', () => {
+  const certifications = verifyCertifications([
+    { name: 'Energy Star', source: 'certificate' },
+    { name: 'Planet Approved', source: 'features' }
+  ], SHIRT);
+  assert.deepEqual(certifications.map(c => [c.name, c.status, c.reason]), [
+    ['Energy Star', 'rejected', 'not_applicable'],
+    ['Planet Approved', 'rejected', 'unknown_certification']
+  ]);
+});
+
+test('orders verified entries before claims and rejections', () => {
+  const certifications = verifyCertifications([
+    { name: 'Energy Star', source: 'features' },
+    { name: 'Fair Trade', source: 'description' },
+    { name: 'OEKO-TEX', source: 'certificate' }
+  ], SHIRT);
+  assert.deepEqual(certifications.map(c => c.status), ['verified', 'claimed', 'rejected']);
+});
+
+test('claims found by the backend in the listing text are never verified', () => {
+  const claims = detectClaims({ title: 'Notebook', description: 'Made with FSC certified paper', details: {} });
+  assert.deepEqual(claims, [{ name: 'FSC', source: 'text' }]);
+  assert.equal(verifyCertifications(claims, NOTEBOOK)[0].status, 'claimed');
+});
+
+test('only verified certifications lower the rating score', () => {
+  const claimed = calculateRating(5, 1, verifyCertifications([{ name: 'FSC', source: 'features' }], NOTEBOOK));
+  assert.equal(claimed.score, 5);
+  assert.deepEqual(claimed.adjustments, []);
+
+  const verified = calculateRating(5, 1, verifyCertifications([{ name: 'FSC', source: 'certificate' }], NOTEBOOK));
+  assert.equal(verified.score, 4.5);
+  assert.deepEqual(verified.adjustments, [{ certification: 'FSC', reduction: 0.1 }]);
+});
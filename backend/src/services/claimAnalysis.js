@@ -0,0 +1,180 @@
+import { CERTIFICATION_CATALOG } from '../config/certifications.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Environmental claims in a listing, split into specific claims (a
+ * quantified material content, a named standard or certification) and
+ * vague marketing terms. A vague term is substantiated when the same
+ * passage (the title, one feature bullet, one detail or one description
+ * sentence) also makes a specific claim; unsubstantiated terms are flagged
+ * and their clauses removed from the text used for grading, so they cannot
+ * move the grade.
+ */
+
+const VAGUE_TERMS = [
+  { term: 'eco-friendly', pattern: /\beco(?:[\s-]?(?:friendly|conscious|safe))?\b/gi },
+  { term: 'environmentally friendly', pattern: /\b(?:environment(?:ally)?|earth|planet|ocean)[\s-]?(?:friendly|safe|conscious)\b/gi },
+  { term: 'green', pattern: /\b(?:go|going|live|living|think)\s+green\b|\bgreen(?:er)?\s+(?:choice|alternative|living|product|planet|solution)\b/gi },
+  { term: 'natural', pattern: /\b(?:all[\s-]|100%\s*|pure(?:ly)?\s+)natural\b|\bnatural(?:ly)?\s+(?:made|derived|sourced|product)\b/gi },
+  { term: 'sustainable', pattern: /\bsustainabl[ey]\b|\bsustainability\b/gi },
+  { term: 'non-toxic', pattern: /\bnon[\s-]?toxic\b|\bchemical[\s-]?free\b/gi },
+  { term: 'biodegradable', pattern: /\b(?:bio[\s-]?degradable|compostable)\b/gi },
+  { term: 'recyclable', pattern: /\b(?:100%\s*)?recyclable\b/gi },
+  { term: 'carbon neutral', pattern: /\bcarbon[\s-]?(?:neutral|free|negative)\b|\bnet[\s-]?zero\b|\bclimate[\s-]?neutral\b/gi },
+  { term: 'ethically made', pattern: /\b(?:ethical(?:ly)?|responsibl[ey]|conscious(?:ly)?)[\s-](?:made|sourced|produced|crafted)\b/gi }
+];
+
+const SPECIFIC_CLAIMS = [
+  // "100% recycled PET", "70 % organic cotton", "50% post-consumer recycled plastic"
+  {
+    kind: 'content',
+    pattern: /\b\d{1,3}(?:[.,]\d+)?\s?%\s*(?:post[\s-]?consumer\s+)?(?:recycled|organic|reclaimed|renewable|plant[\s-]based|bio[\s-]based)(?:\s+[a-z][\w-]*){1,2}/gi
+  },
+  // Standards a claim can be checked against
+  {
+    kind: 'standard',
+    pattern: /\b(?:GRS|Global Recycled Standard|RCS|Recycled Claim Standard|ASTM\s?D\s?6400|ASTM\s?D\s?6868|EN\s?13432|T[ÜU]V\s+OK\s+compost(?:\s+(?:home|industrial))?|BPI[\s-]certified|Cradle to Cradle|EPEAT(?:\s+(?:Gold|Silver|Bronze))?|ISO\s?14001)\b/gi
+  }
+];
+
+const MAX_PASSAGE_LENGTH = 1000;
+
+/**
+ * Title, feature bullets, other details and description sentences, each
+ * tagged with where it came from (`key` is the detail name)
+ */
+const splitPassages = (scrapedData) => {
+  const { Features: features, ...details } = scrapedData.details || {};
+  return [
+    { source: 'title', text: scrapedData.title },
+    ...String(features || '').split(' | ').map(text => ({ source: 'features', text })),
+    ...Object.entries(details).map(([key, text]) => ({ source: 'details', key, text })),
+    ...String(scrapedData.description || '').split(/(?<=[.!?])\s+/).map(text => ({ source: 'description', text }))
+  ]
+    .filter(p => typeof p.text === 'string' && p.text.trim())
+    .map(p => ({ ...p, text: p.text.slice(0, MAX_PASSAGE_LENGTH) }));
+};
+
+/**
+ * Specific claims in one passage: { text, kind: 'content' | 'standard' | 'certification' }
+ */
+const findSpecificClaims = (text) => {
+  const claims = SPECIFIC_CLAIMS.flatMap(({ kind, pattern }) => {
+    return [...text.matchAll(pattern)].map(match => ({ text: match[0].trim(), kind }));
+  });
+  CERTIFICATION_CATALOG
+    .filter(c => c.pattern.test(text))
+    .forEach(c => claims.push({ text: c.name, kind: 'certification' }));
+  return claims;
+};
+
+/**
+ * Each passage with its specific claims (`backing`) and vague terms
+ */
+const analyzePassages = (scrapedData) => {
+  return splitPassages(scrapedData).map(passage => {
+    const backing = findSpecificClaims(passage.text);
+    const vague = VAGUE_TERMS
+      .map(({ term, pattern }) => ({ term, match: passage.text.match(pattern) }))
+      .filter(({ match }) => match)
+      .map(({ term, match }) => ({
+        term,
+        text: match[0],
+        source: passage.source,
+        substantiated: backing.length > 0,
+        evidence: backing.length > 0 ? backing[0].text : null
+      }));
+    return { ...passage, backing, vague };
+  });
+};
+
+/**
+ * Analyze the environmental claims in scraped product data
+ * @returns {{ specific: Array<{ text, kind, source }>, vague: Array<{ term, text, source, substantiated, evidence }> }}
+ *   one `vague` entry per term and passage; `evidence` is the specific claim
+ *   in that passage that backs it
+ */
+export const analyzeClaims = (scrapedData) => {
+  const specific = [];
+  const vague = [];
+
+  analyzePassages(scrapedData).forEach(passage => {
+    passage.backing.forEach(claim => {
+      if (!specific.some(s => s.text.toLowerCase() === claim.text.toLowerCase())) {
+        specific.push({ ...claim, source: passage.source });
+      }
+    });
+    vague.push(...passage.vague);
+  });
+
+  logger.info('Claims analyzed', {
+    asin: scrapedData.asin,
+    specific: specific.length,
+    unsubstantiated: [...new Set(vague.filter(v => !v.substantiated).map(v => v.term))]
+  });
+
+  return { specific, vague };
+};
+
+// A clause runs to a comma, semicolon, colon or sentence end followed by a
+// space (not a decimal point); title parts also end at a spaced dash or bar
+const CLAUSE = /.+?(?:[,;:.!?]+(?=\s|$)|\s[|–—-](?=\s)|$)/g;
+
+/**
+ * A passage without the clauses that use one of the vague terms. When the
+ * last clause goes, the one before it takes over its closing punctuation.
+ */
+const withoutClauses = (text, terms) => {
+  const patterns = terms.map(term => VAGUE_TERMS.find(t => t.term === term).pattern);
+  const clauses = text.match(CLAUSE) || [text];
+  const kept = clauses.filter(clause => !patterns.some(pattern => clause.search(pattern) !== -1));
+  if (kept.length === 0) return '';
+
+  let result = kept.join('').trim();
+  if (kept[kept.length - 1] !== clauses[clauses.length - 1]) {
+    result = result.replace(/(?:[,;:]|\s[|–—-])$/, '');
+    const ending = clauses[clauses.length - 1].trim().match(/[.!?]+$/);
+    if (ending && !/[.!?]$/.test(result)) result += ending[0];
+  }
+  return result.replace(/\s{2,}/g, ' ');
+};
+
+/**
+ * Copy of scraped data without the clauses that use an unsubstantiated vague
+ * term, for the grading steps (Gemini cleaning, carbon estimation and
+ * component scores) to read instead of the raw listing. Only fields with
+ * such a term change; fields left empty are dropped.
+ */
+export const withoutVagueClaims = (scrapedData) => {
+  const passages = analyzePassages(scrapedData).map(passage => {
+    const terms = passage.vague.filter(v => !v.substantiated).map(v => v.term);
+    return terms.length > 0 ? { ...passage, text: withoutClauses(passage.text, terms), changed: true } : passage;
+  });
+  if (!passages.some(p => p.changed)) return scrapedData;
+
+  // The field rebuilt from its passages, or unchanged when none of them changed
+  const rebuild = (value, fieldPassages, separator) => {
+    if (!fieldPassages.some(p => p.changed)) return value;
+    return fieldPassages.map(p => p.text).filter(Boolean).join(separator);
+  };
+  const fromSource = (source) => passages.filter(p => p.source === source);
+
+  const gradingData = { ...scrapedData };
+  const fields = {
+    title: rebuild(scrapedData.title, fromSource('title'), ' '),
+    description: rebuild(scrapedData.description, fromSource('description'), ' ')
+  };
+  Object.entries(fields).forEach(([field, value]) => {
+    if (value) gradingData[field] = value;
+    else delete gradingData[field];
+  });
+
+  if (scrapedData.details) {
+    gradingData.details = Object.fromEntries(Object.entries(scrapedData.details)
+      .map(([key, value]) => [key, key === 'Features'
+        ? rebuild(value, fromSource('features'), ' | ')
+        : rebuild(value, fromSource('details').filter(p => p.key === key), ' ')])
+      .filter(([, value]) => value));
+  }
+  return gradingData;
+};
@@ -0,0 +1,92 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { analyzeClaims, withoutVagueClaims } from './claimAnalysis.js';
+import { calculateComponentScores } from './componentScores.js';
+
+test('finds quantified contents, standards and certifications', () => {
+  const { specific } = analyzeClaims({
+    title: 'Water Bottle',
+    description: 'Made from 100% recycled PET, GRS certified. FSC certified paper label.'
+  });
+  assert.deepEqual(specific, [
+    { text: '100% recycled PET', kind: 'content', source: 'description' },
+    { text: 'GRS', kind: 'standard', source: 'description' },
+    { text: 'FSC', kind: 'certification', source: 'description' }
+  ]);
+});
+
+test('judges a vague term in each passage that uses it', () => {
+  const { vague } = analyzeClaims({
+    title: 'Sustainable Water Bottle',
+    details: { Features: 'Sustainable: 100% recycled steel body | Sustainable design' }
+  });
+  assert.deepEqual(vague.map(v => [v.source, v.substantiated, v.evidence]), [
+    ['title', false, null],
+    ['features', true, '100% recycled steel body'],
+    ['features', false, null]
+  ]);
+});
+
+test('a sentence that only makes a vague claim is dropped with its punctuation', () => {
+  const data = { title: 'Water Bottle', description: 'Made from 100% recycled PET, GRS certified. Eco-friendly!' };
+  assert.deepEqual(analyzeClaims(data).vague.map(v => [v.term, v.substantiated]), [['eco-friendly', false]]);
+  assert.equal(withoutVagueClaims(data).description, 'Made from 100% recycled PET, GRS certified.');
+});
+
+test('the same claims in one passage back each other', () => {
+  const data = { title: 'Water Bottle', details: { Features: 'Made from 100% recycled PET, GRS certified. Eco-friendly!' } };
+  assert.equal(analyzeClaims(data).vague[0].substantiated, true);
+  assert.equal(withoutVagueClaims(data), data);
+});
+
+test('removes whole clauses and closes the sentence', () => {
+  const data = {
+    title: 'Steel Water Bottle, 1.5 L - Eco-Friendly Gift',
+    description: 'Holds 1.5 L, keeps drinks cold, non-toxic and BPA free.'
+  };
+  const gradingData = withoutVagueClaims(data);
+  assert.equal(gradingData.title, 'Steel Water Bottle, 1.5 L');
+  assert.equal(gradingData.description, 'Holds 1.5 L, keeps drinks cold.');
+});
+
+test('only passages with an unsubstantiated term change', () => {
+  const gradingData = withoutVagueClaims({
+    title: 'Water Bottle',
+    details: {
+      Features: 'Eco-friendly handle | Sustainable: 100% recycled steel body | Dishwasher safe',
+      Material: 'Stainless Steel'
+    }
+  });
+  assert.deepEqual(gradingData.details, {
+    Features: 'Sustainable: 100% recycled steel body | Dishwasher safe',
+    Material: 'Stainless Steel'
+  });
+});
+
+test('drops fields that only make vague claims', () => {
+  const gradingData = withoutVagueClaims({
+    asin: 'B08N5WRWNW',
+    title: 'Water Bottle',
+    description: 'Eco-friendly and sustainable!',
+    details: { Features: 'Eco-friendly handle', 'Item Weight': '1.2 Pounds' }
+  });
+  assert.deepEqual(gradingData, {
+    asin: 'B08N5WRWNW',
+    title: 'Water Bottle',
+    details: { 'Item Weight': '1.2 Pounds' }
+  });
+});
+
+test('listings without vague claims are graded as scraped', () => {
+  const data = { title: 'Stainless Steel Water Bottle', description: 'Keeps drinks cold for 24 hours.' };
+  assert.equal(withoutVagueClaims(data), data);
+});
+
+test('component scores ignore words in a removed clause', () => {
+  const data = { title: 'Water Bottle', details: { Features: 'Sustainable and reusable' } };
+  const cleanedData = { materials: ['plastic'], category: 'Kitchen' };
+  const factors = (scrapedData) => calculateComponentScores(50, cleanedData, scrapedData).economic.factors.map(f => f.factor);
+
+  assert.ok(factors(data).some(f => /durable|reusable/i.test(f)));
+  assert.ok(!factors(withoutVagueClaims(data)).some(f => /durable|reusable/i.test(f)));
+});
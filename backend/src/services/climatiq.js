@@ -49,6 +49,20 @@ export const getSuggestions = async (productDescription) => {
   }
 };
 
+// Worst rating on the 1-3 scale the rest of the pipeline uses
+const WORST_DATA_QUALITY = 3;
+
+/**
+ * Climatiq's data quality rating as a number on the 1 (best) to 3 (worst)
+ * scale that Product and ProductRatingHistory store: 'bad' is the worst
+ * rating, and a missing or unrecognized rating is null
+ */
+export const toDataQuality = (rating) => {
+  if (typeof rating === 'string' && rating.trim().toLowerCase() === 'bad') return WORST_DATA_QUALITY;
+  const value = typeof rating === 'string' && rating.trim() ? Number(rating) : rating;
+  return typeof value === 'number' && Number.isFinite(value) ? value : null;
+};
+
 /**
  * Step 2: Calculate emissions using suggestion ID
  */
@@ -79,7 +93,7 @@ export const estimateEmissions = async (suggestionId, weightData) => {
 
     return {
       co2e: parseFloat(estimateData.co2e),
-      dataQuality: estimateData.data_quality_rating || 'unknown',
+      dataQuality: toDataQuality(estimateData.data_quality_rating),
       suggestionId
     };
 
@@ -90,59 +104,21 @@ export const estimateEmissions = async (suggestionId, weightData) => {
 };
 
 /**
- * Complete Climatiq flow: suggest then estimate
+ * Climatiq as an emission-factor provider (see services/emissionProviders.js)
  */
-export const calculateCarbonFootprint = async (productData) => {
-  try {
-    // Step 1: Get suggestion
-    const suggestion = await getSuggestions(productData.productDescription);
+export const climatiqProvider = {
+  name: 'climatiq',
+  source: 'climatiq',
 
-    // Step 2: Calculate emissions
-    const estimate = await estimateEmissions(suggestion.suggestion_id, productData.weight);
-
-    // Check data quality - if poor quality or low confidence, use Gemini fallback
-    if (estimate.dataQuality === 'bad' || (typeof estimate.dataQuality === 'number' && estimate.dataQuality > 2.5)) {
-      logger.warn('Low data quality from Climatiq, will use Gemini fallback', { 
-        dataQuality: estimate.dataQuality,
-        suggestionId: estimate.suggestionId
-      });
-      return { 
-        useFallback: true, 
-        dataQuality: estimate.dataQuality,
-        reason: 'poor_data_quality'
-      };
-    }
+  isAvailable: () => !!CLIMATIQ_API_KEY,
 
-    return {
-      co2e: estimate.co2e,
-      dataQuality: estimate.dataQuality,
-      suggestionId: estimate.suggestionId,
-      source: 'climatiq'
-    };
+  suggest: async (productData) => {
+    const suggestion = await getSuggestions(productData.productDescription);
+    return { suggestionId: suggestion.suggestion_id, label: suggestion.emission_factor?.name };
+  },
 
-  } catch (error) {
-    logger.error('Climatiq complete flow error:', error.message);
-    
-    // Check if it's a "not found" or "unrecognized product" error
-    if (error.response?.status === 404 || 
-        error.message.includes('not found') || 
-        error.message.includes('No suggestions found')) {
-      logger.warn('Product not recognized by Climatiq, will use Gemini fallback', {
-        product: productData.productDescription
-      });
-      return { 
-        useFallback: true, 
-        error: error.message,
-        reason: 'product_not_recognized'
-      };
-    }
-    
-    // For other errors (API issues, rate limits, etc.), also fallback
-    return { 
-      useFallback: true, 
-      error: error.message,
-      reason: 'api_error'
-    };
+  estimate: async (suggestion, weightData) => {
+    return estimateEmissions(suggestion.suggestionId, weightData);
   }
 };
 
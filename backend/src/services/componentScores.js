@@ -0,0 +1,126 @@
+import { getCertification } from '../config/certifications.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Deterministic environmental / social / economic component scores.
+ *
+ * Each component starts from a base derived from the carbon-based overall
+ * score and is adjusted by rules on materials, category, brand and
+ * verified certifications (config/certifications.js). Every rule that fires is returned as a factor so the UI
+ * can explain the score. The same inputs always produce the same scores.
+ */
+
+const SUSTAINABLE_MATERIALS = ['bamboo', 'organic', 'hemp', 'cork', 'wood', 'cotton', 'linen', 'wool', 'recycled'];
+const RECYCLABLE_MATERIALS = ['paper', 'cardboard', 'glass', 'aluminum', 'steel', 'metal'];
+const PLASTIC_MATERIALS = ['plastic', 'polyester', 'pvc', 'nylon', 'polystyrene', 'acrylic'];
+
+const ELECTRONICS_CATEGORY = /electronic|computer|phone|camera|tablet|laptop/i;
+const APPAREL_CATEGORY = /cloth|apparel|fashion|shoe|garment/i;
+
+const DURABLE_TERMS = /reusable|refillable|rechargeable|durable|stainless/i;
+const SINGLE_USE_TERMS = /disposable|single[\s-]?use/i;
+const WARRANTY_TERMS = /lifetime warranty|\d+[\s-]?year warranty/i;
+
+const clampScore = (value) => Math.max(0, Math.min(100, Math.round(value)));
+
+/**
+ * Materials from the cleaned data that contain any of the given keywords
+ */
+const findMaterials = (materials, keywords) => {
+  return materials.filter(m => keywords.some(k => m.toLowerCase().includes(k)));
+};
+
+/**
+ * Searchable text for keyword signals: title, description and detail values
+ */
+const buildSignalText = (cleanedData, scrapedData) => {
+  return [
+    scrapedData.title,
+    cleanedData.cleanedTitle,
+    scrapedData.description,
+    ...Object.values(scrapedData.details || {})
+  ].filter(Boolean).join(' ');
+};
+
+/**
+ * Sum a base score and its factors into a component result
+ */
+const buildComponent = (base, factors) => {
+  const score = clampScore(factors.reduce((sum, f) => sum + f.impact, base));
+  return { score, base, factors };
+};
+
+/**
+ * Calculate component scores and the factors behind them
+ * @param {number} overallScore - 0-100 score from the carbon rating
+ * @param {Object} cleanedData - Output of cleanProductData
+ * @param {Object} scrapedData - Data from the extension, without unsubstantiated eco-claims (withoutVagueClaims)
+ * @param {Array} certifications - Output of verifyCertifications
+ * @returns {{ environmental, social, economic }} each `{ score, base, factors: [{ factor, impact }] }`
+ */
+export const calculateComponentScores = (overallScore, cleanedData, scrapedData, certifications = []) => {
+  const materials = cleanedData.materials || [];
+  const category = cleanedData.category || scrapedData.category || '';
+  const brand = (scrapedData.brand || '').trim();
+  const text = buildSignalText(cleanedData, scrapedData);
+  const verified = certifications.filter(c => c.verified);
+
+  // Environmental: carbon rating adjusted for materials and eco certifications
+  const environmentalFactors = [];
+  const sustainable = findMaterials(materials, SUSTAINABLE_MATERIALS);
+  if (sustainable.length > 0) {
+    environmentalFactors.push({ factor: `Renewable or recycled materials (${sustainable.join(', ')})`, impact: 10 });
+  }
+  const recyclable = findMaterials(materials, RECYCLABLE_MATERIALS);
+  if (recyclable.length > 0) {
+    environmentalFactors.push({ factor: `Widely recyclable materials (${recyclable.join(', ')})`, impact: 5 });
+  }
+  const plastics = findMaterials(materials, PLASTIC_MATERIALS);
+  if (plastics.length > 0) {
+    environmentalFactors.push({ factor: `Fossil-based plastics (${plastics.join(', ')})`, impact: -15 });
+  }
+
+  // Social: supply-chain risk by category, brand transparency, labor certifications
+  const socialFactors = [];
+  if (ELECTRONICS_CATEGORY.test(category)) {
+    socialFactors.push({ factor: 'Electronics supply chains carry conflict-mineral risk', impact: -10 });
+  } else if (APPAREL_CATEGORY.test(category)) {
+    socialFactors.push({ factor: 'Garment supply chains carry labor risk', impact: -10 });
+  }
+  if (!brand || brand.toLowerCase() === 'unknown') {
+    socialFactors.push({ factor: 'No identifiable brand to hold accountable', impact: -10 });
+  }
+
+  // Economic: durability and value over the product's life
+  const economicFactors = [];
+  if (SINGLE_USE_TERMS.test(text)) {
+    economicFactors.push({ factor: 'Single-use product', impact: -20 });
+  } else if (DURABLE_TERMS.test(text)) {
+    economicFactors.push({ factor: 'Reusable or durable design', impact: 15 });
+  }
+  if (WARRANTY_TERMS.test(text)) {
+    economicFactors.push({ factor: 'Extended warranty', impact: 5 });
+  }
+
+  verified.forEach(cert => {
+    const impacts = getCertification(cert.id)?.impacts || {};
+    if (impacts.environmental) environmentalFactors.push({ factor: `${cert.name} certified`, impact: impacts.environmental });
+    if (impacts.social) socialFactors.push({ factor: `${cert.name} certified`, impact: impacts.social });
+    if (impacts.economic) economicFactors.push({ factor: `${cert.name} certified`, impact: impacts.economic });
+  });
+
+  const components = {
+    environmental: buildComponent(overallScore, environmentalFactors),
+    social: buildComponent(overallScore - 5, socialFactors),
+    economic: buildComponent(overallScore - 10, economicFactors)
+  };
+
+  logger.info('Component scores calculated', {
+    environmental: components.environmental.score,
+    social: components.social.score,
+    economic: components.economic.score,
+    certifications: verified.map(c => c.name)
+  });
+
+  return components;
+};
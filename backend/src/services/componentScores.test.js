@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { calculateComponentScores } from './componentScores.js';
+
+const cleanedData = { materials: ['stainless steel'], category: 'Kitchen' };
+const scrapedData = { title: 'Insulated Water Bottle', brand: 'Hydro Flask', description: 'Keeps drinks cold for 24 hours.' };
+const fairTrade = { id: 'fair_trade', name: 'Fair Trade', verified: true };
+
+const scores = (components) => Object.fromEntries(
+  Object.entries(components).map(([name, component]) => [name, component.score])
+);
+const factorNames = (component) => component.factors.map(f => f.factor);
+
+test('the same product always gets the same scores', () => {
+  const first = calculateComponentScores(60, cleanedData, scrapedData, [fairTrade]);
+  const second = calculateComponentScores(60, { ...cleanedData }, { ...scrapedData }, [{ ...fairTrade }]);
+
+  assert.deepEqual(scores(first), scores(second));
+  assert.deepEqual(first, second);
+});
+
+test('a verified certification moves the components it covers, with a factor for each', () => {
+  const without = calculateComponentScores(60, cleanedData, scrapedData);
+  const withCert = calculateComponentScores(60, cleanedData, scrapedData, [fairTrade]);
+
+  assert.equal(withCert.environmental.score, without.environmental.score);
+  assert.equal(withCert.social.score, without.social.score + 15);
+  assert.equal(withCert.economic.score, without.economic.score + 5);
+  assert.ok(factorNames(withCert.social).includes('Fair Trade certified'));
+  assert.ok(factorNames(withCert.economic).includes('Fair Trade certified'));
+});
+
+test('an unverified certification changes nothing', () => {
+  const without = calculateComponentScores(60, cleanedData, scrapedData);
+  const claimed = calculateComponentScores(60, cleanedData, scrapedData, [{ ...fairTrade, verified: false }]);
+  assert.deepEqual(claimed, without);
+});
+
+test('a missing brand lowers only the social score', () => {
+  const branded = calculateComponentScores(60, cleanedData, scrapedData);
+  const unbranded = calculateComponentScores(60, cleanedData, { ...scrapedData, brand: 'Unknown' });
+
+  assert.equal(unbranded.social.score, branded.social.score - 10);
+  assert.ok(factorNames(unbranded.social).includes('No identifiable brand to hold accountable'));
+  assert.equal(unbranded.environmental.score, branded.environmental.score);
+  assert.equal(unbranded.economic.score, branded.economic.score);
+});
+
+test('materials move only the environmental score', () => {
+  const renewable = calculateComponentScores(60, { ...cleanedData, materials: ['bamboo'] }, scrapedData);
+  const plastic = calculateComponentScores(60, { ...cleanedData, materials: ['plastic'] }, scrapedData);
+
+  assert.equal(renewable.environmental.score, 70);
+  assert.equal(plastic.environmental.score, 45);
+  assert.ok(factorNames(renewable.environmental).some(f => f.includes('bamboo')));
+  assert.ok(factorNames(plastic.environmental).some(f => f.includes('plastic')));
+  assert.equal(renewable.social.score, plastic.social.score);
+  assert.equal(renewable.economic.score, plastic.economic.score);
+});
+
+test('scores stay within 0-100', () => {
+  const best = calculateComponentScores(98, { materials: ['organic cotton', 'recycled paper'], category: 'Home' },
+    { title: 'Reusable tote', brand: 'Patagonia', description: 'Lifetime warranty' },
+    [{ id: 'fsc', name: 'FSC', verified: true }, fairTrade]);
+  const worst = calculateComponentScores(2, { materials: ['plastic'], category: 'Electronics' },
+    { title: 'Disposable phone case', brand: '' });
+
+  assert.deepEqual(scores(best), { environmental: 100, social: 100, economic: 100 });
+  assert.deepEqual(scores(worst), { environmental: 0, social: 0, economic: 0 });
+});
@@ -0,0 +1,136 @@
+import { climatiqProvider } from './climatiq.js';
+import { localFactorsProvider } from './localFactors.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Emission-factor providers. Each implements:
+ *   isAvailable()                  -> whether it is configured
+ *   suggest(productData)           -> { suggestionId, label, ... }
+ *   estimate(suggestion, weight)   -> { co2e, dataQuality (1 best to 3 worst, or null), suggestionId }
+ */
+export const EMISSION_PROVIDERS = {
+  [climatiqProvider.name]: climatiqProvider,
+  [localFactorsProvider.name]: localFactorsProvider
+};
+
+const DEFAULT_CHAIN = 'climatiq,local';
+
+/**
+ * Provider names to try in order, from EMISSION_PROVIDERS (unknown names are ignored)
+ */
+export const getProviderChain = () => {
+  const names = (process.env.EMISSION_PROVIDERS || DEFAULT_CHAIN)
+    .split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(Boolean);
+
+  const unknown = names.filter(name => !EMISSION_PROVIDERS[name]);
+  if (unknown.length > 0) {
+    logger.warn('Ignoring unknown emission providers', { unknown });
+  }
+
+  return names.filter(name => EMISSION_PROVIDERS[name]);
+};
+
+// Providers report dataQuality on the 1 (best) to 3 (worst) scale, or null
+const isPoorQuality = (dataQuality) => {
+  return typeof dataQuality === 'number' && dataQuality > 2.5;
+};
+
+const failureReason = (error) => {
+  if (error.response?.status === 404 ||
+      error.message.includes('not found') ||
+      error.message.includes('No suggestions found')) {
+    return 'product_not_recognized';
+  }
+  return 'api_error';
+};
+
+/**
+ * Run a single provider: suggest then estimate
+ */
+const runProvider = async (provider, productData) => {
+  if (!provider.isAvailable()) {
+    return { provider: provider.name, ok: false, reason: 'not_configured' };
+  }
+
+  try {
+    const suggestion = await provider.suggest(productData);
+    const estimate = await provider.estimate(suggestion, productData.weight);
+
+    if (isPoorQuality(estimate.dataQuality)) {
+      return {
+        provider: provider.name,
+        ok: false,
+        reason: 'poor_data_quality',
+        ...estimate,
+        label: suggestion.label
+      };
+    }
+
+    return {
+      provider: provider.name,
+      ok: true,
+      source: provider.source,
+      ...estimate,
+      label: suggestion.label
+    };
+
+  } catch (error) {
+    return {
+      provider: provider.name,
+      ok: false,
+      reason: failureReason(error),
+      error: error.message
+    };
+  }
+};
+
+/**
+ * Calculate a product's carbon footprint with the configured provider chain.
+ * The first provider with acceptable data quality wins; if none does the
+ * caller falls back to a Gemini estimate using the first failure's reason.
+ */
+export const calculateCarbonFootprint = async (productData) => {
+  const failures = [];
+
+  for (const name of getProviderChain()) {
+    const result = await runProvider(EMISSION_PROVIDERS[name], productData);
+
+    if (result.ok) {
+      return {
+        co2e: result.co2e,
+        dataQuality: result.dataQuality,
+        suggestionId: result.suggestionId,
+        source: result.source,
+        // Why the providers before this one were skipped
+        fallbackReason: failures[0]?.reason
+      };
+    }
+
+    logger.warn('Emission provider could not be used', {
+      provider: name,
+      reason: result.reason,
+      error: result.error,
+      product: productData.productDescription
+    });
+    failures.push(result);
+  }
+
+  return {
+    useFallback: true,
+    reason: failures[0]?.reason || 'no_providers',
+    error: failures[0]?.error
+  };
+};
+
+/**
+ * Run every registered provider on the same product, for side-by-side comparison
+ */
+export const compareEmissionProviders = async (productData) => {
+  const names = Object.keys(EMISSION_PROVIDERS);
+  const results = await Promise.all(
+    names.map(name => runProvider(EMISSION_PROVIDERS[name], productData))
+  );
+  return results;
+};
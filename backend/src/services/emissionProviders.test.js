@@ -0,0 +1,111 @@
+import { test, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  EMISSION_PROVIDERS,
+  calculateCarbonFootprint,
+  compareEmissionProviders,
+  getProviderChain
+} from './emissionProviders.js';
+import { climatiqProvider } from './climatiq.js';
+
+const bottle = {
+  productDescription: 'Stainless steel water bottle',
+  category: 'Kitchen',
+  materials: ['stainless steel', 'silicone'],
+  materialComposition: [{ material: 'stainless steel', fraction: 0.9 }, { material: 'silicone', fraction: 0.1 }],
+  weight: { value: 500, unit: 'g' }
+};
+
+/**
+ * Climatiq answering with `estimate`, or failing with `error`, without a network call
+ */
+const stubClimatiq = ({ estimate, error }) => {
+  mock.method(climatiqProvider, 'isAvailable', () => true);
+  mock.method(climatiqProvider, 'suggest', async () => {
+    if (error) throw error;
+    return { suggestionId: 'climatiq-steel', label: 'Steel products' };
+  });
+  mock.method(climatiqProvider, 'estimate', async () => estimate);
+};
+
+const withChain = (chain) => {
+  const previous = process.env.EMISSION_PROVIDERS;
+  process.env.EMISSION_PROVIDERS = chain;
+  return () => {
+    if (previous === undefined) delete process.env.EMISSION_PROVIDERS;
+    else process.env.EMISSION_PROVIDERS = previous;
+  };
+};
+
+let restoreChain = () => {};
+afterEach(() => {
+  restoreChain();
+  restoreChain = () => {};
+  mock.restoreAll();
+});
+
+test('providers are tried in the EMISSION_PROVIDERS order, unknown names ignored', () => {
+  restoreChain = withChain('local, Climatiq, ecoinvent');
+  assert.deepEqual(getProviderChain(), ['local', 'climatiq']);
+
+  delete process.env.EMISSION_PROVIDERS;
+  assert.deepEqual(getProviderChain(), ['climatiq', 'local']);
+});
+
+test('the first provider with good data wins', async () => {
+  restoreChain = withChain('climatiq,local');
+  stubClimatiq({ estimate: { co2e: 2.1, dataQuality: 1, suggestionId: 'climatiq-steel' } });
+
+  const result = await calculateCarbonFootprint(bottle);
+  assert.deepEqual(result, { co2e: 2.1, dataQuality: 1, suggestionId: 'climatiq-steel', source: 'climatiq', fallbackReason: undefined });
+});
+
+test('a poor-quality estimate falls through to the next provider', async () => {
+  restoreChain = withChain('climatiq,local');
+  stubClimatiq({ estimate: { co2e: 40, dataQuality: 3, suggestionId: 'climatiq-generic' } });
+
+  const result = await calculateCarbonFootprint(bottle);
+  assert.equal(result.source, 'local_factors');
+  assert.equal(result.fallbackReason, 'poor_data_quality');
+});
+
+test('a provider that throws falls through to the next provider', async () => {
+  restoreChain = withChain('climatiq,local');
+  stubClimatiq({ error: new Error('No suggestions found from Climatiq') });
+
+  const result = await calculateCarbonFootprint(bottle);
+  assert.equal(result.source, 'local_factors');
+  assert.equal(result.fallbackReason, 'product_not_recognized');
+});
+
+test('when every provider fails the caller is told to fall back', async () => {
+  restoreChain = withChain('climatiq');
+  stubClimatiq({ error: new Error('socket hang up') });
+
+  assert.deepEqual(await calculateCarbonFootprint(bottle), { useFallback: true, reason: 'api_error', error: 'socket hang up' });
+});
+
+test('the local provider estimates offline, the same way every time', async () => {
+  restoreChain = withChain('local');
+  const fetch = mock.method(globalThis, 'fetch', async () => { throw new Error('no network in this test'); });
+  mock.method(climatiqProvider, 'suggest', async () => { throw new Error('Climatiq must not be called'); });
+
+  const first = await calculateCarbonFootprint(bottle);
+  const second = await calculateCarbonFootprint(bottle);
+
+  // 0.5 kg x (0.9 x 6.2 + 0.1 x 3.0) kg CO2e/kg
+  assert.equal(first.co2e, 2.94);
+  assert.equal(first.source, 'local_factors');
+  assert.equal(first.suggestionId, 'local:material:stainless steel+silicone');
+  assert.deepEqual(second, first);
+  assert.equal(fetch.mock.callCount(), 0);
+  assert.equal(climatiqProvider.suggest.mock.callCount(), 0);
+});
+
+test('comparing providers runs every registered one, in registry order', async () => {
+  stubClimatiq({ estimate: { co2e: 40, dataQuality: 3, suggestionId: 'climatiq-generic' } });
+
+  const results = await compareEmissionProviders(bottle);
+  assert.deepEqual(results.map(r => r.provider), Object.keys(EMISSION_PROVIDERS));
+  assert.deepEqual(results.map(r => [r.ok, r.reason]), [[false, 'poor_data_quality'], [true, undefined]]);
+});
@@ -1,4 +1,5 @@
 import { logger } from '../utils/logger.js';
+import { parseWeightKg } from '../utils/weight.js';
 import dotenv from 'dotenv';
 dotenv.config();
 
@@ -52,7 +53,7 @@ export const cleanProductData = async (scrapedData) => {
 You are a data extraction expert. Clean and structure this Amazon product data and return ONLY valid JSON:
 
 Raw Data:
-Title: ${scrapedData.title}
+Title: ${scrapedData.title || 'N/A'}
 Product Details: ${JSON.stringify(scrapedData.details || {})}
 Category: ${scrapedData.category || 'N/A'}
 Description: ${scrapedData.description || 'N/A'}
@@ -65,13 +66,16 @@ Return ONLY a valid JSON object with these exact fields:
     "unit": "kg"
   },
   "materials": ["material1", "material2"],
+  "materialComposition": [{ "material": "material1", "fraction": number }],
   "category": "Electronics|Clothing|Home|etc",
   "productDescription": "1-2 sentence description for carbon analysis"
 }
 
 Rules:
-- Convert weight to kg if possible, estimate if not found
+- The data may come from a non-English Amazon storefront (e.g. German or French); write cleanedTitle, materials and category in English
+- Convert weight to kg if possible (weights may use a decimal comma or local units such as "Gramm"), estimate if not found
 - List specific materials (plastic, metal, cotton, etc.)
+- materialComposition gives each material's share of the product's mass (fractions summing to 1); use listed percentages when present, otherwise estimate
 - Be precise with weight extraction and material identification
 - Return ONLY valid JSON, no other text
 `;
@@ -114,24 +118,12 @@ Rules:
     // Simple fallback data extraction without AI
     const titleLower = (scrapedData.title || '').toLowerCase();
     
-    // Try to extract weight from title or details
+    // Try to extract weight from title or details (any storefront's units)
     let estimatedWeight = 0.5; // default
-    const weightRegex = /(\d+(?:\.\d+)?)\s*(kg|g|lb|oz|pound|gram|kilogram)/i;
-    const titleMatch = titleLower.match(weightRegex);
-    const detailsMatch = JSON.stringify(scrapedData.details || {}).match(weightRegex);
-    
-    if (titleMatch) {
-      estimatedWeight = parseFloat(titleMatch[1]);
-      const unit = titleMatch[2].toLowerCase();
-      if (unit.includes('g') && !unit.includes('kg')) estimatedWeight /= 1000;
-      if (unit.includes('lb') || unit.includes('pound')) estimatedWeight *= 0.453592;
-      if (unit.includes('oz')) estimatedWeight *= 0.0283495;
-    } else if (detailsMatch) {
-      estimatedWeight = parseFloat(detailsMatch[1]);
-      const unit = detailsMatch[2].toLowerCase();
-      if (unit.includes('g') && !unit.includes('kg')) estimatedWeight /= 1000;
-      if (unit.includes('lb') || unit.includes('pound')) estimatedWeight *= 0.453592;
-      if (unit.includes('oz')) estimatedWeight *= 0.0283495;
+    const parsedWeight = parseWeightKg(titleLower) ?? parseWeightKg(Object.values(scrapedData.details || {}).join(' '));
+
+    if (parsedWeight) {
+      estimatedWeight = parsedWeight;
     } else {
       // Category-based weight estimation with more variation
       if (titleLower.includes('paper') || titleLower.includes('book')) estimatedWeight = 0.2;
@@ -246,9 +238,10 @@ Return ONLY valid JSON, no other text.
       // Carbon footprint per kg calibrated for better game balance
       let co2ePerKg = 3.0; // default to C grade
 
-      // Eco-friendly products - A and B grades (20% of products should be here)
-      if (productTitle.includes('organic') || productTitle.includes('eco') || productTitle.includes('sustainable') || 
-          productTitle.includes('bamboo') || productTitle.includes('recyclable') || productTitle.includes('biodegradable')) {
+      // Low-carbon materials - A and B grades (20% of products should be here).
+      // Judged on materials, not on marketing words like "eco" or "sustainable".
+      const materialText = materials.join(' ').toLowerCase();
+      if (/bamboo|recycled|organic|hemp|cork/.test(materialText) || productTitle.includes('bamboo')) {
         co2ePerKg = 0.2 + randomFactor * 1.5; // Range: 0.2-1.7 kg CO2e/kg (A to B range)
       }
       // Low-impact materials - A and B grades
@@ -268,7 +261,7 @@ Return ONLY valid JSON, no other text.
       }
       // Clothing - mostly B and C grades with some A for sustainable
       else if (productTitle.includes('clothing') || productTitle.includes('shirt') || productTitle.includes('dress') || productTitle.includes('fabric')) {
-        if (productTitle.includes('organic') || productTitle.includes('sustainable') || productTitle.includes('cotton')) {
+        if (productTitle.includes('organic') || productTitle.includes('cotton')) {
           co2ePerKg = 0.4 + randomFactor * 1.8; // Range: 0.4-2.2 kg CO2e/kg (A to B range)
         } else {
           co2ePerKg = 2.5 + randomFactor * 4.5; // Range: 2.5-7 kg CO2e/kg (B to D range)
@@ -0,0 +1,76 @@
+import { parsePrice } from '../utils/price.js';
+import { findUsePhaseProfile } from './lifecycle.js';
+import { PRODUCT_LIFETIME } from '../config/lifecycleFactors.js';
+
+const round = (value, digits = 3) => parseFloat(value.toFixed(digits));
+
+/**
+ * Number of pieces in a pack ("100 Pack", "Set of 12", "50 Count"), default 1
+ */
+const countPieces = (text) => {
+  const match = text.match(/(\d+)[\s-]*(?:pack|count|ct|pcs|pieces)\b|(?:pack|set|box) of (\d+)/i);
+  const pieces = match ? parseInt(match[1] || match[2], 10) : 1;
+  return pieces > 0 ? pieces : 1;
+};
+
+/**
+ * Expected years of use for a product: { years, basis }
+ * basis: 'single_use' | 'use_profile' | 'durable' | 'category' | 'default'
+ */
+export const estimateLifetime = (cleanedData) => {
+  const text = `${cleanedData.cleanedTitle || ''} ${cleanedData.title || ''} ${cleanedData.category || ''}`;
+
+  if (PRODUCT_LIFETIME.singleUsePattern.test(text)) {
+    const days = countPieces(text) * PRODUCT_LIFETIME.singleUseDaysPerPiece;
+    return { years: round(days / 365, 4), basis: 'single_use' };
+  }
+
+  const useProfile = findUsePhaseProfile(cleanedData);
+  if (useProfile) return { years: useProfile.years, basis: 'use_profile' };
+
+  const category = PRODUCT_LIFETIME.categories.find(c => c.pattern.test(cleanedData.category || ''));
+  if (PRODUCT_LIFETIME.durablePattern.test(text)) {
+    return { years: Math.max(category?.years || 0, PRODUCT_LIFETIME.durableMinYears), basis: 'durable' };
+  }
+  if (category) return { years: category.years, basis: 'category' };
+
+  return { years: PRODUCT_LIFETIME.defaultYears, basis: 'default' };
+};
+
+/**
+ * Price- and lifetime-normalized footprint of an analyzed product, next to
+ * rating.score (kg CO2e per kg):
+ * - co2ePerCurrencyUnit: the CO2e of buying it (production + transport) per
+ *   unit of the scraped price's currency (null without a parseable price)
+ * - co2ePerYear: the whole-life footprint (all lifecycle stages) per expected
+ *   year of use, so a cheap disposable and a durable item can be compared
+ * Prices change, so this is computed per request from the scraped price.
+ */
+export const calculateImpactMetrics = (product, scrapedData = {}) => {
+  const footprint = product.carbonFootprint || {};
+  const co2e = (footprint.co2e || 0) + (footprint.transport?.co2e || 0);
+  const wholeLife = footprint.lifecycle?.total ?? co2e;
+
+  const cleanedData = product.metadata?.cleanedData || {
+    cleanedTitle: product.title,
+    category: product.category
+  };
+  const lifetime = estimateLifetime({ ...cleanedData, title: scrapedData.title || product.title });
+  const price = parsePrice(scrapedData.price, scrapedData.url);
+
+  return {
+    co2ePerKg: product.rating?.score ?? null,
+    price,
+    co2ePerCurrencyUnit: price ? round(co2e / price.amount) : null,
+    lifetime,
+    co2ePerYear: lifetime.years > 0 ? round(wholeLife / lifetime.years) : null
+  };
+};
+
+/**
+ * A product (document or plain object) as a plain object with impactMetrics attached
+ */
+export const withImpactMetrics = (product, scrapedData) => {
+  const plain = typeof product.toObject === 'function' ? product.toObject() : { ...product };
+  return { ...plain, impactMetrics: calculateImpactMetrics(plain, scrapedData) };
+};
@@ -0,0 +1,68 @@
+import { convertToKg } from './rating.js';
+import {
+  PRODUCTION_SPLIT,
+  DEFAULT_RAW_MATERIAL_SHARE,
+  USE_PHASE,
+  END_OF_LIFE
+} from '../config/lifecycleFactors.js';
+
+// Only these categories have a use phase (electricity while in use)
+const POWERED_CATEGORY = /electronic|appliance|computer|phone|camera|tablet|laptop/i;
+
+export const LIFECYCLE_STAGES = [
+  { stage: 'raw_materials', label: 'Raw materials' },
+  { stage: 'manufacturing', label: 'Manufacturing' },
+  { stage: 'packaging', label: 'Packaging' },
+  { stage: 'shipping', label: 'Shipping to you' },
+  { stage: 'use', label: 'Use phase' },
+  { stage: 'end_of_life', label: 'End of life' }
+];
+
+const round = (value) => parseFloat(value.toFixed(3));
+
+/**
+ * Use-phase profile for a powered product (null when it uses no electricity)
+ */
+export const findUsePhaseProfile = (cleanedData) => {
+  if (!POWERED_CATEGORY.test(cleanedData.category || '')) return null;
+  const text = `${cleanedData.cleanedTitle || ''} ${cleanedData.category || ''}`;
+  return USE_PHASE.profiles.find(p => p.pattern.test(text)) || null;
+};
+
+/**
+ * Split a product's footprint into lifecycle stages.
+ * `productionCo2e` is the cradle-to-gate figure from the emission provider and
+ * `transportCo2e` the shipping estimate (services/transport.js) and
+ * `packagingCo2e` the packaging estimate (services/packaging.js); the
+ * remaining stages are modelled from weight and category.
+ * Returns { total, stages: [{ stage, label, co2e, share }] }
+ */
+export const calculateLifecycleBreakdown = (productionCo2e, cleanedData, transportCo2e, packagingCo2e) => {
+  const weightInKg = convertToKg(cleanedData.weight.value, cleanedData.weight.unit);
+  const category = cleanedData.category || '';
+
+  const rawShare = PRODUCTION_SPLIT.find(s => s.pattern.test(category))?.rawMaterials ?? DEFAULT_RAW_MATERIAL_SHARE;
+  const useProfile = findUsePhaseProfile(cleanedData);
+  const eolFactor = POWERED_CATEGORY.test(category) ? END_OF_LIFE.electronicsCo2ePerKg : END_OF_LIFE.co2ePerKg;
+
+  const co2eByStage = {
+    raw_materials: productionCo2e * rawShare,
+    manufacturing: productionCo2e * (1 - rawShare),
+    packaging: packagingCo2e,
+    shipping: transportCo2e,
+    use: useProfile ? useProfile.kWhPerYear * useProfile.years * USE_PHASE.gridCo2ePerKwh : 0,
+    end_of_life: weightInKg * eolFactor
+  };
+
+  const total = Object.values(co2eByStage).reduce((sum, co2e) => sum + co2e, 0);
+
+  return {
+    total: round(total),
+    stages: LIFECYCLE_STAGES.map(({ stage, label }) => ({
+      stage,
+      label,
+      co2e: round(co2eByStage[stage]),
+      share: total > 0 ? round(co2eByStage[stage] / total) : 0
+    }))
+  };
+};
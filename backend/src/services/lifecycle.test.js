@@ -0,0 +1,54 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { LIFECYCLE_STAGES, calculateLifecycleBreakdown, findUsePhaseProfile } from './lifecycle.js';
+
+const product = (category, cleanedTitle, weight = { value: 2, unit: 'kg' }) => ({ category, cleanedTitle, weight });
+const stageCo2e = (breakdown, stage) => breakdown.stages.find(s => s.stage === stage).co2e;
+
+test('every stage is listed, and the stages add up to the total', () => {
+  [
+    product('Electronics', 'Laptop 14 inch'),
+    product('Kitchen', 'Stainless Steel Water Bottle', { value: 12, unit: 'ounces' }),
+    product('Clothing', 'Organic Cotton T-Shirt', { value: 180, unit: 'g' })
+  ].forEach(cleanedData => {
+    const breakdown = calculateLifecycleBreakdown(3.333, cleanedData, 0.417, 0.129);
+    const sum = breakdown.stages.reduce((total, s) => total + s.co2e, 0);
+
+    assert.deepEqual(breakdown.stages.map(s => s.stage), LIFECYCLE_STAGES.map(s => s.stage));
+    // each stage and the total are rounded to 3 decimals on their own
+    assert.ok(Math.abs(sum - breakdown.total) <= 0.003, `${cleanedData.cleanedTitle}: ${sum} vs ${breakdown.total}`);
+    assert.ok(Math.abs(breakdown.stages.reduce((total, s) => total + s.share, 0) - 1) <= 0.003);
+  });
+});
+
+test('the production footprint is split between raw materials and manufacturing by category', () => {
+  const furniture = calculateLifecycleBreakdown(10, product('Furniture', 'Oak Side Table'), 0, 0);
+  const other = calculateLifecycleBreakdown(10, product('Toys', 'Wooden Blocks'), 0, 0);
+
+  assert.equal(stageCo2e(furniture, 'raw_materials'), 7);
+  assert.equal(stageCo2e(furniture, 'manufacturing'), 3);
+  assert.equal(stageCo2e(other, 'raw_materials'), 6);
+});
+
+test('transport and packaging estimates land in their own stages', () => {
+  const breakdown = calculateLifecycleBreakdown(2, product('Kitchen', 'Water Bottle'), 0.482, 0.186);
+
+  assert.equal(stageCo2e(breakdown, 'shipping'), 0.482);
+  assert.equal(stageCo2e(breakdown, 'packaging'), 0.186);
+});
+
+test('only electronics and appliances with a usage profile have a use phase', () => {
+  // 30 kWh a year for 4 years, and 50 kWh a year for 8 years, at 0.4 kg CO2e/kWh
+  assert.equal(stageCo2e(calculateLifecycleBreakdown(50, product('Electronics', 'Laptop 14 inch'), 1, 0.5), 'use'), 48);
+  assert.equal(stageCo2e(calculateLifecycleBreakdown(20, product('Appliances', 'Electric Kettle'), 1, 0.5), 'use'), 160);
+
+  // A coffee grinder listed under Kitchen is not treated as powered
+  assert.equal(findUsePhaseProfile(product('Kitchen', 'Coffee Grinder')), null);
+  assert.equal(stageCo2e(calculateLifecycleBreakdown(5, product('Kitchen', 'Coffee Grinder'), 1, 0.5), 'use'), 0);
+  assert.equal(stageCo2e(calculateLifecycleBreakdown(5, product('Clothing', 'Rain Jacket'), 1, 0.5), 'use'), 0);
+});
+
+test('powered products pay the higher end-of-life processing rate', () => {
+  assert.equal(stageCo2e(calculateLifecycleBreakdown(5, product('Electronics', 'Bluetooth Speaker'), 0, 0), 'end_of_life'), 0.2);
+  assert.equal(stageCo2e(calculateLifecycleBreakdown(5, product('Home', 'Ceramic Vase'), 0, 0), 'end_of_life'), 0.1);
+});
@@ -0,0 +1,93 @@
+import { convertToKg } from './rating.js';
+import {
+  MATERIAL_FACTORS,
+  CATEGORY_FACTORS,
+  DEFAULT_FACTOR,
+  DATA_QUALITY
+} from '../config/emissionFactors.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Find the bundled factor for a material name (most specific key first)
+ */
+export const findMaterialFactor = (material) => {
+  const name = String(material).toLowerCase();
+  return MATERIAL_FACTORS.find(f => name.includes(f.key));
+};
+
+/**
+ * Known materials with their mass fractions. Uses the resolved
+ * `materialComposition` when present, otherwise weights materials equally.
+ */
+const weightedMaterials = (productData) => {
+  const composition = productData.materialComposition?.length
+    ? productData.materialComposition
+    : (productData.materials || []).map(material => ({ material, fraction: 1 }));
+
+  return composition
+    .map(({ material, fraction }) => ({ factor: findMaterialFactor(material), fraction }))
+    .filter(m => m.factor && m.fraction > 0);
+};
+
+/**
+ * Offline emission-factor provider backed by config/emissionFactors.js.
+ * Known materials are weighted by mass fraction; if none are known the
+ * category factor is used, then a generic default (low quality, so the
+ * chain moves on).
+ */
+export const localFactorsProvider = {
+  name: 'local',
+  source: 'local_factors',
+
+  isAvailable: () => true,
+
+  suggest: async (productData) => {
+    const matched = weightedMaterials(productData);
+
+    if (matched.length > 0) {
+      const totalFraction = matched.reduce((sum, m) => sum + m.fraction, 0);
+      const co2ePerKg = matched.reduce((sum, m) => sum + m.factor.co2ePerKg * m.fraction, 0) / totalFraction;
+      const keys = matched.map(m => m.factor.key);
+      return {
+        suggestionId: `local:material:${keys.join('+')}`,
+        label: `Materials: ${keys.join(', ')}`,
+        co2ePerKg,
+        dataQuality: DATA_QUALITY.material
+      };
+    }
+
+    const category = CATEGORY_FACTORS.find(f => f.pattern.test(productData.category || ''));
+    if (category) {
+      return {
+        suggestionId: `local:category:${category.category}`,
+        label: `Category: ${category.category}`,
+        co2ePerKg: category.co2ePerKg,
+        dataQuality: DATA_QUALITY.category
+      };
+    }
+
+    return {
+      suggestionId: `local:category:${DEFAULT_FACTOR.category}`,
+      label: 'Generic consumer product',
+      co2ePerKg: DEFAULT_FACTOR.co2ePerKg,
+      dataQuality: DATA_QUALITY.default
+    };
+  },
+
+  estimate: async (suggestion, weightData) => {
+    const weightInKg = convertToKg(weightData.value, weightData.unit);
+    const co2e = parseFloat((weightInKg * suggestion.co2ePerKg).toFixed(3));
+
+    logger.info('Local emission factor estimate calculated', {
+      co2e,
+      dataQuality: suggestion.dataQuality,
+      suggestionId: suggestion.suggestionId
+    });
+
+    return {
+      co2e,
+      dataQuality: suggestion.dataQuality,
+      suggestionId: suggestion.suggestionId
+    };
+  }
+};
@@ -0,0 +1,131 @@
+import { convertToKg } from './rating.js';
+import { findMaterialFactor } from './localFactors.js';
+import { CATEGORY_FACTORS, DEFAULT_FACTOR } from '../config/emissionFactors.js';
+
+// Scraped detail rows that usually list the composition ("Fabric Type", "Material Composition", ...)
+const COMPOSITION_DETAIL_KEYS = /material|fabric|composition/i;
+
+// "60% Cotton", "Cotton 60%", "60 % recycled polyester"
+const PERCENT_FIRST = /(\d+(?:\.\d+)?)\s*%\s*([a-z][a-z -]*[a-z])/gi;
+const PERCENT_LAST = /([a-z][a-z -]*[a-z])\s*(\d+(?:\.\d+)?)\s*%/gi;
+
+const round = (value, digits = 3) => parseFloat(value.toFixed(digits));
+
+/**
+ * Scale fractions so they sum to 1, dropping empty and non-positive entries
+ */
+const normalize = (entries) => {
+  const valid = entries.filter(e => e.material && e.fraction > 0);
+  const total = valid.reduce((sum, e) => sum + e.fraction, 0);
+  if (total <= 0) return [];
+  return valid.map(e => ({ material: e.material.trim().toLowerCase(), fraction: e.fraction / total }));
+};
+
+/**
+ * Parse "60% Cotton, 40% Polyester" style text into mass fractions
+ */
+export const parseCompositionText = (text) => {
+  if (!text) return [];
+  const str = String(text);
+
+  let entries = [...str.matchAll(PERCENT_FIRST)]
+    .map(m => ({ material: m[2], fraction: parseFloat(m[1]) / 100 }));
+  if (entries.length === 0) {
+    entries = [...str.matchAll(PERCENT_LAST)]
+      .map(m => ({ material: m[1], fraction: parseFloat(m[2]) / 100 }));
+  }
+
+  return normalize(entries);
+};
+
+/**
+ * Work out per-material mass fractions for a product.
+ * Percentages listed in the scraped details table win, then the fractions
+ * Gemini returned, then an equal split across the cleaned materials.
+ * Returns { basis: 'details' | 'gemini' | 'equal_split' | 'none', composition }
+ */
+export const resolveMaterialComposition = (cleanedData, scrapedData = {}) => {
+  const details = scrapedData.details || {};
+  const listed = Object.entries(details)
+    .filter(([key]) => COMPOSITION_DETAIL_KEYS.test(key))
+    .flatMap(([, value]) => parseCompositionText(value));
+  if (listed.length > 0) {
+    return { basis: 'details', composition: normalize(listed) };
+  }
+
+  if (Array.isArray(cleanedData.materialComposition)) {
+    const fromGemini = normalize(cleanedData.materialComposition.map(e => ({
+      material: e?.material,
+      fraction: parseFloat(e?.fraction)
+    })));
+    if (fromGemini.length > 0) {
+      return { basis: 'gemini', composition: fromGemini };
+    }
+  }
+
+  const materials = (cleanedData.materials || []).filter(m => m && m.toLowerCase() !== 'unknown');
+  if (materials.length > 0) {
+    return {
+      basis: 'equal_split',
+      composition: normalize(materials.map(material => ({ material, fraction: 1 })))
+    };
+  }
+
+  return { basis: 'none', composition: [] };
+};
+
+/**
+ * Emission factor for one material: bundled material factor, else the
+ * product's category factor, else the generic default
+ */
+const factorForMaterial = (material, category) => {
+  const materialFactor = findMaterialFactor(material);
+  if (materialFactor) {
+    return { co2ePerKg: materialFactor.co2ePerKg, factorSource: 'material' };
+  }
+  const categoryFactor = CATEGORY_FACTORS.find(f => f.pattern.test(category || ''));
+  if (categoryFactor) {
+    return { co2ePerKg: categoryFactor.co2ePerKg, factorSource: 'category' };
+  }
+  return { co2ePerKg: DEFAULT_FACTOR.co2ePerKg, factorSource: 'default' };
+};
+
+/**
+ * Per-material breakdown of a product's footprint `totalCo2e`. Each material
+ * is weighted by its mass (fraction x product weight) times its emission
+ * factor, and the weights are scaled so the breakdown adds up to
+ * `totalCo2e`, whichever provider supplied it (`co2ePerKg` is scaled with
+ * them). Without a total, the unscaled factor estimate is returned.
+ * Returns [{ material, fraction, kg, co2ePerKg, co2e, factorSource }]
+ */
+export const calculateMaterialBreakdown = (cleanedData, composition, totalCo2e = null) => {
+  const weightInKg = convertToKg(cleanedData.weight.value, cleanedData.weight.unit);
+
+  const rows = composition.map(({ material, fraction }) => ({
+    material,
+    fraction,
+    kg: weightInKg * fraction,
+    ...factorForMaterial(material, cleanedData.category)
+  }));
+  const estimated = rows.reduce((sum, row) => sum + row.kg * row.co2ePerKg, 0);
+  const scaled = totalCo2e != null && estimated > 0;
+  const scale = scaled ? totalCo2e / estimated : 1;
+
+  const breakdown = rows.map(({ material, fraction, kg, co2ePerKg, factorSource }) => ({
+    material,
+    fraction: round(fraction),
+    kg: round(kg),
+    co2ePerKg: round(co2ePerKg * scale),
+    co2e: round(kg * co2ePerKg * scale),
+    factorSource
+  }));
+
+  // Put the rounding remainder on the largest share so the rows add up exactly
+  if (scaled) {
+    const largest = breakdown.reduce((max, row) => (row.co2e > max.co2e ? row : max));
+    const sum = breakdown.reduce((total, row) => total + row.co2e, 0);
+    largest.co2e = round(largest.co2e + round(totalCo2e) - sum);
+  }
+
+  return breakdown;
+};
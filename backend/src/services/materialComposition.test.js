@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { calculateMaterialBreakdown, parseCompositionText, resolveMaterialComposition } from './materialComposition.js';
+
+const sum = (breakdown) => breakdown.reduce((total, row) => total + row.co2e, 0);
+
+test('percentages in the details table set the composition', () => {
+  const result = resolveMaterialComposition(
+    { materials: ['cotton', 'polyester'], materialComposition: [{ material: 'cotton', fraction: 0.5 }] },
+    { details: { 'Fabric Type': '60% Cotton, 40% Recycled Polyester' } }
+  );
+  assert.deepEqual(result, {
+    basis: 'details',
+    composition: [{ material: 'cotton', fraction: 0.6 }, { material: 'recycled polyester', fraction: 0.4 }]
+  });
+});
+
+test('without listed percentages Gemini\'s fractions are used, normalized to 1', () => {
+  const result = resolveMaterialComposition({
+    materials: ['steel', 'plastic'],
+    materialComposition: [{ material: 'Steel', fraction: 0.6 }, { material: 'plastic', fraction: '0.2' }, { material: 'rubber', fraction: 0 }]
+  });
+  assert.equal(result.basis, 'gemini');
+  assert.deepEqual(result.composition.map(e => e.material), ['steel', 'plastic']);
+  assert.ok(Math.abs(result.composition[0].fraction - 0.75) < 1e-9);
+});
+
+test('known materials are split equally when no fractions are given, and unknown ones are dropped', () => {
+  assert.deepEqual(resolveMaterialComposition({ materials: ['glass', 'cork', 'unknown'] }), {
+    basis: 'equal_split',
+    composition: [{ material: 'glass', fraction: 0.5 }, { material: 'cork', fraction: 0.5 }]
+  });
+  assert.deepEqual(resolveMaterialComposition({ materials: ['unknown'] }), { basis: 'none', composition: [] });
+});
+
+test('"Cotton 95%" reads like "95% Cotton"', () => {
+  assert.deepEqual(parseCompositionText('Cotton 95%, Elastane 5%'), [
+    { material: 'cotton', fraction: 0.95 },
+    { material: 'elastane', fraction: 0.05 }
+  ]);
+});
+
+test('the material breakdown adds up to the footprint, whichever provider supplied it', () => {
+  const cleanedData = { weight: { value: 545, unit: 'g' }, category: 'Kitchen' };
+  const composition = [{ material: 'stainless steel', fraction: 0.85 }, { material: 'plastic', fraction: 0.15 }];
+
+  [3.111, 7.4, 0.52].forEach(co2e => {
+    const breakdown = calculateMaterialBreakdown(cleanedData, composition, co2e);
+    assert.ok(Math.abs(sum(breakdown) - co2e) < 1e-9, `breakdown of ${co2e} adds up to ${sum(breakdown)}`);
+    breakdown.forEach(row => assert.ok(Math.abs(row.co2e - row.kg * row.co2ePerKg) < 0.01, row.material));
+  });
+});
+
+test('each material keeps its factor-weighted share of the footprint', () => {
+  const cleanedData = { weight: { value: 1, unit: 'kg' }, category: 'Kitchen' };
+  const composition = [{ material: 'aluminum', fraction: 0.5 }, { material: 'glass', fraction: 0.5 }];
+
+  // 9.2 and 0.9 kg CO2e/kg for half a kilo each: 4.6 + 0.45 at the factors
+  const [aluminum, glass] = calculateMaterialBreakdown(cleanedData, composition, 10.1);
+  assert.equal(aluminum.co2e, 9.2);
+  assert.equal(glass.co2e, 0.9);
+  assert.equal(aluminum.factorSource, 'material');
+});
+
+test('without a total the breakdown is the factor estimate', () => {
+  const [row] = calculateMaterialBreakdown({ weight: { value: 2, unit: 'kg' }, category: 'Home' }, [{ material: 'bamboo', fraction: 1 }]);
+  assert.deepEqual(row, { material: 'bamboo', fraction: 1, kg: 2, co2ePerKg: 1.2, co2e: 2.4, factorSource: 'material' });
+});
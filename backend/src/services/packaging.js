@@ -0,0 +1,70 @@
+import { PACKAGING } from '../config/lifecycleFactors.js';
+import { parseWeightKg } from '../utils/weight.js';
+import { parseDimensionsM } from '../utils/dimensions.js';
+
+const round = (value) => parseFloat(value.toFixed(3));
+const clampScore = (value) => Math.max(0, Math.min(100, Math.round(value)));
+
+/**
+ * Mass of the product's own package: { kg, basis }
+ * basis: 'package_weight' | 'package_dimensions' | 'estimate'
+ */
+const packageMass = (weightInKg, scraped) => {
+  // "Package Dimensions" often carries the weight too ("10 x 5 x 3 inches; 1.2 Pounds")
+  const packageWeight = parseWeightKg(scraped.packageWeight) ?? parseWeightKg(scraped.packageDimensions);
+  if (packageWeight && packageWeight > weightInKg) {
+    return { kg: Math.max(packageWeight - weightInKg, PACKAGING.minKg), basis: 'package_weight' };
+  }
+
+  const box = parseDimensionsM(scraped.packageDimensions);
+  if (box) {
+    const surfaceM2 = 2 * (box.l * box.w + box.l * box.h + box.w * box.h);
+    return { kg: Math.max(surfaceM2 * PACKAGING.boardKgPerM2, PACKAGING.minKg), basis: 'package_dimensions' };
+  }
+
+  return { kg: Math.max(weightInKg * PACKAGING.massRatio, PACKAGING.minKg), basis: 'estimate' };
+};
+
+/**
+ * Packaging of a product, kept apart from the product's own footprint:
+ * mass, emissions, the waste it leaves and a 0-100 sub-score.
+ * @param {number} weightInKg - Product weight
+ * @param {Object} scraped - scrapedData.packaging: { type, packageDimensions, packageWeight }
+ * @returns {{ type, typeBasis, basis, kg, co2e, waste: { recyclableKg, nonRecyclableKg, recyclableShare }, score }}
+ *   typeBasis is 'listing' when the page named the packaging type, else 'default' (standard)
+ */
+export const estimatePackaging = (weightInKg, scraped) => {
+  scraped = scraped || {};
+  const listedType = Object.hasOwn(PACKAGING.types, scraped.type) ? scraped.type : null;
+  const type = listedType || 'standard';
+  const profile = PACKAGING.types[type];
+
+  const { kg: packageKg, basis } = packageMass(weightInKg, scraped);
+  const overboxKg = profile.overbox ? packageKg * PACKAGING.overbox.massRatio : 0;
+  const plasticKg = packageKg * profile.plasticShare + overboxKg * PACKAGING.overbox.plasticShare;
+  const kg = packageKg + overboxKg;
+  const cardboardKg = kg - plasticKg;
+
+  const co2e = cardboardKg * PACKAGING.co2ePerKg.cardboard + plasticKg * PACKAGING.co2ePerKg.plastic;
+  const recyclableShare = kg > 0 ? cardboardKg / kg : 1;
+
+  const { score: weights } = PACKAGING;
+  const ratioPenalty = Math.min((kg / weightInKg) * weights.ratioPenaltyPerKg, weights.maxRatioPenalty);
+  const score = clampScore(100 - ratioPenalty -
+    (1 - recyclableShare) * weights.nonRecyclablePenalty +
+    (profile.overbox ? 0 : weights.ownPackageBonus));
+
+  return {
+    type,
+    typeBasis: listedType ? 'listing' : 'default',
+    basis,
+    kg: round(kg),
+    co2e: round(co2e),
+    waste: {
+      recyclableKg: round(cardboardKg),
+      nonRecyclableKg: round(plasticKg),
+      recyclableShare: round(recyclableShare)
+    },
+    score
+  };
+};
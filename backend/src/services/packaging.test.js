@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { estimatePackaging } from './packaging.js';
+
+test('a package weight above the product weight gives the package mass', () => {
+  const packaging = estimatePackaging(0.544, {
+    type: 'frustration_free',
+    packageDimensions: '10.5 x 3.4 x 3.3 inches; 1.4 Pounds'
+  });
+  assert.deepEqual(packaging, {
+    type: 'frustration_free',
+    typeBasis: 'listing',
+    basis: 'package_weight',
+    kg: 0.091,
+    co2e: 0.082,
+    waste: { recyclableKg: 0.091, nonRecyclableKg: 0, recyclableShare: 1 },
+    score: 85
+  });
+});
+
+test('reads package weights with thousands separators', () => {
+  const packaging = estimatePackaging(1, { type: 'frustration_free', packageWeight: '1,200 g' });
+  assert.equal(packaging.basis, 'package_weight');
+  assert.equal(packaging.kg, 0.2);
+});
+
+test('without a heavier package weight, a box of the package dimensions', () => {
+  const packaging = estimatePackaging(1, { type: 'frustration_free', packageDimensions: '30 x 20 x 10 cm; 800 Gramm' });
+  assert.equal(packaging.basis, 'package_dimensions');
+  assert.equal(packaging.kg, 0.11);
+});
+
+test('without package details, a share of the product weight in a standard box', () => {
+  const packaging = estimatePackaging(2, null);
+  assert.equal(packaging.type, 'standard');
+  assert.equal(packaging.typeBasis, 'default');
+  assert.equal(packaging.basis, 'estimate');
+  // 0.2 kg package plus a 0.12 kg overbox, a quarter of it plastic void fill
+  assert.equal(packaging.kg, 0.32);
+  assert.equal(packaging.waste.nonRecyclableKg, 0.06);
+  assert.ok(packaging.waste.recyclableShare < 1);
+});
+
+test('never less than the minimum package mass', () => {
+  assert.equal(estimatePackaging(0.05, { type: 'ships_in_product_packaging' }).kg, 0.05);
+});
+
+test('own packaging scores above a standard overboxed shipment', () => {
+  const own = estimatePackaging(1, { type: 'frustration_free' });
+  const standard = estimatePackaging(1, { type: 'standard' });
+  assert.ok(own.score > standard.score);
+  assert.ok(own.co2e < standard.co2e);
+});
+
+test('unknown packaging types count as standard', () => {
+  const packaging = estimatePackaging(1, { type: 'gift_wrap' });
+  assert.equal(packaging.type, 'standard');
+  assert.equal(packaging.typeBasis, 'default');
+});
@@ -0,0 +1,161 @@
+import crypto from 'crypto';
+import PlantState from '../models/PlantState.js';
+
+/**
+ * Plant-state fields synced between devices, each resolved independently
+ * by last-writer-wins on its `fieldUpdatedAt` timestamp
+ */
+export const SYNC_FIELDS = [
+  'currentFrame',
+  'totalPurchases',
+  'sustainablePurchases',
+  'totalCartItems',
+  'sustainableCartItems',
+  'cartItems'
+];
+
+export const HISTORY_LIMIT = 500;
+
+const toTime = (value) => {
+  const time = new Date(value).getTime();
+  return Number.isFinite(time) ? time : 0;
+};
+
+// Orders older than this are past shopping, not today's: like imported
+// purchases they are counted but do not move the plant (the extension's
+// CONFIG.PLANT.RECENT_PURCHASE_DAYS)
+export const RECENT_PURCHASE_DAYS = 7;
+
+/**
+ * Whether a purchase moves the plant: one made now does, and so does an
+ * order-details page of a recent order. An old order, or a details page
+ * without an order date, is counted with the frame unchanged.
+ */
+export const movesPlant = (source, purchasedAt) => {
+  if (purchasedAt === undefined || purchasedAt === null) return source !== 'order_details';
+  return Date.now() - new Date(purchasedAt).getTime() <= RECENT_PURCHASE_DAYS * 24 * 60 * 60 * 1000;
+};
+
+const FRAME = PlantState.schema.path('currentFrame').options;
+
+/**
+ * Update pipeline for PlantState.findOneAndUpdate (with upsert) that counts
+ * purchases in one atomic write, so concurrent purchases for a user cannot
+ * overwrite each other: moves the frame by `frameChange` (clamped), adds to
+ * the totals and appends `events` to the history, oldest first.
+ *
+ * Only fields a device has already synced are stamped as changed `at`:
+ * until then the server does not know the garden it is adding to, and the
+ * device's first sync must replace its value (see mergeClientState).
+ */
+export const countPurchasesUpdate = ({ frameChange = 0, purchases, sustainablePurchases, events, at = new Date() }) => {
+  const changed = ['totalPurchases', 'sustainablePurchases', ...(frameChange !== 0 ? ['currentFrame'] : [])];
+  const stamps = Object.fromEntries(changed.map(field => [
+    `fieldUpdatedAt.${field}`,
+    { $cond: [{ $ifNull: [`$fieldUpdatedAt.${field}`, false] }, at, '$$REMOVE'] }
+  ]));
+
+  return [{
+    $set: {
+      currentFrame: {
+        $min: [FRAME.max, { $max: [FRAME.min, { $add: [{ $ifNull: ['$currentFrame', FRAME.default] }, frameChange] }] }]
+      },
+      totalPurchases: { $add: [{ $ifNull: ['$totalPurchases', 0] }, purchases] },
+      sustainablePurchases: { $add: [{ $ifNull: ['$sustainablePurchases', 0] }, sustainablePurchases] },
+      history: {
+        $slice: [{
+          $sortArray: {
+            // $literal: client-supplied event IDs must not be read as field paths
+            input: { $concatArrays: [{ $ifNull: ['$history', []] }, { $literal: events }] },
+            sortBy: { timestamp: 1 }
+          }
+        }, -HISTORY_LIMIT]
+      },
+      ...stamps,
+      lastUpdated: at,
+      createdAt: { $ifNull: ['$createdAt', at] },
+      updatedAt: at
+    }
+  }];
+};
+
+/**
+ * Key identifying a history event across devices
+ */
+const historyKey = (entry) => {
+  return entry.eventId || `${toTime(entry.timestamp)}:${entry.rating}:${entry.frameChange}`;
+};
+
+/**
+ * Union of two histories by event, oldest first, capped at HISTORY_LIMIT
+ */
+export const mergeHistory = (serverHistory = [], clientHistory = []) => {
+  const byKey = new Map();
+  [...serverHistory, ...clientHistory].forEach(entry => {
+    if (!entry || !entry.rating) return;
+    const key = historyKey(entry);
+    if (!byKey.has(key)) {
+      byKey.set(key, {
+        eventId: entry.eventId || crypto.randomUUID(),
+        rating: entry.rating,
+        frameChange: entry.frameChange,
+        timestamp: new Date(entry.timestamp || Date.now())
+      });
+    }
+  });
+
+  return [...byKey.values()]
+    .sort((a, b) => a.timestamp - b.timestamp)
+    .slice(-HISTORY_LIMIT);
+};
+
+/**
+ * Apply a client's sync payload to a PlantState document in place.
+ * payload: { fields: { [field]: { value, updatedAt } }, history: [...] }
+ * Client timestamps in the future are clamped to now so a skewed clock
+ * cannot pin a field forever. A field no device has synced yet (unstamped on
+ * the server) takes the client's value even if the client never stamped it:
+ * that is an existing garden being uploaded for the first time.
+ */
+export const mergeClientState = (plantState, payload = {}) => {
+  const now = Date.now();
+  const fields = payload.fields || {};
+
+  SYNC_FIELDS.forEach(field => {
+    const incoming = fields[field];
+    if (!incoming || incoming.value === undefined) return;
+
+    const clientTime = Math.min(toTime(incoming.updatedAt), now);
+    const serverStamp = plantState.fieldUpdatedAt.get(field);
+    if (!serverStamp || clientTime > toTime(serverStamp)) {
+      plantState.set(field, incoming.value);
+      plantState.fieldUpdatedAt.set(field, new Date(clientTime || now));
+    }
+  });
+
+  if (Array.isArray(payload.history)) {
+    plantState.history = mergeHistory(plantState.history, payload.history);
+  }
+
+  return plantState;
+};
+
+/**
+ * The sync payload for a PlantState document (same shape the client sends)
+ */
+export const toSyncPayload = (plantState) => {
+  const fields = {};
+  SYNC_FIELDS.forEach(field => {
+    fields[field] = {
+      value: plantState.get(field),
+      updatedAt: plantState.fieldUpdatedAt.get(field) || null
+    };
+  });
+
+  return {
+    fields,
+    history: plantState.history.map(({ eventId, rating, frameChange, timestamp }) => ({
+      eventId, rating, frameChange, timestamp
+    }))
+  };
+};
@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import PlantState from '../models/PlantState.js';
+import { countPurchasesUpdate, mergeClientState, movesPlant, toSyncPayload } from './plantSync.js';
+
+const field = (value, updatedAt = null) => ({ value, updatedAt });
+
+test('a new plant starts at the same frame as a new install', () => {
+  assert.equal(new PlantState({ userId: 'user_a' }).currentFrame, 50);
+});
+
+test('counting a purchase is one pipeline update with the frame clamped', () => {
+  const [{ $set: set }] = countPurchasesUpdate({ frameChange: 15, purchases: 2, sustainablePurchases: 2, events: [] });
+
+  assert.deepEqual(set.currentFrame, { $min: [100, { $max: [0, { $add: [{ $ifNull: ['$currentFrame', 50] }, 15] }] }] });
+  assert.deepEqual(set.totalPurchases, { $add: [{ $ifNull: ['$totalPurchases', 0] }, 2] });
+});
+
+test('purchases counted before the first sync leave the fields unstamped', () => {
+  const at = new Date('2026-03-01T10:00:00.000Z');
+  const [{ $set: set }] = countPurchasesUpdate({ frameChange: 15, purchases: 1, sustainablePurchases: 0, events: [], at });
+
+  assert.deepEqual(set['fieldUpdatedAt.currentFrame'], { $cond: [{ $ifNull: ['$fieldUpdatedAt.currentFrame', false] }, at, '$$REMOVE'] });
+  assert.ok(set['fieldUpdatedAt.totalPurchases']);
+});
+
+test('an import leaves the frame and its stamp alone', () => {
+  const [{ $set: set }] = countPurchasesUpdate({ purchases: 3, sustainablePurchases: 1, events: [] });
+
+  assert.equal(set['fieldUpdatedAt.currentFrame'], undefined);
+  assert.deepEqual(set.currentFrame.$min[1].$max[1].$add[1], 0);
+});
+
+test('history events are written as literals, not expressions', () => {
+  const events = [{ eventId: 'order:111-1:B07FZ8S74R', rating: 'A', frameChange: 15, timestamp: new Date() }];
+  const [{ $set: set }] = countPurchasesUpdate({ frameChange: 15, purchases: 1, sustainablePurchases: 1, events });
+
+  assert.deepEqual(set.history.$slice[0].$sortArray.input.$concatArrays[1], { $literal: events });
+});
+
+test('the first sync uploads an existing garden, stamped or not', () => {
+  const plantState = new PlantState({ userId: 'user_a', currentFrame: 65, totalPurchases: 1 });
+
+  mergeClientState(plantState, {
+    fields: { currentFrame: field(80, '2026-03-01T10:00:00.000Z'), totalPurchases: field(4) }
+  });
+
+  assert.equal(plantState.currentFrame, 80);
+  assert.equal(plantState.totalPurchases, 4);
+  assert.ok(plantState.fieldUpdatedAt.get('totalPurchases') instanceof Date);
+});
+
+test('once synced, an unstamped client value no longer wins', () => {
+  const plantState = new PlantState({ userId: 'user_a' });
+  mergeClientState(plantState, { fields: { currentFrame: field(70, '2026-03-01T10:00:00.000Z') } });
+
+  plantState.currentFrame = 85;
+  plantState.fieldUpdatedAt.set('currentFrame', new Date('2026-03-01T11:00:00.000Z'));
+  mergeClientState(plantState, { fields: { currentFrame: field(50) } });
+  mergeClientState(plantState, { fields: { currentFrame: field(60, '2026-03-01T10:30:00.000Z') } });
+
+  assert.equal(plantState.currentFrame, 85);
+});
+
+test('only purchases made now or on recent orders move the plant', () => {
+  const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+
+  assert.equal(movesPlant('order_confirmation', undefined), true);
+  assert.equal(movesPlant(undefined, undefined), true);
+  assert.equal(movesPlant('order_details', daysAgo(2)), true);
+  assert.equal(movesPlant('order_details', daysAgo(30)), false);
+  assert.equal(movesPlant('manual', daysAgo(30)), false);
+  assert.equal(movesPlant('order_details', undefined), false);
+});
@@ -0,0 +1,288 @@
+import mongoose from 'mongoose';
+import Product from '../models/Product.js';
+import { cleanProductData, estimateCarbonFootprint } from './gemini.js';
+import { calculateCarbonFootprint } from './emissionProviders.js';
+import { calculateRating, convertToKg } from './rating.js';
+import { calculateComponentScores } from './componentScores.js';
+import { resolveMaterialComposition, calculateMaterialBreakdown } from './materialComposition.js';
+import { calculateLifecycleBreakdown } from './lifecycle.js';
+import { estimatePackaging } from './packaging.js';
+import { estimateTransportEmissions } from './transport.js';
+import { recordRatingHistory } from './ratingHistory.js';
+import { detectClaims, verifyCertifications } from './certifications.js';
+import { analyzeClaims, withoutVagueClaims } from './claimAnalysis.js';
+import { SCORING_POLICY, getGradePolicy } from '../config/scoringPolicy.js';
+import { resolveMarketplace } from '../config/marketplaces.js';
+import { logger } from '../utils/logger.js';
+
+const CACHE_TTL_MS = (parseFloat(process.env.PRODUCT_CACHE_TTL_DAYS) || 30) * 24 * 60 * 60 * 1000;
+const MAX_RATING_HISTORY = 20;
+
+/**
+ * Compare dotted version strings numerically ('1.10' > '1.9').
+ * Returns a negative number, zero, or a positive number like a sort comparator.
+ */
+export const compareVersions = (a, b) => {
+  const pa = String(a).split('.').map(n => parseInt(n) || 0);
+  const pb = String(b).split('.').map(n => parseInt(n) || 0);
+  for (let i = 0; i < Math.max(pa.length, pb.length); i++) {
+    const diff = (pa[i] || 0) - (pb[i] || 0);
+    if (diff !== 0) return diff;
+  }
+  return 0;
+};
+
+/**
+ * Why a cached product must be re-analyzed, or null if it is still fresh
+ * - 'outdated_version': analyzed under an older scoring policy version
+ * - 'expired': footprint older than PRODUCT_CACHE_TTL_DAYS
+ */
+export const getStaleReason = (product) => {
+  const analysisVersion = product.metadata?.analysisVersion || '0';
+  if (compareVersions(analysisVersion, SCORING_POLICY.version) < 0) {
+    return 'outdated_version';
+  }
+
+  const calculatedAt = product.carbonFootprint?.calculatedAt;
+  if (!calculatedAt || Date.now() - new Date(calculatedAt).getTime() > CACHE_TTL_MS) {
+    return 'expired';
+  }
+
+  return null;
+};
+
+/**
+ * Why a cached product should be re-analyzed for this request, or null to reuse it.
+ * ASINs are shared across storefronts, but shipping is not: a product last
+ * analyzed on another marketplace is re-analyzed ('marketplace'). A product
+ * analyzed from a partial scrape (a search result, cart or order line: title
+ * and price only) is re-analyzed once its product page is scraped
+ * ('full_listing').
+ */
+export const getRefreshReason = (existingProduct, forceRefresh, scrapedData) => {
+  if (!existingProduct) return null;
+  if (forceRefresh) return 'refresh';
+  if ((existingProduct.marketplace || 'us') !== resolveMarketplace(scrapedData).id) return 'marketplace';
+  if (existingProduct.metadata?.scrapedData?.partial && !scrapedData.partial) return 'full_listing';
+  return getStaleReason(existingProduct);
+};
+
+/**
+ * Scraped data to (re-)analyze a product from: a partial scrape does not
+ * replace the product page a cached product on the same marketplace was
+ * analyzed from, so that page is analyzed again instead
+ */
+export const listingToAnalyze = (scrapedData, existingProduct) => {
+  const stored = existingProduct?.metadata?.scrapedData;
+  if (!scrapedData.partial || !stored || stored.partial) return scrapedData;
+  return resolveMarketplace(stored).id === resolveMarketplace(scrapedData).id ? stored : scrapedData;
+};
+
+/**
+ * MongoDB filter matching products that may be stale (confirm with getStaleReason)
+ */
+export const staleProductsFilter = () => ({
+  'metadata.scrapedData': { $exists: true },
+  $or: [
+    { 'metadata.analysisVersion': { $ne: SCORING_POLICY.version } },
+    { 'carbonFootprint.calculatedAt': { $lt: new Date(Date.now() - CACHE_TTL_MS) } },
+    { 'carbonFootprint.calculatedAt': { $exists: false } }
+  ]
+});
+
+/**
+ * Look up a previously analyzed product by ASIN.
+ * Returns null when MongoDB is not connected or the query fails.
+ */
+export const findCachedProduct = async (asin) => {
+  if (mongoose.connection.readyState !== 1) return null;
+
+  try {
+    return await Product.findOne({ asin: asin.toUpperCase() });
+  } catch (dbError) {
+    logger.warn('Database query failed, proceeding without cache', { error: dbError.message });
+    return null;
+  }
+};
+
+/**
+ * Look up many previously analyzed products at once, keyed by uppercase ASIN
+ */
+export const findCachedProducts = async (asins) => {
+  const cached = new Map();
+  if (mongoose.connection.readyState !== 1 || asins.length === 0) return cached;
+
+  try {
+    const products = await Product.find({ asin: { $in: asins.map(a => a.toUpperCase()) } });
+    products.forEach(p => cached.set(p.asin, p));
+  } catch (dbError) {
+    logger.warn('Database query failed, proceeding without cache', { error: dbError.message });
+  }
+  return cached;
+};
+
+/**
+ * Run the full analysis pipeline (Gemini cleaning -> emission providers -> rating)
+ * on scraped product data and return an unsaved product object
+ */
+export const analyzeScrapedProduct = async (scrapedData) => {
+  // Step 1: Clean data with Gemini. Grading reads the listing without its
+  // unsubstantiated eco-claims, so vague marketing terms cannot move the grade.
+  const claimAnalysis = analyzeClaims(scrapedData);
+  const gradingData = withoutVagueClaims(scrapedData);
+  logger.info('Cleaning product data with Gemini', { asin: scrapedData.asin });
+  const geminiData = await cleanProductData(gradingData);
+
+  // Per-material mass fractions, used by the local factor provider and the breakdown
+  const { basis: compositionBasis, composition } = resolveMaterialComposition(geminiData, gradingData);
+  const cleanedData = { ...geminiData, materialComposition: composition };
+
+  // Step 2: Calculate carbon footprint (provider chain, Gemini fallback)
+  logger.info('Calculating carbon footprint', { asin: scrapedData.asin });
+  let carbonResult = await calculateCarbonFootprint(cleanedData);
+
+  // Fallback to Gemini if every provider fails or has low quality
+  if (carbonResult.useFallback) {
+    logger.warn('Using Gemini fallback for carbon estimation', { asin: scrapedData.asin });
+    const geminiEstimate = await estimateCarbonFootprint(cleanedData);
+    carbonResult = {
+      co2e: geminiEstimate.estimatedCO2e,
+      dataQuality: null,
+      source: 'gemini_estimate',
+      fallbackReason: carbonResult.reason
+    };
+  }
+
+  // Step 3: Calculate rating (the product's footprint plus its line-haul
+  // freight per kg, less the reductions for verified certifications)
+  const certifications = verifyCertifications(scrapedData.certifications ?? detectClaims(scrapedData), {
+    category: `${cleanedData.category || ''} ${scrapedData.category || ''}`,
+    title: cleanedData.cleanedTitle || scrapedData.title,
+    materials: cleanedData.materials
+  });
+  const marketplace = resolveMarketplace(scrapedData);
+  const weightInKg = convertToKg(cleanedData.weight.value, cleanedData.weight.unit);
+  const packaging = estimatePackaging(weightInKg, scrapedData.packaging);
+  const transport = estimateTransportEmissions(
+    weightInKg + packaging.kg,
+    scrapedData.shipping,
+    scrapedData.details,
+    marketplace.id
+  );
+
+  const rating = calculateRating(carbonResult.co2e, weightInKg, certifications, transport.lineHaulCo2e);
+  const materialBreakdown = calculateMaterialBreakdown(cleanedData, composition, carbonResult.co2e);
+  const lifecycle = calculateLifecycleBreakdown(carbonResult.co2e, cleanedData, transport.co2e, packaging.co2e);
+
+  // Step 4: Calculate overall sustainability score (0-100) and component scores
+  // Convert grade to 0-100 scale for frontend
+  const overallScore = getGradePolicy(rating.grade)?.overallScore ?? 50;
+
+  // Component scores, each with the factors that moved it
+  const components = calculateComponentScores(overallScore, cleanedData, gradingData, certifications);
+
+  // Step 5: Create product object with frontend-compatible format
+  const productData = {
+    asin: scrapedData.asin.toUpperCase(),
+    title: cleanedData.cleanedTitle,
+    brand: scrapedData.brand || 'Unknown',
+    marketplace: marketplace.id,
+    weight: cleanedData.weight,
+    materials: cleanedData.materials,
+    category: cleanedData.category,
+    certifications,
+    claimAnalysis,
+    packaging,
+    carbonFootprint: {
+      co2e: carbonResult.co2e,
+      dataQuality: carbonResult.dataQuality,
+      source: carbonResult.source,
+      suggestionId: carbonResult.suggestionId,
+      fallbackReason: carbonResult.fallbackReason,
+      materialBreakdown,
+      compositionBasis,
+      transport,
+      lifecycle,
+      calculatedAt: new Date()
+    },
+    rating: rating,
+    // Frontend expects these fields at top level
+    overallScore: Math.round(overallScore),
+    environmental: components.environmental.score,
+    social: components.social.score,
+    economic: components.economic.score,
+    scoreBreakdown: {
+      environmental: { base: components.environmental.base, factors: components.environmental.factors },
+      social: { base: components.social.base, factors: components.social.factors },
+      economic: { base: components.economic.base, factors: components.economic.factors }
+    },
+    metadata: {
+      scrapedData: scrapedData,
+      cleanedData: cleanedData,
+      lastUpdated: new Date(),
+      analysisVersion: SCORING_POLICY.version
+    }
+  };
+
+  return productData;
+};
+
+/**
+ * Snapshot of a product's current rating, kept when it is re-analyzed
+ */
+const ratingSnapshot = (product, reason) => ({
+  grade: product.rating?.grade,
+  score: product.rating?.score,
+  overallScore: product.overallScore,
+  co2e: product.carbonFootprint?.co2e,
+  source: product.carbonFootprint?.source,
+  dataQuality: product.carbonFootprint?.dataQuality,
+  analysisVersion: product.metadata?.analysisVersion,
+  calculatedAt: product.carbonFootprint?.calculatedAt,
+  replacedAt: new Date(),
+  reason
+});
+
+/**
+ * Save an analyzed product when MongoDB is connected.
+ * When `existingProduct` (a cached document) is given it is updated in place
+ * and its previous rating is pushed onto `ratingHistory` with `reason`.
+ * Every saved rating is also recorded in the ProductRatingHistory audit trail.
+ * Returns the saved document, or the plain object if it could not be saved.
+ */
+export const saveAnalyzedProduct = async (productData, existingProduct = null, reason = null) => {
+  const { asin } = productData;
+  const grade = productData.rating.grade;
+
+  // Save to database only if MongoDB is connected
+  let product = productData;
+  if (mongoose.connection.readyState === 1) {
+    try {
+      if (existingProduct) {
+        existingProduct.ratingHistory.push(ratingSnapshot(existingProduct, reason));
+        if (existingProduct.ratingHistory.length > MAX_RATING_HISTORY) {
+          existingProduct.ratingHistory.splice(0, existingProduct.ratingHistory.length - MAX_RATING_HISTORY);
+        }
+        existingProduct.set(productData);
+        product = await existingProduct.save();
+        logger.info('Product re-analyzed and updated in database', {
+          asin,
+          rating: grade,
+          previousRating: existingProduct.ratingHistory.at(-1).grade,
+          reason
+        });
+      } else {
+        const productDoc = new Product(productData);
+        product = await productDoc.save();
+        logger.info('Product analyzed and saved to database', { asin, rating: grade });
+      }
+      await recordRatingHistory(productData, reason || 'initial');
+    } catch (dbError) {
+      logger.warn('Failed to save to database, returning data without caching', { error: dbError.message });
+    }
+  } else {
+    logger.info('Product analyzed (no database)', { asin, rating: grade });
+  }
+
+  return product;
+};
@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { compareVersions, getRefreshReason, getStaleReason, listingToAnalyze } from './productAnalysis.js';
+import { SCORING_POLICY } from '../config/scoringPolicy.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const cachedProduct = ({ version = SCORING_POLICY.version, ageDays = 1, marketplace = 'us', scrapedData } = {}) => ({
+  marketplace,
+  metadata: { analysisVersion: version, scrapedData },
+  carbonFootprint: { calculatedAt: ageDays === null ? undefined : new Date(Date.now() - ageDays * DAY_MS) }
+});
+
+test('versions compare numerically, part by part', () => {
+  assert.ok(compareVersions('1.10', '1.9') > 0);
+  assert.ok(compareVersions('1.9', '1.11') < 0);
+  assert.ok(compareVersions('2.0', '1.11') > 0);
+  assert.equal(compareVersions('1.11', '1.11.0'), 0);
+});
+
+test('a rating from an older policy version is outdated', () => {
+  assert.equal(getStaleReason(cachedProduct({ version: '1.9' })), 'outdated_version');
+  assert.equal(getStaleReason({ carbonFootprint: { calculatedAt: new Date() } }), 'outdated_version');
+});
+
+test('a rating older than the cache TTL, or without a calculation date, is expired', () => {
+  assert.equal(getStaleReason(cachedProduct({ ageDays: 31 })), 'expired');
+  assert.equal(getStaleReason(cachedProduct({ ageDays: null })), 'expired');
+});
+
+test('a recent rating from the current version is fresh', () => {
+  assert.equal(getStaleReason(cachedProduct({ ageDays: 29 })), null);
+});
+
+test('?refresh=true re-analyzes a fresh product, and nothing is refreshed without one', () => {
+  const scrapedData = { asin: 'B08N5WRWNW', marketplace: 'us' };
+  assert.equal(getRefreshReason(cachedProduct(), true, scrapedData), 'refresh');
+  assert.equal(getRefreshReason(cachedProduct(), false, scrapedData), null);
+  assert.equal(getRefreshReason(null, true, scrapedData), null);
+});
+
+test('a product analyzed on another marketplace is re-analyzed', () => {
+  assert.equal(getRefreshReason(cachedProduct({ marketplace: 'de' }), false, { asin: 'B08N5WRWNW', marketplace: 'us' }), 'marketplace');
+});
+
+const productPage = { asin: 'B08N5WRWNW', title: 'Stainless Steel Water Bottle', details: { 'Item Weight': '12 ounces' }, marketplace: 'us' };
+const searchResult = { asin: 'B08N5WRWNW', title: 'Stainless Steel Water Bottle', details: {}, partial: true, marketplace: 'us' };
+
+test('a product rated from a search result is re-analyzed once its product page is scraped', () => {
+  const fromSearch = cachedProduct({ scrapedData: searchResult });
+
+  assert.equal(getRefreshReason(fromSearch, false, productPage), 'full_listing');
+  assert.equal(getRefreshReason(fromSearch, false, searchResult), null);
+  assert.equal(getRefreshReason(cachedProduct({ scrapedData: productPage }), false, searchResult), null);
+});
+
+test('a partial scrape never replaces the product page a product was analyzed from', () => {
+  const fromPage = cachedProduct({ version: '1.9', scrapedData: productPage });
+
+  assert.equal(listingToAnalyze(searchResult, fromPage), productPage);
+  assert.equal(listingToAnalyze(productPage, cachedProduct({ scrapedData: searchResult })), productPage);
+  assert.equal(listingToAnalyze(searchResult, cachedProduct({ scrapedData: searchResult })), searchResult);
+  assert.equal(listingToAnalyze(searchResult, null), searchResult);
+  // The stored page is from another storefront, whose shipping does not apply
+  assert.equal(listingToAnalyze(searchResult, cachedProduct({ scrapedData: { ...productPage, marketplace: 'de' } })), searchResult);
+});
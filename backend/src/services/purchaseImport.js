@@ -0,0 +1,176 @@
+import Purchase from '../models/Purchase.js';
+import Product from '../models/Product.js';
+import PlantState from '../models/PlantState.js';
+import { SCORING_POLICY, isSustainableGrade } from '../config/scoringPolicy.js';
+import { countPurchasesUpdate } from './plantSync.js';
+import { logger } from '../utils/logger.js';
+
+export const MAX_IMPORT_PURCHASES = 500;
+
+const GRADES = SCORING_POLICY.grades.map(g => g.grade);
+
+/**
+ * Validate one imported purchase and shape it as a Purchase document with
+ * the rating and footprint of the stored Product for its ASIN (the client's
+ * values are not trusted), or return null if it cannot be recorded
+ * @param {Map<string, Object>} products - stored products by uppercase ASIN
+ */
+const toPurchaseDoc = (userId, raw, products) => {
+  if (!raw || typeof raw.idempotencyKey !== 'string' || !raw.idempotencyKey) return null;
+  if (typeof raw.asin !== 'string' || !raw.asin.trim()) return null;
+  const product = products.get(raw.asin.trim().toUpperCase());
+  if (!product || !GRADES.includes(product.rating?.grade)) return null;
+
+  const purchaseDate = new Date(raw.purchasedAt);
+  if (isNaN(purchaseDate.getTime()) || purchaseDate.getTime() > Date.now()) return null;
+
+  const quantity = raw.quantity === undefined ? 1 : Number(raw.quantity);
+  if (!Number.isInteger(quantity) || quantity < 1) return null;
+
+  const footprint = product.carbonFootprint || {};
+  return {
+    userId,
+    asin: product.asin,
+    productTitle: product.title || 'Unknown Product',
+    rating: { grade: product.rating.grade, score: product.rating.score },
+    carbonFootprint: {
+      co2e: footprint.co2e,
+      transportCo2e: footprint.transport?.co2e,
+      source: footprint.source
+    },
+    // Imported purchases are a baseline and never moved the plant
+    frameChange: 0,
+    quantity,
+    source: 'order_import',
+    idempotencyKey: raw.idempotencyKey.slice(0, 200),
+    orderId: raw.orderId,
+    purchaseDate
+  };
+};
+
+/**
+ * Insert purchases, skipping keys that already exist (including ones a
+ * concurrent request inserted first). Returns the inserted documents.
+ */
+const insertNewPurchases = async (userId, docs) => {
+  const existing = await Purchase.find(
+    { userId, idempotencyKey: { $in: docs.map(d => d.idempotencyKey) } },
+    { idempotencyKey: 1 }
+  ).lean();
+  const seen = new Set(existing.map(p => p.idempotencyKey));
+
+  const fresh = docs.filter(doc => {
+    if (seen.has(doc.idempotencyKey)) return false;
+    seen.add(doc.idempotencyKey);
+    return true;
+  });
+  if (fresh.length === 0) return [];
+
+  try {
+    return await Purchase.insertMany(fresh, { ordered: false });
+  } catch (error) {
+    const writeErrors = error.writeErrors || [];
+    if (writeErrors.length > 0 && writeErrors.every(e => (e.code ?? e.err?.code) === 11000)) {
+      return error.insertedDocs || [];
+    }
+    throw error;
+  }
+};
+
+/**
+ * Record a batch of past purchases (from the order-history importer) as
+ * backdated Purchase records. They count towards the purchase totals and
+ * history but leave the plant's frame alone. Only ASINs the backend has
+ * rated can be imported, with that rating.
+ * Returns { imported, duplicates, skipped, skippedKeys, plantState }
+ * (skippedKeys: idempotency keys of the entries that could not be recorded)
+ */
+export const importPurchases = async (userId, rawPurchases) => {
+  const asins = [...new Set(rawPurchases
+    .filter(raw => raw && typeof raw.asin === 'string')
+    .map(raw => raw.asin.trim().toUpperCase()))];
+  const stored = await Product.find({ asin: { $in: asins } }, { asin: 1, title: 1, rating: 1, carbonFootprint: 1 }).lean();
+  const products = new Map(stored.map(product => [product.asin, product]));
+
+  const checked = rawPurchases.map(raw => ({ raw, doc: toPurchaseDoc(userId, raw, products) }));
+  const docs = checked.map(c => c.doc).filter(Boolean);
+  const skippedKeys = checked
+    .filter(c => !c.doc && c.raw && typeof c.raw.idempotencyKey === 'string')
+    .map(c => c.raw.idempotencyKey);
+  const inserted = await insertNewPurchases(userId, docs);
+
+  let plantState = null;
+  if (inserted.length > 0) {
+    // One atomic write, like live purchases, so an import cannot overwrite them
+    try {
+      plantState = await PlantState.findOneAndUpdate(
+        { userId },
+        countPurchasesUpdate({
+          purchases: inserted.reduce((sum, p) => sum + p.quantity, 0),
+          sustainablePurchases: inserted
+            .filter(p => isSustainableGrade(p.rating.grade))
+            .reduce((sum, p) => sum + p.quantity, 0),
+          events: inserted.map(purchase => ({
+            eventId: purchase.idempotencyKey,
+            rating: purchase.rating.grade,
+            frameChange: 0,
+            timestamp: purchase.purchaseDate
+          }))
+        }),
+        { upsert: true, new: true, timestamps: false }
+      );
+    } catch (error) {
+      // Keep the keys retryable: purchases only count once the plant is updated
+      await Purchase.deleteMany({ _id: { $in: inserted.map(p => p._id) } });
+      throw error;
+    }
+  } else {
+    plantState = await PlantState.findOne({ userId });
+  }
+
+  logger.info('Order history imported', {
+    userId,
+    received: rawPurchases.length,
+    imported: inserted.length
+  });
+
+  return {
+    imported: inserted.length,
+    duplicates: docs.length - inserted.length,
+    skipped: rawPurchases.length - docs.length,
+    skippedKeys,
+    plantState
+  };
+};
+
+/**
+ * A user's footprint for one calendar year of recorded purchases
+ * (product + transport CO2e, times quantity)
+ */
+export const summarizePurchaseYear = async (userId, year) => {
+  const purchases = await Purchase.find({
+    userId,
+    purchaseDate: { $gte: new Date(Date.UTC(year, 0, 1)), $lt: new Date(Date.UTC(year + 1, 0, 1)) }
+  }).lean();
+
+  const gradeDistribution = Object.fromEntries(GRADES.map(grade => [grade, 0]));
+  let totalCO2e = 0;
+  let items = 0;
+
+  purchases.forEach(purchase => {
+    const quantity = purchase.quantity || 1;
+    const footprint = purchase.carbonFootprint || {};
+    totalCO2e += ((footprint.co2e || 0) + (footprint.transportCo2e || 0)) * quantity;
+    items += quantity;
+    if (purchase.rating?.grade in gradeDistribution) gradeDistribution[purchase.rating.grade] += quantity;
+  });
+
+  return {
+    year,
+    orders: new Set(purchases.map(p => p.orderId).filter(Boolean)).size,
+    items,
+    totalCO2e: parseFloat(totalCO2e.toFixed(2)),
+    averageCO2ePerItem: items > 0 ? parseFloat((totalCO2e / items).toFixed(2)) : null,
+    gradeDistribution
+  };
+};
@@ -1,47 +1,51 @@
 import { logger } from '../utils/logger.js';
+import { getGradePolicy, gradeFromCo2ePerKg, frameChangeForGrade } from '../config/scoringPolicy.js';
+import { getCertification, MAX_SCORE_REDUCTION } from '../config/certifications.js';
 
 /**
  * Calculate sustainability rating based on CO2e per kg
  *
- * Rating Scale (Updated for better distribution):
+ * Thresholds and frame changes come from the shared scoring policy
+ * (config/scoringPolicy.js):
  * A: < 1 kg CO2e/kg (Excellent)
  * B: 1-3 kg CO2e/kg (Good)
  * C: 3-6 kg CO2e/kg (Average)
  * D: 6-12 kg CO2e/kg (Poor)
  * E: > 12 kg CO2e/kg (Very Poor)
+ *
+ * Verified certifications (services/certifications.js) reduce the score by
+ * their catalog `scoreReduction`, together at most MAX_SCORE_REDUCTION
+ * (config/certifications.js). `baseScore` is the score before that.
+ *
+ * `lineHaulCo2e` is the freight that scales with the parcel's mass
+ * (transport.lineHaulCo2e from services/transport.js); per kg it adds
+ * `transportScore`, so overseas air freight and expedited delivery lower the
+ * grade. The fixed per-parcel last mile is left out: per kg of a light
+ * product it would grade the parcel. Certifications do not reduce freight.
  */
-export const calculateRating = (co2e, weightInKg) => {
-  const score = co2e / weightInKg;
+export const calculateRating = (co2e, weightInKg, certifications = [], lineHaulCo2e = 0) => {
+  const productScore = co2e / weightInKg;
+  const transportScore = lineHaulCo2e / weightInKg;
+  const baseScore = productScore + transportScore;
 
-  let grade, description, frameChange;
+  const adjustments = certifications
+    .filter(c => c.verified)
+    .map(c => ({ certification: c.name, reduction: getCertification(c.id)?.scoreReduction || 0 }))
+    .filter(a => a.reduction > 0);
+  const reduction = Math.min(adjustments.reduce((sum, a) => sum + a.reduction, 0), MAX_SCORE_REDUCTION);
+  const score = productScore * (1 - reduction) + transportScore;
 
-  if (score < 1) {
-    grade = 'A';
-    description = 'Excellent - Low carbon footprint';
-    frameChange = 15;
-  } else if (score < 3) {
-    grade = 'B';
-    description = 'Good - Below average emissions';
-    frameChange = 10;
-  } else if (score < 6) {
-    grade = 'C';
-    description = 'Average - Moderate carbon impact';
-    frameChange = 0;
-  } else if (score < 12) {
-    grade = 'D';
-    description = 'Poor - High carbon emissions';
-    frameChange = -15;
-  } else {
-    grade = 'E';
-    description = 'Very Poor - Significant environmental impact';
-    frameChange = -20;
-  }
+  const grade = gradeFromCo2ePerKg(score);
+  const { description, frameChange } = getGradePolicy(grade);
 
-  logger.info('Rating calculated', { grade, score, frameChange });
+  logger.info('Rating calculated', { grade, score, baseScore, transportScore, reduction, frameChange });
 
   return {
     grade,
     score: parseFloat(score.toFixed(2)),
+    baseScore: parseFloat(baseScore.toFixed(2)),
+    transportScore: parseFloat(transportScore.toFixed(2)),
+    adjustments,
     description,
     frameChange
   };
@@ -65,14 +69,7 @@ export const getRatingColor = (grade) => {
  * Get frame progression for plant animation
  */
 export const getFrameProgression = (grade) => {
-  const progressions = {
-    'A': 15,
-    'B': 10,
-    'C': 0,
-    'D': -15,
-    'E': -20
-  };
-  return progressions[grade];
+  return frameChangeForGrade(grade);
 };
 
 /**
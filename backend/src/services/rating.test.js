@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { calculateRating } from './rating.js';
+import { estimateTransportEmissions } from './transport.js';
+
+// 1 kg product at 0.8 kg CO2e/kg (grade A before shipping), 50 g of packaging
+const rate = (shipping, marketplace = 'us') => {
+  const transport = estimateTransportEmissions(1.05, shipping, {}, marketplace);
+  return calculateRating(0.8, 1, [], transport.lineHaulCo2e);
+};
+
+test('line-haul freight is part of the score, the last mile is not', () => {
+  const transport = estimateTransportEmissions(1.05, { shipsFrom: 'Amazon' }, {}, 'us');
+  assert.ok(transport.lineHaulCo2e > 0);
+  assert.ok(transport.lineHaulCo2e < transport.co2e);
+
+  const rating = calculateRating(0.8, 1, [], transport.lineHaulCo2e);
+  assert.equal(rating.transportScore, parseFloat(transport.lineHaulCo2e.toFixed(2)));
+  assert.equal(rating.score, parseFloat((0.8 + transport.lineHaulCo2e).toFixed(2)));
+});
+
+test('one-day delivery can lower the grade', () => {
+  assert.equal(rate({ shipsFrom: 'Amazon', deliveryDays: 5 }).grade, 'A');
+  assert.equal(rate({ shipsFrom: 'Amazon', deliveryDays: 1 }).grade, 'B');
+});
+
+test('an overseas seller shipping by air can lower the grade', () => {
+  assert.equal(rate({ shipsFrom: 'Shenzhen, China', deliveryDays: 10 }).grade, 'E');
+  assert.equal(rate({ shipsFrom: 'Germany', deliveryDays: 10 }, 'de').grade, 'A');
+});
+
+test('a light product is not graded on its parcel', () => {
+  // 20 g bamboo item at 2 kg CO2e/kg: the last mile alone would be 10 kg CO2e/kg
+  const transport = estimateTransportEmissions(0.03, { shipsFrom: 'Amazon' }, {}, 'us');
+  assert.equal(calculateRating(0.04, 0.02, [], transport.lineHaulCo2e).grade, 'B');
+});
+
+test('certifications reduce the product footprint but not the freight', () => {
+  const rating = calculateRating(5, 1, [{ id: 'fsc', name: 'FSC', verified: true }], 1);
+  assert.equal(rating.baseScore, 6);
+  assert.equal(rating.score, 5.5);
+  assert.equal(rating.transportScore, 1);
+});
@@ -0,0 +1,111 @@
+import ProductRatingHistory from '../models/ProductRatingHistory.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Record a computed rating and its inputs in the audit trail.
+ * Failures are logged and swallowed: the audit trail must never block a rating.
+ */
+export const recordRatingHistory = async (productData, trigger = 'initial') => {
+  try {
+    await ProductRatingHistory.create({
+      asin: productData.asin,
+      rating: productData.rating,
+      overallScore: productData.overallScore,
+      environmental: productData.environmental,
+      social: productData.social,
+      economic: productData.economic,
+      carbonFootprint: {
+        co2e: productData.carbonFootprint.co2e,
+        dataQuality: productData.carbonFootprint.dataQuality,
+        source: productData.carbonFootprint.source,
+        suggestionId: productData.carbonFootprint.suggestionId,
+        fallbackReason: productData.carbonFootprint.fallbackReason
+      },
+      inputs: {
+        cleanedData: productData.metadata?.cleanedData,
+        scrapedTitle: productData.metadata?.scrapedData?.title,
+        marketplace: productData.marketplace,
+        certifications: (productData.certifications || []).filter(c => c.verified).map(c => c.id)
+      },
+      analysisVersion: productData.metadata?.analysisVersion,
+      trigger,
+      calculatedAt: productData.carbonFootprint.calculatedAt
+    });
+  } catch (error) {
+    logger.warn('Failed to record rating history', { asin: productData.asin, error: error.message });
+  }
+};
+
+const sameList = (a = [], b = []) => {
+  return a.length === b.length && a.every((item, i) => item === b[i]);
+};
+
+/**
+ * Human-readable reasons why `current` differs from the `previous` entry
+ */
+export const explainRatingChange = (previous, current) => {
+  const changes = [];
+  const prevCarbon = previous.carbonFootprint || {};
+  const currCarbon = current.carbonFootprint || {};
+  const prevInputs = previous.inputs?.cleanedData || {};
+  const currInputs = current.inputs?.cleanedData || {};
+
+  if (previous.rating?.grade !== current.rating?.grade) {
+    changes.push(`Grade changed from ${previous.rating?.grade} to ${current.rating?.grade}`);
+  }
+  if (previous.analysisVersion !== current.analysisVersion) {
+    changes.push(`Scoring policy updated from version ${previous.analysisVersion} to ${current.analysisVersion}`);
+  }
+  if (prevCarbon.source !== currCarbon.source) {
+    const because = currCarbon.fallbackReason ? ` (${currCarbon.fallbackReason})` : '';
+    changes.push(`Carbon data source changed from ${prevCarbon.source} to ${currCarbon.source}${because}`);
+  } else if (prevCarbon.suggestionId !== currCarbon.suggestionId && currCarbon.suggestionId) {
+    changes.push('The emission provider matched a different emission factor');
+  }
+  if (prevCarbon.co2e !== currCarbon.co2e) {
+    changes.push(`Carbon footprint changed from ${prevCarbon.co2e} to ${currCarbon.co2e} kg CO2e`);
+  }
+  if (prevInputs.weight && currInputs.weight &&
+      (prevInputs.weight.value !== currInputs.weight.value || prevInputs.weight.unit !== currInputs.weight.unit)) {
+    changes.push(`Weight changed from ${prevInputs.weight.value} ${prevInputs.weight.unit} to ${currInputs.weight.value} ${currInputs.weight.unit}`);
+  }
+  if (prevInputs.materials && currInputs.materials && !sameList(prevInputs.materials, currInputs.materials)) {
+    changes.push(`Materials changed from ${prevInputs.materials.join(', ')} to ${currInputs.materials.join(', ')}`);
+  }
+  if (prevInputs.category && currInputs.category && prevInputs.category !== currInputs.category) {
+    changes.push(`Category changed from ${prevInputs.category} to ${currInputs.category}`);
+  }
+  const prevMarketplace = previous.inputs?.marketplace;
+  const currMarketplace = current.inputs?.marketplace;
+  if (prevMarketplace && currMarketplace && prevMarketplace !== currMarketplace) {
+    changes.push(`Analyzed on a different marketplace (${prevMarketplace} to ${currMarketplace}), which changes shipping distances`);
+  }
+  const prevCertifications = previous.inputs?.certifications;
+  const currCertifications = current.inputs?.certifications;
+  if (prevCertifications && currCertifications && !sameList(prevCertifications, currCertifications)) {
+    const list = (ids) => (ids.length > 0 ? ids.join(', ') : 'none');
+    changes.push(`Verified certifications changed from ${list(prevCertifications)} to ${list(currCertifications)}`);
+  }
+
+  return changes;
+};
+
+/**
+ * Rating history for a product, newest first, each entry annotated with
+ * the changes relative to the rating before it
+ */
+export const getRatingHistory = async (asin, limit) => {
+  // Fetch one extra entry so the oldest returned entry can be explained too
+  const entries = await ProductRatingHistory.find({ asin: asin.toUpperCase() })
+    .sort({ calculatedAt: -1 })
+    .limit(limit + 1)
+    .lean();
+
+  return entries.slice(0, limit).map((entry, i) => {
+    const previous = entries[i + 1];
+    return {
+      ...entry,
+      changes: previous ? explainRatingChange(previous, entry) : []
+    };
+  });
+};
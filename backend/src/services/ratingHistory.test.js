@@ -0,0 +1,66 @@
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import ProductRatingHistory from '../models/ProductRatingHistory.js';
+import { explainRatingChange, recordRatingHistory } from './ratingHistory.js';
+import { toDataQuality } from './climatiq.js';
+
+const entry = ({ grade = 'B', co2e = 2.5, source = 'climatiq', fallbackReason, weight = { value: 1, unit: 'kg' }, materials = ['steel'] } = {}) => ({
+  rating: { grade },
+  analysisVersion: '1.11',
+  carbonFootprint: { co2e, source, fallbackReason, suggestionId: 'steel-bottle' },
+  inputs: { cleanedData: { weight, materials, category: 'Kitchen' }, marketplace: 'us', certifications: [] }
+});
+
+test('an unchanged rating has nothing to explain', () => {
+  assert.deepEqual(explainRatingChange(entry(), entry()), []);
+});
+
+test('a grade change is explained', () => {
+  assert.deepEqual(explainRatingChange(entry({ grade: 'B' }), entry({ grade: 'C' })), ['Grade changed from B to C']);
+});
+
+test('a change of data source names the reason the first provider was not used', () => {
+  const changes = explainRatingChange(entry(), entry({ source: 'local_factors', fallbackReason: 'poor_data_quality' }));
+  assert.deepEqual(changes, ['Carbon data source changed from climatiq to local_factors (poor_data_quality)']);
+});
+
+test('weight and material changes are explained with their values', () => {
+  const changes = explainRatingChange(
+    entry(),
+    entry({ co2e: 1.8, weight: { value: 750, unit: 'g' }, materials: ['steel', 'silicone'] })
+  );
+  assert.deepEqual(changes, [
+    'Carbon footprint changed from 2.5 to 1.8 kg CO2e',
+    'Weight changed from 1 kg to 750 g',
+    'Materials changed from steel to steel, silicone'
+  ]);
+});
+
+test('Climatiq\'s data quality ratings are stored as numbers or null', () => {
+  assert.equal(toDataQuality(2), 2);
+  assert.equal(toDataQuality('1.5'), 1.5);
+  assert.equal(toDataQuality('bad'), 3);
+  assert.equal(toDataQuality(undefined), null);
+  assert.equal(toDataQuality('unknown'), null);
+});
+
+test('a rating with a string data quality from Climatiq is still recorded', async () => {
+  const recorded = [];
+  const create = mock.method(ProductRatingHistory, 'create', async (fields) => {
+    const error = new ProductRatingHistory(fields).validateSync();
+    if (error) throw error;
+    recorded.push(fields);
+  });
+  try {
+    await recordRatingHistory({
+      asin: 'B08N5WRWNW',
+      rating: { grade: 'D', score: 8 },
+      carbonFootprint: { co2e: 8, dataQuality: toDataQuality('bad'), source: 'climatiq', calculatedAt: new Date() },
+      metadata: { analysisVersion: '1.11' }
+    });
+    assert.equal(recorded.length, 1);
+    assert.equal(recorded[0].carbonFootprint.dataQuality, 3);
+  } finally {
+    create.mock.restore();
+  }
+});
@@ -0,0 +1,114 @@
+import { SHIPPING } from '../config/lifecycleFactors.js';
+import { DEFAULT_MARKETPLACE } from '../config/marketplaces.js';
+
+const SPEEDS = Object.keys(SHIPPING.speeds);
+
+// Third-party sellers taking this long are usually shipping direct from abroad
+const DIRECT_IMPORT_MIN_DAYS = 8;
+
+const COUNTRY_OF_ORIGIN_KEYS = /country of origin|made in/i;
+
+const round = (value) => parseFloat(value.toFixed(3));
+
+/**
+ * Normalize the scraped delivery speed, deriving it from the day count if needed
+ */
+export const resolveDeliverySpeed = (shipping = {}) => {
+  if (SPEEDS.includes(shipping.deliverySpeed)) return shipping.deliverySpeed;
+
+  const days = shipping.deliveryDays;
+  if (typeof days !== 'number' || days < 0) return 'standard';
+  if (days === 0) return 'same_day';
+  if (days === 1) return 'one_day';
+  if (days === 2) return 'two_day';
+  return 'standard';
+};
+
+/**
+ * Shipping distances for a marketplace (config/marketplaces.js id)
+ */
+const getMarket = (marketplaceId) => {
+  return SHIPPING.markets[marketplaceId] || SHIPPING.markets[DEFAULT_MARKETPLACE.id];
+};
+
+/**
+ * Region a location text points to, relative to the marketplace:
+ * { region: 'domestic' } for the marketplace's own country, a foreign
+ * region with its distance, or undefined if nothing matches
+ */
+const findOrigin = (text, market) => {
+  if (!text) return undefined;
+  if (market.homePattern.test(text)) return { region: 'domestic', internationalKm: 0 };
+  const origin = SHIPPING.origins.find(o => o.pattern.test(text));
+  return origin ? { region: origin.region, internationalKm: market.regionKm[origin.region] } : undefined;
+};
+
+/**
+ * Where an order ships from. Returns { region, internationalKm, basis }
+ * (region 'domestic' with internationalKm 0 for local warehouses).
+ */
+export const resolveShippingOrigin = (shipping = {}, details = {}, marketplaceId = DEFAULT_MARKETPLACE.id) => {
+  const market = getMarket(marketplaceId);
+  const domestic = (basis) => ({ region: 'domestic', internationalKm: 0, basis });
+
+  const fromShipsFrom = findOrigin(shipping.shipsFrom, market);
+  if (fromShipsFrom) {
+    return { ...fromShipsFrom, basis: 'ships_from' };
+  }
+
+  // Amazon-fulfilled orders leave a domestic fulfillment center
+  if (/amazon/i.test(shipping.shipsFrom || '')) {
+    return domestic('amazon_fulfilled');
+  }
+
+  // A slow third-party delivery of an imported product is shipped direct from abroad
+  const originText = Object.entries(details)
+    .filter(([key]) => COUNTRY_OF_ORIGIN_KEYS.test(key))
+    .map(([, value]) => value)
+    .join(' ');
+  const fromOriginCountry = findOrigin(originText, market);
+  if (shipping.shipsFrom && fromOriginCountry && fromOriginCountry.internationalKm > 0 &&
+    shipping.deliveryDays >= DIRECT_IMPORT_MIN_DAYS) {
+    return { ...fromOriginCountry, basis: 'country_of_origin' };
+  }
+
+  return domestic(shipping.shipsFrom ? 'third_party_domestic' : 'default');
+};
+
+/**
+ * Transport emissions from the ship-from location to the customer.
+ * `shippedKg` includes packaging. Returns the co2e plus the assumptions used.
+ * `lineHaulCo2e` is the part that scales with the parcel's mass (the
+ * international and domestic legs); the rest is the fixed last mile.
+ */
+export const estimateTransportEmissions = (shippedKg, shipping = {}, details = {}, marketplaceId = DEFAULT_MARKETPLACE.id) => {
+  const market = getMarket(marketplaceId);
+  const speed = resolveDeliverySpeed(shipping);
+  const origin = resolveShippingOrigin(shipping, details, marketplaceId);
+  const { domesticAirShare, lastMileCo2e } = SHIPPING.speeds[speed];
+  const factors = SHIPPING.co2ePerTonneKm;
+  const tonnes = shippedKg / 1000;
+
+  // Neighbouring countries ship by road; overseas parcels fly unless the
+  // delivery estimate only fits sea freight
+  const internationalMode = market.overlandRegions.includes(origin.region) ? 'road'
+    : origin.internationalKm > 0 && shipping.deliveryDays > SHIPPING.airFreightMaxDays ? 'sea'
+    : 'air';
+
+  const internationalCo2e = tonnes * origin.internationalKm * factors[internationalMode];
+  const domesticCo2e = tonnes * market.domesticRoadKm *
+    (domesticAirShare * factors.air + (1 - domesticAirShare) * factors.road);
+
+  return {
+    co2e: round(internationalCo2e + domesticCo2e + lastMileCo2e),
+    lineHaulCo2e: round(internationalCo2e + domesticCo2e),
+    origin: origin.region,
+    originBasis: origin.basis,
+    distanceKm: origin.internationalKm + market.domesticRoadKm,
+    marketplace: marketplaceId,
+    internationalMode: origin.internationalKm > 0 ? internationalMode : null,
+    deliverySpeed: speed,
+    shipsFrom: shipping.shipsFrom || null,
+    soldBy: shipping.soldBy || null
+  };
+};
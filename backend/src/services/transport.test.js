@@ -0,0 +1,58 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Product from '../models/Product.js';
+import { resolveDeliverySpeed, resolveShippingOrigin, estimateTransportEmissions } from './transport.js';
+
+test('derives the delivery speed from the day count', () => {
+  assert.equal(resolveDeliverySpeed({ deliverySpeed: 'two_day' }), 'two_day');
+  assert.equal(resolveDeliverySpeed({ deliveryDays: 0 }), 'same_day');
+  assert.equal(resolveDeliverySpeed({ deliveryDays: 1 }), 'one_day');
+  assert.equal(resolveDeliverySpeed({ deliveryDays: 2 }), 'two_day');
+  assert.equal(resolveDeliverySpeed({ deliveryDays: 6 }), 'standard');
+  assert.equal(resolveDeliverySpeed({}), 'standard');
+});
+
+test('resolves the shipping origin relative to the marketplace', () => {
+  assert.deepEqual(resolveShippingOrigin({ shipsFrom: 'Amazon' }), {
+    region: 'domestic', internationalKm: 0, basis: 'amazon_fulfilled'
+  });
+  assert.equal(resolveShippingOrigin({ shipsFrom: 'Shenzhen, China' }, {}, 'us').region, 'asia');
+  assert.equal(resolveShippingOrigin({ shipsFrom: 'Deutschland' }, {}, 'de').region, 'domestic');
+  assert.equal(resolveShippingOrigin({ shipsFrom: 'Germany' }, {}, 'uk').region, 'europe');
+});
+
+test('a slow third-party delivery ships from the country of origin', () => {
+  const origin = resolveShippingOrigin(
+    { shipsFrom: 'SellerCo', deliveryDays: 14 },
+    { 'Country of Origin': 'China' },
+    'us'
+  );
+  assert.deepEqual(origin, { region: 'asia', internationalKm: 11000, basis: 'country_of_origin' });
+});
+
+test('picks the international mode by region and delivery time', () => {
+  const road = estimateTransportEmissions(1, { shipsFrom: 'Germany' }, {}, 'fr');
+  assert.equal(road.internationalMode, 'road');
+
+  const sea = estimateTransportEmissions(1, { shipsFrom: 'China', deliveryDays: 30 }, {}, 'us');
+  assert.equal(sea.internationalMode, 'sea');
+
+  const air = estimateTransportEmissions(1, { shipsFrom: 'China', deliveryDays: 10 }, {}, 'us');
+  assert.equal(air.internationalMode, 'air');
+  assert.ok(air.co2e > sea.co2e);
+
+  const domestic = estimateTransportEmissions(1, { shipsFrom: 'Amazon' }, {}, 'us');
+  assert.equal(domestic.internationalMode, null);
+  assert.equal(domestic.distanceKm, 1500);
+});
+
+test('every transport estimate can be stored on a product', () => {
+  [
+    estimateTransportEmissions(2, { shipsFrom: 'Germany' }, {}, 'uk'),
+    estimateTransportEmissions(2, { shipsFrom: 'China', deliveryDays: 30 }, {}, 'de'),
+    estimateTransportEmissions(2, { shipsFrom: 'Amazon', deliveryDays: 1 }, {}, 'us')
+  ].forEach(transport => {
+    const product = new Product({ carbonFootprint: { transport } });
+    assert.equal(product.validateSync(['carbonFootprint.transport.internationalMode']), undefined);
+  });
+});
@@ -0,0 +1,53 @@
+import crypto from 'crypto';
+import { logger } from './logger.js';
+
+const TOKEN_TTL_DAYS = parseFloat(process.env.AUTH_TOKEN_TTL_DAYS) || 365;
+
+// Without a configured secret tokens only survive until the next restart
+const SECRET = process.env.AUTH_TOKEN_SECRET || (() => {
+  logger.warn('AUTH_TOKEN_SECRET is not set; using a random secret, device tokens will not survive a restart');
+  return crypto.randomBytes(32).toString('hex');
+})();
+
+const sign = (data) => crypto.createHmac('sha256', SECRET).update(data).digest('base64url');
+
+/**
+ * Issue a signed device token: base64url(payload).signature
+ */
+export const signDeviceToken = ({ userId, deviceId }) => {
+  const now = Math.floor(Date.now() / 1000);
+  const payload = Buffer.from(JSON.stringify({
+    sub: userId,
+    did: deviceId,
+    iat: now,
+    exp: now + Math.round(TOKEN_TTL_DAYS * 24 * 60 * 60)
+  })).toString('base64url');
+
+  return `${payload}.${sign(payload)}`;
+};
+
+/**
+ * Verify a device token. Returns { userId, deviceId } or null if the token
+ * is malformed, tampered with or expired.
+ */
+export const verifyDeviceToken = (token) => {
+  if (typeof token !== 'string') return null;
+
+  const [payload, signature, extra] = token.split('.');
+  if (!payload || !signature || extra !== undefined) return null;
+
+  const expected = Buffer.from(sign(payload));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  try {
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    if (!claims.sub || !claims.did) return null;
+    if (claims.exp && claims.exp < Date.now() / 1000) return null;
+    return { userId: claims.sub, deviceId: claims.did };
+  } catch {
+    return null;
+  }
+};
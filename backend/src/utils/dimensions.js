@@ -0,0 +1,35 @@
+import { parseAmount } from './price.js';
+
+/**
+ * Parse package dimensions as Amazon storefronts write them
+ * ("10 x 5 x 3 inches", "10"L x 5"W x 3"H", "25,4 x 12 x 8 cm; 500 Gramm",
+ * "1,200 x 300 x 250 mm").
+ */
+
+const UNIT_TO_M = [
+  { pattern: /^(?:"|″|inch(?:es)?|in|zoll|pouces?)$/i, m: 0.0254 },
+  { pattern: /^(?:millimet(?:er|re)s?|mm)$/i, m: 0.001 },
+  { pattern: /^(?:centimet(?:er|re)s?|zentimeter|cm)$/i, m: 0.01 },
+  { pattern: /^(?:met(?:er|re)s?|m)$/i, m: 1 }
+];
+
+const NUMBER = '(\\d[\\d.,]*)';
+const SEPARATOR = '\\s*(?:"|″)?\\s*[LWHDlwhd]?\\s*[x×]\\s*';
+const DIMENSIONS_PATTERN = new RegExp(
+  `${NUMBER}${SEPARATOR}${NUMBER}${SEPARATOR}${NUMBER}\\s*("|″|[a-zA-Zéè]+)?`
+);
+
+/**
+ * First "L x W x H" found in a text, in metres ({ l, w, h } or null). A bare
+ * inch mark ("10"L") counts as inches; without any unit nothing is returned.
+ */
+export const parseDimensionsM = (text) => {
+  const match = (text || '').match(DIMENSIONS_PATTERN);
+  if (!match) return null;
+
+  const unit = UNIT_TO_M.find(u => u.pattern.test(match[4] || ''));
+  if (!unit) return null;
+
+  const [l, w, h] = match.slice(1, 4).map(value => parseAmount(value) * unit.m);
+  return [l, w, h].every(v => Number.isFinite(v) && v > 0) ? { l, w, h } : null;
+};
@@ -0,0 +1,30 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseDimensionsM } from './dimensions.js';
+
+const roundBox = (box) => box && Object.fromEntries(Object.entries(box).map(([key, m]) => [key, Math.round(m * 10000) / 10000]));
+
+test('parses L x W x H in each unit', () => {
+  assert.deepEqual(roundBox(parseDimensionsM('10 x 5 x 2 inches')), { l: 0.254, w: 0.127, h: 0.0508 });
+  assert.deepEqual(roundBox(parseDimensionsM('30 x 20 x 10 cm')), { l: 0.3, w: 0.2, h: 0.1 });
+  assert.deepEqual(roundBox(parseDimensionsM('300 x 200 x 100 mm')), { l: 0.3, w: 0.2, h: 0.1 });
+  assert.deepEqual(roundBox(parseDimensionsM('1.2 × 0.5 × 0.4 m')), { l: 1.2, w: 0.5, h: 0.4 });
+});
+
+test('reads inch marks and side letters', () => {
+  assert.deepEqual(roundBox(parseDimensionsM('10"L x 5"W x 2"H')), { l: 0.254, w: 0.127, h: 0.0508 });
+});
+
+test('reads decimal commas and thousands separators', () => {
+  assert.deepEqual(roundBox(parseDimensionsM('25,4 x 12 x 8 cm; 500 Gramm')), { l: 0.254, w: 0.12, h: 0.08 });
+  assert.deepEqual(roundBox(parseDimensionsM('1,200 x 300 x 250 mm')), { l: 1.2, w: 0.3, h: 0.25 });
+  assert.deepEqual(roundBox(parseDimensionsM('1.200 x 300 x 250 Millimeter')), { l: 1.2, w: 0.3, h: 0.25 });
+  assert.deepEqual(roundBox(parseDimensionsM('10.5 x 3.4 x 3.3 inches; 1.4 Pounds')), { l: 0.2667, w: 0.0864, h: 0.0838 });
+});
+
+test('returns null without a unit or three sides', () => {
+  assert.equal(parseDimensionsM('10 x 5 x 3'), null);
+  assert.equal(parseDimensionsM('10 x 5 cm'), null);
+  assert.equal(parseDimensionsM('0 x 5 x 3 cm'), null);
+  assert.equal(parseDimensionsM(undefined), null);
+});
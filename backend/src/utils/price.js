@@ -0,0 +1,68 @@
+import { findMarketplaceByHostname } from '../config/marketplaces.js';
+
+/**
+ * Parse Amazon price strings ("$1,299.99", "£12.50", "12,50 €", "CDN$ 8.99")
+ * into an amount and ISO currency code.
+ */
+
+// Explicit symbols and codes, longest first so "CDN$" wins over "$"
+const CURRENCY_MARKERS = [
+  { pattern: /CDN\$|CA\$|C\$|\bCAD\b/, currency: 'CAD' },
+  { pattern: /A\$|AU\$|\bAUD\b/, currency: 'AUD' },
+  { pattern: /US\$|\bUSD\b/, currency: 'USD' },
+  { pattern: /£|\bGBP\b/, currency: 'GBP' },
+  { pattern: /€|\bEUR\b/, currency: 'EUR' },
+  { pattern: /₹|\bRs\.?|\bINR\b/, currency: 'INR' },
+  { pattern: /¥|\bJPY\b/, currency: 'JPY' }
+];
+
+const DOLLAR_CURRENCIES = ['USD', 'CAD', 'AUD'];
+
+const hostnameOf = (url) => {
+  try {
+    return new URL(url).hostname;
+  } catch {
+    return '';
+  }
+};
+
+/**
+ * Number from a localized amount: the last "," or "." followed by one or two
+ * digits is the decimal separator, every other separator groups thousands
+ * ("1,299.99", "1.299,99", "1,200" = 1200, "1,5" = 1.5)
+ */
+export const parseAmount = (text) => {
+  const digits = text.match(/\d[\d.,\s]*/);
+  if (!digits) return null;
+
+  const raw = digits[0].replace(/\s/g, '').replace(/[.,]$/, '');
+  const decimal = raw.match(/[.,](\d{1,2})$/);
+  const whole = (decimal ? raw.slice(0, -decimal[0].length) : raw).replace(/[.,]/g, '');
+  const amount = parseFloat(decimal ? `${whole}.${decimal[1]}` : whole);
+
+  return Number.isFinite(amount) ? amount : null;
+};
+
+/**
+ * Parse a price string. `url` (the product page) resolves a bare "$" and
+ * prices without a currency marker.
+ * Returns { amount, currency } or null if no positive amount is found.
+ */
+export const parsePrice = (text, url) => {
+  if (typeof text !== 'string' || !text.trim()) return null;
+
+  const amount = parseAmount(text);
+  if (!amount || amount <= 0) return null;
+
+  // A bare "$" or a number without any marker is in the storefront's currency
+  const storefront = findMarketplaceByHostname(hostnameOf(url));
+  let currency = CURRENCY_MARKERS.find(m => m.pattern.test(text))?.currency || null;
+  if (!currency && text.includes('$')) {
+    currency = storefront && DOLLAR_CURRENCIES.includes(storefront.currency) ? storefront.currency : 'USD';
+  }
+  if (!currency && storefront) {
+    currency = storefront.currency;
+  }
+
+  return currency ? { amount, currency } : null;
+};
@@ -0,0 +1,34 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseAmount, parsePrice } from './price.js';
+
+test('parseAmount tells decimal separators from thousands separators', () => {
+  assert.equal(parseAmount('1,299.99'), 1299.99);
+  assert.equal(parseAmount('1.299,99'), 1299.99);
+  assert.equal(parseAmount('1,200'), 1200);
+  assert.equal(parseAmount('1.200'), 1200);
+  assert.equal(parseAmount('1,5'), 1.5);
+  assert.equal(parseAmount('1 299,00'), 1299);
+  assert.equal(parseAmount('no digits'), null);
+});
+
+test('parsePrice reads explicit currency markers', () => {
+  assert.deepEqual(parsePrice('$1,299.99'), { amount: 1299.99, currency: 'USD' });
+  assert.deepEqual(parsePrice('£12.50'), { amount: 12.5, currency: 'GBP' });
+  assert.deepEqual(parsePrice('12,50 €'), { amount: 12.5, currency: 'EUR' });
+  assert.deepEqual(parsePrice('CDN$ 8.99'), { amount: 8.99, currency: 'CAD' });
+  assert.deepEqual(parsePrice('₹1,499.00'), { amount: 1499, currency: 'INR' });
+});
+
+test('parsePrice resolves a bare "$" and unmarked prices from the storefront', () => {
+  assert.deepEqual(parsePrice('$24.99', 'https://www.amazon.com.au/dp/B0'), { amount: 24.99, currency: 'AUD' });
+  assert.deepEqual(parsePrice('$24.99', 'https://www.amazon.de/dp/B0'), { amount: 24.99, currency: 'USD' });
+  assert.deepEqual(parsePrice('24,99', 'https://www.amazon.fr/dp/B0'), { amount: 24.99, currency: 'EUR' });
+  assert.equal(parsePrice('24.99'), null);
+});
+
+test('parsePrice rejects empty and zero prices', () => {
+  assert.equal(parsePrice(''), null);
+  assert.equal(parsePrice('$0.00'), null);
+  assert.equal(parsePrice(undefined), null);
+});
@@ -0,0 +1,30 @@
+import { parseAmount } from './price.js';
+
+/**
+ * Parse product weights as Amazon storefronts write them
+ * ("1.2 pounds", "1,2 kg", "1,200 g", "500 Gramm", "350 grammes", "12 oz").
+ */
+
+// Longest spellings first so "kilogramm" is not read as "g"
+const UNIT_TO_KG = [
+  { pattern: /^(?:kilogramm[e]?s?|kilograms?|kilos?|kg)$/i, kg: 1 },
+  { pattern: /^(?:gramm[e]?s?|grams?|gr|g)$/i, kg: 0.001 },
+  { pattern: /^(?:pounds?|lbs?|pfund)$/i, kg: 0.453592 },
+  { pattern: /^(?:ounces?|oz)$/i, kg: 0.0283495 }
+];
+
+const WEIGHT_PATTERN = /(\d[\d.,]*)\s*(kilogramm[e]?s?|kilograms?|kilos?|kg|gramm[e]?s?|grams?|gr|g|pounds?|lbs?|pfund|ounces?|oz)\b/i;
+
+/**
+ * First weight found in a text, in kg (null if none). Separators are read
+ * like prices: a decimal comma is accepted ("1,2 kg") and a separator before
+ * three digits groups thousands ("1,200 g", "1.200 g").
+ */
+export const parseWeightKg = (text) => {
+  const match = (text || '').match(WEIGHT_PATTERN);
+  if (!match) return null;
+
+  const value = parseAmount(match[1]);
+  const unit = UNIT_TO_KG.find(u => u.pattern.test(match[2]));
+  return Number.isFinite(value) && unit ? value * unit.kg : null;
+};
@@ -0,0 +1,37 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseWeightKg } from './weight.js';
+
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} != ${expected}`);
+
+test('reads each storefront unit', () => {
+  close(parseWeightKg('1.2 pounds'), 1.2 * 0.453592);
+  close(parseWeightKg('12 oz'), 12 * 0.0283495);
+  close(parseWeightKg('500 Gramm'), 0.5);
+  close(parseWeightKg('350 grammes'), 0.35);
+  close(parseWeightKg('2 Kilogramm'), 2);
+});
+
+test('a comma before three digits groups thousands', () => {
+  close(parseWeightKg('1,200 g'), 1.2);
+  close(parseWeightKg('Item Weight: 2,500 Grams'), 2.5);
+});
+
+test('a dot before three digits groups thousands', () => {
+  close(parseWeightKg('1.200 g'), 1.2);
+});
+
+test('a comma before one or two digits is a decimal comma', () => {
+  close(parseWeightKg('1,5 kg'), 1.5);
+  close(parseWeightKg('0,25 kg'), 0.25);
+});
+
+test('finds the weight after package dimensions', () => {
+  close(parseWeightKg('10 x 5 x 3 inches; 1.2 Pounds'), 1.2 * 0.453592);
+});
+
+test('returns null without a weight', () => {
+  assert.equal(parseWeightKg('10 x 5 x 3 inches'), null);
+  assert.equal(parseWeightKg(''), null);
+  assert.equal(parseWeightKg(undefined), null);
+});
@@ -0,0 +1,25 @@
+/**
+ * Map over items with at most `concurrency` async calls in flight.
+ * Results keep the input order. A rejected call does not stop the pool;
+ * its slot holds `{ error }` instead of `{ value }`.
+ */
+export const mapWithConcurrency = async (items, concurrency, worker) => {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const runWorker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      try {
+        results[index] = { value: await worker(items[index], index) };
+      } catch (error) {
+        results[index] = { error };
+      }
+    }
+  };
+
+  const poolSize = Math.max(1, Math.min(concurrency, items.length));
+  await Promise.all(Array.from({ length: poolSize }, runWorker));
+
+  return results;
+};
@@ -1,10 +1,18 @@
 /**
  * BloomCart Background Service Worker
- * Direct OpenRouter/Gemini integration for product sustainability analysis
+ * Routes product sustainability analysis through the BloomCart backend
  */
 
-const OPENROUTER_API_KEY = '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';
-const OPENROUTER_URL = 'https://openrouter.ai/api/v1/chat/completions';
+import '../utils/config.js';
+import '../utils/scoring-policy.js';
+import '../utils/selector-registry.js';
+
+const CONFIG = globalThis.BloomCartConfig;
+const ScoringPolicy = globalThis.BloomCartScoringPolicy;
+const SelectorRegistry = globalThis.BloomCartSelectors;
+
+// Resolves once the synced scoring policy (if any) has been loaded from storage
+const policyReady = ScoringPolicy.load();
 
 /**
  * Listen for messages from content scripts and popup
@@ -30,6 +38,21 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     case 'trackPurchase':
       handleTrackPurchase(request.data, sendResponse);
       return true;
+    case 'recordOrder':
+      handleRecordOrder(request.data, sendResponse);
+      return true;
+    case 'importOrders':
+      handleImportOrders(request.data, sendResponse);
+      return true;
+    case 'getAlternatives':
+      handleGetAlternatives(request.data, sendResponse);
+      return true;
+    case 'getCachedRatings':
+      handleGetCachedRatings(request.data, sendResponse);
+      return true;
+    case 'rateSearchResults':
+      handleRateSearchResults(request.data, sendResponse);
+      return true;
     case 'getPlantState':
       chrome.storage.local.get(['plantState'], (r) => {
         sendResponse({ success: true, plantState: r.plantState });
@@ -41,115 +64,194 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
 });
 
 /**
- * Call OpenRouter API with Gemini model
- */
-async function callOpenRouter(prompt) {
-  const response = await fetch(OPENROUTER_URL, {
-    method: 'POST',
-    headers: {
-      'Authorization': `Bearer ${OPENROUTER_API_KEY}`,
-      'Content-Type': 'application/json',
-      'HTTP-Referer': 'https://github.com/BloomCart',
-      'X-Title': 'BloomCart Sustainability Extension'
-    },
-    body: JSON.stringify({
-      model: 'google/gemini-2.0-flash-001',
-      messages: [{ role: 'user', content: prompt }],
-      temperature: 0.4
-    })
-  });
+ * Call the BloomCart backend (POST with a JSON body, GET without one).
+ * The device token, once registered, is sent with every request.
+ * Network failures and timeouts are flagged `unreachable` so callers can
+ * tell "backend is down" apart from "backend rejected the request".
+ */
+async function callBackend(path, body) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), CONFIG.API.TIMEOUT);
+
+  const { [CONFIG.STORAGE_KEYS.AUTH_TOKEN]: authToken } =
+    await chrome.storage.local.get([CONFIG.STORAGE_KEYS.AUTH_TOKEN]);
+  const headers = authToken ? { 'Authorization': `Bearer ${authToken}` } : {};
+
+  let response;
+  try {
+    response = await fetch(`${CONFIG.API.BASE_URL}${path}`, body === undefined
+      ? { method: 'GET', headers, signal: controller.signal }
+      : {
+        method: 'POST',
+        headers: { ...headers, 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+        signal: controller.signal
+      });
+  } catch (networkError) {
+    const error = new Error(`Backend unreachable: ${networkError.message}`);
+    error.unreachable = true;
+    throw error;
+  } finally {
+    clearTimeout(timer);
+  }
 
   if (!response.ok) {
-    const errorText = await response.text();
-    console.error('BloomCart SW: OpenRouter error:', response.status, errorText);
-    throw new Error(`OpenRouter API error: ${response.status}`);
+    const errorBody = await response.json().catch(() => ({}));
+    console.error('BloomCart SW: Backend error:', response.status, errorBody);
+    if (response.status === 401 && authToken) {
+      // Token rejected (e.g. backend secret rotated): register again next time
+      await chrome.storage.local.remove(CONFIG.STORAGE_KEYS.AUTH_TOKEN);
+    }
+    const error = new Error(errorBody.error || `Backend error: ${response.status}`);
+    error.status = response.status;
+    throw error;
   }
 
-  const data = await response.json();
-  return data.choices[0].message.content;
+  return response.json();
 }
 
 /**
- * Parse JSON from AI response (handles markdown code blocks)
+ * Make sure this browser has a device token, registering it if needed.
+ * The backend issues the userId; it is stored next to the token.
  */
-function parseJSON(text) {
-  // Strip markdown code blocks if present
-  let cleaned = text.replace(/```json\s*/gi, '').replace(/```\s*/g, '').trim();
+async function ensureDeviceToken() {
+  const keys = CONFIG.STORAGE_KEYS;
+  const stored = await chrome.storage.local.get([keys.AUTH_TOKEN]);
+  if (stored[keys.AUTH_TOKEN]) return stored[keys.AUTH_TOKEN];
+
   try {
-    return JSON.parse(cleaned);
-  } catch {
-    // Try to find JSON object or array in the text
-    const match = cleaned.match(/[\[{][\s\S]*[\]}]/);
-    if (match) return JSON.parse(match[0]);
-    throw new Error('No valid JSON found in response');
+    const { token, userId } = await callBackend('/auth/register-device', {});
+    await chrome.storage.local.set({ [keys.AUTH_TOKEN]: token, [keys.USER_ID]: userId });
+    console.log('BloomCart SW: Device registered as', userId);
+    return token;
+  } catch (error) {
+    console.warn('BloomCart SW: Device registration failed:', error.message);
+    return null;
   }
 }
 
 /**
- * Analyze a single product using OpenRouter/Gemini
+ * Fetch the backend's scoring policy and store it if the version changed
  */
-async function analyzeProductWithAI(scrapedData) {
-  const prompt = `You are a sustainability expert analyzing an Amazon product. Return ONLY valid JSON with no markdown formatting.
-
-Product: ${scrapedData.title}
-Brand: ${scrapedData.brand || 'Unknown'}
-Category: ${scrapedData.category || 'General'}
-Description: ${(scrapedData.description || '').substring(0, 300)}
-
-Return this exact JSON structure:
-{"overallScore":<number 0-100>,"environmental":<number 0-100>,"social":<number 0-100>,"economic":<number 0-100>,"grade":"<A or B or C or D or E>","co2e":<estimated kg CO2e number>,"reasoning":"<1 sentence>"}
-
-IMPORTANT scoring guidelines - be realistic and varied:
-- Organic/eco-friendly/sustainable/bamboo/recycled products: 70-95 overall
-- Reusable/durable/high-quality products: 55-80 overall
-- Standard consumer goods: 35-55 overall
-- Electronics with rare earth materials: 20-50 overall
-- Fast fashion/disposable/single-use plastic: 10-35 overall
-- Grade mapping: A=80-100, B=60-79, C=40-59, D=20-39, E=0-19
-- Make environmental, social, and economic scores vary independently based on the product
-- co2e should reflect realistic carbon footprint in kg
-
-Return ONLY the JSON object, nothing else.`;
+async function syncScoringPolicy() {
+  try {
+    await policyReady;
+    const { policy } = await callBackend('/scoring-policy');
+    if (!ScoringPolicy.isValid(policy)) throw new Error('Invalid scoring policy');
+    if (policy.version === ScoringPolicy.current.version) return;
 
-  const responseText = await callOpenRouter(prompt);
-  const result = parseJSON(responseText);
+    ScoringPolicy.use(policy);
+    await chrome.storage.local.set({ [ScoringPolicy.STORAGE_KEY]: policy });
+    console.log('BloomCart SW: Scoring policy updated to version', policy.version);
+  } catch (error) {
+    console.warn('BloomCart SW: Scoring policy sync failed, keeping version',
+      ScoringPolicy.current.version, '-', error.message);
+  }
+}
 
-  // Validate
-  if (typeof result.overallScore !== 'number') throw new Error('Missing overallScore');
+/**
+ * Fetch the backend's scraper selectors and store them if the version changed.
+ * Content scripts pick up the stored registry on their next load (or live,
+ * via storage.onChanged).
+ */
+async function syncSelectorRegistry() {
+  try {
+    await SelectorRegistry.load();
+    const { registry } = await callBackend('/selectors');
+    if (!SelectorRegistry.isValid(registry)) throw new Error('Invalid selector registry');
+    if (registry.version === SelectorRegistry.current.version) return;
 
-  return result;
+    SelectorRegistry.use(registry);
+    await chrome.storage.local.set({ [SelectorRegistry.STORAGE_KEY]: registry });
+    console.log('BloomCart SW: Selector registry updated to version', registry.version);
+  } catch (error) {
+    console.warn('BloomCart SW: Selector registry sync failed, keeping version',
+      SelectorRegistry.current.version, '-', error.message);
+  }
 }
 
 /**
- * Analyze multiple cart items in a single API call
+ * Analyze a single product through the backend pipeline
+ * (Gemini cleaning -> Climatiq -> rating)
  */
-async function analyzeCartItemsWithAI(items) {
-  const itemList = items.map((item, i) => `${i + 1}. "${item.title}"`).join('\n');
+async function analyzeProductWithBackend(scrapedData) {
+  const { product } = await callBackend('/analyze-product', { scrapedData });
+  if (!product || !product.rating) throw new Error('Invalid backend response');
+  return product;
+}
 
-  const prompt = `You are a sustainability expert. Analyze these ${items.length} Amazon cart products. Return ONLY a valid JSON array with no markdown.
+/**
+ * Whether a backend error means "try again later" rather than "bad request":
+ * unreachable, rate limited (429) or failing (5xx)
+ */
+function isBackendUnavailable(error) {
+  return !!error.unreachable || error.status === 429 || error.status >= 500;
+}
 
-Products:
-${itemList}
+/**
+ * Analyze a product, falling back to the local heuristic only when the
+ * backend is unavailable
+ */
+async function analyzeItem(scrapedData) {
+  try {
+    const backendProduct = await analyzeProductWithBackend(scrapedData);
+    return fromBackendProduct(scrapedData, backendProduct);
+  } catch (error) {
+    if (!isBackendUnavailable(error)) throw error;
+    console.warn('BloomCart SW: Backend unavailable, using fallback:', error.message);
+    await policyReady;
+    return buildProduct(scrapedData, fallbackAnalysis(scrapedData));
+  }
+}
 
-Return a JSON array with exactly ${items.length} objects, one per product in order:
-[{"title":"<short title>","overallScore":<0-100>,"environmental":<0-100>,"social":<0-100>,"economic":<0-100>,"grade":"<A-E>","co2e":<kg number>,"reasoning":"<brief>"}]
+// Items per /analyze-cart call. Each uncached item takes a Gemini and an
+// emission provider call (a few seconds) and the backend analyzes three at a
+// time, so a batch this size finishes well within CONFIG.API.TIMEOUT
+const CART_REQUEST_SIZE = 6;
 
-Scoring - be realistic and VARY scores significantly between different products:
-- Organic/eco/sustainable: 70-95
-- Reusable/durable goods: 55-80
-- Standard consumer goods: 35-55
-- Electronics: 20-50
-- Fast fashion/disposable: 10-35
-- Grade: A=80-100, B=60-79, C=40-59, D=20-39, E=0-19
+/**
+ * Backend results for a list of cart items ([{ asin, product } or
+ * { asin, error }], in item order), sent in requests of CART_REQUEST_SIZE
+ * one after another. A request the backend cannot serve right now
+ * (isBackendUnavailable) leaves its items `unavailable` and the remaining
+ * requests are still sent; any other error is thrown.
+ */
+async function analyzeCartOnBackend(items) {
+  const results = [];
+  for (let i = 0; i < items.length; i += CART_REQUEST_SIZE) {
+    const batch = items.slice(i, i + CART_REQUEST_SIZE);
+    try {
+      const response = await callBackend('/analyze-cart', { items: batch });
+      results.push(...response.results);
+    } catch (error) {
+      if (!isBackendUnavailable(error)) throw error;
+      console.warn('BloomCart SW: Backend unavailable for cart items', i + 1, '-', i + batch.length, ':', error.message);
+      results.push(...batch.map(item => ({ asin: item.asin, error: error.message, unavailable: true })));
+    }
+  }
+  return results;
+}
 
-Return ONLY the JSON array.`;
+/**
+ * Analyze a whole cart through the backend, falling back to the local
+ * heuristic for the items it could not rate
+ */
+async function analyzeCart(items) {
+  await policyReady;
 
-  const responseText = await callOpenRouter(prompt);
-  return parseJSON(responseText);
+  const results = await analyzeCartOnBackend(items);
+  const cartItems = items.map((item, i) => {
+    const result = results[i];
+    if (result && result.product) return fromBackendProduct(item, result.product);
+    // The backend could not rate this item; keep it in the cart with a local estimate
+    if (result && !result.unavailable) console.warn('BloomCart SW: Backend could not analyze', item.asin, result.error);
+    return buildProduct(item, fallbackAnalysis(item));
+  });
+  return { cartItems };
 }
 
 /**
- * Fallback analysis when API fails - generates varied scores based on product title
+ * Fallback analysis when the backend is unavailable - generates varied scores based on product title
  */
 function fallbackAnalysis(scrapedData) {
   const title = (scrapedData.title || '').toLowerCase();
@@ -163,11 +265,13 @@ function fallbackAnalysis(scrapedData) {
 
   let baseScore = 42;
 
-  if (title.match(/organic|eco|sustainable|bamboo|recycl|biodegradable|compostable/)) {
+  // Only materials and product types count: marketing words ("eco", "green",
+  // "natural", "sustainable", "recyclable") do not move the estimate
+  if (title.match(/organic|bamboo|recycled|hemp/)) {
     baseScore = 78 + v1;
   } else if (title.match(/reusable|durable|stainless|glass bottle/)) {
     baseScore = 65 + v1;
-  } else if (title.match(/paper|wood|natural|hemp/)) {
+  } else if (title.match(/paper|wood|cork/)) {
     baseScore = 60 + v1;
   } else if (title.match(/cotton|linen|wool/)) {
     baseScore = 52 + v1;
@@ -201,12 +305,7 @@ function fallbackAnalysis(scrapedData) {
   const social = Math.max(5, Math.min(95, baseScore + v3));
   const economic = Math.max(5, Math.min(95, baseScore + v4));
 
-  let grade;
-  if (baseScore >= 80) grade = 'A';
-  else if (baseScore >= 60) grade = 'B';
-  else if (baseScore >= 40) grade = 'C';
-  else if (baseScore >= 20) grade = 'D';
-  else grade = 'E';
+  const grade = ScoringPolicy.gradeFromOverallScore(baseScore);
 
   const co2e = parseFloat(((100 - baseScore) * 0.08 + Math.abs(v2) * 0.1).toFixed(2));
 
@@ -222,7 +321,7 @@ function fallbackAnalysis(scrapedData) {
 }
 
 /**
- * Build a product object from analysis results
+ * Build a product object from local fallback analysis results
  */
 function buildProduct(scrapedData, analysis) {
   return {
@@ -230,12 +329,15 @@ function buildProduct(scrapedData, analysis) {
     title: scrapedData.title || analysis.title || 'Unknown Product',
     brand: scrapedData.brand || 'Unknown',
     price: scrapedData.price || '',
+    quantity: scrapedData.quantity || 1,
     overallScore: Math.max(0, Math.min(100, Math.round(analysis.overallScore))),
     environmental: Math.max(0, Math.min(100, Math.round(analysis.environmental))),
     social: Math.max(0, Math.min(100, Math.round(analysis.social))),
     economic: Math.max(0, Math.min(100, Math.round(analysis.economic))),
     grade: analysis.grade || 'C',
-    carbonFootprint: { co2e: analysis.co2e || 3, source: 'openrouter_gemini' },
+    // Not rated by the backend: shown, but never imported as a purchase
+    localEstimate: true,
+    carbonFootprint: { co2e: analysis.co2e || 3, source: 'local_estimate' },
     rating: {
       grade: analysis.grade || 'C',
       score: analysis.co2e || 3,
@@ -245,22 +347,59 @@ function buildProduct(scrapedData, analysis) {
   };
 }
 
+/**
+ * Adapt a backend Product document to the shape the UI expects
+ */
+function fromBackendProduct(scrapedData, product) {
+  return {
+    asin: product.asin || scrapedData.asin || 'unknown',
+    title: product.title || scrapedData.title || 'Unknown Product',
+    brand: product.brand || scrapedData.brand || 'Unknown',
+    price: scrapedData.price || '',
+    quantity: scrapedData.quantity || 1,
+    weight: product.weight,
+    overallScore: product.overallScore,
+    environmental: product.environmental,
+    social: product.social,
+    economic: product.economic,
+    scoreBreakdown: product.scoreBreakdown,
+    certifications: product.certifications,
+    claimAnalysis: product.claimAnalysis,
+    packaging: product.packaging,
+    grade: product.rating.grade,
+    carbonFootprint: product.carbonFootprint,
+    impactMetrics: product.impactMetrics,
+    rating: product.rating
+  };
+}
+
+/**
+ * Plant state of a new install (the backend starts a new user's plant the same way)
+ */
+function initialPlantState() {
+  return { currentFrame: CONFIG.PLANT.INITIAL_FRAME, totalPurchases: 0, sustainablePurchases: 0 };
+}
+
 function getFrameChange(grade) {
-  return { 'A': 15, 'B': 10, 'C': 0, 'D': -15, 'E': -20 }[grade] || 0;
+  return ScoringPolicy.frameChangeForGrade(grade);
 }
 
 /**
- * Store a product in the cart items list
+ * Store a product in the cart items list. Adding a product that is already
+ * in the cart adds `addedQuantity` to its quantity.
  */
-function storeCartItem(product) {
+function storeCartItem(product, addedQuantity) {
   return new Promise(resolve => {
     chrome.storage.local.get(['cartItems'], (result) => {
       const items = result.cartItems || [];
       const idx = items.findIndex(i => i.asin === product.asin);
       if (idx >= 0) {
-        items[idx] = product;
+        const quantity = addedQuantity
+          ? (items[idx].quantity || 1) + addedQuantity
+          : product.quantity || items[idx].quantity || 1;
+        items[idx] = { ...product, quantity };
       } else {
-        items.push(product);
+        items.push({ ...product, quantity: addedQuantity || product.quantity || 1 });
       }
       chrome.storage.local.set({ cartItems: items }, resolve);
     });
@@ -275,15 +414,7 @@ async function handleAnalyzeProduct(data, sendResponse) {
     const { scrapedData } = data;
     if (!scrapedData) throw new Error('Missing scraped data');
 
-    let analysis;
-    try {
-      analysis = await analyzeProductWithAI(scrapedData);
-    } catch (aiError) {
-      console.warn('BloomCart SW: AI analysis failed, using fallback:', aiError.message);
-      analysis = fallbackAnalysis(scrapedData);
-    }
-
-    const product = buildProduct(scrapedData, analysis);
+    const product = await analyzeItem(scrapedData);
 
     sendResponse({ success: true, product });
   } catch (error) {
@@ -293,35 +424,103 @@ async function handleAnalyzeProduct(data, sendResponse) {
 }
 
 /**
- * Handle adding a product to the cart - stores item and updates plant health
+ * Find better-rated alternatives for a product. `candidates` are ASINs of
+ * similar items scraped from the product page. A product the backend has
+ * not stored (e.g. analyzed offline) simply has no alternatives.
+ */
+async function handleGetAlternatives(data, sendResponse) {
+  try {
+    const { asin, candidates = [], limit = 3 } = data;
+    if (!asin) throw new Error('Missing ASIN');
+
+    const query = new URLSearchParams({ limit: String(limit) });
+    if (candidates.length > 0) query.set('candidates', candidates.slice(0, 50).join(','));
+
+    const result = await callBackend(`/alternatives/${encodeURIComponent(asin)}?${query}`);
+    sendResponse({ success: true, alternatives: result.alternatives });
+  } catch (error) {
+    if (error.status === 404) {
+      sendResponse({ success: true, alternatives: [] });
+      return;
+    }
+    console.warn('BloomCart SW: Alternatives lookup failed:', error.message);
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+// GET /api/product-ratings accepts at most this many ASINs per request
+const RATING_LOOKUP_CHUNK = 100;
+
+/**
+ * Cached grades for search results, without analyzing anything. Results the
+ * backend has not rated are simply missing from `ratings`.
+ */
+async function handleGetCachedRatings(data, sendResponse) {
+  try {
+    const { asins = [], marketplace } = data;
+    const ratings = [];
+
+    for (let i = 0; i < asins.length; i += RATING_LOOKUP_CHUNK) {
+      const query = new URLSearchParams({ asins: asins.slice(i, i + RATING_LOOKUP_CHUNK).join(',') });
+      if (marketplace) query.set('marketplace', marketplace);
+      const result = await callBackend(`/product-ratings?${query}`);
+      ratings.push(...result.ratings);
+    }
+
+    sendResponse({ success: true, ratings });
+  } catch (error) {
+    console.warn('BloomCart SW: Cached ratings lookup failed:', error.message);
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+/**
+ * Analyze search results scrolled into view. Unlike cart analysis nothing is
+ * stored locally, and there is no offline estimate: a result without a
+ * backend rating gets no badge.
+ */
+async function handleRateSearchResults(data, sendResponse) {
+  try {
+    const { items = [] } = data;
+    if (items.length === 0) {
+      sendResponse({ success: true, ratings: [] });
+      return;
+    }
+
+    const results = await analyzeCartOnBackend(items);
+    const ratings = results
+      .filter(result => result.product)
+      .map(({ asin, product }) => ({
+        asin,
+        grade: product.rating.grade,
+        score: product.rating.score,
+        overallScore: product.overallScore,
+        stale: false
+      }));
+
+    sendResponse({ success: true, ratings });
+  } catch (error) {
+    console.warn('BloomCart SW: Search result analysis failed:', error.message);
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+/**
+ * Handle adding a product to the cart - stores the item and updates cart
+ * health. The plant itself only changes when a purchase is recorded.
  */
 async function handleAddToCart(data, sendResponse) {
   try {
-    const { product } = data;
+    const { product, quantity } = data;
     if (!product) throw new Error('Missing product');
 
     // Store in cart items
-    await storeCartItem(product);
+    await storeCartItem(product, quantity);
 
-    // Recalculate plant health from all cart items
-    chrome.storage.local.get(['cartItems', 'plantState'], (result) => {
-      const items = result.cartItems || [];
-      const state = result.plantState || { currentFrame: 50, totalPurchases: 0, sustainablePurchases: 0 };
-
-      if (items.length > 0) {
-        const avgScore = Math.round(
-          items.reduce((sum, item) => sum + item.overallScore, 0) / items.length
-        );
-        state.currentFrame = avgScore;
-        state.totalCartItems = items.length;
-        state.sustainableCartItems = items.filter(i => i.overallScore >= 60).length;
-        state.totalPurchases = items.length;
-      }
-
-      chrome.storage.local.set({ plantState: state }, () => {
-        sendResponse({ success: true, plantState: state, cartItems: items });
-      });
-    });
+    // Recalculate cart health from all cart items
+    const { cartItems: items = [] } = await chrome.storage.local.get(['cartItems']);
+    const plantState = await updateCartHealth(items);
+    sendResponse({ success: true, plantState, cartItems: items });
   } catch (error) {
     console.error('BloomCart SW: addToCart failed:', error);
     sendResponse({ success: false, error: error.message });
@@ -339,24 +538,13 @@ async function handleAnalyzeCartItems(data, sendResponse) {
       return;
     }
 
-    let analyzedItems;
-    try {
-      const aiResults = await analyzeCartItemsWithAI(items);
-
-      analyzedItems = items.map((item, i) => {
-        const analysis = (Array.isArray(aiResults) && aiResults[i]) || fallbackAnalysis(item);
-        return buildProduct(item, analysis);
-      });
-    } catch (aiError) {
-      console.warn('BloomCart SW: Batch AI failed, using fallback:', aiError.message);
-      analyzedItems = items.map(item => buildProduct(item, fallbackAnalysis(item)));
-    }
+    const { cartItems: analyzedItems } = await analyzeCart(items);
 
     // Store all cart items
     chrome.storage.local.set({ cartItems: analyzedItems });
 
-    // Update plant health based on average cart score
-    updatePlantFromCart(analyzedItems);
+    // Update cart health based on the average cart score
+    updateCartHealth(analyzedItems);
 
     sendResponse({ success: true, cartItems: analyzedItems });
   } catch (error) {
@@ -365,77 +553,481 @@ async function handleAnalyzeCartItems(data, sendResponse) {
   }
 }
 
+// Plant state updates (purchases and cart health) are applied one at a time,
+// so a repeated purchase key is always seen and no update overwrites another
+let purchaseQueue = Promise.resolve();
+
+/**
+ * Store the quantity- and weight-weighted cart score as `cartHealth`.
+ * currentFrame is left alone: it only moves with recorded purchases.
+ */
+function updateCartHealth(cartItems) {
+  const update = purchaseQueue.then(async () => {
+    const result = await chrome.storage.local.get(['plantState']);
+    const state = result.plantState || initialPlantState();
+    if (cartItems.length > 0) {
+      Object.assign(state, ScoringPolicy.cartHealth(cartItems));
+      await chrome.storage.local.set({ plantState: state });
+    }
+    return state;
+  });
+  purchaseQueue = update.catch(error => console.error('BloomCart SW: Cart health update failed:', error));
+  return update;
+}
+
 /**
- * Update plant health based on cart items average score
+ * Handle purchase tracking. The plant is updated locally first; the purchase
+ * is then recorded on the backend with the same idempotency key, so retries
+ * and double clicks count once in both places. The response waits for the
+ * backend, so the next purchase in the queue sees the result.
  */
-function updatePlantFromCart(cartItems) {
-  if (!cartItems.length) return;
+function handleTrackPurchase(data, sendResponse) {
+  purchaseQueue = purchaseQueue
+    .then(() => trackPurchase(data))
+    .then(result => sendResponse({ success: true, ...result }))
+    .catch(error => {
+      console.error('BloomCart SW: Purchase tracking failed:', error);
+      sendResponse({ success: false, error: error.message });
+    });
+}
+
+async function trackPurchase(data) {
+  const { product } = data;
+  if (!product) throw new Error('Missing data');
+  const idempotencyKey = data.idempotencyKey || crypto.randomUUID();
+  const quantity = Math.max(1, parseInt(data.quantity, 10) || 1);
 
-  const avgScore = Math.round(
-    cartItems.reduce((sum, item) => sum + item.overallScore, 0) / cartItems.length
-  );
+  await policyReady;
+  const grade = product.grade || ScoringPolicy.gradeFromOverallScore(product.overallScore || 50);
+  const frameChange = movesPlant(data) ? ScoringPolicy.frameChangeForGrade(grade) : 0;
 
-  chrome.storage.local.get(['plantState'], (result) => {
-    const state = result.plantState || { currentFrame: 50, totalPurchases: 0, sustainablePurchases: 0 };
-    state.currentFrame = avgScore;
-    state.totalCartItems = cartItems.length;
-    state.sustainableCartItems = cartItems.filter(i => i.overallScore >= 60).length;
-    chrome.storage.local.set({ plantState: state });
+  const result = await chrome.storage.local.get(['plantState']);
+  const state = result.plantState || initialPlantState();
+
+  if ((state.history || []).some(event => event.eventId === idempotencyKey)) {
+    console.log('BloomCart SW: Purchase already recorded', idempotencyKey);
+    return { plantState: state, duplicate: true };
+  }
+
+  const totalFrameChange = frameChange * quantity;
+  const timestamp = data.purchasedAt || new Date().toISOString();
+
+  state.currentFrame = Math.max(0, Math.min(100, state.currentFrame + totalFrameChange));
+  state.totalPurchases = (state.totalPurchases || 0) + quantity;
+  if (ScoringPolicy.isSustainable(grade)) state.sustainablePurchases = (state.sustainablePurchases || 0) + quantity;
+  state.history = [
+    ...(state.history || []),
+    { eventId: idempotencyKey, rating: grade, frameChange: totalFrameChange, timestamp }
+  ]
+    .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+    .slice(-SYNC.HISTORY_LIMIT);
+
+  await chrome.storage.local.set({ plantState: state });
+  await recordPurchaseOnBackend(product, grade, frameChange, idempotencyKey, {
+    orderId: data.orderId,
+    quantity,
+    source: data.source,
+    purchasedAt: data.purchasedAt
   });
+
+  return { plantState: state, duplicate: false };
 }
 
 /**
- * Handle purchase tracking (local, no backend needed)
+ * Whether a purchase moves the plant: one made now (confirmation page or
+ * manual tracking) does, and so does the order-details page of a recent
+ * order. An older order, or a details page without an order date, is
+ * counted like an imported one, with the frame unchanged.
  */
-async function handleTrackPurchase(data, sendResponse) {
+function movesPlant({ source, purchasedAt }) {
+  if (!purchasedAt) return source !== 'order_details';
+  return Date.now() - new Date(purchasedAt).getTime() <= CONFIG.PLANT.RECENT_PURCHASE_DAYS * 24 * 60 * 60 * 1000;
+}
+
+/**
+ * Handle a completed order scraped from a confirmation or order-details page.
+ * Each line item is rated and tracked as a purchase keyed by order and ASIN,
+ * so revisiting the page (or seeing the same order on both pages) counts once.
+ */
+async function handleRecordOrder(data, sendResponse) {
   try {
-    const { userId, product } = data;
-    if (!userId || !product) throw new Error('Missing data');
-
-    const score = product.overallScore || 50;
-    let frameChange = 0;
-    if (score >= 80) frameChange = 15;
-    else if (score >= 60) frameChange = 10;
-    else if (score >= 40) frameChange = 5;
-    else if (score >= 20) frameChange = 0;
-    else frameChange = -5;
-
-    chrome.storage.local.get(['plantState'], (result) => {
-      const state = result.plantState || { currentFrame: 50, totalPurchases: 0, sustainablePurchases: 0 };
-      state.currentFrame = Math.max(0, Math.min(100, state.currentFrame + frameChange));
-      state.totalPurchases = (state.totalPurchases || 0) + 1;
-      if (score >= 60) state.sustainablePurchases = (state.sustainablePurchases || 0) + 1;
-
-      chrome.storage.local.set({ plantState: state }, () => {
-        sendResponse({ success: true, plantState: state });
+    const { orderId, orderDate, source, items } = data || {};
+    if (!orderId || !items || !items.length) throw new Error('Missing order data');
+
+    const recorded = [];
+
+    for (const item of items) {
+      const product = await analyzeItem(item);
+      const result = await new Promise(resolve => {
+        handleTrackPurchase({
+          product,
+          quantity: item.quantity,
+          orderId,
+          source,
+          purchasedAt: orderDate || undefined,
+          idempotencyKey: `order:${orderId}:${item.asin}`
+        }, resolve);
+      });
+      if (!result.success) throw new Error(result.error);
+      recorded.push({ asin: item.asin, grade: product.grade, quantity: item.quantity, duplicate: result.duplicate });
+    }
+
+    const { plantState } = await chrome.storage.local.get(['plantState']);
+    sendResponse({ success: true, orderId, recorded, plantState });
+  } catch (error) {
+    console.error('BloomCart SW: Order recording failed:', error);
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+/**
+ * The footprint fields a Purchase record keeps
+ */
+function toPurchaseFootprint(carbonFootprint) {
+  if (!carbonFootprint) return undefined;
+  return {
+    co2e: carbonFootprint.co2e,
+    transportCo2e: carbonFootprint.transport ? carbonFootprint.transport.co2e : undefined,
+    source: carbonFootprint.source
+  };
+}
+
+// The backend records at most this many purchases per /plant-state/import call
+const IMPORT_REQUEST_SIZE = 500;
+
+/**
+ * Handle an order-history import (one year of orders from the content script).
+ * Items are rated like a cart, then recorded on the backend as backdated
+ * purchases in requests of IMPORT_REQUEST_SIZE. Only purchases the backend
+ * accepted are counted locally. Imported purchases count towards the totals
+ * and history but do not move the plant: they are a baseline, not today's
+ * shopping. Orders without an order date cannot be placed in a year and are
+ * left out (reported as `undated`), and so are items the backend could not
+ * rate (reported as `skipped`): the backend records each purchase with its
+ * own stored rating, and a local estimate could never be corrected.
+ */
+async function handleImportOrders(data, sendResponse) {
+  try {
+    const { year, orders } = data || {};
+    if (!Array.isArray(orders) || orders.length === 0) throw new Error('Missing orders');
+    if (!(await ensureDeviceToken())) throw new Error('Could not reach the BloomCart backend; nothing was imported');
+
+    const dated = orders.filter(order => order.orderDate);
+    const lines = dated.flatMap(order => order.items.map(item => ({ order, item })));
+    const purchases = [];
+    const grades = new Map();
+    let unrated = 0;
+
+    const { cartItems } = await analyzeCart(lines.map(line => line.item));
+    lines.forEach(({ order, item }, i) => {
+      const product = cartItems[i];
+      if (product.localEstimate) {
+        unrated += 1;
+        return;
+      }
+      const idempotencyKey = `order:${order.orderId}:${item.asin}`;
+      grades.set(idempotencyKey, product.grade);
+      purchases.push({
+        idempotencyKey,
+        orderId: order.orderId,
+        purchasedAt: order.orderDate,
+        quantity: item.quantity || 1,
+        asin: product.asin
       });
     });
+
+    const summary = {
+      year,
+      orders: dated.length,
+      undated: orders.length - dated.length,
+      imported: 0,
+      duplicates: 0,
+      skipped: unrated,
+      baseline: null
+    };
+    let plantState = null;
+    let failure = null;
+
+    for (let i = 0; i < purchases.length; i += IMPORT_REQUEST_SIZE) {
+      const chunk = purchases.slice(i, i + IMPORT_REQUEST_SIZE);
+      let result;
+      try {
+        result = await callBackend('/plant-state/import', { purchases: chunk });
+      } catch (error) {
+        failure = error;
+        break;
+      }
+
+      const skipped = new Set(result.skippedKeys || []);
+      plantState = await applyImportedPurchases(chunk
+        .filter(p => !skipped.has(p.idempotencyKey))
+        .map(p => ({ ...p, rating: grades.get(p.idempotencyKey) })));
+      summary.imported += result.imported;
+      summary.duplicates += result.duplicates;
+      summary.skipped += result.skipped;
+      summary.baseline = (result.baselines || []).find(b => b.year === year) || summary.baseline;
+    }
+
+    const { orderImports = {} } = await chrome.storage.local.get(['orderImports']);
+    await chrome.storage.local.set({
+      orderImports: {
+        ...orderImports,
+        [year]: { ...summary, ...(failure && { error: failure.message }), importedAt: new Date().toISOString() }
+      }
+    });
+
+    if (failure) {
+      throw new Error(`Imported ${summary.imported} of ${purchases.length} items before the backend failed: ${failure.message}`);
+    }
+
+    sendResponse({ success: true, ...summary, plantState });
   } catch (error) {
-    console.error('BloomCart SW: Purchase tracking failed:', error);
+    console.error('BloomCart SW: Order import failed:', error);
     sendResponse({ success: false, error: error.message });
   }
 }
 
+/**
+ * Count imported purchases in the local plant state, skipping any whose key
+ * is already in the history. The frame is left unchanged.
+ */
+function applyImportedPurchases(purchases) {
+  const apply = async () => {
+    const result = await chrome.storage.local.get(['plantState']);
+    const state = result.plantState || initialPlantState();
+    const known = new Set((state.history || []).map(event => event.eventId));
+
+    const events = [];
+    purchases.forEach(purchase => {
+      if (known.has(purchase.idempotencyKey)) return;
+      known.add(purchase.idempotencyKey);
+
+      state.totalPurchases = (state.totalPurchases || 0) + purchase.quantity;
+      if (ScoringPolicy.isSustainable(purchase.rating)) {
+        state.sustainablePurchases = (state.sustainablePurchases || 0) + purchase.quantity;
+      }
+      events.push({
+        eventId: purchase.idempotencyKey,
+        rating: purchase.rating,
+        frameChange: 0,
+        timestamp: purchase.purchasedAt || new Date().toISOString()
+      });
+    });
+
+    state.history = [...(state.history || []), ...events]
+      .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+      .slice(-SYNC.HISTORY_LIMIT);
+
+    await chrome.storage.local.set({ plantState: state });
+    return state;
+  };
+
+  // Share the purchase queue so imports and live purchases never interleave
+  const run = purchaseQueue.then(apply);
+  purchaseQueue = run.catch(() => {});
+  return run;
+}
+
+// Purchases the backend has not recorded yet, oldest first
+const PENDING_PURCHASES_KEY = 'pendingPurchases';
+
+/**
+ * Record a purchase on the backend. It is stored with the pending purchases
+ * first, so one the backend cannot take now (offline, busy, no device token)
+ * is resent later with the same idempotency key and still counts once.
+ * `order` carries the optional orderId, quantity, source and purchasedAt.
+ * Runs inside the purchase queue.
+ */
+async function recordPurchaseOnBackend(product, grade, frameChange, idempotencyKey, order = {}) {
+  const { [PENDING_PURCHASES_KEY]: pending = [] } = await chrome.storage.local.get([PENDING_PURCHASES_KEY]);
+  await chrome.storage.local.set({
+    [PENDING_PURCHASES_KEY]: [...pending, {
+      rating: grade,
+      frameChange,
+      ratingScore: product.rating && product.rating.score,
+      asin: product.asin,
+      productTitle: product.title,
+      carbonFootprint: toPurchaseFootprint(product.carbonFootprint),
+      idempotencyKey,
+      ...order
+    }]
+  });
+  await sendPendingPurchases();
+}
+
+/**
+ * Send the pending purchases in order. Stops at the first one the backend
+ * cannot take now and keeps it and the rest for the next try; a purchase
+ * the backend rejects is dropped, as resending it would not change that.
+ */
+async function sendPendingPurchases() {
+  const { [PENDING_PURCHASES_KEY]: pending = [] } = await chrome.storage.local.get([PENDING_PURCHASES_KEY]);
+  if (pending.length === 0 || !(await ensureDeviceToken())) return;
+
+  let done = 0;
+  for (const purchase of pending) {
+    try {
+      await callBackend('/plant-state/update', purchase);
+    } catch (error) {
+      // 401: the token was dropped and is registered again on the next try
+      if (isBackendUnavailable(error) || error.status === 401) {
+        console.warn('BloomCart SW: Could not record purchase on backend, will retry:', error.message);
+        break;
+      }
+      console.warn('BloomCart SW: Backend rejected purchase', purchase.idempotencyKey, error.message);
+    }
+    done += 1;
+  }
+
+  await chrome.storage.local.set({ [PENDING_PURCHASES_KEY]: pending.slice(done) });
+}
+
+/**
+ * Retry the pending purchases through the purchase queue (on sync and startup)
+ */
+function retryPendingPurchases() {
+  const run = purchaseQueue.then(sendPendingPurchases);
+  purchaseQueue = run.catch(error => console.error('BloomCart SW: Purchase retry failed:', error));
+  return run;
+}
+
+/**
+ * Cross-device sync of plantState and cartItems with the backend.
+ * Every local change stamps the changed fields in `plantSync.fieldUpdatedAt`;
+ * the backend keeps the newest value per field and merges history, and the
+ * merged result is written back here.
+ */
+const SYNC = {
+  META_KEY: 'plantSync',
+  PLANT_FIELDS: ['currentFrame', 'totalPurchases', 'sustainablePurchases', 'totalCartItems', 'sustainableCartItems'],
+  HISTORY_LIMIT: 500,
+  PUSH_DELAY: 5000 // ms, batches bursts of local changes
+};
+
+let syncTimer = null;
+// JSON of the values last written by a sync, so they are not stamped as local edits
+const appliedBySync = {};
+
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * Stamp local edits to synced fields and schedule a push
+ */
+chrome.storage.onChanged.addListener(async (changes, areaName) => {
+  if (areaName !== 'local') return;
+
+  const changed = [];
+  let historyChanged = false;
+
+  if (changes.plantState && !sameValue(changes.plantState.newValue, appliedBySync.plantState)) {
+    const before = changes.plantState.oldValue || {};
+    const after = changes.plantState.newValue || {};
+    SYNC.PLANT_FIELDS.forEach(field => {
+      if (!sameValue(before[field], after[field])) changed.push(field);
+    });
+    historyChanged = !sameValue(before.history, after.history);
+  }
+  if (changes.cartItems && !sameValue(changes.cartItems.newValue, appliedBySync.cartItems)) {
+    changed.push('cartItems');
+  }
+
+  if (changed.length === 0 && !historyChanged) return;
+
+  if (changed.length > 0) {
+    const { [SYNC.META_KEY]: meta = {} } = await chrome.storage.local.get([SYNC.META_KEY]);
+    const now = new Date().toISOString();
+    const fieldUpdatedAt = { ...(meta.fieldUpdatedAt || {}) };
+    changed.forEach(field => { fieldUpdatedAt[field] = now; });
+    await chrome.storage.local.set({ [SYNC.META_KEY]: { ...meta, fieldUpdatedAt } });
+  }
+
+  clearTimeout(syncTimer);
+  syncTimer = setTimeout(syncPlantState, SYNC.PUSH_DELAY);
+});
+
+/**
+ * Send any pending purchases, then push local state to the backend and apply
+ * the merged result. Skipped (and retried on the next change or startup) when
+ * the device has no token or the backend is unreachable.
+ */
+async function syncPlantState() {
+  clearTimeout(syncTimer);
+  if (!(await ensureDeviceToken())) return;
+  await retryPendingPurchases().catch(() => {});
+
+  const local = await chrome.storage.local.get(['plantState', 'cartItems', SYNC.META_KEY]);
+  const plantState = local.plantState || {};
+  const stamps = (local[SYNC.META_KEY] && local[SYNC.META_KEY].fieldUpdatedAt) || {};
+
+  const fields = {};
+  SYNC.PLANT_FIELDS.forEach(field => {
+    if (plantState[field] !== undefined) {
+      fields[field] = { value: plantState[field], updatedAt: stamps[field] || null };
+    }
+  });
+  fields.cartItems = { value: local.cartItems || [], updatedAt: stamps.cartItems || null };
+
+  let sync;
+  try {
+    ({ sync } = await callBackend('/plant-state/sync', { fields, history: plantState.history || [] }));
+  } catch (error) {
+    console.warn('BloomCart SW: Plant state sync failed:', error.message);
+    return;
+  }
+
+  // Re-read: fields edited while the request was in flight keep their local value
+  const current = await chrome.storage.local.get(['plantState', 'cartItems', SYNC.META_KEY]);
+  const meta = current[SYNC.META_KEY] || {};
+  const currentStamps = { ...(meta.fieldUpdatedAt || {}) };
+  const nextState = { ...(current.plantState || {}), history: sync.history };
+  let nextCart = current.cartItems || [];
+
+  Object.entries(sync.fields).forEach(([field, { value, updatedAt }]) => {
+    if (!updatedAt || (currentStamps[field] && currentStamps[field] > updatedAt)) return;
+    if (field === 'cartItems') {
+      nextCart = value;
+    } else {
+      nextState[field] = value;
+    }
+    currentStamps[field] = updatedAt;
+  });
+
+  appliedBySync.plantState = nextState;
+  appliedBySync.cartItems = nextCart;
+  await chrome.storage.local.set({
+    plantState: nextState,
+    cartItems: nextCart,
+    [SYNC.META_KEY]: { ...meta, fieldUpdatedAt: currentStamps, lastSyncedAt: new Date().toISOString() }
+  });
+  console.log('BloomCart SW: Plant state synced');
+}
+
 /**
  * Handle extension installation
  */
-chrome.runtime.onInstalled.addListener((details) => {
+chrome.runtime.onInstalled.addListener(async (details) => {
+  syncScoringPolicy();
+  syncSelectorRegistry();
+
   if (details.reason === 'install') {
     console.log('BloomCart: Extension installed!');
-    chrome.storage.local.set({
-      plantState: {
-        currentFrame: 50,
-        totalPurchases: 0,
-        sustainablePurchases: 0
-      },
-      cartItems: [],
-      userId: 'user_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9)
-    });
+    const plantState = initialPlantState();
+
+    // Defaults are not edits: a garden synced from another browser must win over them
+    appliedBySync.plantState = plantState;
+    appliedBySync.cartItems = [];
+    await chrome.storage.local.set({ plantState, cartItems: [] });
   }
+
+  // Registers the device if needed, then pulls any garden from other browsers
+  syncPlantState();
 });
 
 chrome.runtime.onStartup.addListener(() => {
   console.log('BloomCart: Service worker started');
+  syncScoringPolicy();
+  syncSelectorRegistry();
+  syncPlantState();
 });
 
 console.log('BloomCart: Service worker loaded');
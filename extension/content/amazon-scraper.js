@@ -3,7 +3,25 @@
  * Extracts product information from Amazon product pages
  */
 
+const Marketplaces = globalThis.BloomCartMarketplaces;
+const Selectors = globalThis.BloomCartSelectors;
+
+// Certification names looked for in the listing text. These are only claims:
+// the backend verifies each against its certification catalog.
+const CERTIFICATION_CLAIM = new RegExp([
+  'FSC', 'Forest Stewardship Council', 'GOTS', 'Global Organic Textile Standard', 'USDA[\\s-]*Organic',
+  'Energy[\\s-]*Star', 'Fair[\\s-]*Trade', 'B[\\s-]?Corp(?:oration)?', 'OEKO[\\s-]?TEX', 'Climate Pledge Friendly',
+  'Rainforest Alliance', 'Cradle to Cradle', 'EU Ecolabel', 'Blue Angel', 'bluesign', 'Carbon[\\s-]?(?:neutral|free)'
+].map(name => `\\b${name}\\b`).join('|'), 'gi');
+
 const AmazonScraper = {
+  /**
+   * The storefront this page belongs to (amazon.com, amazon.de, ...)
+   */
+  getMarketplace() {
+    return Marketplaces.detect(window.location.hostname) || Marketplaces.DEFAULT_MARKETPLACE;
+  },
+
   /**
    * Check if current page is an Amazon product page
    */
@@ -22,40 +40,17 @@ const AmazonScraper = {
       return urlMatch[1] || urlMatch[2];
     }
 
-    // Try meta tag
-    const asinMeta = document.querySelector('input[name="ASIN"]');
-    if (asinMeta) {
-      return asinMeta.value;
-    }
-
-    // Try hidden input
-    const hiddenAsin = document.querySelector('#ASIN');
-    if (hiddenAsin) {
-      return hiddenAsin.value;
-    }
-
-    return null;
+    // Try the add-to-cart form's hidden inputs
+    const asinInput = Selectors.query(document, 'product', 'asin');
+    return asinInput ? asinInput.value : null;
   },
 
   /**
    * Extract product title
    */
   getTitle() {
-    const selectors = [
-      '#productTitle',
-      '#title',
-      'h1.product-title',
-      'h1 span#productTitle'
-    ];
-
-    for (const selector of selectors) {
-      const element = document.querySelector(selector);
-      if (element) {
-        return element.textContent.trim();
-      }
-    }
-
-    return 'Unknown Product';
+    const element = Selectors.query(document, 'product', 'title');
+    return element ? element.textContent.trim() : 'Unknown Product';
   },
 
   /**
@@ -64,11 +59,9 @@ const AmazonScraper = {
   getProductDetails() {
     const details = {};
 
-    // Try technical details table
-    const techTable = document.querySelector('#productDetails_techSpec_section_1');
-    if (techTable) {
-      const rows = techTable.querySelectorAll('tr');
-      rows.forEach(row => {
+    // Technical details and product information tables
+    Selectors.queryAll(document, 'product', 'detailTables').forEach(table => {
+      table.querySelectorAll('tr').forEach(row => {
         const th = row.querySelector('th');
         const td = row.querySelector('td');
         if (th && td) {
@@ -77,27 +70,22 @@ const AmazonScraper = {
           details[key] = value;
         }
       });
-    }
+    });
 
-    // Try product information section
-    const productInfo = document.querySelector('#productDetails_detailBullets_sections1');
-    if (productInfo) {
-      const rows = productInfo.querySelectorAll('tr');
-      rows.forEach(row => {
-        const th = row.querySelector('th');
-        const td = row.querySelector('td');
-        if (th && td) {
-          const key = th.textContent.trim();
-          const value = td.textContent.trim();
-          details[key] = value;
-        }
-      });
-    }
+    // Detail bullets ("Item Weight : 1.2 pounds", "Artikelgewicht : 500 g")
+    Selectors.queryAll(document, 'product', 'detailBullets').forEach(item => {
+      const label = item.querySelector('.a-text-bold');
+      if (!label) return;
+      const key = label.textContent.replace(/[\u200e\u200f]/g, '').replace(/\s*:\s*$/, '').trim();
+      const value = item.textContent.replace(label.textContent, '').replace(/[\u200e\u200f]/g, '').trim();
+      if (key && value && !(key in details)) {
+        details[key] = value;
+      }
+    });
 
     // Try feature bullets for details
-    const featureBullets = document.querySelectorAll('#feature-bullets li:not(.aok-hidden)');
     const features = [];
-    featureBullets.forEach(bullet => {
+    Selectors.queryAll(document, 'product', 'featureBullets').forEach(bullet => {
       const text = bullet.textContent.trim();
       if (text) features.push(text);
     });
@@ -108,30 +96,86 @@ const AmazonScraper = {
     return details;
   },
 
+  /**
+   * Certification claims on the page: [{ name, source }]. Amazon's own
+   * sustainability badge (Climate Pledge Friendly) has source 'badge' and the
+   * certificates Amazon lists under it 'certificate'; only these count as
+   * verified. Names found in the listing text are tagged with where they were
+   * found ('title', 'features', 'details', 'description').
+   */
+  getCertifications({ title, details, description }) {
+    const claims = [];
+    const add = (name, source) => {
+      const clean = name.replace(/\s+/g, ' ').trim();
+      if (!clean || clean.length > 80) return;
+      if (claims.some(c => c.source === source && c.name.toLowerCase() === clean.toLowerCase())) return;
+      claims.push({ name: clean, source });
+    };
+
+    const badge = Selectors.query(document, 'product', 'sustainabilityBadge');
+    if (badge) {
+      if (/climate\s*pledge/i.test(badge.id) || /climate pledge friendly/i.test(badge.textContent)) {
+        add('Climate Pledge Friendly', 'badge');
+      }
+      Selectors.queryAll(badge, 'product', 'sustainabilityCertifications')
+        .forEach(el => add(el.textContent, 'certificate'));
+    }
+
+    const { Features: features, ...otherDetails } = details;
+    const texts = {
+      title,
+      features,
+      details: Object.values(otherDetails).join(' '),
+      description
+    };
+    Object.entries(texts).forEach(([source, text]) => {
+      for (const match of (text || '').matchAll(CERTIFICATION_CLAIM)) add(match[0], source);
+    });
+
+    return claims;
+  },
+
+  /**
+   * Packaging signals: { type, packageDimensions, packageWeight }.
+   * type is 'frustration_free', 'ships_in_product_packaging' or null (not
+   * stated); the package values are the listed texts, parsed by the backend.
+   */
+  getPackagingInfo(details) {
+    const labels = Marketplaces.labels(this.getMarketplace());
+    const badge = Selectors.query(document, 'product', 'packagingBadge');
+    const text = [badge ? badge.textContent : '', ...Object.values(details)].join(' ').replace(/\s+/g, ' ');
+
+    const type = labels.frustrationFree.test(text) ? 'frustration_free'
+      : labels.shipsInProductPackaging.test(text) ? 'ships_in_product_packaging'
+      : null;
+
+    const findDetail = (pattern) => {
+      const key = Object.keys(details).find(k => pattern.test(k));
+      return key ? details[key] : null;
+    };
+
+    return {
+      type,
+      packageDimensions: findDetail(labels.packageDimensions),
+      packageWeight: findDetail(labels.packageWeight)
+    };
+  },
+
   /**
    * Extract product brand
    */
   getBrand() {
-    const selectors = [
-      '#bylineInfo',
-      'a#brand',
-      '.po-brand .po-break-word',
-      'tr.po-brand td.a-span9',
-      '[data-feature-name="bylineInfo"]'
-    ];
-
-    for (const selector of selectors) {
-      const element = document.querySelector(selector);
-      if (element) {
-        let brandText = element.textContent.trim();
-        // Remove "Visit the ... Store" or "Brand: " prefixes
-        brandText = brandText.replace(/^(Visit the |Brand:\s*)/i, '');
-        brandText = brandText.replace(/\s+Store$/i, '');
-        return brandText;
-      }
+    const element = Selectors.query(document, 'product', 'brand');
+    if (!element) {
+      return 'Unknown';
     }
 
-    return 'Unknown';
+    const labels = Marketplaces.labels(this.getMarketplace());
+    let brandText = element.textContent.trim();
+    // Remove "Visit the ... Store" or "Brand: " prefixes (localized)
+    brandText = brandText.replace(labels.brandPrefix, '');
+    brandText = brandText.replace(labels.brandSuffix, '');
+    return brandText;
   },
 
   /**
@@ -139,7 +183,7 @@ const AmazonScraper = {
    */
   getCategory() {
     // Try breadcrumbs
-    const breadcrumbs = document.querySelector('#wayfinding-breadcrumbs_feature_div');
+    const breadcrumbs = Selectors.query(document, 'product', 'breadcrumbs');
     if (breadcrumbs) {
       const links = breadcrumbs.querySelectorAll('a');
       if (links.length > 0) {
@@ -148,7 +192,7 @@ const AmazonScraper = {
     }
 
     // Try department
-    const dept = document.querySelector('.nav-a-content');
+    const dept = Selectors.query(document, 'product', 'department');
     if (dept) {
       return dept.textContent.trim();
     }
@@ -160,20 +204,81 @@ const AmazonScraper = {
    * Extract product description
    */
   getDescription() {
-    const selectors = [
-      '#productDescription p',
-      '#feature-bullets',
-      '.a-unordered-list.a-vertical.a-spacing-mini'
-    ];
-
-    for (const selector of selectors) {
-      const element = document.querySelector(selector);
-      if (element) {
-        return element.textContent.trim().substring(0, 500); // Limit length
-      }
+    const element = Selectors.query(document, 'product', 'description');
+    return element ? element.textContent.trim().substring(0, 500) : ''; // Limit length
+  },
+
+  /**
+   * Read one row of the buy box ('shipsFrom' or 'soldBy'), old or new layout.
+   * Tabular rows are named in the storefront's language ("Versand", "Vendeur"),
+   * so their selectors are registered per marketplace.
+   */
+  getBuyboxValue(field) {
+    const element = Selectors.query(document, 'product', field);
+    return element ? element.textContent.trim() : null;
+  },
+
+  /**
+   * Classify a delivery estimate into a speed and the number of days until delivery
+   */
+  parseDeliveryEstimate(text) {
+    if (!text) {
+      return { deliveryDays: null, deliverySpeed: null };
     }
 
-    return '';
+    const marketplace = this.getMarketplace();
+    const labels = Marketplaces.labels(marketplace);
+    if (labels.sameDay.test(text)) {
+      return { deliveryDays: 0, deliverySpeed: 'same_day' };
+    }
+    if (labels.nextDay.test(text)) {
+      return { deliveryDays: 1, deliverySpeed: 'one_day' };
+    }
+
+    // "Tuesday, October 21", "Oct 21 - 28" or "Dienstag, 21. Oktober": use the earliest date
+    const found = Marketplaces.findDate(text, marketplace);
+    if (!found) {
+      return { deliveryDays: null, deliverySpeed: null };
+    }
+
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    const date = new Date(today.getFullYear(), found.month, found.day);
+    if (date < today) {
+      date.setFullYear(date.getFullYear() + 1); // Delivery in January, viewed in December
+    }
+
+    const deliveryDays = Math.round((date - today) / 86400000);
+    const deliverySpeed = deliveryDays <= 0 ? 'same_day'
+      : deliveryDays === 1 ? 'one_day'
+      : deliveryDays === 2 ? 'two_day'
+      : 'standard';
+    return { deliveryDays, deliverySpeed };
+  },
+
+  /**
+   * Extract shipping signals: ship-from, seller and the default delivery estimate
+   */
+  getShippingInfo() {
+    const shipsFrom = this.getBuyboxValue('shipsFrom');
+    const soldBy = this.getBuyboxValue('soldBy');
+
+    // Older layout: "Ships from and sold by Amazon.com."
+    const merchantInfo = Selectors.query(document, 'product', 'merchantInfo');
+    const merchantText = merchantInfo ? merchantInfo.textContent.replace(/\s+/g, ' ').trim() : '';
+    const merchantMatch = merchantText.match(Marketplaces.labels(this.getMarketplace()).shipsAndSoldBy);
+
+    // The primary message is the delivery the shopper gets by default;
+    // the secondary one ("Or fastest delivery Tomorrow") is an upsell
+    const delivery = Selectors.query(document, 'product', 'deliveryMessage', el => el.textContent.trim());
+    const deliveryText = delivery ? delivery.textContent.replace(/\s+/g, ' ').trim() : null;
+
+    return {
+      shipsFrom: shipsFrom || (merchantMatch ? merchantMatch[1].trim() : null),
+      soldBy: soldBy || (merchantMatch ? merchantMatch[1].trim() : null),
+      deliveryText,
+      ...this.parseDeliveryEstimate(deliveryText)
+    };
   },
 
   /**
@@ -190,13 +295,22 @@ const AmazonScraper = {
       return null;
     }
 
+    const title = this.getTitle();
+    const details = this.getProductDetails();
+    const description = this.getDescription();
+
     const scrapedData = {
       asin,
-      title: this.getTitle(),
+      title,
       brand: this.getBrand(),
-      details: this.getProductDetails(),
+      details,
       category: this.getCategory(),
-      description: this.getDescription(),
+      description,
+      price: this.getPrice(),
+      shipping: this.getShippingInfo(),
+      certifications: this.getCertifications({ title, details, description }),
+      packaging: this.getPackagingInfo(details),
+      marketplace: this.getMarketplace().id,
       url: window.location.href,
       scrapedAt: new Date().toISOString()
     };
@@ -205,6 +319,83 @@ const AmazonScraper = {
     return scrapedData;
   },
 
+  /**
+   * Get the displayed buy-box price as shown (e.g. "$24.99", "12,50 €")
+   */
+  getPrice() {
+    const element = Selectors.query(document, 'product', 'price', el => /\d/.test(el.textContent));
+    return element ? element.textContent.trim() : '';
+  },
+
+  /**
+   * ASINs of the similar products Amazon shows on a product page
+   * ("Compare with similar items", sponsored and related-item carousels)
+   */
+  getSimilarItemAsins() {
+    const current = this.getASIN();
+    const asins = new Set();
+
+    Selectors.queryAll(document, 'product', 'similarItems').forEach(section => {
+      section.querySelectorAll('[data-asin]').forEach(el => asins.add(el.getAttribute('data-asin')));
+      section.querySelectorAll('a[href*="/dp/"]').forEach(link => {
+        const match = (link.getAttribute('href') || '').match(/\/dp\/([A-Z0-9]{10})/);
+        if (match) asins.add(match[1]);
+      });
+    });
+
+    return [...asins].filter(asin => /^[A-Z0-9]{10}$/.test(asin) && asin !== current);
+  },
+
+  /**
+   * Check if current page is a search results page (/s?k=...)
+   */
+  isSearchPage() {
+    return window.location.pathname === '/s' || window.location.pathname.startsWith('/s/');
+  },
+
+  /**
+   * Result cards of a search results page: [{ element, item }] where item is
+   * scraped data for analysis (ASIN, title, price, product URL). A product
+   * listed twice (sponsored and organic) has an entry per card, so both get
+   * a badge.
+   */
+  scrapeSearchResults(root = document) {
+    const marketplace = this.getMarketplace();
+    const results = [];
+
+    Selectors.queryAll(root, 'search', 'resultCard').forEach(card => {
+      const asin = card.getAttribute('data-asin');
+      if (!/^[A-Z0-9]{10}$/.test(asin || '')) return;
+
+      const titleEl = Selectors.query(card, 'search', 'resultTitle', el => el.textContent.trim().length > 3);
+      if (!titleEl) return;
+
+      const title = titleEl.textContent.replace(/\s+/g, ' ').trim();
+      const priceEl = Selectors.query(card, 'search', 'resultPrice', el => /\d/.test(el.textContent));
+
+      results.push({
+        element: card,
+        item: {
+          asin,
+          title,
+          price: priceEl ? priceEl.textContent.trim() : '',
+          quantity: 1,
+          brand: '',
+          category: '',
+          description: title,
+          details: {},
+          // Listing data only: the backend re-analyzes once the product page is scraped
+          partial: true,
+          marketplace: marketplace.id,
+          url: Marketplaces.productUrl(asin, marketplace),
+          scrapedAt: new Date().toISOString()
+        }
+      });
+    });
+
+    return results;
+  },
+
   /**
    * Check if current page is an Amazon cart page
    */
@@ -214,117 +405,293 @@ const AmazonScraper = {
   },
 
   /**
-   * Scrape all items from the Amazon cart page (live DOM).
+   * Read the quantity of a cart line item (dropdown, stepper, input box or
+   * the item's data-quantity attribute). Defaults to 1.
+   */
+  getCartItemQuantity(container) {
+    const toQuantity = (value) => parseInt((value || '').trim(), 10);
+    const valueOf = (el) => ('value' in el ? el.value : el.textContent);
+
+    const fromAttribute = toQuantity(container.getAttribute && container.getAttribute('data-quantity'));
+    if (fromAttribute > 0) return fromAttribute;
+
+    const control = Selectors.query(container, 'cart', 'itemQuantity', el => toQuantity(valueOf(el)) > 0);
+    return control ? toQuantity(valueOf(control)) : 1;
+  },
+
+  /**
+   * Quantity chosen in the product page's quantity selector (default 1)
+   */
+  getSelectedQuantity() {
+    const select = Selectors.query(document, 'product', 'quantity');
+    const quantity = parseInt(select ? select.value : '', 10);
+    return quantity > 0 ? quantity : 1;
+  },
+
+  /**
+   * Parse the items of an Amazon cart page: the live page, or cart HTML
+   * fetched from another page and parsed with DOMParser.
    * Scoped to the ACTIVE cart only (excludes Save for Later, recommendations, etc.)
    */
-  scrapeCartItems() {
+  scrapeCartItems(doc = document) {
     const items = [];
     const seen = new Set();
+    const marketplace = this.getMarketplace();
 
-    // Find the active cart container
-    const activeCart =
-      document.querySelector('#activeCartViewForm') ||
-      document.querySelector('#sc-active-cart') ||
-      document.querySelector('#sc-cart-container');
+    const cartItem = (asin, title, price, quantity) => ({
+      asin,
+      title,
+      price,
+      quantity,
+      brand: '',
+      category: '',
+      description: title,
+      details: {},
+      partial: true,
+      url: Marketplaces.productUrl(asin, marketplace),
+      scrapedAt: new Date().toISOString()
+    });
+
+    const findPrice = (container) => {
+      const priceEl = Selectors.query(container, 'cart', 'itemPrice', el => /\d/.test(el.textContent));
+      return priceEl ? priceEl.textContent.trim() : '';
+    };
 
-    const searchRoot = activeCart || document;
+    // Find the active cart container
+    const activeCart = Selectors.query(doc, 'cart', 'activeCart');
+    const searchRoot = activeCart || doc;
     console.log('BloomCart: Scraping cart. Active cart container found:', !!activeCart);
 
     // Check element is NOT in Save for Later / recommendations
-    function isInActiveCart(el) {
+    const isInActiveCart = (el) => {
       if (activeCart) return activeCart.contains(el);
-      const saved = document.querySelector('#sc-saved-cart, #savedCartViewForm');
+      const saved = Selectors.query(doc, 'cart', 'savedCart');
       if (saved && saved.contains(el)) return false;
-      if (el.closest('[class*="recommendation"], [class*="sims-"], [id*="sims-"]')) return false;
-      return true;
-    }
+      return !Selectors.matches(el, 'cart', 'recommendations');
+    };
 
-    // Find [data-asin] elements in active cart
-    const asinEls = searchRoot.querySelectorAll('[data-asin]');
-    asinEls.forEach(el => {
+    // Strategy 1: [data-asin] elements in the active cart
+    searchRoot.querySelectorAll('[data-asin]').forEach(el => {
       const asin = el.getAttribute('data-asin');
-      if (!asin || asin === '' || seen.has(asin)) return;
+      if (!asin || seen.has(asin)) return;
       if (!isInActiveCart(el)) return;
 
-      // Use the top-level item container
-      const container = el.closest('.sc-list-item') || el.closest('[data-item-index]') || el;
+      // Use the top-level item container (nested children share the parent's ASIN)
+      const container = Selectors.closest(el, 'cart', 'item') || el;
       const containerAsin = container.getAttribute('data-asin') || asin;
       if (containerAsin !== asin && seen.has(containerAsin)) return;
 
-      // Find title
-      const titleSelectors = [
-        '.sc-product-title a', 'a.sc-product-link', '.sc-item-title-content a',
-        '.a-truncate-cut', '.sc-product-title', 'span.a-truncate-full',
-        'a[href*="/dp/"]', 'a.a-link-normal[href*="/dp/"]'
-      ];
-      let title = '';
-      for (const sel of titleSelectors) {
-        const tel = container.querySelector(sel);
-        if (tel) {
-          const text = tel.textContent.trim();
-          if (text && text.length > 3) { title = text; break; }
-        }
-      }
-      if (!title) return;
+      const titleEl = Selectors.query(container, 'cart', 'itemTitle', tel => tel.textContent.trim().length > 3);
+      if (!titleEl) return;
 
       seen.add(asin);
-      title = title.replace(/\s+/g, ' ').trim();
+      const title = titleEl.textContent.replace(/\s+/g, ' ').trim();
+      items.push(cartItem(asin, title, findPrice(container), this.getCartItemQuantity(container)));
+    });
+
+    // Strategy 2: product links with ASINs in the active cart
+    if (items.length === 0) {
+      searchRoot.querySelectorAll('a[href*="/dp/"]').forEach(link => {
+        if (!isInActiveCart(link)) return;
+        const match = (link.getAttribute('href') || '').match(/\/dp\/([A-Z0-9]{10})/);
+        if (!match || seen.has(match[1])) return;
+        const title = link.textContent.trim().replace(/\s+/g, ' ');
+        if (!title || title.length < 3) return;
+        seen.add(match[1]);
+
+        const container = Selectors.closest(link, 'cart', 'item') || link.closest('[data-asin]') || link.parentElement;
+        items.push(cartItem(
+          match[1],
+          title,
+          container ? findPrice(container) : '',
+          container ? this.getCartItemQuantity(container) : 1
+        ));
+      });
+    }
+
+    // Strategy 3: cart data embedded as JSON in script tags (last resort)
+    if (items.length === 0) {
+      doc.querySelectorAll('script').forEach(script => {
+        const text = script.textContent || '';
+        if (!text.includes('cartItem') && !text.includes('activeCart') && !text.includes('sc-active')) return;
+
+        const asins = [...text.matchAll(/"asin"\s*:\s*"([A-Z0-9]{10})"/g)].map(m => m[1]);
+        const titles = [...text.matchAll(/"title"\s*:\s*"([^"]+)"/g)].map(m => m[1]);
+        if (asins.length === 0 || titles.length < asins.length) return;
+
+        asins.forEach((asin, i) => {
+          if (seen.has(asin)) return;
+          seen.add(asin);
+          items.push(cartItem(asin, titles[i] || 'Unknown Product', '', 1));
+        });
+      });
+    }
+
+    console.log('BloomCart: Scraped cart items:', items.map(i => i.asin));
+    if (items.length === 0) {
+      const asinEls = [...doc.querySelectorAll('[data-asin]')];
+      console.warn('BloomCart: No items parsed. Page title:', doc.title,
+        '- total [data-asin] on page:', asinEls.length);
+      console.warn('BloomCart: Sample elements:', JSON.stringify(asinEls.slice(0, 5).map(el => ({
+        asin: el.getAttribute('data-asin'),
+        tag: el.tagName,
+        classes: String(el.className).substring(0, 80),
+        inActiveCart: activeCart ? activeCart.contains(el) : 'no container'
+      }))));
+    }
+    return items;
+  },
 
-      const priceEl = container.querySelector(
-        '.sc-product-price, .sc-price, .a-price .a-offscreen'
-      );
-      const price = priceEl ? priceEl.textContent.trim() : '';
+  /**
+   * Check if current page is the post-checkout "thank you" page
+   */
+  isOrderConfirmationPage() {
+    const url = window.location.href;
+    return /\/gp\/buy\/thankyou|\/checkout\/[^?]*thankyou/i.test(url);
+  },
 
-      items.push({
+  /**
+   * Check if current page is a "Your Orders" order details page
+   */
+  isOrderDetailsPage() {
+    const url = window.location.href;
+    return /\/gp\/your-account\/order-details|\/your-orders\/order-details|\/gp\/css\/summary\/edit/i.test(url);
+  },
+
+  /**
+   * Extract the order ID (e.g. 112-1234567-1234567) from the URL or page
+   */
+  getOrderId() {
+    const params = new URLSearchParams(window.location.search);
+    const fromUrl = params.get('orderID') || params.get('orderId') || params.get('purchaseId');
+    if (fromUrl && /^\d{3}-\d{7}-\d{7}$/.test(fromUrl)) {
+      return fromUrl;
+    }
+
+    const match = document.body.textContent.match(/\b(\d{3}-\d{7}-\d{7})\b/);
+    return match ? match[1] : null;
+  },
+
+  /**
+   * Extract the order date ("Ordered on March 3, 2026", "Bestellt am 3. März 2026") as an ISO string
+   */
+  getOrderDate() {
+    return this.parseOrderDate(document.body.textContent);
+  },
+
+  /**
+   * Find an "Ordered on" / "Order placed" date (or the storefront's
+   * equivalent) in text, as an ISO string at UTC midnight so the backend,
+   * which groups purchases by UTC year, files it under the printed date.
+   * East of UTC, today's midnight can still be ahead: it is capped at now.
+   */
+  parseOrderDate(text) {
+    const marketplace = this.getMarketplace();
+    const label = (text || '').match(Marketplaces.labels(marketplace).orderPlaced);
+    if (!label) return null;
+
+    const after = text.slice(label.index + label[0].length, label.index + label[0].length + 40);
+    const found = Marketplaces.findDate(after, marketplace);
+    if (!found || found.index !== 0 || !found.year) return null;
+    return new Date(Math.min(Date.UTC(found.year, found.month, found.day), Date.now())).toISOString();
+  },
+
+  /**
+   * Extract the purchased items of an order (ASIN, title, quantity).
+   * Recommendation carousels ("Buy it again", "Customers also bought") are skipped.
+   */
+  scrapeOrderItems(root = document) {
+    const items = new Map();
+
+    const container = Selectors.query(root, 'order', 'items') || root.body || root;
+
+    const links = container.querySelectorAll('a[href*="/dp/"], a[href*="/gp/product/"]');
+    links.forEach(link => {
+      if (Selectors.matches(link, 'order', 'recommendations')) return;
+
+      const href = link.getAttribute('href') || '';
+      const match = href.match(/\/(?:dp|gp\/product)\/([A-Z0-9]{10})/);
+      if (!match) return;
+      const asin = match[1];
+
+      const row = Selectors.closest(link, 'order', 'itemRow') || link.parentElement;
+
+      const title = link.textContent.trim().replace(/\s+/g, ' ');
+      const existing = items.get(asin);
+      if (existing) {
+        // Image and title links both point at the item; keep the one with text
+        if (!existing.title && title) existing.title = title;
+        return;
+      }
+
+      const qtyEl = row && Selectors.query(row, 'order', 'itemQuantity');
+      const qtyText = qtyEl ? qtyEl.textContent : (row ? row.textContent : '');
+      const qtyMatch = qtyEl
+        ? qtyText.match(/(\d+)/)
+        : qtyText.match(Marketplaces.labels(this.getMarketplace()).quantity);
+      const quantity = Math.max(1, parseInt(qtyMatch && qtyMatch[1], 10) || 1);
+
+      items.set(asin, {
         asin,
         title,
-        price,
+        quantity,
         brand: '',
         category: '',
         description: title,
         details: {},
-        url: window.location.href,
+        partial: true,
+        url: Marketplaces.productUrl(asin, this.getMarketplace()),
         scrapedAt: new Date().toISOString()
       });
     });
 
-    // Fallback: find product links with ASINs in active cart
-    if (items.length === 0) {
-      const links = searchRoot.querySelectorAll('a[href*="/dp/"]');
-      links.forEach(link => {
-        if (!isInActiveCart(link)) return;
-        const href = link.getAttribute('href') || '';
-        const match = href.match(/\/dp\/([A-Z0-9]{10})/);
-        if (!match) return;
-        const asin = match[1];
-        if (seen.has(asin)) return;
-        const title = link.textContent.trim().replace(/\s+/g, ' ');
-        if (!title || title.length < 3) return;
-        seen.add(asin);
-
-        const container = link.closest('.sc-list-item, [data-asin], [data-item-index]') || link.parentElement;
-        const priceEl = container ? container.querySelector('.a-price .a-offscreen, .sc-product-price') : null;
+    return [...items.values()].filter(item => item.title);
+  },
 
-        items.push({
-          asin,
-          title,
-          price: priceEl ? priceEl.textContent.trim() : '',
-          brand: '',
-          category: '',
-          description: title,
-          details: {},
-          url: window.location.href,
-          scrapedAt: new Date().toISOString()
-        });
+  /**
+   * Parse one page of the "Your Orders" list (a fetched Document).
+   * Returns { orders: [{ orderId, orderDate, items }], hasNextPage }
+   */
+  scrapeOrderHistoryPage(doc) {
+    const cards = Selectors.queryAll(doc, 'order', 'historyCard');
+    const orders = [];
+
+    cards.forEach(card => {
+      const idEl = Selectors.query(card, 'order', 'historyOrderId');
+      const idMatch = (idEl ? idEl.textContent : card.textContent).match(/(\d{3}-\d{7}-\d{7})/);
+      if (!idMatch) return;
+
+      const items = this.scrapeOrderItems(card);
+      if (items.length === 0) return;
+
+      orders.push({
+        orderId: idMatch[1],
+        orderDate: this.parseOrderDate(card.textContent.replace(/\s+/g, ' ')),
+        items
       });
-    }
+    });
 
-    console.log('BloomCart: Scraped cart items:', items.length);
-    if (items.length === 0) {
-      const asinCount = document.querySelectorAll('[data-asin]').length;
-      console.warn('BloomCart: No items parsed. Total [data-asin] on page:', asinCount);
+    const next = Selectors.query(doc, 'order', 'historyNextPage');
+    return {
+      orders,
+      hasNextPage: !!(next && !next.classList.contains('a-disabled') && next.querySelector('a'))
+    };
+  },
+
+  /**
+   * Scrape a completed order: ID, date and purchased items
+   */
+  scrapeOrder() {
+    if (!this.isOrderConfirmationPage() && !this.isOrderDetailsPage()) {
+      return null;
     }
-    return items;
+
+    return {
+      orderId: this.getOrderId(),
+      orderDate: this.isOrderDetailsPage() ? this.getOrderDate() : null,
+      source: this.isOrderConfirmationPage() ? 'order_confirmation' : 'order_details',
+      items: this.scrapeOrderItems()
+    };
   }
 };
 
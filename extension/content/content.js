@@ -13,14 +13,29 @@ let cartItems = new Set();
 let cartObserver = null;
 let lastCartCount = 0;
 
+// Search result badges
+const SEARCH_BADGES = {
+  FILTER_KEY: 'searchSustainableOnly',
+  BATCH_SIZE: 8,
+  BATCH_DELAY_MS: 400,
+  RESCAN_DELAY_MS: 300
+};
+const searchCards = new Map(); // result card element -> scraped item (sponsored and organic cards can share an ASIN)
+const searchRatings = new Map(); // asin -> { grade, score, overallScore, stale }
+let searchQueue = [];
+let searchBatchTimer = null;
+let searchAnalyzing = false;
+let searchObserver = null;
+let searchSustainableOnly = false;
+
 /**
  * Initialize BloomCart on Amazon pages (product pages and cart pages)
  */
 async function initBloomCart() {
   console.log('BloomCart: Initializing...');
 
-  // Load plant state from Chrome storage
-  await loadPlantState();
+  // Load plant state and the synced scoring policy from Chrome storage
+  await Promise.all([loadPlantState(), BloomCartScoringPolicy.load(), BloomCartSelectors.load()]);
 
   // Always sync cart items from Amazon on any page (fetches cart HTML in background)
   syncCartItems();
@@ -38,6 +53,12 @@ async function initBloomCart() {
   } else if (AmazonScraper.isCartPage()) {
     console.log('BloomCart: On cart page, analyzing cart items...');
     analyzeCartPage();
+  } else if (AmazonScraper.isOrderConfirmationPage() || AmazonScraper.isOrderDetailsPage()) {
+    console.log('BloomCart: On order page, recording purchases...');
+    recordOrderPurchases();
+  } else if (AmazonScraper.isSearchPage()) {
+    console.log('BloomCart: On search results, adding grade badges...');
+    initSearchBadges();
   } else {
     console.log('BloomCart: Not a product or cart page');
     // Still observe for SPA navigation
@@ -50,42 +71,19 @@ async function initBloomCart() {
  */
 async function loadPlantState() {
   return new Promise((resolve) => {
-    chrome.storage.local.get(['plantState', 'userId'], (result) => {
-      if (!result.userId) {
-        // Generate a unique user ID
-        const userId = 'user_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
-        chrome.storage.local.set({ userId });
-        result.userId = userId;
-      }
-
+    chrome.storage.local.get(['plantState'], (result) => {
       currentPlantState = result.plantState || {
-        currentFrame: 0,
+        currentFrame: 50,
         totalPurchases: 0,
         sustainablePurchases: 0
       };
 
-      // Always ensure userId is set
-      currentPlantState.userId = result.userId;
-
       console.log('BloomCart: Plant state loaded', currentPlantState);
       resolve(currentPlantState);
     });
   });
 }
 
-/**
- * Save plant state to Chrome storage
- */
-async function savePlantState(newState) {
-  currentPlantState = { ...currentPlantState, ...newState };
-  return new Promise((resolve) => {
-    chrome.storage.local.set({ plantState: currentPlantState }, () => {
-      console.log('BloomCart: Plant state saved', currentPlantState);
-      resolve();
-    });
-  });
-}
-
 /**
  * Create plant display container
  */
@@ -145,20 +143,16 @@ function initializeCartMonitoring() {
  */
 function observeCartChanges() {
   // Watch for cart count changes in header
-  const cartCountSelectors = ['#nav-cart-count', '[data-csa-c-type="element"][data-csa-c-id="nav-cart"]', '.nav-cart-count'];
-  
   const checkCartCount = () => {
-    cartCountSelectors.forEach(selector => {
-      const cartElement = document.querySelector(selector);
-      if (cartElement) {
-        const currentCount = parseInt(cartElement.textContent) || 0;
-        if (currentCount > lastCartCount) {
-          console.log('BloomCart: Cart item added, analyzing...');
-          handleCartItemAdded();
-        }
-        lastCartCount = currentCount;
+    const cartElement = BloomCartSelectors.query(document, 'nav', 'cartCount');
+    if (cartElement) {
+      const currentCount = parseInt(cartElement.textContent) || 0;
+      if (currentCount > lastCartCount) {
+        console.log('BloomCart: Cart item added, analyzing...');
+        handleCartItemAdded();
       }
-    });
+      lastCartCount = currentCount;
+    }
   };
 
   // Initial check
@@ -170,7 +164,7 @@ function observeCartChanges() {
   });
   
   // Observe changes to the navigation area
-  const navElement = document.querySelector('#navbar, #nav-main, .nav-main');
+  const navElement = BloomCartSelectors.query(document, 'nav', 'header');
   if (navElement) {
     observer.observe(navElement, {
       childList: true,
@@ -184,24 +178,14 @@ function observeCartChanges() {
  * Monitor "Add to Cart" button clicks
  */
 function monitorAddToCartButtons() {
-  // Common "Add to Cart" button selectors on Amazon
-  const addToCartSelectors = [
-    '#add-to-cart-button',
-    '[name="submit.add-to-cart"]',
-    '.a-button-primary[aria-labelledby*="cart"]',
-    '[data-action="add-to-cart"]'
-  ];
-  
-  addToCartSelectors.forEach(selector => {
-    document.addEventListener('click', (event) => {
-      if (event.target.matches(selector) || event.target.closest(selector)) {
-        console.log('BloomCart: Add to cart button clicked!');
-        // Wait a moment for the cart to update, then analyze
-        setTimeout(() => {
-          handleCartItemAdded();
-        }, 2000);
-      }
-    });
+  document.addEventListener('click', (event) => {
+    if (BloomCartSelectors.matches(event.target, 'nav', 'addToCartButton')) {
+      console.log('BloomCart: Add to cart button clicked!');
+      // Wait a moment for the cart to update, then analyze
+      setTimeout(() => {
+        handleCartItemAdded();
+      }, 2000);
+    }
   });
 }
 
@@ -244,20 +228,16 @@ async function handleCartItemAdded() {
       return;
     }
 
-    // Store product in cart and update plant health
+    // Store product in cart; the plant only changes once the order is placed
     chrome.runtime.sendMessage(
-      { action: 'addToCart', data: { product: rating } },
+      { action: 'addToCart', data: { product: rating, quantity: AmazonScraper.getSelectedQuantity() } },
       (response) => {
         if (chrome.runtime.lastError) {
           console.error('BloomCart: addToCart error', chrome.runtime.lastError);
           return;
         }
         if (response && response.success && response.plantState) {
-          console.log('BloomCart: Product added to cart, plant health:', response.plantState.currentFrame);
-          currentPlantState = response.plantState;
-          savePlantState(response.plantState);
-          updatePlantDisplay();
-          updateHealthIndicator();
+          console.log('BloomCart: Product added to cart, cart health:', response.plantState.cartHealth);
         }
       }
     );
@@ -303,46 +283,6 @@ async function analyzeProductSustainability(productData) {
   });
 }
 
-/**
- * Update plant growth based on cart item sustainability
- */
-async function updatePlantFromCartItem(productData, rating) {
-  console.log('BloomCart: Updating plant from cart item:', rating);
-  
-  // Calculate plant growth change based on sustainability score
-  let growthChange = 0;
-  
-  if (rating.overallScore >= 80) {
-    growthChange = 15; // Excellent sustainability - big growth boost
-  } else if (rating.overallScore >= 60) {
-    growthChange = 10; // Good sustainability - moderate growth
-  } else if (rating.overallScore >= 40) {
-    growthChange = 5;  // Fair sustainability - small growth
-  } else if (rating.overallScore >= 20) {
-    growthChange = 0;  // Poor sustainability - no growth
-  } else {
-    growthChange = -5; // Very poor sustainability - plant suffers
-  }
-  
-  // Track cart statistics
-  const newTotalCartItems = (currentPlantState.totalCartItems || 0) + 1;
-  const newSustainableCartItems = rating.overallScore >= 60 
-    ? (currentPlantState.sustainableCartItems || 0) + 1 
-    : (currentPlantState.sustainableCartItems || 0);
-  
-  // Update plant state locally (no backend call needed for cart monitoring)
-  await savePlantState({
-    totalCartItems: newTotalCartItems,
-    sustainableCartItems: newSustainableCartItems,
-    lastCartUpdate: Date.now()
-  });
-  
-  // Update plant animation with visual feedback
-  updatePlantAnimation(growthChange);
-  
-  console.log(`BloomCart: Plant updated! Growth: ${growthChange > 0 ? '+' : ''}${growthChange}, Cart: ${newTotalCartItems} total, ${newSustainableCartItems} sustainable`);
-}
-
 /**
  * Update plant display based on health
  */
@@ -379,14 +319,12 @@ function updatePlantDisplay() {
 }
 
 /**
- * Update plant animation with new health value
+ * Animate the plant after its health changed by `frameChange` (a recorded
+ * purchase, here or in another tab)
  */
 function updatePlantAnimation(frameChange) {
-  const oldFramePercent = currentPlantState.currentFrame;
-  const newFramePercent = Math.max(0, Math.min(100, currentPlantState.currentFrame + frameChange));
-
-  // Update state
-  savePlantState({ currentFrame: newFramePercent });
+  const newFramePercent = currentPlantState.currentFrame;
+  const oldFramePercent = newFramePercent - frameChange;
 
   // Update plant display
   updatePlantDisplay();
@@ -525,7 +463,6 @@ function showFloatingTab(options = {}) {
     const product = options.product;
     const productScore = product.overallScore || 0;
     const productGrade = product.grade || (product.rating && product.rating.grade) || 'C';
-    const gradeLabels = { 'A': 'Excellent', 'B': 'Good', 'C': 'Average', 'D': 'Poor', 'E': 'Very Poor' };
     const gradeColors = {
       'A': 'linear-gradient(135deg, #4CAF50 0%, #388E3C 100%)',
       'B': 'linear-gradient(135deg, #66BB6A 0%, #43A047 100%)',
@@ -533,7 +470,7 @@ function showFloatingTab(options = {}) {
       'D': 'linear-gradient(135deg, #FF9800 0%, #F57C00 100%)',
       'E': 'linear-gradient(135deg, #EF5350 0%, #E53935 100%)'
     };
-    const gradeLabel = gradeLabels[productGrade] || 'Unknown';
+    const gradeLabel = BloomCartScoringPolicy.getGrade(productGrade)?.label || 'Unknown';
     const gradeColor = gradeColors[productGrade] || gradeColors['C'];
     const health = currentPlantState.currentFrame || 50;
 
@@ -573,6 +510,9 @@ function showFloatingTab(options = {}) {
           </div>
         </div>
 
+        ${renderCertifications(product.certifications, product.rating)}
+        ${renderClaimFlags(product.claimAnalysis)}
+
         <!-- Flower Garden -->
         <div class="bloom-garden-tab">
           <div class="garden-bg-tab"></div>
@@ -602,11 +542,21 @@ function showFloatingTab(options = {}) {
                 <span class="metric-value">${product.economic || 0}%</span>
               </div>
             </div>
+            ${renderScoreFactors(product.scoreBreakdown)}
             ${product.carbonFootprint ? `
             <div class="carbon-info">
               <span class="carbon-label">Carbon Footprint:</span>
               <span class="carbon-value">${product.carbonFootprint.co2e?.toFixed(2) || 0} kg CO₂e</span>
             </div>
+            ${product.carbonFootprint.transport ? `
+            <div class="carbon-info">
+              <span class="carbon-label">Shipping to you:</span>
+              <span class="carbon-value">${product.carbonFootprint.transport.co2e.toFixed(2)} kg CO₂e</span>
+            </div>
+            ` : ''}
+            ${renderImpactMetrics(product.impactMetrics)}
+            ${renderMaterialBreakdown(product.carbonFootprint)}
+            ${renderPackaging(product.packaging)}
             ` : ''}
           </div>
         </div>
@@ -618,14 +568,22 @@ function showFloatingTab(options = {}) {
           </div>
           <p class="impact-message">
             ${product.rating && product.rating.description ? product.rating.description : 'Sustainability analysis for this product.'}<br>
-            ${productScore >= 60 ? 'This is a sustainable choice!' : productScore >= 40 ? 'Consider more eco-friendly alternatives.' : 'This product has a high environmental impact.'}
+            ${BloomCartScoringPolicy.isSustainable(productGrade) ? 'This is a sustainable choice!' : productScore >= 40 ? 'Consider more eco-friendly alternatives.' : 'This product has a high environmental impact.'}
           </p>
         </div>
 
+        ${productGrade !== BloomCartScoringPolicy.current.grades[0].grade ? `
+        <!-- Greener Options (filled in once alternatives are found) -->
+        <div class="greener-options" id="bloomcart-greener-options" hidden>
+          <span class="greener-options-title">Greener options 🌿</span>
+          <ul class="greener-options-list"></ul>
+        </div>
+        ` : ''}
+
         <!-- Action Button -->
         <button class="grow-garden-btn" onclick="handleGrowGarden()">
           <span class="btn-icon">🛒</span>
-          Add to Cart & Grow Garden
+          Add to Cart
         </button>
 
         <!-- Footer -->
@@ -640,6 +598,8 @@ function showFloatingTab(options = {}) {
     // Render flower in tab based on product score
     setTimeout(() => renderTabFlower(productScore), 100);
 
+    loadGreenerOptions(product);
+
     // Add close button event listener
     const closeBtn = document.getElementById('bloomcart-close-btn');
     if (closeBtn) {
@@ -675,6 +635,265 @@ function showFloatingTab(options = {}) {
   }
 }
 
+/**
+ * Fill the floating tab's "Greener options" with better-rated products from
+ * the backend, using the page's similar-item carousels as extra candidates.
+ * The section stays hidden when there are none.
+ */
+function loadGreenerOptions(product) {
+  const section = document.getElementById('bloomcart-greener-options');
+  if (!section || !product.asin || product.asin === 'unknown') return;
+
+  chrome.runtime.sendMessage(
+    {
+      action: 'getAlternatives',
+      data: { asin: product.asin, candidates: AmazonScraper.getSimilarItemAsins() }
+    },
+    (response) => {
+      if (chrome.runtime.lastError || !response || !response.success) return;
+      if (response.alternatives.length === 0) return;
+
+      section.querySelector('.greener-options-list').innerHTML =
+        response.alternatives.map(renderAlternative).join('');
+      section.hidden = false;
+    }
+  );
+}
+
+/**
+ * One greener option: a link to the product on this storefront
+ */
+function renderAlternative(alternative) {
+  const grade = alternative.rating.grade;
+  const price = alternative.price
+    ? `${currencySymbol(alternative.price.currency)}${alternative.price.amount.toFixed(2)}`
+    : '';
+
+  return `
+    <li>
+      <a class="greener-option" href="${BloomCartMarketplaces.productUrl(alternative.asin)}">
+        <span class="greener-option-grade grade-${grade}">${grade}</span>
+        <span class="greener-option-text">
+          <span class="greener-option-title">${escapeHtml(alternative.title)}</span>
+          <span class="greener-option-meta">${escapeHtml(alternative.brand || '')}${price ? ` • ${price}` : ''} • ${alternative.co2eSavedPerKg.toFixed(1)} kg CO₂e/kg less</span>
+        </span>
+      </a>
+    </li>
+  `;
+}
+
+// Why the backend did not verify a certification claim
+const CERTIFICATION_REASONS = {
+  unknown_certification: 'Not a certification BloomCart recognizes',
+  requires_badge: "Only counts when shown on Amazon's Climate Pledge Friendly badge",
+  not_applicable: "This scheme doesn't certify this kind of product",
+  seller_claim: "Claimed by the seller, not shown on Amazon's sustainability badge. Doesn't change the score"
+};
+
+/**
+ * Certifications claimed on the listing: verified ones (with the score
+ * reduction they earned), then seller claims and rejected claims, dimmed
+ */
+function renderCertifications(certifications, rating) {
+  if (!certifications || certifications.length === 0) return '';
+
+  const adjustments = (rating && rating.adjustments) || [];
+  const chips = certifications.map(cert => {
+    const adjustment = adjustments.find(a => a.certification === cert.name);
+    const tooltip = cert.verified
+      ? [cert.issuer, adjustment ? `${Math.round(adjustment.reduction * 100)}% lower CO₂e score` : ''].filter(Boolean).join(' • ')
+      : CERTIFICATION_REASONS[cert.reason] || 'Not verified';
+
+    return `
+      <li class="certification ${cert.verified ? 'verified' : 'unverified'}" title="${escapeHtml(tooltip)}">
+        ${cert.verified ? '✓' : '?'} ${escapeHtml(cert.name)}
+      </li>
+    `;
+  });
+
+  return `
+    <div class="certifications-section">
+      <span class="certifications-title">Certifications</span>
+      <ul class="certifications-list">${chips.join('')}</ul>
+    </div>
+  `;
+}
+
+/**
+ * Vague eco-claims ("eco-friendly", "sustainable") that nothing specific on
+ * the listing backs up. They are ignored by the rating.
+ */
+function renderClaimFlags(claimAnalysis) {
+  // One flag per term, even when several passages use it
+  const flagged = ((claimAnalysis && claimAnalysis.vague) || [])
+    .filter(claim => !claim.substantiated)
+    .filter((claim, index, claims) => claims.findIndex(c => c.term === claim.term) === index);
+  if (flagged.length === 0) return '';
+
+  return `
+    <div class="claim-flags">
+      <span class="claim-flags-title">⚠️ Unsubstantiated claims</span>
+      <ul class="claim-flags-list">
+        ${flagged.map(claim => `<li class="claim-flag" title="Found in the ${escapeHtml(claim.source)}: “${escapeHtml(claim.text)}”">${escapeHtml(claim.term)}</li>`).join('')}
+      </ul>
+      <p class="claim-flags-note">No material percentage, standard or certification backs these, so they don't affect the grade.</p>
+    </div>
+  `;
+}
+
+/**
+ * Escape text for safe interpolation into innerHTML (including quoted attributes)
+ */
+function escapeHtml(text) {
+  const div = document.createElement('div');
+  div.textContent = String(text);
+  return div.innerHTML.replace(/"/g, '&quot;');
+}
+
+/**
+ * Render the factors behind each component score ("why" list)
+ */
+function renderScoreFactors(scoreBreakdown) {
+  if (!scoreBreakdown) return '';
+
+  const components = [
+    ['environmental', 'Environmental'],
+    ['social', 'Social'],
+    ['economic', 'Economic']
+  ];
+
+  const rows = components.flatMap(([key, label]) => {
+    const factors = (scoreBreakdown[key] && scoreBreakdown[key].factors) || [];
+    return factors.map(f => `
+      <li class="score-factor ${f.impact >= 0 ? 'positive' : 'negative'}">
+        <span class="factor-component">${label}</span>
+        <span class="factor-text">${escapeHtml(f.factor)}</span>
+        <span class="factor-impact">${f.impact > 0 ? '+' : ''}${f.impact}</span>
+      </li>
+    `);
+  });
+
+  if (rows.length === 0) return '';
+
+  return `
+    <div class="score-factors">
+      <span class="score-factors-title">Why these scores</span>
+      <ul class="score-factors-list">${rows.join('')}</ul>
+    </div>
+  `;
+}
+
+/**
+ * Symbol for an ISO currency code in the browser's locale ('USD' -> '$')
+ */
+function currencySymbol(currency) {
+  try {
+    return new Intl.NumberFormat(undefined, { style: 'currency', currency })
+      .formatToParts(1)
+      .find(part => part.type === 'currency').value;
+  } catch {
+    return currency;
+  }
+}
+
+/**
+ * Render normalized footprints: per kg (the rating basis), per unit of
+ * currency spent and per expected year of use
+ */
+function renderImpactMetrics(impactMetrics) {
+  if (!impactMetrics) return '';
+
+  const rows = [];
+  if (impactMetrics.co2ePerKg != null) {
+    rows.push(['Per kg of product', `${impactMetrics.co2ePerKg.toFixed(2)} kg CO₂e`]);
+  }
+  if (impactMetrics.co2ePerCurrencyUnit != null && impactMetrics.price) {
+    rows.push([`Per ${currencySymbol(impactMetrics.price.currency)}1 spent`, `${impactMetrics.co2ePerCurrencyUnit.toFixed(3)} kg CO₂e`]);
+  }
+  if (impactMetrics.co2ePerYear != null && impactMetrics.lifetime) {
+    const years = impactMetrics.lifetime.years;
+    const lifetime = years >= 1 ? `${years} yr` : `${Math.max(1, Math.round(years * 365))} days`;
+    rows.push([`Per year of use (~${lifetime})`, `${impactMetrics.co2ePerYear.toFixed(2)} kg CO₂e`]);
+  }
+  if (rows.length === 0) return '';
+
+  return `
+    <ul class="impact-metrics">
+      ${rows.map(([label, value]) => `
+        <li class="impact-metric">
+          <span class="impact-metric-label">${label}</span>
+          <span class="impact-metric-value">${value}</span>
+        </li>
+      `).join('')}
+    </ul>
+  `;
+}
+
+/**
+ * Render the per-material carbon breakdown (mass and CO2e of each material)
+ */
+function renderMaterialBreakdown(carbonFootprint) {
+  const breakdown = (carbonFootprint && carbonFootprint.materialBreakdown) || [];
+  if (breakdown.length === 0) return '';
+
+  const maxCo2e = Math.max(...breakdown.map(m => m.co2e || 0), 0.001);
+  const rows = breakdown.map(m => `
+    <li class="material-row">
+      <span class="material-name">${escapeHtml(m.material)}</span>
+      <span class="material-mass">${Math.round((m.fraction || 0) * 100)}% · ${(m.kg || 0).toFixed(2)} kg</span>
+      <span class="material-co2e">${(m.co2e || 0).toFixed(2)} kg CO₂e</span>
+      <span class="material-bar"><span style="width: ${Math.round(((m.co2e || 0) / maxCo2e) * 100)}%"></span></span>
+    </li>
+  `);
+
+  const estimated = carbonFootprint.compositionBasis === 'equal_split'
+    ? '<span class="material-note">Material shares estimated (equal split)</span>'
+    : '';
+
+  return `
+    <div class="material-breakdown">
+      <span class="material-breakdown-title">Footprint by material</span>
+      <ul class="material-breakdown-list">${rows.join('')}</ul>
+      ${estimated}
+    </div>
+  `;
+}
+
+const PACKAGING_TYPES = {
+  frustration_free: 'Frustration-Free Packaging',
+  ships_in_product_packaging: 'Ships in product packaging',
+  standard: 'Standard shipping box'
+};
+
+/**
+ * Render the packaging estimate: type, sub-score, emissions and waste
+ */
+function renderPackaging(packaging) {
+  if (!packaging) return '';
+
+  const type = PACKAGING_TYPES[packaging.type] || PACKAGING_TYPES.standard;
+  const rows = [
+    ['Type', packaging.typeBasis === 'default' ? `${type} (assumed)` : type],
+    ['Packaging score', `${packaging.score}/100`],
+    ['Emissions', `${packaging.co2e.toFixed(2)} kg CO₂e`],
+    ['Waste', `${packaging.kg.toFixed(2)} kg (${Math.round(packaging.waste.recyclableShare * 100)}% recyclable)`]
+  ];
+
+  return `
+    <div class="material-breakdown">
+      <span class="material-breakdown-title">Packaging</span>
+      <ul class="impact-metrics">
+        ${rows.map(([label, value]) => `
+          <li class="impact-metric">
+            <span class="impact-metric-label">${label}</span>
+            <span class="impact-metric-value">${value}</span>
+          </li>
+        `).join('')}
+      </ul>
+    </div>
+  `;
+}
+
 /**
  * Get plant stage from health percentage (7 stages)
  */
@@ -759,20 +978,6 @@ function getTierColor(tier) {
   return colors[tier - 1] || colors[2];
 }
 
-/**
- * Get frame change from product grade
- */
-function getFrameChangeFromGrade(grade) {
-  const frameChanges = {
-    'A': 15,
-    'B': 10,
-    'C': 0,
-    'D': -15,
-    'E': -20
-  };
-  return frameChanges[grade] || 0;
-}
-
 /**
  * Create floating tab
  */
@@ -805,33 +1010,27 @@ function createFloatingTab() {
 }
 
 /**
- * Handle purchase (when user clicks "Add to Cart & Grow Garden")
+ * Handle "Add to Cart" from the floating tab. This only stores the item in
+ * the cart; the plant grows when the order is placed (recordOrderPurchases).
  */
 async function handlePurchase(product) {
   console.log('BloomCart: Adding to cart', product);
 
-  // Store product in cart and update plant health
   chrome.runtime.sendMessage(
     { action: 'addToCart', data: { product } },
     (response) => {
       if (response && response.success) {
-        // Update plant state
         currentPlantState = response.plantState;
-        chrome.storage.local.set({ plantState: currentPlantState });
-
-        // Update all plant displays
-        updatePlantDisplay();
         updateHealthIndicator();
-        renderTabFlower(currentPlantState.currentFrame || 50);
 
         // Show feedback based on product score
         const score = product.overallScore || 50;
-        if (score >= 60) {
-          alert(`Added to cart! Great sustainable choice - your plant is thriving! (Health: ${currentPlantState.currentFrame}%)`);
+        if (BloomCartScoringPolicy.isSustainableScore(score)) {
+          alert('Added to cart! Great sustainable choice - your plant will grow when you place the order.');
         } else if (score >= 40) {
-          alert(`Added to cart. Consider more eco-friendly alternatives next time. (Health: ${currentPlantState.currentFrame}%)`);
+          alert('Added to cart. Consider more eco-friendly alternatives before you check out.');
         } else {
-          alert(`Added to cart. This product has a high environmental impact - your plant needs care! (Health: ${currentPlantState.currentFrame}%)`);
+          alert('Added to cart. This product has a high environmental impact - buying it will wilt your plant.');
         }
 
         floatingTab.classList.remove('expanded');
@@ -933,7 +1132,7 @@ function showCartSummary() {
       <span style="color: #0be881; font-weight: 600;">${sustainableItems}</span>
     </div>
     <div style="text-align: center; font-size: 11px; color: #666; font-style: italic;">
-      Add eco-friendly items to grow your plant! 🌿
+      Buy eco-friendly items to grow your plant! 🌿
     </div>
     <div style="text-align: center; margin-top: 8px;">
       <button id="close-summary" style="background: none; border: 1px solid #ddd; border-radius: 6px; padding: 4px 8px; font-size: 11px; cursor: pointer;">Close</button>
@@ -1012,245 +1211,279 @@ function analyzeCartPage() {
 }
 
 /**
- * Fetch cart items by loading the Amazon cart page HTML (works from any Amazon page).
- * Uses the browser's cookies so the request is authenticated.
+ * Record the items of a completed order as purchases. Each order is only
+ * sent once per browser; the service worker also dedupes by order ID and ASIN.
  */
-async function fetchCartItems() {
-  console.log('BloomCart: Fetching cart page to get real cart items...');
-  try {
-    const resp = await fetch('https://www.amazon.com/gp/cart/view.html?ref_=nav_cart', {
-      credentials: 'include',
-      headers: {
-        'Accept': 'text/html,application/xhtml+xml',
-        'Sec-Fetch-Dest': 'document',
-        'Sec-Fetch-Mode': 'navigate',
-        'Sec-Fetch-Site': 'same-origin'
+function recordOrderPurchases() {
+  const order = AmazonScraper.scrapeOrder();
+  if (!order || !order.orderId || order.items.length === 0) {
+    console.log('BloomCart: No order items found on this page');
+    return;
+  }
+
+  chrome.storage.local.get(['recordedOrders'], (result) => {
+    const recordedOrders = result.recordedOrders || [];
+    if (recordedOrders.includes(order.orderId)) {
+      console.log('BloomCart: Order already recorded', order.orderId);
+      return;
+    }
+
+    chrome.runtime.sendMessage({ action: 'recordOrder', data: order }, (response) => {
+      if (chrome.runtime.lastError) {
+        console.error('BloomCart: Order recording error', chrome.runtime.lastError);
+        return;
+      }
+      if (response && response.success) {
+        console.log('BloomCart: Order recorded', order.orderId, response.recorded);
+        chrome.storage.local.set({ recordedOrders: [...recordedOrders, order.orderId].slice(-200) });
       }
     });
+  });
+}
 
-    if (!resp.ok) {
-      console.warn('BloomCart: Cart fetch failed with status', resp.status);
-      return [];
-    }
+// Order history import: Amazon lists 10 orders per page
+const ORDER_HISTORY_PAGE_SIZE = 10;
+const ORDER_HISTORY_MAX_PAGES = 30;
 
-    const html = await resp.text();
-    console.log('BloomCart: Cart page HTML length:', html.length);
+/**
+ * Walk the "Your Orders" list for one year (opt-in, started from the popup)
+ * and hand the orders to the service worker, which rates them and records
+ * backdated purchases. Pages are fetched one at a time with the user's cookies.
+ */
+async function importOrderHistory(year) {
+  const orders = [];
 
-    const parser = new DOMParser();
-    const doc = parser.parseFromString(html, 'text/html');
+  for (let page = 0; page < ORDER_HISTORY_MAX_PAGES; page++) {
+    const url = `https://${window.location.hostname}/your-orders/orders` +
+      `?timeFilter=year-${year}&startIndex=${page * ORDER_HISTORY_PAGE_SIZE}`;
+    const resp = await fetch(url, {
+      credentials: 'include',
+      headers: { 'Accept': 'text/html,application/xhtml+xml' }
+    });
+    if (!resp.ok) throw new Error(`Order history fetch failed with status ${resp.status}`);
 
-    const items = [];
-    const seen = new Set();
-
-    // Helper: extract an item from a container element given an ASIN
-    function extractItem(container, asin) {
-      if (!asin || asin === '' || seen.has(asin)) return null;
-
-      // Comprehensive title selectors for various Amazon cart layouts
-      const titleSelectors = [
-        '.sc-product-title a',
-        'a.sc-product-link',
-        '.sc-item-title-content a',
-        '.a-truncate-cut',
-        '.sc-product-title',
-        'span.a-truncate-full',
-        'a[href*="/dp/"]',
-        '.sc-product-title span',
-        '.a-list-item .a-link-normal',
-        'span.a-text-bold',
-        '.sc-product-link',
-        'a.a-link-normal[href*="/dp/"]',
-        'a.a-link-normal[href*="/gp/product/"]'
-      ];
-
-      let title = '';
-      for (const sel of titleSelectors) {
-        const el = container.querySelector(sel);
-        if (el) {
-          const text = el.textContent.trim();
-          if (text && text.length > 3) {
-            title = text;
-            break;
-          }
-        }
-      }
+    const doc = new DOMParser().parseFromString(await resp.text(), 'text/html');
+    if (doc.querySelector('form[name="signIn"]')) throw new Error('Sign in to Amazon to import your orders');
 
-      if (!title) return null;
-
-      // Clean up title (remove excessive whitespace)
-      title = title.replace(/\s+/g, ' ').trim();
-
-      // Price selectors
-      const priceSelectors = [
-        '.sc-product-price',
-        '.sc-price',
-        '.sc-item-price-block .a-price .a-offscreen',
-        '.a-price .a-offscreen',
-        '.a-price-whole',
-        'span.a-price span.a-offscreen',
-        '.sc-price-badge .a-text-price'
-      ];
-
-      let price = '';
-      for (const sel of priceSelectors) {
-        const el = container.querySelector(sel);
-        if (el) {
-          const text = el.textContent.trim();
-          if (text && text.match(/\$|£|€|\d/)) {
-            price = text;
-            break;
-          }
-        }
-      }
+    const result = AmazonScraper.scrapeOrderHistoryPage(doc);
+    orders.push(...result.orders);
+    console.log('BloomCart: Order history page', page + 1, '-', result.orders.length, 'orders');
+    if (!result.hasNextPage || result.orders.length === 0) break;
+  }
 
-      seen.add(asin);
-      return {
-        asin,
-        title,
-        price,
-        brand: '',
-        category: '',
-        description: title,
-        details: {},
-        url: `https://www.amazon.com/dp/${asin}`,
-        scrapedAt: new Date().toISOString()
-      };
-    }
+  if (orders.length === 0) {
+    return { year, orders: 0, imported: 0, duplicates: 0, baseline: null };
+  }
+
+  const response = await chrome.runtime.sendMessage({ action: 'importOrders', data: { year, orders } });
+  if (!response || !response.success) {
+    throw new Error((response && response.error) || 'Order import failed');
+  }
+  return response;
+}
+
+/**
+ * Badge every search result with its grade: cached ratings first, then
+ * results without one are analyzed in small batches as they scroll into view
+ */
+async function initSearchBadges() {
+  const stored = await chrome.storage.local.get([SEARCH_BADGES.FILTER_KEY]);
+  searchSustainableOnly = !!stored[SEARCH_BADGES.FILTER_KEY];
+  createSearchFilterToggle();
+
+  searchObserver = new IntersectionObserver(onSearchResultsVisible, { rootMargin: '200px 0px' });
+  badgeSearchResults();
+
+  // Filters and sorting replace the result cards in place
+  const results = BloomCartSelectors.query(document, 'search', 'results');
+  if (results) {
+    let rescanTimer = null;
+    new MutationObserver(() => {
+      clearTimeout(rescanTimer);
+      rescanTimer = setTimeout(badgeSearchResults, SEARCH_BADGES.RESCAN_DELAY_MS);
+    }).observe(results, { childList: true, subtree: true });
+  }
+}
+
+/**
+ * Badge result cards not seen yet, from the backend's cache where possible;
+ * the rest (and stale ratings) wait for the card to become visible
+ */
+async function badgeSearchResults() {
+  searchCards.forEach((item, element) => {
+    if (!element.isConnected) searchCards.delete(element);
+  });
 
-    // Find the ACTIVE cart container (exclude "Save for Later", recommendations, etc.)
-    // Amazon uses #activeCartViewForm or #sc-active-cart for the actual cart
-    const activeCartContainer =
-      doc.querySelector('#activeCartViewForm') ||
-      doc.querySelector('#sc-active-cart') ||
-      doc.querySelector('#sc-cart-container');
+  const fresh = AmazonScraper.scrapeSearchResults().filter(({ element }) => !searchCards.has(element));
+  if (fresh.length === 0) return;
 
-    console.log('BloomCart: Active cart container found:', !!activeCartContainer);
+  fresh.forEach(({ element, item }) => searchCards.set(element, item));
 
-    // Helper: check if an element is inside "Save for Later" or recommendations
-    function isInActiveCart(el) {
-      // If we found an active cart container, element must be inside it
-      if (activeCartContainer) {
-        return activeCartContainer.contains(el);
+  const unknown = [...new Set(fresh.map(r => r.item.asin))].filter(asin => !searchRatings.has(asin));
+  if (unknown.length > 0) {
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: 'getCachedRatings',
+        data: { asins: unknown, marketplace: BloomCartMarketplaces.current().id }
+      });
+      if (response && response.success) {
+        response.ratings.forEach(rating => searchRatings.set(rating.asin, rating));
       }
-      // If no container found, exclude known non-cart sections
-      const savedCart = doc.querySelector('#sc-saved-cart, #savedCartViewForm');
-      if (savedCart && savedCart.contains(el)) return false;
-      const recs = el.closest('[class*="recommendation"], [class*="sims-"], [id*="sims-"], [class*="acswidget"]');
-      if (recs) return false;
-      return true;
+    } catch (error) {
+      console.warn('BloomCart: Could not load cached ratings:', error.message);
     }
+  }
 
-    // Strategy 1: Scoped search inside active cart for [data-asin] elements
-    const searchRoot = activeCartContainer || doc;
-    const asinEls = searchRoot.querySelectorAll('[data-asin]');
+  fresh.forEach(({ element, item }) => {
+    const rating = searchRatings.get(item.asin);
+    setSearchBadge(element, rating);
+    if (!rating || rating.stale) searchObserver.observe(element);
+  });
+}
 
-    asinEls.forEach(el => {
-      const asin = el.getAttribute('data-asin');
-      if (!asin || asin === '' || seen.has(asin)) return;
-      if (!isInActiveCart(el)) return;
+/**
+ * Queue visible, unrated results for analysis
+ */
+function onSearchResultsVisible(entries) {
+  entries.forEach(entry => {
+    if (!entry.isIntersecting) return;
+    searchObserver.unobserve(entry.target);
 
-      // Find the top-level item container for this ASIN
-      // (avoid extracting from nested child elements that share the parent's ASIN)
-      const itemContainer =
-        el.closest('.sc-list-item') ||
-        el.closest('[data-item-index]') ||
-        el;
+    const item = searchCards.get(entry.target);
+    if (!item) return;
 
-      // Skip if this container's ASIN was already processed
-      const containerAsin = itemContainer.getAttribute('data-asin') || asin;
-      if (containerAsin !== asin && seen.has(containerAsin)) return;
+    if (!searchRatings.has(item.asin)) setSearchBadge(entry.target, null, true);
+    if (!searchQueue.some(queued => queued.asin === item.asin)) searchQueue.push(item);
+  });
 
-      const item = extractItem(itemContainer, asin);
-      if (item) items.push(item);
-    });
+  if (searchQueue.length > 0 && !searchBatchTimer) {
+    searchBatchTimer = setTimeout(analyzeSearchQueue, SEARCH_BADGES.BATCH_DELAY_MS);
+  }
+}
 
-    // Strategy 2: Find ASIN from product links inside the active cart
-    if (items.length === 0) {
-      const linkRoot = activeCartContainer || doc;
-      const productLinks = linkRoot.querySelectorAll('a[href*="/dp/"]');
-
-      productLinks.forEach(link => {
-        if (!isInActiveCart(link)) return;
-        const href = link.getAttribute('href') || '';
-        const asinMatch = href.match(/\/dp\/([A-Z0-9]{10})/);
-        if (!asinMatch) return;
-        const asin = asinMatch[1];
-        if (seen.has(asin)) return;
-
-        const title = link.textContent.trim();
-        if (!title || title.length < 3) return;
-
-        const container = link.closest('.sc-list-item, [data-asin], [data-item-index]') || link.parentElement;
-        let price = '';
-        if (container) {
-          const priceEl = container.querySelector('.a-price .a-offscreen, .sc-product-price, .sc-price');
-          price = priceEl ? priceEl.textContent.trim() : '';
-        }
+/**
+ * Analyze queued results one batch at a time
+ */
+async function analyzeSearchQueue() {
+  searchBatchTimer = null;
+  if (searchAnalyzing || searchQueue.length === 0) return;
 
-        seen.add(asin);
-        items.push({
-          asin,
-          title: title.replace(/\s+/g, ' ').trim(),
-          price,
-          brand: '',
-          category: '',
-          description: title.replace(/\s+/g, ' ').trim(),
-          details: {},
-          url: `https://www.amazon.com/dp/${asin}`,
-          scrapedAt: new Date().toISOString()
-        });
-      });
+  searchAnalyzing = true;
+  const batch = searchQueue.splice(0, SEARCH_BADGES.BATCH_SIZE);
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'rateSearchResults', data: { items: batch } });
+    if (response && response.success) {
+      response.ratings.forEach(rating => searchRatings.set(rating.asin, rating));
     }
+  } catch (error) {
+    console.warn('BloomCart: Could not analyze search results:', error.message);
+  }
 
-    // Strategy 3: Parse cart data from embedded JSON in script tags (last resort)
-    if (items.length === 0) {
-      const scripts = doc.querySelectorAll('script');
-      for (const script of scripts) {
-        const text = script.textContent || '';
-        // Look for cart-specific JSON patterns
-        if (!text.includes('cartItem') && !text.includes('activeCart') && !text.includes('sc-active')) continue;
-        const asinMatches = text.matchAll(/"asin"\s*:\s*"([A-Z0-9]{10})"/g);
-        const titleMatches = text.matchAll(/"title"\s*:\s*"([^"]+)"/g);
-        const asins = [...asinMatches].map(m => m[1]);
-        const titles = [...titleMatches].map(m => m[1]);
-
-        if (asins.length > 0 && titles.length >= asins.length) {
-          for (let i = 0; i < asins.length; i++) {
-            if (seen.has(asins[i])) continue;
-            seen.add(asins[i]);
-            items.push({
-              asin: asins[i],
-              title: titles[i] || 'Unknown Product',
-              price: '',
-              brand: '',
-              category: '',
-              description: titles[i] || '',
-              details: {},
-              url: `https://www.amazon.com/dp/${asins[i]}`,
-              scrapedAt: new Date().toISOString()
-            });
-          }
-        }
-      }
-    }
+  // Results that could not be rated lose their pending badge
+  const analyzed = new Set(batch.map(item => item.asin));
+  searchCards.forEach((item, element) => {
+    if (analyzed.has(item.asin)) setSearchBadge(element, searchRatings.get(item.asin));
+  });
+
+  searchAnalyzing = false;
+  if (searchQueue.length > 0) analyzeSearchQueue();
+}
 
-    // Log diagnostics
-    if (items.length === 0) {
-      const cartForm = doc.querySelector('#activeCartViewForm, #sc-active-cart, .sc-list-body');
-      console.warn('BloomCart: Could not parse any cart items. Cart form found:', !!cartForm);
-      console.warn('BloomCart: Page title:', doc.title);
-      const allAsinCount = doc.querySelectorAll('[data-asin]').length;
-      console.warn('BloomCart: Total [data-asin] on page:', allAsinCount);
-      const sampleAsins = [...doc.querySelectorAll('[data-asin]')].slice(0, 5).map(el => ({
-        asin: el.getAttribute('data-asin'),
-        tag: el.tagName,
-        classes: el.className.substring(0, 80),
-        inActiveCart: activeCartContainer ? activeCartContainer.contains(el) : 'no container'
-      }));
-      console.warn('BloomCart: Sample elements:', JSON.stringify(sampleAsins));
+/**
+ * Show a result's grade (or a pending marker) next to its title
+ */
+function setSearchBadge(card, rating, pending = false) {
+  let badge = card.querySelector('.bloomcart-search-badge');
+
+  if (!rating && !pending) {
+    if (badge) badge.remove();
+  } else {
+    if (!badge) {
+      badge = document.createElement('span');
+      const anchor = BloomCartSelectors.query(card, 'search', 'badgeAnchor');
+      (anchor || card).prepend(badge);
+    }
+    if (rating) {
+      const label = BloomCartScoringPolicy.getGrade(rating.grade)?.label || '';
+      badge.className = `bloomcart-search-badge grade-${rating.grade}`;
+      badge.textContent = rating.grade;
+      badge.title = `BloomCart: ${rating.grade} ${label} (${rating.score.toFixed(1)} kg CO₂e/kg)`;
     } else {
-      console.log('BloomCart: Cart items found:', items.map(i => i.asin));
+      badge.className = 'bloomcart-search-badge pending';
+      badge.textContent = '…';
+      badge.title = 'BloomCart: analyzing…';
     }
+  }
+
+  applySearchFilter(card, rating);
+}
+
+/**
+ * Hide a rated result that is not a sustainable grade while the filter is on.
+ * Unrated results stay visible so they can still be analyzed.
+ */
+function applySearchFilter(card, rating) {
+  const hidden = searchSustainableOnly && !!rating && !BloomCartScoringPolicy.isSustainable(rating.grade);
+  card.classList.toggle('bloomcart-filtered-out', hidden);
+}
+
+/**
+ * "Show A–B only" toggle above the results
+ */
+function createSearchFilterToggle() {
+  const grades = BloomCartScoringPolicy.current.sustainableGrades;
+  const bar = document.createElement('div');
+  bar.id = 'bloomcart-search-filter';
+  bar.innerHTML = `
+    <label>
+      <input type="checkbox" ${searchSustainableOnly ? 'checked' : ''}>
+      🌱 Show ${escapeHtml(grades.length > 1 ? `${grades[0]}–${grades[grades.length - 1]}` : grades[0])} only
+    </label>
+  `;
+
+  bar.querySelector('input').addEventListener('change', (event) => {
+    searchSustainableOnly = event.target.checked;
+    chrome.storage.local.set({ [SEARCH_BADGES.FILTER_KEY]: searchSustainableOnly });
+    searchCards.forEach((item, element) => applySearchFilter(element, searchRatings.get(item.asin)));
+  });
+
+  const results = BloomCartSelectors.query(document, 'search', 'results');
+  if (results && results.parentElement) {
+    results.parentElement.insertBefore(bar, results);
+  } else {
+    bar.classList.add('floating');
+    document.body.appendChild(bar);
+  }
+}
+
+/**
+ * Fetch cart items by loading the Amazon cart page HTML (works from any Amazon page).
+ * Uses the browser's cookies so the request is authenticated.
+ */
+async function fetchCartItems() {
+  console.log('BloomCart: Fetching cart page to get real cart items...');
+  try {
+    const resp = await fetch(BloomCartMarketplaces.cartUrl(), {
+      credentials: 'include',
+      headers: {
+        'Accept': 'text/html,application/xhtml+xml',
+        'Sec-Fetch-Dest': 'document',
+        'Sec-Fetch-Mode': 'navigate',
+        'Sec-Fetch-Site': 'same-origin'
+      }
+    });
+
+    if (!resp.ok) {
+      console.warn('BloomCart: Cart fetch failed with status', resp.status);
+      return [];
+    }
+
+    const html = await resp.text();
+    console.log('BloomCart: Cart page HTML length:', html.length);
+
+    const parser = new DOMParser();
+    const doc = parser.parseFromString(html, 'text/html');
+    const items = AmazonScraper.scrapeCartItems(doc);
 
     console.log('BloomCart: Fetched', items.length, 'cart items from cart page');
     return items;
@@ -1315,6 +1548,16 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     return true; // async sendResponse
   }
 
+  if (message.action === 'importOrderHistory') {
+    importOrderHistory(message.year).then(result => {
+      sendResponse({ success: true, ...result });
+    }).catch(error => {
+      console.error('BloomCart: Order history import failed', error);
+      sendResponse({ success: false, error: error.message });
+    });
+    return true; // async sendResponse
+  }
+
   return false;
 });
 
@@ -1322,9 +1565,20 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
 chrome.storage.onChanged.addListener((changes, areaName) => {
   if (areaName === 'local' && changes.plantState) {
     console.log('BloomCart: Plant state updated from storage', changes.plantState.newValue);
+    const oldFrame = currentPlantState ? currentPlantState.currentFrame : undefined;
     currentPlantState = changes.plantState.newValue;
-    updatePlantDisplay();
-    updateHealthIndicator();
+    if (typeof oldFrame === 'number' && currentPlantState.currentFrame !== oldFrame) {
+      updatePlantAnimation(currentPlantState.currentFrame - oldFrame);
+    } else {
+      updatePlantDisplay();
+      updateHealthIndicator();
+    }
+  }
+  if (areaName === 'local' && changes[BloomCartScoringPolicy.STORAGE_KEY]) {
+    BloomCartScoringPolicy.use(changes[BloomCartScoringPolicy.STORAGE_KEY].newValue);
+  }
+  if (areaName === 'local' && changes[BloomCartSelectors.STORAGE_KEY]) {
+    BloomCartSelectors.use(changes[BloomCartSelectors.STORAGE_KEY].newValue);
   }
 });
 
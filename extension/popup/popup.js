@@ -10,10 +10,13 @@ let plantImage = null;
 document.addEventListener('DOMContentLoaded', async () => {
   console.log('BloomCart Popup: Initializing...');
 
-  // Load plant state from Chrome storage
-  const { plantState, userId } = await new Promise((resolve) => {
-    chrome.storage.local.get(['plantState', 'userId'], resolve);
-  });
+  // Load plant state and the synced scoring policy from Chrome storage
+  const [{ plantState, userId }] = await Promise.all([
+    new Promise((resolve) => {
+      chrome.storage.local.get(['plantState', 'userId'], resolve);
+    }),
+    BloomCartScoringPolicy.load()
+  ]);
 
   console.log('BloomCart Popup: Loaded state', { plantState, userId });
 
@@ -40,6 +43,9 @@ document.addEventListener('DOMContentLoaded', async () => {
 
   // Load cart items
   loadCartItems();
+
+  // Order history import controls
+  initializeOrderImport();
 });
 
 /**
@@ -55,7 +61,7 @@ function initializeUI() {
 
     // Try to get current product from active tab
     chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
-      if (tabs[0] && tabs[0].url && tabs[0].url.includes('amazon.com')) {
+      if (tabs[0] && BloomCartMarketplaces.fromUrl(tabs[0].url)) {
         chrome.tabs.sendMessage(tabs[0].id, { action: 'getProductInfo' }, (response) => {
           if (chrome.runtime.lastError) {
             console.log('BloomCart: Could not reach content script:', chrome.runtime.lastError.message);
@@ -91,7 +97,7 @@ function loadCartItems() {
 
   // Also try to get fresh cart items from the active tab
   chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
-    if (tabs[0] && tabs[0].url && tabs[0].url.includes('amazon.com')) {
+    if (tabs[0] && BloomCartMarketplaces.fromUrl(tabs[0].url)) {
       chrome.tabs.sendMessage(tabs[0].id, { action: 'getCartItems' }, (response) => {
         if (chrome.runtime.lastError) return;
         if (response && response.items && response.items.length > 0) {
@@ -120,11 +126,13 @@ function displayCartItems(items) {
   const list = document.getElementById('cart-items-list');
   const countEl = document.getElementById('cart-items-count');
 
+  const health = BloomCartScoringPolicy.cartHealth(items);
+
   section.style.display = 'block';
-  countEl.textContent = items.length;
+  countEl.textContent = health.totalCartItems;
 
   // Update header text
-  document.getElementById('product-title').textContent = `${items.length} item${items.length !== 1 ? 's' : ''} in cart`;
+  document.getElementById('product-title').textContent = `${health.totalCartItems} item${health.totalCartItems !== 1 ? 's' : ''} in cart`;
   document.getElementById('product-brand').textContent = 'Sustainability analysis below';
 
   // Render each cart item
@@ -137,6 +145,7 @@ function displayCartItems(items) {
           <span class="cart-item-title">${truncate(item.title, 50)}</span>
           <div class="cart-item-meta">
             <span class="cart-item-score">${item.overallScore}/100</span>
+            ${item.quantity > 1 ? `<span class="cart-item-qty">×${item.quantity}</span>` : ''}
             ${item.price ? `<span class="cart-item-price">${item.price}</span>` : ''}
           </div>
         </div>
@@ -144,19 +153,9 @@ function displayCartItems(items) {
     `;
   }).join('');
 
-  // Calculate and display average score
-  const avgScore = Math.round(items.reduce((sum, item) => sum + item.overallScore, 0) / items.length);
-  document.getElementById('cart-avg-score').textContent = `${avgScore}/100`;
-
-  // Update the overall score display based on average
-  const tier = getTier(avgScore);
-  updateScoreDisplay(tier, avgScore);
-  updateTierProgress(tier);
-
-  // Update plant based on average
-  if (plantImage) {
-    setPlantStage(avgScore);
-  }
+  // Cart health (quantity- and weight-weighted average score) is shown on
+  // its own; the plant and main score follow recorded purchases only
+  document.getElementById('cart-avg-score').textContent = `${health.cartHealth}/100`;
 }
 
 /**
@@ -179,8 +178,12 @@ function setupEventListeners() {
   // Cart button
   const cartButton = document.getElementById('cart-button');
   cartButton.addEventListener('click', () => {
-    // Open Amazon cart in a new tab
-    chrome.tabs.create({ url: 'https://www.amazon.com/gp/cart/view.html' });
+    // Open the cart of the storefront in the active tab (amazon.com otherwise)
+    chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+      const marketplace = (tabs[0] && BloomCartMarketplaces.fromUrl(tabs[0].url))
+        || BloomCartMarketplaces.DEFAULT_MARKETPLACE;
+      chrome.tabs.create({ url: BloomCartMarketplaces.cartUrl(marketplace) });
+    });
   });
 
   // Preview button
@@ -190,6 +193,74 @@ function setupEventListeners() {
   });
 }
 
+/**
+ * Set up the opt-in order history import: a year picker (this year and the
+ * four before it) and the result of any earlier import
+ */
+function initializeOrderImport() {
+  const yearSelect = document.getElementById('order-import-year');
+  const button = document.getElementById('order-import-btn');
+  const thisYear = new Date().getFullYear();
+
+  for (let year = thisYear; year > thisYear - 5; year--) {
+    yearSelect.add(new Option(String(year), String(year)));
+  }
+  yearSelect.value = String(thisYear - 1);
+
+  const showStoredImport = () => {
+    chrome.storage.local.get(['orderImports'], ({ orderImports = {} }) => {
+      const previous = orderImports[yearSelect.value];
+      setOrderImportStatus(previous ? describeOrderImport(previous) : '');
+    });
+  };
+  yearSelect.addEventListener('change', showStoredImport);
+  showStoredImport();
+
+  button.addEventListener('click', () => {
+    const year = parseInt(yearSelect.value, 10);
+
+    chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+      if (!tabs[0] || !BloomCartMarketplaces.fromUrl(tabs[0].url)) {
+        setOrderImportStatus('Open an Amazon page in this tab, then try again.');
+        return;
+      }
+
+      button.disabled = true;
+      setOrderImportStatus(`Reading your ${year} orders...`);
+
+      chrome.tabs.sendMessage(tabs[0].id, { action: 'importOrderHistory', year }, (response) => {
+        button.disabled = false;
+        if (chrome.runtime.lastError) {
+          setOrderImportStatus('Could not reach the Amazon page. Reload it and try again.');
+          return;
+        }
+        if (!response || !response.success) {
+          setOrderImportStatus((response && response.error) || 'Import failed.');
+          return;
+        }
+        setOrderImportStatus(describeOrderImport(response));
+      });
+    });
+  });
+}
+
+/**
+ * One-line summary of an order import result
+ */
+function describeOrderImport(result) {
+  if (result.error) return `Import failed: ${result.error}`;
+  if (!result.orders && !result.undated) return `No orders found for ${result.year}.`;
+  const imported = `Imported ${result.imported} item${result.imported === 1 ? '' : 's'} from ${result.orders} order${result.orders === 1 ? '' : 's'}`;
+  const undated = result.undated ? ` ${result.undated} order${result.undated === 1 ? '' : 's'} without a date skipped.` : '';
+  const skipped = result.skipped ? ` ${result.skipped} item${result.skipped === 1 ? '' : 's'} BloomCart could not rate skipped.` : '';
+  if (!result.baseline) return `${imported}.${undated}${skipped}`;
+  return `${imported}.${undated}${skipped} ${result.year} footprint: ${result.baseline.totalCO2e} kg CO2e.`;
+}
+
+function setOrderImportStatus(text) {
+  document.getElementById('order-import-status').textContent = text;
+}
+
 /**
  * Get grade color
  */
@@ -295,6 +366,7 @@ function displayProductInfo(product) {
   if (product.carbonFootprint && product.carbonFootprint.co2e) {
     document.getElementById('detail-carbon').textContent = `${product.carbonFootprint.co2e.toFixed(2)} kg CO2e`;
   }
+  displayLifecycleStages(product.carbonFootprint && product.carbonFootprint.lifecycle);
 
   if (product.overallScore !== undefined) {
     const tier = getTier(product.overallScore);
@@ -303,6 +375,44 @@ function displayProductInfo(product) {
   }
 }
 
+/**
+ * List the lifecycle stages of a product's footprint under the carbon detail
+ */
+function displayLifecycleStages(lifecycle) {
+  const list = document.getElementById('detail-lifecycle');
+  list.innerHTML = '';
+  if (!lifecycle || !Array.isArray(lifecycle.stages)) return;
+
+  lifecycle.stages
+    .filter(stage => stage.co2e > 0)
+    .forEach(stage => {
+      const item = document.createElement('li');
+      item.className = 'lifecycle-stage';
+
+      const label = document.createElement('span');
+      label.textContent = stage.label;
+      const value = document.createElement('span');
+      value.textContent = `${stage.co2e.toFixed(2)} kg (${Math.round(stage.share * 100)}%)`;
+      const bar = document.createElement('span');
+      bar.className = 'lifecycle-bar';
+      const fill = document.createElement('span');
+      fill.style.width = `${Math.round(stage.share * 100)}%`;
+      bar.appendChild(fill);
+
+      item.append(label, value, bar);
+      list.appendChild(item);
+    });
+
+  const total = document.createElement('li');
+  total.className = 'lifecycle-stage total';
+  const totalLabel = document.createElement('span');
+  totalLabel.textContent = 'Full lifecycle';
+  const totalValue = document.createElement('span');
+  totalValue.textContent = `${lifecycle.total.toFixed(2)} kg CO2e`;
+  total.append(totalLabel, totalValue);
+  list.appendChild(total);
+}
+
 /**
  * Get plant stage from health percentage (7 stages total)
  */
@@ -342,9 +452,6 @@ function animatePlantGrowth(healthIncrease = 15) {
   const newHealth = Math.min(100, currentHealth + healthIncrease);
 
   setPlantStage(newHealth);
-
-  currentPlantState.currentFrame = newHealth;
-  chrome.storage.local.set({ plantState: currentPlantState });
 }
 
 /**
@@ -357,16 +464,6 @@ function animatePlantWithering(healthDecrease = 20) {
   const newHealth = Math.max(0, currentHealth - healthDecrease);
 
   setPlantStage(newHealth);
-
-  currentPlantState.currentFrame = newHealth;
-  chrome.storage.local.set({ plantState: currentPlantState });
-}
-
-/**
- * Get frame change based on rating grade
- */
-function getFrameChangeForGrade(grade) {
-  return { 'A': 15, 'B': 10, 'C': 0, 'D': -15, 'E': -20 }[grade] || 0;
 }
 
 /**
@@ -391,34 +488,6 @@ function updatePlant(newHealth) {
   updateTierProgress(tier);
 }
 
-/**
- * Show notification
- */
-function showNotification(message, type = 'success') {
-  const notification = document.createElement('div');
-  notification.style.cssText = `
-    position: fixed;
-    top: 20px;
-    right: 20px;
-    background: ${type === 'success' ? '#4CAF50' : '#2196F3'};
-    color: white;
-    padding: 12px 20px;
-    border-radius: 8px;
-    box-shadow: 0 4px 12px rgba(0,0,0,0.2);
-    z-index: 10000;
-    font-size: 14px;
-    animation: slideIn 0.3s ease-out;
-  `;
-  notification.textContent = message;
-
-  document.body.appendChild(notification);
-
-  setTimeout(() => {
-    notification.style.animation = 'slideOut 0.3s ease-in';
-    setTimeout(() => notification.remove(), 300);
-  }, 3000);
-}
-
 /**
  * Listen for storage changes to update UI in real-time
  */
@@ -447,15 +516,5 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   if (message.action === 'productAnalyzed') {
     currentProductRating = message.product;
     displayProductInfo(message.product);
-  } else if (message.action === 'cartItemAdded') {
-    if (message.product && message.product.grade) {
-      const frameChange = getFrameChangeForGrade(message.product.grade);
-      if (frameChange > 0) {
-        animatePlantGrowth(frameChange);
-        showNotification('Great choice! Your plant grew!', 'success');
-      } else if (frameChange < 0) {
-        animatePlantWithering(Math.abs(frameChange));
-      }
-    }
   }
 });
@@ -14,13 +14,9 @@ const CONFIG = {
   PLANT: {
     MIN_FRAME: 0,
     MAX_FRAME: 100,
-    FRAME_CHANGES: {
-      'A': 10,  // Excellent
-      'B': 5,   // Good
-      'C': -5,  // Average
-      'D': -10, // Poor
-      'E': -15  // Very Poor
-    }
+    INITIAL_FRAME: 50, // same as the backend's PlantState default
+    RECENT_PURCHASE_DAYS: 7 // older orders are counted without moving the plant (same as the backend)
+    // Frame changes per grade live in utils/scoring-policy.js
   },
 
   // Rating Colors
@@ -32,19 +28,11 @@ const CONFIG = {
     'E': '#F44336'  // Red
   },
 
-  // Rating Descriptions
-  RATING_DESCRIPTIONS: {
-    'A': 'Excellent - Low carbon footprint',
-    'B': 'Good - Below average emissions',
-    'C': 'Average - Moderate carbon impact',
-    'D': 'Poor - High carbon emissions',
-    'E': 'Very Poor - Significant environmental impact'
-  },
-
   // Chrome Storage Keys
   STORAGE_KEYS: {
     PLANT_STATE: 'plantState',
     USER_ID: 'userId',
+    AUTH_TOKEN: 'authToken',
     CACHED_PRODUCTS: 'cachedProducts'
   },
 
@@ -66,5 +54,5 @@ const CONFIG = {
   }
 };
 
-// Make available globally
-window.BloomCartConfig = CONFIG;
+// Make available globally (window in pages, self in the service worker)
+globalThis.BloomCartConfig = CONFIG;
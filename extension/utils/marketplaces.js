@@ -0,0 +1,157 @@
+/**
+ * BloomCart Marketplaces
+ * Supported Amazon storefronts and the locale text the scraper looks for on each.
+ *
+ * Mirrors backend/src/config/marketplaces.js: the backend resolves the
+ * marketplace from the `marketplace` id or product URL sent with scraped data.
+ */
+
+const MONTH_PATTERNS = {
+  en: ['jan(?:uary)?', 'feb(?:ruary)?', 'mar(?:ch)?', 'apr(?:il)?', 'may', 'june?', 'july?',
+    'aug(?:ust)?', 'sept?(?:ember)?', 'oct(?:ober)?', 'nov(?:ember)?', 'dec(?:ember)?'],
+  de: ['jan(?:uar)?', 'feb(?:ruar)?', 'mär(?:z)?', 'apr(?:il)?', 'mai', 'juni?', 'juli?',
+    'aug(?:ust)?', 'sep(?:t(?:ember)?)?', 'okt(?:ober)?', 'nov(?:ember)?', 'dez(?:ember)?'],
+  fr: ['janv?(?:ier)?', 'févr?(?:ier)?', 'mars', 'avr(?:il)?', 'mai', 'juin', 'juil(?:let)?',
+    'août', 'sept?(?:embre)?', 'oct(?:obre)?', 'nov(?:embre)?', 'déc(?:embre)?']
+};
+
+const LOCALES = {
+  en: {
+    shipsAndSoldBy: /Ships from and sold by ([^.]+)/i,
+    orderPlaced: /(?:Ordered on|Order placed)\s*:?\s*/,
+    quantity: /(?:Qty|Quantity)\s*:?\s*(\d+)/i,
+    sameDay: /\btoday\b|same[- ]day|overnight|within \d+ hours?/i,
+    nextDay: /\btomorrow\b|one[- ]day/i,
+    brandPrefix: /^(Visit the |Brand:\s*)/i,
+    brandSuffix: /\s+Store$/i,
+    frustrationFree: /Frustration[- ]Free Packaging/i,
+    shipsInProductPackaging: /Ships in product packaging|Shows what'?s inside/i,
+    packageDimensions: /^(?:Item )?Package Dimensions/i,
+    packageWeight: /^(?:Item )?Package Weight/i
+  },
+  de: {
+    shipsAndSoldBy: /Versand und Verkauf durch ([^.]+)/i,
+    orderPlaced: /(?:Bestellt am|Bestellung aufgegeben(?: am)?)\s*:?\s*/,
+    quantity: /(?:Menge|Anzahl)\s*:?\s*(\d+)/i,
+    sameDay: /\bheute\b|am selben Tag|innerhalb von \d+ Stunden?/i,
+    nextDay: /\bmorgen\b/i,
+    brandPrefix: /^(Besuche den |Besuchen Sie den |Marke:\s*)/i,
+    brandSuffix: /-?Store$/i,
+    frustrationFree: /Frustfreie Verpackung/i,
+    shipsInProductPackaging: /Versand in (?:der )?Produktverpackung|Zeigt,? was drin ist/i,
+    packageDimensions: /^(?:Verpackungsabmessungen|Paketabmessungen)/i,
+    packageWeight: /^(?:Verpackungsgewicht|Paketgewicht)/i
+  },
+  fr: {
+    shipsAndSoldBy: /Expédié et vendu par ([^.]+)/i,
+    orderPlaced: /(?:Commandé le|Commande effectuée le)\s*:?\s*/,
+    quantity: /(?:Qté|Quantité)\s*:?\s*(\d+)/i,
+    sameDay: /aujourd['’]hui|le jour même|d'ici \d+ heures?/i,
+    nextDay: /\bdemain\b/i,
+    brandPrefix: /^(Visiter la boutique |Marque\s*:\s*)/i,
+    brandSuffix: /\s+Store$/i,
+    frustrationFree: /Emballage (?:sans frustration|d[ée]connect[ée])/i,
+    shipsInProductPackaging: /Exp[ée]di[ée] dans (?:son|l'|l’)\s?emballage/i,
+    packageDimensions: /^Dimensions du (?:colis|paquet)/i,
+    packageWeight: /^Poids du (?:colis|paquet)/i
+  }
+};
+
+const MARKETPLACES = [
+  { id: 'us', domain: 'amazon.com', country: 'US', currency: 'USD', locale: 'en' },
+  { id: 'uk', domain: 'amazon.co.uk', country: 'GB', currency: 'GBP', locale: 'en' },
+  { id: 'ca', domain: 'amazon.ca', country: 'CA', currency: 'CAD', locale: 'en' },
+  { id: 'de', domain: 'amazon.de', country: 'DE', currency: 'EUR', locale: 'de' },
+  { id: 'fr', domain: 'amazon.fr', country: 'FR', currency: 'EUR', locale: 'fr' },
+  { id: 'in', domain: 'amazon.in', country: 'IN', currency: 'INR', locale: 'en' },
+  { id: 'au', domain: 'amazon.com.au', country: 'AU', currency: 'AUD', locale: 'en' }
+];
+
+const DEFAULT_MARKETPLACE = MARKETPLACES[0];
+
+const BloomCartMarketplaces = {
+  MARKETPLACES,
+  DEFAULT_MARKETPLACE,
+
+  /**
+   * The marketplace serving a hostname (e.g. "www.amazon.de"), or null
+   */
+  detect(hostname) {
+    const host = (hostname || '').toLowerCase();
+    return MARKETPLACES.find(m => host === m.domain || host.endsWith(`.${m.domain}`)) || null;
+  },
+
+  /**
+   * The marketplace of a full URL, or null for non-Amazon URLs
+   */
+  fromUrl(url) {
+    try {
+      return this.detect(new URL(url).hostname);
+    } catch {
+      return null;
+    }
+  },
+
+  /**
+   * The marketplace of the page this script runs in (amazon.com if unknown)
+   */
+  current() {
+    return (globalThis.location && this.detect(globalThis.location.hostname)) || DEFAULT_MARKETPLACE;
+  },
+
+  origin(marketplace = this.current()) {
+    return `https://www.${marketplace.domain}`;
+  },
+
+  cartUrl(marketplace = this.current()) {
+    return `${this.origin(marketplace)}/gp/cart/view.html?ref_=nav_cart`;
+  },
+
+  productUrl(asin, marketplace = this.current()) {
+    return `${this.origin(marketplace)}/dp/${asin}`;
+  },
+
+  /**
+   * Locale text patterns for a marketplace
+   */
+  labels(marketplace = this.current()) {
+    return LOCALES[marketplace.locale] || LOCALES.en;
+  },
+
+  /**
+   * Find the first calendar date in text, month-first ("October 21, 2026")
+   * or day-first ("21 October 2026", "21. Oktober", "21 octobre").
+   * Returns { month (0-11), day, year|null, index } or null.
+   */
+  findDate(text, marketplace = this.current()) {
+    const months = (MONTH_PATTERNS[marketplace.locale] || [])
+      .concat(marketplace.locale === 'en' ? [] : MONTH_PATTERNS.en);
+    const monthIndex = (word) => {
+      const found = months.findIndex(pattern => new RegExp(`^(?:${pattern})$`, 'i').test(word));
+      return found === -1 ? -1 : found % 12;
+    };
+
+    const candidates = [];
+    const collect = (regex, read) => {
+      for (const match of (text || '').matchAll(regex)) {
+        const { word, day, year } = read(match);
+        const month = monthIndex(word);
+        if (month !== -1 && day >= 1 && day <= 31) {
+          candidates.push({ month, day, year: year ? parseInt(year, 10) : null, index: match.index });
+          return;
+        }
+      }
+    };
+
+    collect(/(\p{L}+)\.?\s+(\d{1,2})\b(?:,?\s+(\d{4}))?/gu,
+      m => ({ word: m[1], day: parseInt(m[2], 10), year: m[3] }));
+    collect(/\b(\d{1,2})\.?\s+(\p{L}+)\.?(?:,?\s+(\d{4}))?/gu,
+      m => ({ word: m[2], day: parseInt(m[1], 10), year: m[3] }));
+
+    if (candidates.length === 0) return null;
+    return candidates.reduce((first, c) => (c.index < first.index ? c : first));
+  }
+};
+
+// Make available globally (window in pages, self in the service worker)
+globalThis.BloomCartMarketplaces = BloomCartMarketplaces;
@@ -0,0 +1,184 @@
+/**
+ * BloomCart Scoring Policy
+ * Grade thresholds and plant frame changes used by every part of the extension.
+ *
+ * The bundled policy is a snapshot of backend/src/config/scoringPolicy.js.
+ * The service worker fetches GET /api/scoring-policy and stores the result in
+ * chrome.storage, which then takes precedence everywhere via load().
+ */
+
+const DEFAULT_SCORING_POLICY = {
+  version: '1.11',
+  grades: [
+    {
+      grade: 'A',
+      label: 'Excellent',
+      description: 'Excellent - Low carbon footprint',
+      maxCo2ePerKg: 1,
+      minOverallScore: 80,
+      overallScore: 90,
+      frameChange: 15
+    },
+    {
+      grade: 'B',
+      label: 'Good',
+      description: 'Good - Below average emissions',
+      maxCo2ePerKg: 3,
+      minOverallScore: 60,
+      overallScore: 75,
+      frameChange: 10
+    },
+    {
+      grade: 'C',
+      label: 'Average',
+      description: 'Average - Moderate carbon impact',
+      maxCo2ePerKg: 6,
+      minOverallScore: 40,
+      overallScore: 50,
+      frameChange: 0
+    },
+    {
+      grade: 'D',
+      label: 'Poor',
+      description: 'Poor - High carbon emissions',
+      maxCo2ePerKg: 12,
+      minOverallScore: 20,
+      overallScore: 30,
+      frameChange: -15
+    },
+    {
+      grade: 'E',
+      label: 'Very Poor',
+      description: 'Very Poor - Significant environmental impact',
+      maxCo2ePerKg: null,
+      minOverallScore: 0,
+      overallScore: 15,
+      frameChange: -20
+    }
+  ],
+  sustainableGrades: ['A', 'B']
+};
+
+const WEIGHT_TO_KG = { kg: 1, g: 0.001, lb: 0.453592, oz: 0.0283495 };
+
+const ScoringPolicy = {
+  STORAGE_KEY: 'scoringPolicy',
+
+  current: DEFAULT_SCORING_POLICY,
+
+  /**
+   * Check that a policy has the fields the helpers below rely on
+   */
+  isValid(policy) {
+    return !!(policy && policy.version && Array.isArray(policy.grades) && policy.grades.length > 0 &&
+      Array.isArray(policy.sustainableGrades));
+  },
+
+  /**
+   * Replace the active policy (ignored if invalid)
+   */
+  use(policy) {
+    if (this.isValid(policy)) {
+      this.current = policy;
+    }
+    return this.current;
+  },
+
+  /**
+   * Load the synced policy from chrome.storage, keeping the bundled one if none is stored
+   */
+  load() {
+    return new Promise((resolve) => {
+      chrome.storage.local.get([this.STORAGE_KEY], (result) => {
+        resolve(this.use(result[this.STORAGE_KEY]));
+      });
+    });
+  },
+
+  /**
+   * Get the policy entry for a grade (undefined for unknown grades)
+   */
+  getGrade(grade) {
+    return this.current.grades.find(g => g.grade === grade);
+  },
+
+  /**
+   * Map a CO2e-per-kg score to a grade
+   */
+  gradeFromCo2ePerKg(co2ePerKg) {
+    return this.current.grades.find(g => g.maxCo2ePerKg === null || co2ePerKg < g.maxCo2ePerKg).grade;
+  },
+
+  /**
+   * Map a 0-100 sustainability score to a grade
+   */
+  gradeFromOverallScore(overallScore) {
+    const grades = this.current.grades;
+    return (grades.find(g => overallScore >= g.minOverallScore) || grades[grades.length - 1]).grade;
+  },
+
+  /**
+   * Get the plant frame change for a grade (0 for unknown grades)
+   */
+  frameChangeForGrade(grade) {
+    const entry = this.getGrade(grade);
+    return entry ? entry.frameChange : 0;
+  },
+
+  /**
+   * Get the plant frame change for a 0-100 sustainability score
+   */
+  frameChangeForScore(overallScore) {
+    return this.frameChangeForGrade(this.gradeFromOverallScore(overallScore));
+  },
+
+  /**
+   * Whether a grade counts as a sustainable purchase
+   */
+  isSustainable(grade) {
+    return this.current.sustainableGrades.includes(grade);
+  },
+
+  /**
+   * Whether a 0-100 sustainability score counts as a sustainable purchase
+   */
+  isSustainableScore(overallScore) {
+    return this.isSustainable(this.gradeFromOverallScore(overallScore));
+  },
+
+  /**
+   * Health of a cart: overallScore averaged with each line weighted by
+   * quantity x item weight (lines without a known weight count as the average
+   * known weight), plus unit counts. Mirrors the backend's cart summary.
+   * Only purchases move the plant, so this is kept apart from currentFrame.
+   */
+  cartHealth(items) {
+    const weights = items.map(item => item.weight && item.weight.value
+      ? item.weight.value * (WEIGHT_TO_KG[item.weight.unit] || 1)
+      : 0);
+    const known = weights.filter(kg => kg > 0);
+    const fallbackKg = known.length ? known.reduce((a, b) => a + b, 0) / known.length : 1;
+
+    let scoreSum = 0;
+    let weightSum = 0;
+    let totalCartItems = 0;
+    let sustainableCartItems = 0;
+    items.forEach((item, i) => {
+      const quantity = item.quantity || 1;
+      const lineWeight = quantity * (weights[i] || fallbackKg);
+      scoreSum += item.overallScore * lineWeight;
+      weightSum += lineWeight;
+      totalCartItems += quantity;
+      if (this.isSustainableScore(item.overallScore)) sustainableCartItems += quantity;
+    });
+
+    return {
+      cartHealth: weightSum > 0 ? Math.round(scoreSum / weightSum) : null,
+      totalCartItems,
+      sustainableCartItems
+    };
+  }
+};
+
+// Make available globally (window in pages, self in the service worker)
+globalThis.BloomCartScoringPolicy = ScoringPolicy;
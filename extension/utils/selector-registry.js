@@ -0,0 +1,324 @@
+/**
+ * BloomCart Selector Registry
+ * CSS selectors the scraper reads Amazon pages with, by page type, field and
+ * marketplace, plus local counters of which selector matched.
+ *
+ * The bundled registry is a snapshot of backend/src/config/selectors.js.
+ * The service worker fetches GET /api/selectors and stores the result in
+ * chrome.storage, which then takes precedence everywhere via load().
+ *
+ * Lookups through query() and queryAll() are counted in chrome.storage
+ * ('selectorStats'): hits per selector and misses per field, reset when the
+ * registry version changes.
+ * A field whose misses climb after an Amazon layout change needs new fallbacks.
+ */
+
+const DEFAULT_SELECTOR_REGISTRY = {
+  version: '1.4',
+  pages: {
+    product: {
+      asin: ['input[name="ASIN"]', '#ASIN'],
+      title: ['#productTitle', '#title', 'h1.product-title', 'h1 span#productTitle'],
+      detailTables: ['#productDetails_techSpec_section_1, #productDetails_detailBullets_sections1'],
+      detailBullets: ['#detailBullets_feature_div li .a-list-item'],
+      featureBullets: ['#feature-bullets li:not(.aok-hidden)'],
+      brand: ['#bylineInfo', 'a#brand', '.po-brand .po-break-word', 'tr.po-brand td.a-span9', '[data-feature-name="bylineInfo"]'],
+      breadcrumbs: ['#wayfinding-breadcrumbs_feature_div'],
+      department: ['.nav-a-content'],
+      description: ['#productDescription p', '#feature-bullets', '.a-unordered-list.a-vertical.a-spacing-mini'],
+      price: [
+        '#corePrice_feature_div .a-price .a-offscreen',
+        '#corePriceDisplay_desktop_feature_div .a-price .a-offscreen',
+        '#apex_desktop .a-price .a-offscreen',
+        '#priceblock_dealprice',
+        '#priceblock_ourprice',
+        '#price_inside_buybox'
+      ],
+      shipsFrom: [
+        '#tabular-buybox .tabular-buybox-text[tabular-attribute-name="Ships from"]',
+        '#fulfillerInfoFeature_feature_div .offer-display-feature-text'
+      ],
+      soldBy: [
+        '#tabular-buybox .tabular-buybox-text[tabular-attribute-name="Sold by"]',
+        '#merchantInfoFeature_feature_div .offer-display-feature-text'
+      ],
+      merchantInfo: ['#merchant-info'],
+      deliveryMessage: [
+        '#mir-layout-DELIVERY_BLOCK-slot-PRIMARY_DELIVERY_MESSAGE_LARGE',
+        '#deliveryBlockMessage',
+        '#delivery-message'
+      ],
+      quantity: ['#quantity', 'select[name="quantity"]'],
+      similarItems: [
+        '#HLCXComparisonWidget_feature_div, #sp_detail, #sp_detail2, #sp_detail_thematic-highly_rated, ' +
+          '#sims-consolidated-1_feature_div, #sims-consolidated-2_feature_div'
+      ],
+      sustainabilityBadge: [
+        '#climatePledgeFriendly, #climatePledgeFriendly_feature_div, #provenanceCertifications_feature_div'
+      ],
+      sustainabilityCertifications: ['[id*="certificate-name" i]', '.a-text-bold'],
+      packagingBadge: ['#packaging_feature_div, #ffpBadge_feature_div, #shipsInProductPackaging_feature_div']
+    },
+    search: {
+      results: ['.s-main-slot', '#search'],
+      resultCard: ['[data-component-type="s-search-result"][data-asin]', '.s-result-item[data-asin]'],
+      resultTitle: ['h2 a span', 'h2 span', '[data-cy="title-recipe"] span'],
+      resultPrice: ['.a-price:not(.a-text-price) .a-offscreen', '.a-price .a-offscreen'],
+      badgeAnchor: ['[data-cy="title-recipe"]', 'h2']
+    },
+    nav: {
+      cartCount: ['#nav-cart-count', '[data-csa-c-type="element"][data-csa-c-id="nav-cart"]', '.nav-cart-count'],
+      header: ['#navbar', '#nav-main', '.nav-main'],
+      addToCartButton: [
+        '#add-to-cart-button',
+        '[name="submit.add-to-cart"]',
+        '.a-button-primary[aria-labelledby*="cart"]',
+        '[data-action="add-to-cart"]'
+      ]
+    },
+    cart: {
+      activeCart: ['#activeCartViewForm', '#sc-active-cart', '#sc-cart-container'],
+      savedCart: ['#sc-saved-cart', '#savedCartViewForm'],
+      item: ['.sc-list-item', '[data-item-index]'],
+      recommendations: ['[class*="recommendation"]', '[class*="sims-"]', '[id*="sims-"]', '[class*="acswidget"]'],
+      itemTitle: [
+        '.sc-product-title a',
+        'a.sc-product-link',
+        '.sc-item-title-content a',
+        '.a-truncate-cut',
+        '.sc-product-title',
+        'span.a-truncate-full',
+        'a[href*="/dp/"]',
+        '.sc-product-title span',
+        '.a-list-item .a-link-normal',
+        'span.a-text-bold',
+        '.sc-product-link',
+        'a.a-link-normal[href*="/dp/"]',
+        'a.a-link-normal[href*="/gp/product/"]'
+      ],
+      itemPrice: [
+        '.sc-product-price',
+        '.sc-price',
+        '.sc-item-price-block .a-price .a-offscreen',
+        '.a-price .a-offscreen',
+        '.a-price-whole',
+        'span.a-price span.a-offscreen',
+        '.sc-price-badge .a-text-price'
+      ],
+      itemQuantity: [
+        'select[name="quantity"] option[selected]',
+        'input[name="quantityBox"]',
+        '[data-a-selector="value"]',
+        '.sc-action-quantity .a-dropdown-prompt'
+      ]
+    },
+    order: {
+      items: ['#orderDetails', '[data-component="purchasedItems"]', '#a-page'],
+      itemRow: [
+        '.yohtmlc-item',
+        '[data-component="purchasedItems"] .a-fixed-left-grid',
+        '.a-fixed-left-grid',
+        '.shipment .a-row',
+        '.a-row'
+      ],
+      recommendations: ['.a-carousel-container', '[data-a-carousel-options]', '#rhf', '[class*="recommendation"]'],
+      itemQuantity: ['.item-view-qty', '.od-item-view-qty', '.product-image__qty'],
+      historyCard: ['.order-card', '.js-order-card', '#ordersContainer > .order'],
+      historyOrderId: ['.yohtmlc-order-id [dir="ltr"]', '.yohtmlc-order-id'],
+      historyNextPage: ['.a-pagination .a-last']
+    }
+  },
+  marketplaces: {
+    de: {
+      product: {
+        shipsFrom: [
+          '#tabular-buybox .tabular-buybox-text[tabular-attribute-name="Versand"]',
+          '#tabular-buybox .tabular-buybox-text[tabular-attribute-name="Versender"]'
+        ],
+        soldBy: [
+          '#tabular-buybox .tabular-buybox-text[tabular-attribute-name="Verkäufer"]',
+          '#tabular-buybox .tabular-buybox-text[tabular-attribute-name="Verkauf durch"]'
+        ]
+      }
+    },
+    fr: {
+      product: {
+        shipsFrom: [
+          '#tabular-buybox .tabular-buybox-text[tabular-attribute-name="Expéditeur"]',
+          '#tabular-buybox .tabular-buybox-text[tabular-attribute-name="Expédié par"]'
+        ],
+        soldBy: [
+          '#tabular-buybox .tabular-buybox-text[tabular-attribute-name="Vendeur"]',
+          '#tabular-buybox .tabular-buybox-text[tabular-attribute-name="Vendu par"]'
+        ]
+      }
+    }
+  }
+};
+
+// Lookups are batched and written to storage at most this often
+const STATS_FLUSH_MS = 2000;
+
+const SelectorRegistry = {
+  STORAGE_KEY: 'selectorRegistry',
+  STATS_KEY: 'selectorStats',
+
+  current: DEFAULT_SELECTOR_REGISTRY,
+
+  pendingStats: {},
+  flushTimer: null,
+
+  /**
+   * Check that a registry has the fields the helpers below rely on
+   */
+  isValid(registry) {
+    return !!(registry && registry.version && registry.pages && typeof registry.pages === 'object' &&
+      Object.values(registry.pages).every(fields => fields && typeof fields === 'object'));
+  },
+
+  /**
+   * Replace the active registry (ignored if invalid)
+   */
+  use(registry) {
+    if (this.isValid(registry)) {
+      this.current = registry;
+    }
+    return this.current;
+  },
+
+  /**
+   * Load the synced registry from chrome.storage, keeping the bundled one if none is stored
+   */
+  load() {
+    return new Promise((resolve) => {
+      chrome.storage.local.get([this.STORAGE_KEY], (result) => {
+        resolve(this.use(result[this.STORAGE_KEY]));
+      });
+    });
+  },
+
+  /**
+   * Selectors for a field, marketplace-specific ones first
+   */
+  selectors(page, field, marketplaceId = this.currentMarketplaceId()) {
+    const overrides = ((this.current.marketplaces || {})[marketplaceId] || {})[page] || {};
+    const defaults = this.current.pages[page] || {};
+    return [...new Set([...(overrides[field] || []), ...(defaults[field] || [])])];
+  },
+
+  currentMarketplaceId() {
+    return globalThis.BloomCartMarketplaces ? globalThis.BloomCartMarketplaces.current().id : null;
+  },
+
+  /**
+   * First element matched by a field's selectors (in fallback order) that
+   * passes `accept`, or null. The outcome is counted.
+   */
+  query(root, page, field, accept = () => true) {
+    for (const selector of this.selectors(page, field)) {
+      const element = this.safeQuery(root, selector, false);
+      if (element && accept(element)) {
+        this.record(page, field, selector);
+        return element;
+      }
+    }
+    this.record(page, field, null);
+    return null;
+  },
+
+  /**
+   * All elements of the first selector of a field that matches anything
+   */
+  queryAll(root, page, field) {
+    for (const selector of this.selectors(page, field)) {
+      const elements = this.safeQuery(root, selector, true);
+      if (elements.length > 0) {
+        this.record(page, field, selector);
+        return [...elements];
+      }
+    }
+    this.record(page, field, null);
+    return [];
+  },
+
+  /**
+   * The nearest ancestor (or self) matching any of a field's selectors
+   */
+  closest(element, page, field) {
+    for (const selector of this.selectors(page, field)) {
+      try {
+        const match = element.closest(selector);
+        if (match) return match;
+      } catch {
+        // Invalid selector from a synced registry: skip it
+      }
+    }
+    return null;
+  },
+
+  /**
+   * Whether an element matches any of a field's selectors (itself or an ancestor)
+   */
+  matches(element, page, field) {
+    return this.closest(element, page, field) !== null;
+  },
+
+  safeQuery(root, selector, all) {
+    try {
+      return all ? root.querySelectorAll(selector) : root.querySelector(selector);
+    } catch {
+      console.warn('BloomCart: Invalid selector in registry:', selector);
+      return all ? [] : null;
+    }
+  },
+
+  /**
+   * Count a lookup: the selector that matched, or a miss (selector null)
+   */
+  record(page, field, selector) {
+    const key = `${page}.${field}`;
+    const entry = this.pendingStats[key] || (this.pendingStats[key] = { matched: {}, failed: 0 });
+    if (selector) {
+      entry.matched[selector] = (entry.matched[selector] || 0) + 1;
+    } else {
+      entry.failed += 1;
+    }
+
+    if (!this.flushTimer && globalThis.chrome && chrome.storage) {
+      this.flushTimer = setTimeout(() => this.flushStats(), STATS_FLUSH_MS);
+    }
+  },
+
+  /**
+   * Merge the pending counters into chrome.storage
+   */
+  flushStats() {
+    const pending = this.pendingStats;
+    this.pendingStats = {};
+    this.flushTimer = null;
+
+    chrome.storage.local.get([this.STATS_KEY], (result) => {
+      const version = this.current.version;
+      const stored = result[this.STATS_KEY];
+      const stats = stored && stored.version === version ? stored : { version, fields: {} };
+      const now = new Date().toISOString();
+
+      Object.entries(pending).forEach(([key, counts]) => {
+        const entry = stats.fields[key] || (stats.fields[key] = { matched: {}, failed: 0 });
+        Object.entries(counts.matched).forEach(([selector, hits]) => {
+          entry.matched[selector] = (entry.matched[selector] || 0) + hits;
+          entry.lastMatchedAt = now;
+        });
+        if (counts.failed > 0) {
+          entry.failed += counts.failed;
+          entry.lastFailedAt = now;
+        }
+      });
+
+      chrome.storage.local.set({ [this.STATS_KEY]: stats });
+    });
+  }
+};
+
+// Make available globally (window in pages, self in the service worker)
+globalThis.BloomCartSelectors = SelectorRegistry;
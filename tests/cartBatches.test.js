@@ -0,0 +1,77 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { fakeBackend } from './helpers/backend.js';
+import { loadServiceWorker, plain } from './helpers/extensionScripts.js';
+
+const items = (count) => Array.from({ length: count }, (_, i) => ({
+  asin: `B0000000${String(i).padStart(2, '0')}`,
+  title: `Organic cotton towel ${i}`,
+  quantity: 1
+}));
+
+const rated = (item) => ({
+  asin: item.asin,
+  product: { asin: item.asin, title: item.title, overallScore: 80, rating: { grade: 'A', score: 0.5 } }
+});
+
+test('a cart is sent once, in requests of six items', async () => {
+  const fetch = fakeBackend(({ body }) => ({ results: body.items.map(rated) }));
+  const worker = loadServiceWorker({ fetch });
+
+  const { cartItems } = await worker.analyzeCart(items(14));
+
+  assert.deepEqual(fetch.requests.map(r => r.body.items.length), [6, 6, 2]);
+  assert.equal(cartItems.length, 14);
+  assert.ok(cartItems.every(item => item.grade === 'A' && !item.localEstimate));
+});
+
+for (const status of [429, 500, 503]) {
+  test(`a batch answered with ${status} falls back locally and the other batches are kept`, async () => {
+    let calls = 0;
+    const fetch = fakeBackend(({ body }) => {
+      calls += 1;
+      return calls === 2
+        ? { status, body: { error: 'Too many requests from this IP, please try again later.' } }
+        : { results: body.items.map(rated) };
+    });
+    const worker = loadServiceWorker({ fetch });
+
+    const { cartItems } = await worker.analyzeCart(items(14));
+
+    assert.equal(fetch.requests.length, 3);
+    assert.deepEqual(plain(cartItems.map(item => !!item.localEstimate)), [
+      ...Array(6).fill(false), ...Array(6).fill(true), ...Array(2).fill(false)
+    ]);
+  });
+}
+
+test('an offline backend leaves every item with a local estimate', async () => {
+  const fetch = fakeBackend(() => { throw new TypeError('Failed to fetch'); });
+  const worker = loadServiceWorker({ fetch });
+
+  const { cartItems } = await worker.analyzeCart(items(8));
+
+  assert.equal(cartItems.length, 8);
+  assert.ok(cartItems.every(item => item.localEstimate));
+});
+
+test('a rejected request is still an error', async () => {
+  const fetch = fakeBackend(() => ({ status: 400, body: { error: 'items must be a non-empty array' } }));
+  const worker = loadServiceWorker({ fetch });
+
+  await assert.rejects(worker.analyzeCart(items(3)), /items must be a non-empty array/);
+});
+
+test('search results keep the badges of the batches that were rated', async () => {
+  let calls = 0;
+  const fetch = fakeBackend(({ body }) => {
+    calls += 1;
+    return calls === 1 ? { status: 429, body: {} } : { results: body.items.map(rated) };
+  });
+  const worker = loadServiceWorker({ fetch });
+
+  const response = await new Promise(resolve => worker.handleRateSearchResults({ items: items(8) }, resolve));
+
+  assert.equal(response.success, true);
+  assert.deepEqual(plain(response.ratings.map(r => r.asin)), items(8).slice(6).map(item => item.asin));
+});
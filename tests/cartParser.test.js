@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { openAmazonPage, fixture, plain } from './helpers/extensionScripts.js';
+
+const CART_URL = 'https://www.amazon.com/gp/cart/view.html?ref_=nav_cart';
+
+/**
+ * Cart items parsed from a fixture, as the cart page itself sees them
+ */
+const scrapeLiveCart = (name) => {
+  const { window, warnings } = openAmazonPage(fixture(`cart/${name}`), CART_URL);
+  return { items: window.AmazonScraper.scrapeCartItems(window.document), warnings };
+};
+
+const summary = (items) => plain(items.map(({ asin, title, price, quantity }) => ({ asin, title, price, quantity })));
+const asins = (items) => plain(items.map(i => i.asin));
+
+test('active cart: every line with its title, price and quantity', () => {
+  const { items } = scrapeLiveCart('active-cart');
+  assert.deepEqual(summary(items), [
+    { asin: 'B08N5WRWNW', title: 'Stainless Steel Water Bottle, 32 oz, Vacuum Insulated', price: '$24.99', quantity: 2 },
+    { asin: 'B07FZ8S74R', title: 'Organic Cotton Dish Towels, Set of 4', price: '$12.49', quantity: 3 },
+    { asin: 'B09G9FPHY6', title: 'Echo Dot (5th Gen) Smart Speaker', price: '$49.99', quantity: 1 }
+  ]);
+  assert.equal(items[0].url, 'https://www.amazon.com/dp/B08N5WRWNW');
+});
+
+test('Save for Later items are not in the cart', () => {
+  const { items } = scrapeLiveCart('save-for-later');
+  assert.deepEqual(asins(items), ['B08N5WRWNW']);
+  assert.equal(items[0].quantity, 1);
+});
+
+test('recommendation carousels are not in the cart', () => {
+  const { items } = scrapeLiveCart('recommendations');
+  assert.deepEqual(plain(items.map(i => [i.asin, i.quantity])), [['B08N5WRWNW', 2], ['B09G9FPHY6', 1]]);
+});
+
+test('recommendations stay out when the active cart container is not found', () => {
+  const { window } = openAmazonPage(fixture('cart/recommendations'), CART_URL);
+  const { document } = window;
+  ['sc-active-cart', 'activeCartViewForm', 'sc-cart-container'].forEach(id => {
+    document.getElementById(id).removeAttribute('id');
+  });
+
+  const items = window.AmazonScraper.scrapeCartItems(document);
+  assert.deepEqual(asins(items), ['B08N5WRWNW', 'B09G9FPHY6']);
+});
+
+test('empty cart: no items, and the miss is logged', () => {
+  const { items, warnings } = scrapeLiveCart('empty-cart');
+  assert.deepEqual(plain(items), []);
+  assert.ok(warnings.some(w => w.includes('No items parsed')));
+});
+
+test('cart HTML fetched from another page parses the same as the cart page', () => {
+  ['active-cart', 'save-for-later', 'recommendations', 'empty-cart'].forEach(name => {
+    const { window } = openAmazonPage('<!doctype html><title>Product</title>', 'https://www.amazon.com/dp/B000000000');
+    const fetched = new window.DOMParser().parseFromString(fixture(`cart/${name}`), 'text/html');
+    assert.deepEqual(summary(window.AmazonScraper.scrapeCartItems(fetched)), summary(scrapeLiveCart(name).items), name);
+  });
+});
+
+test('product URLs follow the storefront the page is on', () => {
+  const { window } = openAmazonPage(fixture('cart/save-for-later'), 'https://www.amazon.de/gp/cart/view.html');
+  const [item] = window.AmazonScraper.scrapeCartItems(window.document);
+  assert.equal(item.url, 'https://www.amazon.de/dp/B08N5WRWNW');
+});
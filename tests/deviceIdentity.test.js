@@ -0,0 +1,29 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createChrome, settle } from './helpers/chrome.js';
+import { fakeBackend } from './helpers/backend.js';
+import { loadServiceWorker, openContentPage } from './helpers/extensionScripts.js';
+
+test('content scripts never make up a userId', async () => {
+  const chrome = createChrome();
+  openContentPage('<body></body>', 'https://www.amazon.com/gp/help/customer/display.html', chrome);
+  await settle();
+
+  assert.equal(chrome.storage.data.userId, undefined);
+});
+
+test('a new install takes its userId from the backend and claims none of its own', async () => {
+  const chrome = createChrome({ userId: 'user_1700000000000_abc123def' });
+  const fetch = fakeBackend(({ path }) => path === '/auth/register-device'
+    ? { token: 'device-token', userId: 'user_3b8f1c2e-9d4a-4e6b-a1c7-5f2e8d9b0a64' }
+    : { status: 503, body: {} });
+  loadServiceWorker({ chrome, fetch });
+
+  chrome.runtime.onInstalled.listeners.forEach(listener => listener({ reason: 'install' }));
+  await settle();
+
+  const registration = fetch.requests.find(r => r.path === '/auth/register-device');
+  assert.deepEqual(registration.body, {});
+  assert.equal(chrome.storage.data.userId, 'user_3b8f1c2e-9d4a-4e6b-a1c7-5f2e8d9b0a64');
+  assert.equal(chrome.storage.data.authToken, 'device-token');
+});
@@ -0,0 +1,27 @@
+import { plain } from './extensionScripts.js';
+
+const API_PREFIX = /^https?:\/\/[^/]+\/api/;
+
+/**
+ * A `fetch` for the service worker that answers BloomCart API calls with
+ * `handler({ path, body })`. The handler returns a JSON body (status 200),
+ * `{ status, body }` for any other status, or throws to simulate a network
+ * failure. Every call is kept in `fetch.requests`.
+ */
+export const fakeBackend = (handler) => {
+  const requests = [];
+  const fetch = async (url, init = {}) => {
+    const request = {
+      path: url.replace(API_PREFIX, ''),
+      method: init.method || 'GET',
+      body: init.body === undefined ? undefined : JSON.parse(init.body)
+    };
+    requests.push(request);
+
+    const reply = await handler(request);
+    const { status, body } = reply && reply.status ? reply : { status: 200, body: reply };
+    return { ok: status >= 200 && status < 300, status, json: async () => plain(body || {}) };
+  };
+  fetch.requests = requests;
+  return fetch;
+};
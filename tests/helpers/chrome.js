@@ -0,0 +1,70 @@
+/**
+ * In-memory stand-in for the chrome.* APIs the extension uses:
+ * chrome.storage.local (callback and promise forms) with storage.onChanged
+ * events, and the runtime events scripts register listeners on.
+ * `initial` seeds chrome.storage.local.
+ */
+export const createChrome = (initial = {}) => {
+  const copy = (value) => value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+  const data = copy(initial);
+  const event = () => {
+    const listeners = [];
+    return { listeners, addListener: (listener) => listeners.push(listener) };
+  };
+  const onChanged = event();
+
+  // Like Chrome, listeners hear about a write after it has been applied
+  const write = (updates) => {
+    const changes = {};
+    Object.entries(updates).forEach(([key, newValue]) => {
+      changes[key] = { oldValue: data[key], newValue };
+      if (newValue === undefined) {
+        delete data[key];
+      } else {
+        data[key] = newValue;
+      }
+    });
+    Promise.resolve().then(() => onChanged.listeners.forEach(listener => listener(copy(changes), 'local')));
+  };
+
+  const respond = (value, callback) => {
+    if (callback) Promise.resolve().then(() => callback(value));
+    return Promise.resolve(value);
+  };
+
+  const local = {
+    get(keys, callback) {
+      const wanted = keys === null || keys === undefined ? Object.keys(data) : [].concat(keys);
+      const result = {};
+      wanted.forEach(key => {
+        if (data[key] !== undefined) result[key] = copy(data[key]);
+      });
+      return respond(result, callback);
+    },
+    set(items, callback) {
+      write(copy(items));
+      return respond(undefined, callback);
+    },
+    remove(keys, callback) {
+      write(Object.fromEntries([].concat(keys).map(key => [key, undefined])));
+      return respond(undefined, callback);
+    }
+  };
+
+  return {
+    // Stored values, for assertions
+    storage: { local, onChanged, data },
+    runtime: {
+      onMessage: event(),
+      onInstalled: event(),
+      onStartup: event(),
+      lastError: undefined,
+      sendMessage: (message, callback) => respond(undefined, callback)
+    }
+  };
+};
+
+/**
+ * Wait until every pending promise callback (storage events included) has run
+ */
+export const settle = () => new Promise(resolve => setImmediate(resolve));
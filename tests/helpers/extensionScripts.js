@@ -0,0 +1,102 @@
+import fs from 'fs';
+import path from 'path';
+import vm from 'vm';
+import { fileURLToPath } from 'url';
+import { JSDOM, VirtualConsole } from 'jsdom';
+import { createChrome } from './chrome.js';
+
+const EXTENSION_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../../extension');
+
+/**
+ * Run extension classic scripts (paths relative to extension/) in one
+ * context, the way the manifest loads them, and return that context's global
+ * object. `context` defaults to a fresh one; pass a jsdom window's
+ * (dom.getInternalVMContext()) for scripts that read the page.
+ */
+export const loadExtensionScripts = (scripts, context = vm.createContext({ console })) => {
+  scripts.forEach(script => {
+    const file = path.join(EXTENSION_DIR, script);
+    vm.runInContext(fs.readFileSync(file, 'utf8'), context, { filename: file });
+  });
+  return context;
+};
+
+// The content scripts AmazonScraper depends on, in manifest order
+const SCRAPER_SCRIPTS = [
+  'utils/scoring-policy.js',
+  'utils/marketplaces.js',
+  'utils/selector-registry.js',
+  'content/amazon-scraper.js'
+];
+
+/**
+ * An Amazon page at `url` under jsdom with the scraper's content scripts
+ * loaded. Returns its window and the warnings the scripts logged.
+ */
+export const openAmazonPage = (html, url) => {
+  const warnings = [];
+  const virtualConsole = new VirtualConsole();
+  virtualConsole.on('warn', (...args) => warnings.push(args.join(' ')));
+  const dom = new JSDOM(html, { url, runScripts: 'outside-only', virtualConsole });
+  const window = loadExtensionScripts(SCRAPER_SCRIPTS, dom.getInternalVMContext());
+  return { window, warnings };
+};
+
+/**
+ * An Amazon page at `url` under jsdom running the full content-script set
+ * (content.js included) against `chrome`
+ */
+export const openContentPage = (html, url, chrome = createChrome()) => {
+  const dom = new JSDOM(html, { url, runScripts: 'outside-only', virtualConsole: new VirtualConsole() });
+  dom.window.chrome = chrome;
+  return loadExtensionScripts([...SCRAPER_SCRIPTS, 'content/content.js'], dom.getInternalVMContext());
+};
+
+const QUIET_CONSOLE = { log() {}, info() {}, warn() {}, error() {} };
+
+/**
+ * Run the background service worker against `chrome` and `fetch` (default:
+ * an offline network) and return its global object, whose top-level
+ * functions can be called directly. The scripts it imports run in a context
+ * of their own, since they declare top-level names the worker reuses, and
+ * only their `globalThis.BloomCart*` exports are shared with it. Timers
+ * never fire, so nothing runs unless a test calls it.
+ */
+export const loadServiceWorker = ({ chrome = createChrome(), fetch } = {}) => {
+  const file = path.join(EXTENSION_DIR, 'background/service-worker.js');
+  const source = fs.readFileSync(file, 'utf8');
+  const imports = [...source.matchAll(/^import '\.\.\/(.+)';$/gm)].map(match => match[1]);
+
+  const globals = {
+    console: QUIET_CONSOLE,
+    chrome,
+    fetch: fetch || (() => Promise.reject(new TypeError('Failed to fetch'))),
+    setTimeout: () => 0,
+    clearTimeout: () => {},
+    AbortController,
+    URLSearchParams,
+    crypto
+  };
+  const shared = loadExtensionScripts(imports, vm.createContext({ ...globals }));
+  const exported = Object.fromEntries(Object.keys(shared)
+    .filter(name => name.startsWith('BloomCart'))
+    .map(name => [name, shared[name]]));
+
+  const context = vm.createContext({ ...globals, ...exported });
+  // Blank out the imports so line numbers in stack traces still match the file
+  vm.runInContext(source.replace(/^import .*;$/gm, ''), context, { filename: file });
+  return context;
+};
+
+/**
+ * A saved page from tests/fixtures (`name` without the .html extension)
+ */
+export const fixture = (name) => {
+  return fs.readFileSync(path.resolve(path.dirname(fileURLToPath(import.meta.url)), `../fixtures/${name}.html`), 'utf8');
+};
+
+/**
+ * Plain copy of a value from another context, so deepStrictEqual compares
+ * data rather than each context's Object prototype
+ */
+export const plain = (value) => JSON.parse(JSON.stringify(value));
@@ -0,0 +1,100 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import PlantState from '../backend/src/models/PlantState.js';
+import { frameChangeForGrade } from '../backend/src/config/scoringPolicy.js';
+import { mergeClientState, toSyncPayload } from '../backend/src/services/plantSync.js';
+import { createChrome, settle } from './helpers/chrome.js';
+import { fakeBackend } from './helpers/backend.js';
+import { loadServiceWorker, plain } from './helpers/extensionScripts.js';
+
+const USER_ID = 'user_3b8f1c2e-9d4a-4e6b-a1c7-5f2e8d9b0a64';
+
+/**
+ * The plant routes over one in-memory PlantState, with the backend's own
+ * merge. /plant-state/update counts the purchase the way the route does.
+ */
+const plantBackend = () => {
+  const server = { plantState: null };
+  const load = () => server.plantState || (server.plantState = new PlantState({ userId: USER_ID }));
+
+  const fetch = fakeBackend(({ path, body }) => {
+    if (path === '/plant-state/update') {
+      const plantState = load();
+      plantState.currentFrame = Math.max(0, Math.min(100, plantState.currentFrame + body.frameChange * body.quantity));
+      plantState.totalPurchases += body.quantity;
+      // Like countPurchasesUpdate: only fields the sync has already stamped
+      for (const field of ['currentFrame', 'totalPurchases', 'sustainablePurchases']) {
+        if (plantState.fieldUpdatedAt.get(field)) plantState.fieldUpdatedAt.set(field, new Date());
+      }
+      plantState.history.push({ eventId: body.idempotencyKey, rating: body.rating, frameChange: body.frameChange * body.quantity });
+      return { plantState: plantState.toObject(), duplicate: false };
+    }
+    if (path === '/plant-state/sync') {
+      const plantState = mergeClientState(load(), body);
+      return { sync: toSyncPayload(plantState), syncedAt: new Date().toISOString() };
+    }
+    return { status: 404, body: { error: 'Not found' } };
+  });
+
+  return { server, fetch };
+};
+
+// An install from before sync existed: a grown plant, no sync timestamps
+const existingGarden = () => createChrome({
+  authToken: 'device-token',
+  userId: USER_ID,
+  plantState: { currentFrame: 65, totalPurchases: 3, sustainablePurchases: 2, history: [] }
+});
+
+const purchase = { product: { asin: 'B07FZ8S74R', title: 'Organic Cotton Dish Towels', grade: 'A' }, quantity: 1 };
+const grownFrame = 65 + frameChangeForGrade('A');
+
+test('an existing garden survives a first purchase recorded before the first sync', async () => {
+  const chrome = existingGarden();
+  const { server, fetch } = plantBackend();
+  const worker = loadServiceWorker({ chrome, fetch });
+
+  await worker.trackPurchase({ ...purchase, idempotencyKey: 'order:111-1:B07FZ8S74R' });
+  await settle();
+  assert.equal(server.plantState.currentFrame, 50 + frameChangeForGrade('A'));
+
+  await worker.syncPlantState();
+  await worker.syncPlantState();
+
+  assert.equal(chrome.storage.data.plantState.currentFrame, grownFrame);
+  assert.equal(chrome.storage.data.plantState.totalPurchases, 4);
+  assert.equal(server.plantState.currentFrame, grownFrame);
+  assert.equal(server.plantState.totalPurchases, 4);
+  assert.deepEqual(plain(chrome.storage.data.plantState.history.map(e => e.eventId)), ['order:111-1:B07FZ8S74R']);
+});
+
+test('an existing garden synced first keeps growing from its own frame', async () => {
+  const chrome = existingGarden();
+  const { server, fetch } = plantBackend();
+  const worker = loadServiceWorker({ chrome, fetch });
+
+  await worker.syncPlantState();
+  assert.equal(server.plantState.currentFrame, 65);
+
+  await worker.trackPurchase({ ...purchase, idempotencyKey: 'order:111-2:B07FZ8S74R' });
+  await settle();
+  await worker.syncPlantState();
+
+  assert.equal(chrome.storage.data.plantState.currentFrame, grownFrame);
+  assert.equal(server.plantState.currentFrame, grownFrame);
+});
+
+test('a fresh install adopts the garden another browser already synced', async () => {
+  const { server, fetch } = plantBackend();
+  const synced = new PlantState({ userId: USER_ID });
+  mergeClientState(synced, { fields: { currentFrame: { value: 90, updatedAt: '2026-03-01T10:00:00.000Z' } } });
+  server.plantState = synced;
+
+  const chrome = createChrome({ authToken: 'device-token', userId: USER_ID });
+  const worker = loadServiceWorker({ chrome, fetch });
+  chrome.runtime.onInstalled.listeners.forEach(listener => listener({ reason: 'install' }));
+  await settle();
+
+  assert.equal(chrome.storage.data.plantState.currentFrame, 90);
+  assert.equal(server.plantState.currentFrame, 90);
+});
@@ -0,0 +1,111 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createChrome } from './helpers/chrome.js';
+import { fakeBackend } from './helpers/backend.js';
+import { frameChangeForGrade } from '../backend/src/config/scoringPolicy.js';
+import { loadServiceWorker, plain } from './helpers/extensionScripts.js';
+
+const product = { asin: 'B07FZ8S74R', title: 'Organic Cotton Dish Towels', grade: 'A' };
+
+const recorded = (fetch) => fetch.requests
+  .filter(r => r.path === '/plant-state/update')
+  .map(r => r.body.idempotencyKey);
+
+test('a purchase is recorded on the backend before the next one starts', async () => {
+  const chrome = createChrome({ authToken: 'device-token' });
+  const fetch = fakeBackend(() => ({ duplicate: false }));
+  const worker = loadServiceWorker({ chrome, fetch });
+
+  await new Promise(resolve => worker.handleTrackPurchase({ product, idempotencyKey: 'order:111-1:B07FZ8S74R' }, resolve));
+
+  assert.deepEqual(recorded(fetch), ['order:111-1:B07FZ8S74R']);
+  assert.deepEqual(plain(chrome.storage.data.pendingPurchases), []);
+});
+
+for (const failure of ['offline', 429, 503]) {
+  test(`a purchase the backend could not take (${failure}) is resent with the same key`, async () => {
+    const chrome = createChrome({ authToken: 'device-token' });
+    let down = true;
+    const fetch = fakeBackend(() => {
+      if (!down) return { duplicate: false };
+      if (failure === 'offline') throw new TypeError('Failed to fetch');
+      return { status: failure, body: { error: 'Service unavailable' } };
+    });
+    const worker = loadServiceWorker({ chrome, fetch });
+
+    await worker.trackPurchase({ product, idempotencyKey: 'order:111-1:B07FZ8S74R' });
+    assert.deepEqual(plain(chrome.storage.data.pendingPurchases.map(p => p.idempotencyKey)), ['order:111-1:B07FZ8S74R']);
+
+    down = false;
+    await worker.trackPurchase({ product, idempotencyKey: 'order:111-2:B07FZ8S74R' });
+
+    assert.deepEqual(recorded(fetch), ['order:111-1:B07FZ8S74R', 'order:111-1:B07FZ8S74R', 'order:111-2:B07FZ8S74R']);
+    assert.deepEqual(plain(chrome.storage.data.pendingPurchases), []);
+  });
+}
+
+test('pending purchases are sent on the next sync', async () => {
+  const chrome = createChrome({ authToken: 'device-token' });
+  let down = true;
+  const fetch = fakeBackend(({ path }) => {
+    if (down) return { status: 503, body: {} };
+    return path === '/plant-state/sync' ? { sync: { fields: {}, history: [] } } : { duplicate: false };
+  });
+  const worker = loadServiceWorker({ chrome, fetch });
+
+  await worker.trackPurchase({ product, idempotencyKey: 'order:111-1:B07FZ8S74R' });
+  down = false;
+  await worker.syncPlantState();
+
+  assert.deepEqual(recorded(fetch), ['order:111-1:B07FZ8S74R', 'order:111-1:B07FZ8S74R']);
+  assert.deepEqual(plain(chrome.storage.data.pendingPurchases), []);
+});
+
+test('a purchase the backend rejects is not resent', async () => {
+  const chrome = createChrome({ authToken: 'device-token' });
+  const fetch = fakeBackend(() => ({ status: 400, body: { error: 'rating is required' } }));
+  const worker = loadServiceWorker({ chrome, fetch });
+
+  await worker.trackPurchase({ product, idempotencyKey: 'order:111-1:B07FZ8S74R' });
+
+  assert.deepEqual(plain(chrome.storage.data.pendingPurchases), []);
+});
+
+const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+
+const recordOrder = async (order) => {
+  const chrome = createChrome({ authToken: 'device-token' });
+  const fetch = fakeBackend(({ path }) => path === '/analyze-product'
+    ? { product: { ...product, overallScore: 90, rating: { grade: 'A', score: 0.5 } } }
+    : { duplicate: false });
+  const worker = loadServiceWorker({ chrome, fetch });
+
+  const response = await new Promise(resolve => worker.handleRecordOrder({
+    orderId: '111-1',
+    items: [{ asin: product.asin, title: product.title, quantity: 1 }],
+    ...order
+  }, resolve));
+  assert.equal(response.success, true);
+
+  const update = fetch.requests.find(r => r.path === '/plant-state/update');
+  return { frame: chrome.storage.data.plantState.currentFrame, sentFrameChange: update.body.frameChange };
+};
+
+test('an order confirmation moves the plant', async () => {
+  const { frame, sentFrameChange } = await recordOrder({ source: 'order_confirmation', orderDate: null });
+  assert.equal(frame, 50 + frameChangeForGrade('A'));
+  assert.equal(sentFrameChange, frameChangeForGrade('A'));
+});
+
+test('the details page of a recent order moves the plant', async () => {
+  const { frame } = await recordOrder({ source: 'order_details', orderDate: daysAgo(2) });
+  assert.equal(frame, 50 + frameChangeForGrade('A'));
+});
+
+for (const orderDate of [daysAgo(60), null]) {
+  test(`the details page of an ${orderDate ? 'old' : 'undated'} order counts it without moving the plant`, async () => {
+    const { frame, sentFrameChange } = await recordOrder({ source: 'order_details', orderDate });
+    assert.equal(frame, 50);
+    assert.equal(sentFrameChange, 0);
+  });
+}
@@ -0,0 +1,85 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SCORING_POLICY, frameChangeForGrade, isSustainableGrade } from '../backend/src/config/scoringPolicy.js';
+import { calculateRating } from '../backend/src/services/rating.js';
+import { summarizeCart } from '../backend/src/services/cartAnalysis.js';
+import { createChrome, settle } from './helpers/chrome.js';
+import { fakeBackend } from './helpers/backend.js';
+import { loadExtensionScripts, loadServiceWorker, plain } from './helpers/extensionScripts.js';
+
+const { BloomCartScoringPolicy: ScoringPolicy } = loadExtensionScripts(['utils/scoring-policy.js']);
+const GRADES = SCORING_POLICY.grades.map(g => g.grade);
+
+test('backend ratings carry the frame change the extension applies for their grade', () => {
+  [0.2, 0.99, 1, 2.5, 3, 5.99, 6, 11.9, 12, 40].forEach(co2ePerKg => {
+    const rating = calculateRating(co2ePerKg * 2, 2);
+    assert.equal(rating.grade, ScoringPolicy.gradeFromCo2ePerKg(co2ePerKg), `${co2ePerKg} kg CO2e/kg`);
+    assert.equal(rating.frameChange, ScoringPolicy.frameChangeForGrade(rating.grade), `frame change for ${rating.grade}`);
+  });
+});
+
+test('cart summaries grade and average like the extension\'s cart health', () => {
+  const items = [
+    { overallScore: 90, quantity: 5, weight: { value: 200, unit: 'g' }, co2e: 0.1 },
+    { overallScore: 30, quantity: 1, weight: { value: 2, unit: 'lb' }, co2e: 9 },
+    { overallScore: 55, quantity: 2, weight: null, co2e: 1.5 }
+  ];
+  const summary = summarizeCart(items.map(item => ({
+    product: {
+      overallScore: item.overallScore,
+      weight: item.weight,
+      carbonFootprint: { co2e: item.co2e },
+      rating: { grade: ScoringPolicy.gradeFromOverallScore(item.overallScore) }
+    },
+    quantity: item.quantity
+  })));
+
+  assert.equal(summary.grade, ScoringPolicy.gradeFromCo2ePerKg(summary.co2ePerKg));
+  assert.equal(summary.averageScore, ScoringPolicy.cartHealth(items).cartHealth);
+  assert.deepEqual(Object.keys(summary.gradeDistribution), plain(ScoringPolicy.current.grades.map(g => g.grade)));
+});
+
+test('a tracked purchase moves the plant and the backend record by the backend\'s frame change', async () => {
+  for (const grade of GRADES) {
+    const requests = [];
+    const chrome = createChrome({
+      authToken: 'token',
+      plantState: { currentFrame: 50, totalPurchases: 0, sustainablePurchases: 0 }
+    });
+    const worker = loadServiceWorker({
+      chrome,
+      fetch: async (url, init) => {
+        requests.push(JSON.parse(init.body));
+        return { ok: true, status: 200, json: async () => ({}) };
+      }
+    });
+
+    const { plantState } = await worker.trackPurchase({ product: { asin: 'B000000001', grade }, quantity: 2 });
+    await settle();
+
+    assert.equal(plantState.currentFrame, Math.max(0, Math.min(100, 50 + 2 * frameChangeForGrade(grade))), `frame after ${grade}`);
+    assert.equal(plantState.sustainablePurchases, isSustainableGrade(grade) ? 2 : 0, `sustainable ${grade}`);
+    assert.equal(requests.length, 1);
+    assert.equal(requests[0].frameChange, frameChangeForGrade(grade), `recorded frame change for ${grade}`);
+  }
+});
+
+test('an order page\'s recordOrder message moves the plant by the backend\'s frame change', async () => {
+  for (const grade of GRADES) {
+    const chrome = createChrome({ authToken: 'token' });
+    const fetch = fakeBackend(({ path }) => path === '/analyze-product'
+      ? { product: { asin: 'B000000001', title: 'Bamboo toothbrush', rating: { grade, score: 1 } } }
+      : {});
+    loadServiceWorker({ chrome, fetch });
+
+    const order = { orderId: '111-1', source: 'order_confirmation', items: [{ asin: 'B000000001', title: 'Bamboo toothbrush', quantity: 1 }] };
+    const response = await new Promise(resolve => {
+      chrome.runtime.onMessage.listeners.forEach(listener => listener({ action: 'recordOrder', data: order }, {}, resolve));
+    });
+
+    assert.equal(response.success, true);
+    assert.equal(response.plantState.currentFrame, Math.max(0, Math.min(100, 50 + frameChangeForGrade(grade))), `frame after ${grade}`);
+    const update = fetch.requests.find(r => r.path === '/plant-state/update');
+    assert.equal(update.body.frameChange, frameChangeForGrade(grade), `recorded frame change for ${grade}`);
+  }
+});
@@ -0,0 +1,37 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  SCORING_POLICY,
+  gradeFromCo2ePerKg,
+  gradeFromOverallScore,
+  frameChangeForGrade,
+  isSustainableGrade
+} from '../backend/src/config/scoringPolicy.js';
+import { loadExtensionScripts, plain } from './helpers/extensionScripts.js';
+
+const { BloomCartScoringPolicy: ScoringPolicy } = loadExtensionScripts(['utils/scoring-policy.js']);
+
+test('the extension bundles the backend scoring policy unchanged', () => {
+  assert.deepEqual(plain(ScoringPolicy.current), plain(SCORING_POLICY));
+});
+
+test('both copies grade CO2e per kg the same', () => {
+  const inputs = [0, 0.5, 0.999, 1, 2.99, 3, 5.5, 6, 11.99, 12, 25, 1000];
+  inputs.forEach(co2ePerKg => {
+    assert.equal(ScoringPolicy.gradeFromCo2ePerKg(co2ePerKg), gradeFromCo2ePerKg(co2ePerKg), `${co2ePerKg} kg CO2e/kg`);
+  });
+});
+
+test('both copies grade overall scores the same', () => {
+  const inputs = [-5, 0, 19, 20, 39, 40, 59, 60, 79, 80, 100];
+  inputs.forEach(score => {
+    assert.equal(ScoringPolicy.gradeFromOverallScore(score), gradeFromOverallScore(score), `score ${score}`);
+  });
+});
+
+test('both copies agree on frame changes and sustainable grades', () => {
+  ['A', 'B', 'C', 'D', 'E', 'F', '', undefined].forEach(grade => {
+    assert.equal(ScoringPolicy.frameChangeForGrade(grade), frameChangeForGrade(grade), `frame change for ${grade}`);
+    assert.equal(ScoringPolicy.isSustainable(grade), isSustainableGrade(grade), `sustainable ${grade}`);
+  });
+});
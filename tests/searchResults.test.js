@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { openAmazonPage, fixture, plain } from './helpers/extensionScripts.js';
+
+const SEARCH_URL = 'https://www.amazon.com/s?k=water+bottle';
+
+const scrapeResults = (url = SEARCH_URL) => {
+  const { window } = openAmazonPage(fixture('search/results'), url);
+  return { window, results: window.AmazonScraper.scrapeSearchResults(window.document) };
+};
+
+test('recognizes search result pages', () => {
+  assert.equal(openAmazonPage('', SEARCH_URL).window.AmazonScraper.isSearchPage(), true);
+  assert.equal(openAmazonPage('', 'https://www.amazon.de/s/ref=nb_sb_noss?k=flasche').window.AmazonScraper.isSearchPage(), true);
+  assert.equal(openAmazonPage('', 'https://www.amazon.com/dp/B08N5WRWNW').window.AmazonScraper.isSearchPage(), false);
+  assert.equal(openAmazonPage('', 'https://www.amazon.com/gp/cart/view.html').window.AmazonScraper.isSearchPage(), false);
+});
+
+test('one entry per product card with title and current price', () => {
+  const { results } = scrapeResults();
+  assert.deepEqual(plain(results.map(({ item }) => ({ asin: item.asin, title: item.title, price: item.price }))), [
+    { asin: 'B08N5WRWNW', title: 'Stainless Steel Water Bottle, 32 oz, Vacuum Insulated', price: '$24.99' },
+    { asin: 'B07QXV6N1B', title: 'Glass Water Bottle with Silicone Sleeve', price: '$17.95' },
+    { asin: 'B08N5WRWNW', title: 'Stainless Steel Water Bottle, 32 oz, Vacuum Insulated', price: '$24.99' },
+    { asin: 'B0CX3LZ5P8', title: 'Collapsible Silicone Water Bottle', price: '' }
+  ]);
+});
+
+test('sponsored and organic cards of one product are separate entries', () => {
+  const { results } = scrapeResults();
+  const cards = results.filter(({ item }) => item.asin === 'B08N5WRWNW').map(({ element }) => element);
+  assert.equal(cards.length, 2);
+  assert.notEqual(cards[0], cards[1]);
+  assert.ok(cards[0].classList.contains('AdHolder'));
+});
+
+test('each entry keeps its card and is ready for analysis', () => {
+  const { window, results } = scrapeResults('https://www.amazon.de/s?k=flasche');
+  const [first] = results;
+  assert.equal(first.element, window.document.querySelector('[data-asin="B08N5WRWNW"]'));
+  assert.equal(first.item.marketplace, 'de');
+  assert.equal(first.item.url, 'https://www.amazon.de/dp/B08N5WRWNW');
+  assert.equal(first.item.quantity, 1);
+  // Title-only: the backend re-rates the product from its page later
+  assert.equal(first.item.partial, true);
+});
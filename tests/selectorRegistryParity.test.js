@@ -0,0 +1,10 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SELECTOR_REGISTRY } from '../backend/src/config/selectors.js';
+import { loadExtensionScripts, plain } from './helpers/extensionScripts.js';
+
+const { BloomCartSelectors: SelectorRegistry } = loadExtensionScripts(['utils/selector-registry.js']);
+
+test('the extension bundles the backend selector registry unchanged', () => {
+  assert.deepEqual(plain(SelectorRegistry.current), plain(SELECTOR_REGISTRY));
+});